@@ -0,0 +1,318 @@
+/**
+ * Admin Accounts and Sessions
+ *
+ * Admins sign in with a username and password and get a random session token in the
+ * adminSession cookie. Only the token's SHA-256 is kept server-side, so a session can be
+ * revoked (logout, password change, user deleted) and a leaked database can't be replayed.
+ * Passwords are hashed with scrypt.
+ *
+ * Roles grant permissions, checked per route by requireAdmin(permission):
+ *
+ *   viewer      read      every admin GET (and read-only lookups)
+ *   curator     playlists playlists, videos, bumpers, sources and sync reports
+ *   programmer  channels  channels, line-up, playlist placement, rotation, special events
+ *   owner       all of the above, plus system (cache, refresh, admin users)
+ *
+ * ADMIN_PASSWORD signs in the built-in owner "admin" - always in YouTube API mode (which has
+ * no users table), and in database mode until an owner account exists, to create it.
+ */
+
+const crypto = require('crypto');
+const dbService = require('./db-service');
+
+const SESSION_DURATION = 24 * 60 * 60 * 1000;   // 24 hours
+const BOOTSTRAP_USERNAME = 'admin';
+const MIN_PASSWORD_LENGTH = 10;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,49}$/;
+
+const ROLE_PERMISSIONS = {
+  viewer: ['read'],
+  curator: ['read', 'playlists'],
+  programmer: ['read', 'channels'],
+  owner: ['read', 'playlists', 'channels', 'system']
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// scrypt cost: 16 MB and ~50 ms per hash
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+let useDatabase = false;
+let adminPassword = null;
+
+// Map<tokenHash, { user, expiresAt }> (YouTube API mode)
+const memorySessions = new Map();
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.useDatabase - Accounts and sessions in the database, or memory (ADMIN_PASSWORD owner only)
+ * @param {string} options.adminPassword - Built-in owner password (default ADMIN_PASSWORD)
+ */
+function initialize({ useDatabase: databaseMode, adminPassword: password = process.env.ADMIN_PASSWORD }) {
+  useDatabase = databaseMode;
+  adminPassword = password || null;
+}
+
+// ============================================
+// PASSWORDS
+// ============================================
+
+function scrypt(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, params, (error, key) => error ? reject(error) : resolve(key));
+  });
+}
+
+/**
+ * Hash a password for storage: scrypt$N$r$p$salt$hash (base64).
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scrypt(password, Buffer.from(salt, 'base64'), { N: Number(N), r: Number(r), p: Number(p) });
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+// Constant-time comparison for the ADMIN_PASSWORD owner
+function matchesAdminPassword(password) {
+  if (!adminPassword) return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(password), digest(adminPassword));
+}
+
+// Hashed once, so unknown usernames cost as much as wrong passwords
+let dummyHash = null;
+async function getDummyHash() {
+  if (!dummyHash) dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+  return dummyHash;
+}
+
+// ============================================
+// SESSIONS
+// ============================================
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function bootstrapUser() {
+  return { id: null, username: BOOTSTRAP_USERNAME, role: 'owner' };
+}
+
+// The ADMIN_PASSWORD owner can sign in (and its sessions stay valid) until a real owner exists
+async function isBootstrapEnabled() {
+  if (!adminPassword) return false;
+  return !useDatabase || !(await dbService.hasAdminOwner());
+}
+
+/**
+ * Check credentials and open a session.
+ * @param {string|undefined} username - Omitted for the ADMIN_PASSWORD owner
+ * @returns {Promise<Object|null>} { token, user: { id, username, role }, expiresAt } or null for bad credentials
+ */
+async function login(username, password) {
+  const name = (username || BOOTSTRAP_USERNAME).trim().toLowerCase();
+  let user = null;
+
+  const account = useDatabase ? await dbService.getAdminUserCredentials(name) : null;
+  if (account) {
+    if (await verifyPassword(password, account.passwordHash)) {
+      user = { id: account.id, username: account.username, role: account.role };
+    }
+  } else if (name === BOOTSTRAP_USERNAME && await isBootstrapEnabled()) {
+    if (matchesAdminPassword(password)) user = bootstrapUser();
+  } else {
+    await verifyPassword(password, await getDummyHash());
+  }
+
+  if (!user) return null;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = Date.now() + SESSION_DURATION;
+
+  if (useDatabase) {
+    await dbService.createAdminSession(hashToken(token), user.id, new Date(expiresAt));
+  } else {
+    memorySessions.set(hashToken(token), { user, expiresAt });
+  }
+
+  return { token, user, expiresAt };
+}
+
+/**
+ * Look up a session token.
+ * @returns {Promise<Object|null>} { user: { id, username, role }, expiresAt } or null if unknown, expired or revoked
+ */
+async function getSession(token) {
+  if (!token || typeof token !== 'string') return null;
+  const tokenHash = hashToken(token);
+
+  if (!useDatabase) {
+    const session = memorySessions.get(tokenHash);
+    if (!session || session.expiresAt <= Date.now()) {
+      memorySessions.delete(tokenHash);
+      return null;
+    }
+    return session;
+  }
+
+  const session = await dbService.getAdminSession(tokenHash);
+  if (!session) return null;
+
+  if (session.userId === null) {
+    // ADMIN_PASSWORD sessions end once a real owner has been created
+    return await isBootstrapEnabled() ? { user: bootstrapUser(), expiresAt: session.expiresAt.getTime() } : null;
+  }
+  return {
+    user: { id: session.userId, username: session.username, role: session.role },
+    expiresAt: session.expiresAt.getTime()
+  };
+}
+
+/**
+ * Revoke a session token (unknown tokens are ignored).
+ */
+async function logout(token) {
+  if (!token || typeof token !== 'string') return;
+
+  if (useDatabase) {
+    await dbService.deleteAdminSession(hashToken(token));
+  } else {
+    memorySessions.delete(hashToken(token));
+  }
+}
+
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Middleware for admin routes: a valid adminSession cookie whose user's role grants `permission`.
+ * Sets req.adminUser and req.sessionExpiresAt.
+ * @param {string} permission - read, playlists, channels or system
+ */
+function requireAdmin(permission) {
+  if (!ROLES.some(role => hasPermission(role, permission))) {
+    throw new Error(`Unknown admin permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    let session;
+    try {
+      session = await getSession(req.cookies.adminSession);
+    } catch (error) {
+      console.error('[Admin] Session lookup failed:', error.message);
+      return res.status(500).json({ error: 'Failed to check admin session' });
+    }
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized - please login' });
+    }
+    if (!hasPermission(session.user.role, permission)) {
+      return res.status(403).json({ error: `Forbidden - the ${session.user.role} role can't do this` });
+    }
+
+    req.adminUser = session.user;
+    req.sessionExpiresAt = session.expiresAt;
+    next();
+  };
+}
+
+// ============================================
+// ADMIN USERS
+// ============================================
+
+function normalizeUsername(username) {
+  const name = typeof username === 'string' ? username.trim().toLowerCase() : '';
+  if (!USERNAME_PATTERN.test(name)) {
+    throw new Error('username must be 2-50 letters, digits, dots, dashes or underscores');
+  }
+  if (name === BOOTSTRAP_USERNAME) {
+    throw new Error(`username ${BOOTSTRAP_USERNAME} is reserved for the ADMIN_PASSWORD owner`);
+  }
+  return name;
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return password;
+}
+
+/**
+ * Create an admin account (database mode).
+ * @throws {Error} On an invalid username, role or password, or a taken username
+ */
+async function createUser({ username, password, role }) {
+  const name = normalizeUsername(username);
+  validateRole(role);
+  validatePassword(password);
+
+  return dbService.createAdminUser({ username: name, passwordHash: await hashPassword(password), role });
+}
+
+/**
+ * Change an admin account's role and/or password (database mode).
+ * @param {Object} fields - { role?, password? }
+ */
+async function updateUser(userId, { role, password }) {
+  if (role !== undefined) validateRole(role);
+  if (password !== undefined) validatePassword(password);
+
+  return dbService.updateAdminUser(userId, {
+    role,
+    passwordHash: password !== undefined ? await hashPassword(password) : undefined
+  });
+}
+
+/**
+ * Change the signed-in user's own password (database mode). Signs them out everywhere.
+ * @throws {Error} If the current password is wrong or the new one too short
+ */
+async function changeOwnPassword(user, currentPassword, newPassword) {
+  if (user.id === null) {
+    throw new Error('The ADMIN_PASSWORD owner has no stored password - change ADMIN_PASSWORD instead');
+  }
+  validatePassword(newPassword);
+
+  const account = await dbService.getAdminUserCredentials(user.username);
+  if (!account || !(await verifyPassword(currentPassword || '', account.passwordHash))) {
+    throw new Error('Current password is incorrect');
+  }
+
+  return dbService.updateAdminUser(user.id, { passwordHash: await hashPassword(newPassword) });
+}
+
+module.exports = {
+  SESSION_DURATION,
+  ROLES,
+  ROLE_PERMISSIONS,
+  initialize,
+  hashPassword,
+  verifyPassword,
+  login,
+  getSession,
+  logout,
+  hasPermission,
+  requireAdmin,
+  createUser,
+  updateUser,
+  changeOwnPassword
+};
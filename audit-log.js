@@ -0,0 +1,284 @@
+/**
+ * Audit Log
+ *
+ * Records who changed what: every successful /api/admin/* write, sign-in and sign-out, and
+ * the public flag / unavailable reports. Each entry has the actor (admin username and role,
+ * or the anonymous viewer id), the action ("playlist.remove_video"), its target, snapshots of
+ * the target before and after, and the request (method, path, status, IP, user agent and
+ * body with passwords redacted).
+ *
+ * Routes opt in with track(action, target) after their auth middleware. Snapshots come from
+ * loaders registered per target type with registerSnapshot().
+ *
+ * Database mode stores entries in the audit_log table; YouTube API mode keeps the most
+ * recent MEMORY_MAX_ENTRIES in memory. Anyone can send flag / unavailable reports, so viewer
+ * entries are purged after AUDIT_VIEWER_RETENTION_DAYS (default 30), checked hourly; admin
+ * entries are kept.
+ */
+
+const dbService = require('./db-service');
+
+const MEMORY_MAX_ENTRIES = 5000;
+const EXPORT_MAX_ENTRIES = 10000;
+const REDACTED = '[redacted]';
+const DEFAULT_VIEWER_RETENTION_DAYS = 30;
+const PURGE_INTERVAL = 60 * 60 * 1000;          // 1 hour
+const DAY = 24 * 60 * 60 * 1000;
+
+let useDatabase = false;
+let viewerRetentionDays = DEFAULT_VIEWER_RETENTION_DAYS;
+let purgeTimer = null;
+
+// Loaders for before / after snapshots: Map<targetType, async (targetId) => snapshot>
+const snapshotLoaders = new Map();
+
+// Entries oldest first (YouTube API mode)
+let memoryEntries = [];
+let memoryNextId = 1;
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.useDatabase - Store entries in audit_log (else in memory)
+ * @param {number} options.viewerRetentionDays - Days viewer entries are kept (default AUDIT_VIEWER_RETENTION_DAYS, then 30; 0 = forever)
+ */
+function initialize({ useDatabase: databaseMode, viewerRetentionDays: days = parseFloat(process.env.AUDIT_VIEWER_RETENTION_DAYS) }) {
+  useDatabase = databaseMode;
+  viewerRetentionDays = Number.isFinite(days) && days >= 0 ? days : DEFAULT_VIEWER_RETENTION_DAYS;
+}
+
+/**
+ * Register how to snapshot a target type, for the before / after of its entries.
+ * @param {string} targetType - e.g. playlist
+ * @param {Function} loader - async (targetId) => JSON-serializable state, or null if it doesn't exist
+ */
+function registerSnapshot(targetType, loader) {
+  snapshotLoaders.set(targetType, loader);
+}
+
+async function loadSnapshot(targetType, targetId) {
+  const loader = snapshotLoaders.get(targetType);
+  if (!loader || targetId === undefined || targetId === null) return null;
+
+  try {
+    return (await loader(targetId)) ?? null;
+  } catch (error) {
+    // Deleted / not-yet-created targets have no snapshot
+    if (!error.message.includes('not found')) {
+      console.error(`[Audit] Failed to snapshot ${targetType} ${targetId}:`, error.message);
+    }
+    return null;
+  }
+}
+
+// Request body as stored: passwords (any key containing "password") are redacted
+function sanitizeBody(body) {
+  if (!body || typeof body !== 'object' || Object.keys(body).length === 0) return null;
+  return JSON.parse(JSON.stringify(body, (key, value) => /password/i.test(key) ? REDACTED : value));
+}
+
+function getActor(req) {
+  if (req.adminUser) {
+    return { actorType: 'admin', actorId: req.adminUser.username, actorRole: req.adminUser.role };
+  }
+  // The viewer session (flag reports) or, on routes without one, whatever id the client sent
+  const viewerId = req.viewerId || req.get('X-Viewer-Id') || req.cookies?.viewerId || null;
+  return { actorType: 'viewer', actorId: typeof viewerId === 'string' ? viewerId.slice(0, 100) : null, actorRole: null };
+}
+
+// ============================================
+// RECORDING
+// ============================================
+
+/**
+ * Store an audit entry. Never throws - a failed write is logged, not surfaced to the request.
+ */
+async function record(entry) {
+  try {
+    if (useDatabase) {
+      await dbService.insertAuditEntry(entry);
+      return;
+    }
+
+    memoryEntries.push({ id: memoryNextId++, createdAt: new Date(), ...entry });
+    if (memoryEntries.length > MEMORY_MAX_ENTRIES) {
+      memoryEntries = memoryEntries.slice(-MEMORY_MAX_ENTRIES);
+    }
+  } catch (error) {
+    console.error(`[Audit] Failed to record ${entry.action}:`, error.message);
+  }
+}
+
+/**
+ * Route middleware auditing the route's successful responses (status < 400).
+ * The before snapshot is taken before the handler runs; the after snapshot and the entry are
+ * written when the handler calls res.json, before the response goes out.
+ * @param {string} action - e.g. playlist.remove_video
+ * @param {Object} target
+ * @param {string} target.type - Target type (snapshotted if it has a registered loader)
+ * @param {Function} target.id - (req, responseBody) => target id; responseBody is undefined
+ *   before the handler runs, so creates can return their new id from it afterwards
+ */
+function track(action, { type, id: getTargetId }) {
+  const middleware = async (req, res, next) => {
+    const requestTargetId = getTargetId(req, undefined);
+    const before = await loadSnapshot(type, requestTargetId);
+    const json = res.json.bind(res);
+
+    res.json = body => {
+      if (res.statusCode >= 400) return json(body);
+
+      const targetId = getTargetId(req, body) ?? requestTargetId;
+      loadSnapshot(type, targetId)
+        .then(after => record({
+          ...getActor(req),
+          action,
+          targetType: type,
+          targetId: targetId === undefined || targetId === null ? null : String(targetId),
+          before,
+          after,
+          method: req.method,
+          path: req.originalUrl,
+          statusCode: res.statusCode,
+          ip: req.ip || null,
+          userAgent: req.get('User-Agent') || null,
+          requestBody: sanitizeBody(req.body)
+        }))
+        .finally(() => json(body));
+      return res;
+    };
+
+    next();
+  };
+
+  // Lets tests check that every write route is audited
+  middleware.auditAction = action;
+  return middleware;
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+function matchesFilters(entry, { actorId, action, targetType, targetId, since, until }) {
+  if (actorId && entry.actorId !== actorId) return false;
+  if (action && (action.endsWith('.') ? !entry.action.startsWith(action) : entry.action !== action)) return false;
+  if (targetType && entry.targetType !== targetType) return false;
+  if (targetId && entry.targetId !== String(targetId)) return false;
+  if (since && entry.createdAt < since) return false;
+  if (until && entry.createdAt >= until) return false;
+  return true;
+}
+
+async function findEntries(filters, { limit, offset }) {
+  if (useDatabase) {
+    return dbService.getAuditEntries(filters, { limit, offset });
+  }
+
+  const matching = memoryEntries.filter(entry => matchesFilters(entry, filters)).reverse();
+  return { entries: matching.slice(offset, offset + limit), totalItems: matching.length };
+}
+
+/**
+ * One page of audit entries, newest first.
+ * @param {Object} filters - { actorId?, action?, targetType?, targetId?, since?: Date, until?: Date }
+ *   action ending in "." matches every action with that prefix ("playlist.")
+ * @param {Object} pagination - { page, pageSize }
+ * @returns {Promise<Object>} { page, pageSize, totalPages, totalItems, entries }
+ */
+async function query(filters = {}, { page = 1, pageSize = 50 } = {}) {
+  const { entries, totalItems } = await findEntries(filters, { limit: pageSize, offset: (page - 1) * pageSize });
+
+  return {
+    page,
+    pageSize,
+    totalPages: Math.ceil(totalItems / pageSize),
+    totalItems,
+    entries
+  };
+}
+
+const CSV_COLUMNS = [
+  'id', 'createdAt', 'actorType', 'actorId', 'actorRole', 'action', 'targetType', 'targetId',
+  'method', 'path', 'statusCode', 'ip', 'userAgent', 'before', 'after', 'requestBody'
+];
+
+// Cells a spreadsheet would run as a formula (viewer ids, user agents and bodies come from anyone)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The entries matching `filters` as CSV, newest first (at most EXPORT_MAX_ENTRIES rows).
+ * Snapshots and request bodies are JSON in their cells.
+ * @returns {Promise<string>}
+ */
+async function exportCsv(filters = {}) {
+  const { entries } = await findEntries(filters, { limit: EXPORT_MAX_ENTRIES, offset: 0 });
+
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const entry of entries) {
+    lines.push(CSV_COLUMNS.map(column => csvCell(entry[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ============================================
+// RETENTION
+// ============================================
+
+/**
+ * Delete viewer entries older than the retention period.
+ * @returns {Promise<number>} Entries deleted
+ */
+async function purgeViewerEntries() {
+  if (viewerRetentionDays === 0) return 0;
+
+  const olderThan = new Date(Date.now() - viewerRetentionDays * DAY);
+  let purged;
+  if (useDatabase) {
+    purged = await dbService.purgeAuditEntries({ actorType: 'viewer', olderThan });
+  } else {
+    const kept = memoryEntries.filter(entry => entry.actorType !== 'viewer' || entry.createdAt >= olderThan);
+    purged = memoryEntries.length - kept.length;
+    memoryEntries = kept;
+  }
+
+  if (purged > 0) {
+    console.log(`[Audit] Purged ${purged} viewer entr${purged === 1 ? 'y' : 'ies'} older than ${viewerRetentionDays} day(s)`);
+  }
+  return purged;
+}
+
+function start(interval = PURGE_INTERVAL) {
+  if (viewerRetentionDays === 0 || purgeTimer) return;
+
+  purgeTimer = setInterval(() => {
+    purgeViewerEntries().catch(error => console.error('[Audit] Purge failed:', error.message));
+  }, interval);
+  purgeTimer.unref();
+}
+
+function stop() {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+}
+
+module.exports = {
+  EXPORT_MAX_ENTRIES,
+  initialize,
+  registerSnapshot,
+  record,
+  track,
+  query,
+  exportCsv,
+  purgeViewerEntries,
+  start,
+  stop
+};
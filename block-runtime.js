@@ -0,0 +1,85 @@
+/**
+ * Block Runtime Helpers
+ *
+ * Programming blocks are sized by runtime (e.g. a 30-minute show, a 60-minute music hour)
+ * instead of a fixed number of videos. Bumpers count toward the runtime.
+ */
+
+const DEFAULT_VIDEO_DURATION = 240;  // Seconds, assumed when a video's duration is unknown
+const DEFAULT_BUMPER_DURATION = 30;  // Seconds, assumed when no bumper durations are known
+const RUNTIME_TOLERANCE = 90;        // Seconds a block may run past its target
+const MAX_BLOCK_VIDEOS = 40;         // Hard cap, even for very short videos
+const MAX_BLOCK_CANDIDATES = 50;     // Videos considered per block (one YouTube durations request)
+
+// Target block length per channel in minutes (database mode can override via channels.block_minutes)
+const DEFAULT_BLOCK_MINUTES = {
+  shows: 30
+};
+const FALLBACK_BLOCK_MINUTES = 60;
+
+function getDefaultBlockMinutes(channel) {
+  return DEFAULT_BLOCK_MINUTES[channel] || FALLBACK_BLOCK_MINUTES;
+}
+
+function getDuration(item, fallback = DEFAULT_VIDEO_DURATION) {
+  return item.duration && item.duration > 0 ? item.duration : fallback;
+}
+
+function averageDuration(durations, fallback = DEFAULT_BUMPER_DURATION) {
+  const known = durations.filter(d => d && d > 0);
+  if (known.length === 0) return fallback;
+  return Math.round(known.reduce((sum, d) => sum + d, 0) / known.length);
+}
+
+/**
+ * Pick videos (in the given order) until the block reaches its target runtime.
+ * Videos that would overshoot the target are skipped in favour of shorter ones.
+ * @param {Object[]} candidates - Shuffled videos with `duration` (seconds, may be null)
+ * @param {Object} options
+ * @param {number} options.targetSeconds - Target runtime including bumpers
+ * @param {Function} options.countBumpers - (videos) => number of bumpers the block would get
+ * @param {number} options.bumperSeconds - Expected length of one bumper
+ * @param {boolean} options.allowRepeats - Reuse videos when the pool is too short
+ * @returns {Object[]} Selected videos
+ */
+function selectVideosForRuntime(candidates, { targetSeconds, countBumpers, bumperSeconds = DEFAULT_BUMPER_DURATION, allowRepeats = false }) {
+  const selected = [];
+  let videoSeconds = 0;
+
+  const runtimeFor = (videos, seconds) => seconds + countBumpers(videos) * bumperSeconds;
+
+  while (selected.length < MAX_BLOCK_VIDEOS) {
+    let added = false;
+
+    for (const video of candidates) {
+      if (selected.length >= MAX_BLOCK_VIDEOS) break;
+      if (!allowRepeats && selected.includes(video)) continue;
+
+      const duration = getDuration(video);
+      const runtime = runtimeFor([...selected, video], videoSeconds + duration);
+
+      if (selected.length === 0 || runtime <= targetSeconds + RUNTIME_TOLERANCE) {
+        selected.push(video);
+        videoSeconds += duration;
+        added = true;
+
+        if (runtime >= targetSeconds) return selected;
+      }
+    }
+
+    // Playlist too short for the target - go around again only if repeats are allowed
+    if (!added || !allowRepeats) break;
+  }
+
+  return selected;
+}
+
+module.exports = {
+  DEFAULT_VIDEO_DURATION,
+  DEFAULT_BUMPER_DURATION,
+  MAX_BLOCK_CANDIDATES,
+  getDefaultBlockMinutes,
+  getDuration,
+  averageDuration,
+  selectVideosForRuntime
+};
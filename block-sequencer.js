@@ -0,0 +1,135 @@
+/**
+ * Block Sequencing Engine
+ *
+ * Orders the videos of a programming block so it sounds programmed rather than shuffled:
+ * - the same artist is kept apart (ARTIST_SEPARATION slots when the pool allows it)
+ * - a video is never repeated within a block unless the playlist is too short, and repeats
+ *   are then spaced as far apart as possible
+ * - decades are spread using the `year` field (when known)
+ *
+ * Sequencing is deterministic for a given input order: ties keep the incoming (already
+ * shuffled) order, so seeded blocks stay reproducible.
+ */
+
+const ARTIST_SEPARATION = 3;   // Minimum slots between two videos by the same artist
+const DECADE_SEPARATION = 2;   // Slots over which back-to-back decades are discouraged
+
+// Penalty weights - a repeated video always outweighs an artist clash, which outweighs a decade clash
+const REPEAT_PENALTY = 1000;
+const ARTIST_PENALTY = 100;
+const DECADE_PENALTY = 10;
+
+/**
+ * Normalized primary artist, so "Jay-Z feat. Alicia Keys" and "JAY-Z" count as the same artist.
+ * @returns {string|null} null when the artist is unknown
+ */
+function getArtistKey(video) {
+  if (!video.artist) return null;
+
+  const primary = video.artist
+    .toLowerCase()
+    .split(/\s+(?:feat\.?|ft\.?|featuring|with)\s+|,/)[0]
+    .replace(/^the\s+/, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+  return primary || null;
+}
+
+function getDecade(video) {
+  const year = parseInt(video.year, 10);
+  return Number.isInteger(year) && year > 1900 ? Math.floor(year / 10) * 10 : null;
+}
+
+/**
+ * Interleave candidates by artist (round-robin in order of first appearance), so runtime
+ * selection - which takes candidates in order - picks as many different artists as it can.
+ * @param {Object[]} candidates - Shuffled videos
+ * @returns {Object[]} New array, same videos
+ */
+function spreadCandidates(candidates) {
+  const groups = new Map();
+  const unknown = [];
+
+  candidates.forEach(video => {
+    const key = getArtistKey(video);
+    if (!key) {
+      unknown.push(video);
+      return;
+    }
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(video);
+  });
+
+  // Videos without an artist are treated as one-off artists each
+  const queues = [...groups.values(), ...unknown.map(video => [video])];
+  const result = [];
+
+  for (let round = 0; result.length < candidates.length; round++) {
+    queues.forEach(queue => {
+      if (round < queue.length) result.push(queue[round]);
+    });
+  }
+
+  return result;
+}
+
+function getPenalty(video, sequence) {
+  const artist = getArtistKey(video);
+  const decade = getDecade(video);
+  let penalty = 0;
+
+  for (let distance = 1; distance <= sequence.length; distance++) {
+    const previous = sequence[sequence.length - distance];
+
+    if (previous.id === video.id) {
+      penalty += REPEAT_PENALTY / distance;
+    }
+    if (distance <= ARTIST_SEPARATION && artist && artist === getArtistKey(previous)) {
+      penalty += ARTIST_PENALTY / distance;
+    }
+    if (distance <= DECADE_SEPARATION && decade && decade === getDecade(previous)) {
+      penalty += DECADE_PENALTY / distance;
+    }
+  }
+
+  return penalty;
+}
+
+/**
+ * Order the selected videos of a block.
+ * Greedy: each slot takes the remaining video with the lowest clash penalty against what
+ * is already placed; when every option clashes (e.g. a single-artist playlist) the
+ * least bad one wins, so sequencing never drops videos.
+ * @param {Object[]} videos - Selected block videos (may contain repeats)
+ * @returns {Object[]} New array, same videos
+ */
+function sequenceBlock(videos) {
+  const remaining = [...videos];
+  const sequence = [];
+
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestPenalty = Infinity;
+
+    for (let i = 0; i < remaining.length; i++) {
+      const penalty = getPenalty(remaining[i], sequence);
+      if (penalty < bestPenalty) {
+        bestPenalty = penalty;
+        bestIndex = i;
+        if (penalty === 0) break;
+      }
+    }
+
+    sequence.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  return sequence;
+}
+
+module.exports = {
+  ARTIST_SEPARATION,
+  getArtistKey,
+  spreadCandidates,
+  sequenceBlock
+};
@@ -0,0 +1,239 @@
+/**
+ * Linear Broadcast Service
+ *
+ * Turns the on-demand block builder into a deterministic per-channel timeline,
+ * so every viewer tuned to a channel sees the same programming at the same time.
+ *
+ * Each UTC day starts a fresh timeline at 00:00. Block N of a day is built with a
+ * PRNG seeded from `${channel}:${day}:${N}`, chained back-to-back using item durations,
+ * and excludes the previous block's videos and playlist. The last block of the day is
+ * cut off at midnight, like a real station resetting its schedule.
+ */
+
+const crypto = require('crypto');
+const { DEFAULT_VIDEO_DURATION } = require('./block-runtime');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BLOCKS_PER_DAY = 500;    // Safety net against zero-length blocks
+
+// Injected block builder: (channel, { random, excludeVideoIds, excludePlaylistIds }) => Promise<VideoBlock>
+let blockBuilder = null;
+
+// Map<`${channel}:${dayKey}`, { channel, dayStart, blocks: [], pending: Promise }>
+const timelines = new Map();
+
+function initialize({ buildBlock }) {
+  blockBuilder = buildBlock;
+}
+
+// ============================================
+// SEEDED RANDOMNESS
+// ============================================
+
+/**
+ * Create a deterministic PRNG (mulberry32) from any string seed.
+ * Returns a function with the same contract as Math.random.
+ */
+function createSeededRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ============================================
+// TIMELINE
+// ============================================
+
+function getDayStart(at) {
+  const date = new Date(at);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+function getItemDuration(item) {
+  return item.duration && item.duration > 0 ? item.duration : DEFAULT_VIDEO_DURATION;
+}
+
+// Lay items out back-to-back starting at `startsAt` (ms)
+function scheduleBlock(block, index, startsAt, dayEnd) {
+  let cursor = startsAt;
+
+  const items = block.items.map(item => {
+    const duration = getItemDuration(item);
+    const scheduled = {
+      ...item,
+      duration,
+      startsAt: cursor,
+      endsAt: cursor + duration * 1000
+    };
+    cursor = scheduled.endsAt;
+    return scheduled;
+  });
+
+  return {
+    index,
+    playlistLabel: block.playlistLabel,
+    playlistId: block.playlistId,
+    startsAt,
+    endsAt: Math.min(cursor, dayEnd),
+    items: items.filter(item => item.startsAt < dayEnd)
+  };
+}
+
+function getTimeline(channel, dayStart) {
+  const key = `${channel}:${new Date(dayStart).toISOString().slice(0, 10)}`;
+  let timeline = timelines.get(key);
+
+  if (!timeline) {
+    timeline = { key, channel, dayStart, blocks: [], pending: Promise.resolve() };
+    timelines.set(key, timeline);
+    pruneTimelines(dayStart);
+  }
+
+  return timeline;
+}
+
+// Drop timelines older than yesterday so memory stays bounded
+function pruneTimelines(currentDayStart) {
+  for (const [key, timeline] of timelines.entries()) {
+    if (timeline.dayStart < currentDayStart - DAY_MS) {
+      timelines.delete(key);
+    }
+  }
+}
+
+/**
+ * Extend a channel's timeline until it covers `until` (ms).
+ * Extensions are serialized per timeline so concurrent viewers never build the same block twice.
+ */
+function extendTimeline(channel, timeline, until) {
+  timeline.pending = timeline.pending.catch(() => {}).then(async () => {
+    const dayEnd = timeline.dayStart + DAY_MS;
+    const target = Math.min(until, dayEnd - 1);
+
+    while (timeline.blocks.length < MAX_BLOCKS_PER_DAY) {
+      const last = timeline.blocks[timeline.blocks.length - 1];
+      if (last && last.endsAt > target) break;
+
+      const index = timeline.blocks.length;
+      const startsAt = last ? last.endsAt : timeline.dayStart;
+      const block = await blockBuilder(channel, {
+        random: createSeededRandom(`${timeline.key}:${index}`),
+        excludeVideoIds: last ? last.items.filter(i => !i.isBumper).map(i => i.id) : [],
+        excludePlaylistIds: last ? [last.playlistId] : [],
+        startsAt // Playlist dayparts are checked against air time, not build time
+      });
+
+      if (!block || !block.items || block.items.length === 0) {
+        throw new Error(`Unable to schedule programming for channel: ${channel}`);
+      }
+
+      timeline.blocks.push(scheduleBlock(block, index, startsAt, dayEnd));
+    }
+  }).catch(error => {
+    // Unknown or empty channels leave no timeline behind (ids come straight from the URL)
+    if (timeline.blocks.length === 0 && timelines.get(timeline.key) === timeline) {
+      timelines.delete(timeline.key);
+    }
+    throw error;
+  });
+
+  return timeline.pending;
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * What is airing on a channel at a given moment.
+ * @param {string} channel - Channel ID
+ * @param {number} at - Epoch ms (defaults to now)
+ * @returns {Promise<Object>} { channel, serverTime, block, itemIndex, item, offsetSeconds }
+ */
+async function getNowPlaying(channel, at = Date.now()) {
+  if (!blockBuilder) {
+    throw new Error('Broadcast service not initialized');
+  }
+
+  const timeline = getTimeline(channel, getDayStart(at));
+  await extendTimeline(channel, timeline, at);
+
+  const block = timeline.blocks.find(b => at >= b.startsAt && at < b.endsAt);
+  if (!block) {
+    throw new Error(`Nothing scheduled on channel: ${channel}`);
+  }
+
+  const itemIndex = block.items.findIndex(i => at >= i.startsAt && at < i.endsAt);
+  const item = block.items[itemIndex];
+
+  return {
+    channel,
+    serverTime: at,
+    block,
+    itemIndex,
+    item,
+    offsetSeconds: Math.floor((at - item.startsAt) / 1000)
+  };
+}
+
+/**
+ * All blocks airing on a channel between two moments (may span several UTC days).
+ * @param {string} channel - Channel ID
+ * @param {number} from - Epoch ms
+ * @param {number} to - Epoch ms
+ * @returns {Promise<Object[]>} Scheduled blocks overlapping [from, to)
+ */
+async function getSchedule(channel, from, to) {
+  if (!blockBuilder) {
+    throw new Error('Broadcast service not initialized');
+  }
+
+  const blocks = [];
+
+  for (let dayStart = getDayStart(from); dayStart < to; dayStart += DAY_MS) {
+    const timeline = getTimeline(channel, dayStart);
+    await extendTimeline(channel, timeline, to);
+
+    blocks.push(...timeline.blocks.filter(b => b.endsAt > from && b.startsAt < to));
+  }
+
+  return blocks;
+}
+
+/**
+ * Forget the blocks of a channel's timelines that haven't finished airing, so they are rebuilt
+ * from current programming - after a video is flagged or deleted, or a channel or playlist
+ * changes. Blocks that already aired stay, so the rest of the day chains on from them.
+ * @param {string|null} channel - Channel ID (null = every channel)
+ * @param {number} at - Epoch ms (defaults to now)
+ * @returns {Promise<void>} Resolves once in-flight extensions have settled
+ */
+function invalidate(channel = null, at = Date.now()) {
+  const cleared = [];
+
+  for (const timeline of timelines.values()) {
+    if (channel !== null && timeline.channel !== channel) continue;
+
+    // Queued behind any extension in flight, so a block being built can't land afterwards
+    timeline.pending = timeline.pending.catch(() => {}).then(() => {
+      timeline.blocks = timeline.blocks.filter(block => block.endsAt <= at);
+    });
+    cleared.push(timeline.pending);
+  }
+
+  return Promise.all(cleared).then(() => {});
+}
+
+module.exports = {
+  initialize,
+  createSeededRandom,
+  getNowPlaying,
+  getSchedule,
+  invalidate
+};
@@ -0,0 +1,147 @@
+/**
+ * Bumper Pattern Engine
+ *
+ * Decides where bumpers go inside a programming block. Patterns are plain JSON so they
+ * can be stored per channel (channels.bumper_pattern) and edited through the admin API.
+ *
+ * Pattern types:
+ *   { type: 'every', count: 4, offset: 2, end: true }  After video `offset`, then every `count` videos
+ *   { type: 'positions', positions: [1], end: true }   After the listed 1-based video positions
+ *   { type: 'time', minutes: 15, end: false }          Whenever `minutes` of videos have played since the last bumper
+ *   { type: 'none' }                                   No bumpers
+ *
+ * `end: true` also places a bumper after the last video of the block.
+ */
+
+const { getDuration } = require('./block-runtime');
+
+const PATTERN_TYPES = ['every', 'positions', 'time', 'none'];
+
+// [v1, v2, BUMPER, v3-v6, BUMPER, v7-v10, BUMPER, ..., vN, BUMPER]
+const MUSIC_PATTERN = { type: 'every', count: 4, offset: 2, end: true };
+
+const DEFAULT_PATTERNS = {
+  shows: { type: 'positions', positions: [1], end: true } // [v1, BUMPER, v2...vN, BUMPER]
+};
+
+function getDefaultPattern(channel) {
+  return DEFAULT_PATTERNS[channel] || MUSIC_PATTERN;
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Validate a pattern and fill in defaults.
+ * @throws {Error} With a user-facing message when the pattern is invalid
+ */
+function normalizePattern(pattern) {
+  if (!pattern || typeof pattern !== 'object' || !PATTERN_TYPES.includes(pattern.type)) {
+    throw new Error(`Bumper pattern type must be one of: ${PATTERN_TYPES.join(', ')}`);
+  }
+
+  const end = pattern.end === true;
+
+  switch (pattern.type) {
+    case 'every':
+      if (!isPositiveInteger(pattern.count)) {
+        throw new Error('"every" pattern requires a positive integer count');
+      }
+      if (pattern.offset !== undefined && !isPositiveInteger(pattern.offset)) {
+        throw new Error('"every" pattern offset must be a positive integer');
+      }
+      return { type: 'every', count: pattern.count, offset: pattern.offset || pattern.count, end };
+
+    case 'positions':
+      if (!Array.isArray(pattern.positions) || !pattern.positions.every(isPositiveInteger)) {
+        throw new Error('"positions" pattern requires an array of positive integers');
+      }
+      return { type: 'positions', positions: [...new Set(pattern.positions)].sort((a, b) => a - b), end };
+
+    case 'time':
+      if (typeof pattern.minutes !== 'number' || !(pattern.minutes > 0)) {
+        throw new Error('"time" pattern requires a positive number of minutes');
+      }
+      return { type: 'time', minutes: pattern.minutes, end };
+
+    default:
+      return { type: 'none' };
+  }
+}
+
+/**
+ * Indices (0-based) of the videos that are followed by a bumper.
+ * @param {Object[]} videos - Block videos (`duration` in seconds is used by time patterns)
+ * @param {Object} pattern - A normalized pattern
+ * @returns {number[]}
+ */
+function getBumperSlots(videos, pattern) {
+  const slots = [];
+  const lastIndex = videos.length - 1;
+
+  if (pattern.type === 'none' || videos.length === 0) {
+    return slots;
+  }
+
+  let secondsSinceBumper = 0;
+
+  videos.forEach((video, index) => {
+    const position = index + 1;
+    let slot = false;
+
+    if (pattern.type === 'every') {
+      slot = position >= pattern.offset && (position - pattern.offset) % pattern.count === 0;
+    } else if (pattern.type === 'positions') {
+      slot = pattern.positions.includes(position);
+    } else if (pattern.type === 'time') {
+      secondsSinceBumper += getDuration(video);
+      slot = secondsSinceBumper >= pattern.minutes * 60;
+    }
+
+    if (pattern.end && index === lastIndex) {
+      slot = true;
+    }
+
+    if (slot) {
+      slots.push(index);
+      secondsSinceBumper = 0;
+    }
+  });
+
+  return slots;
+}
+
+function countBumpers(videos, pattern) {
+  return getBumperSlots(videos, pattern).length;
+}
+
+/**
+ * Interleave bumpers into a block of videos.
+ * @param {Object[]} videos - Block videos
+ * @param {Object} pattern - A normalized pattern
+ * @param {Function} nextBumper - Returns the bumper to place next
+ * @returns {Object[]} Videos with bumpers inserted
+ */
+function applyPattern(videos, pattern, nextBumper) {
+  const slots = new Set(getBumperSlots(videos, pattern));
+  const result = [];
+
+  videos.forEach((video, index) => {
+    result.push(video);
+    if (slots.has(index)) {
+      result.push(nextBumper());
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  PATTERN_TYPES,
+  getDefaultPattern,
+  normalizePattern,
+  getBumperSlots,
+  countBumpers,
+  applyPattern
+};
@@ -0,0 +1,406 @@
+/**
+ * Shared Cache
+ *
+ * Namespaced key/value cache with per-key TTL and stale-while-revalidate, behind a driver
+ * selected with CACHE_DRIVER:
+ *   memory    (default) Process-local - lost on restart, not shared between instances
+ *   postgres  cache_entries table on DATABASE_URL - survives restarts, shared by every instance
+ *   file      JSON files under CACHE_DIR - survives restarts, shared by processes on one disk
+ *
+ * Entries have a fresh period (`ttl`) and an optional stale period after it (`staleTtl`)
+ * during which wrap() still answers with the old value while reloading it in the background.
+ *
+ * The postgres driver keeps a local copy of entries it has read (re-checked after
+ * LOCAL_COPY_TTL) and announces every write and invalidation with NOTIFY, so other
+ * instances drop their copies immediately.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_DRIVERS = ['memory', 'postgres', 'file'];
+const DEFAULT_CACHE_DIR = path.join(__dirname, '.cache');
+const LOCAL_COPY_TTL = 60 * 1000;          // Postgres driver: re-read the table after 1 minute
+const RESUBSCRIBE_DELAY = 5 * 1000;        // Retry LISTEN after the connection drops
+const PURGE_INTERVAL = 60 * 60 * 1000;     // Delete entries past their stale period hourly
+
+// Identifies this process in invalidation messages, so it skips its own
+const INSTANCE_ID = crypto.randomBytes(8).toString('hex');
+
+let driver = null;
+let purgeTimer = null;
+const caches = new Map(); // Map<namespace, cache> - every cache created, for the admin API
+
+// ============================================
+// DRIVERS
+// ============================================
+
+// Entry: { value, expiresAt, staleUntil } (epoch ms)
+
+function matches(key, pattern) {
+  return !pattern || key.includes(pattern);
+}
+
+function createMemoryDriver() {
+  const namespaces = new Map(); // Map<namespace, Map<key, entry>>
+
+  const getNamespace = namespace => {
+    if (!namespaces.has(namespace)) namespaces.set(namespace, new Map());
+    return namespaces.get(namespace);
+  };
+
+  return {
+    name: 'memory',
+    async get(namespace, key) {
+      return getNamespace(namespace).get(key) || null;
+    },
+    async set(namespace, key, entry) {
+      getNamespace(namespace).set(key, entry);
+    },
+    async delete(namespace, pattern) {
+      const entries = getNamespace(namespace);
+      for (const key of entries.keys()) {
+        if (matches(key, pattern)) entries.delete(key);
+      }
+    },
+    async count(namespace) {
+      return getNamespace(namespace).size;
+    },
+    async purge(now) {
+      for (const entries of namespaces.values()) {
+        for (const [key, entry] of entries) {
+          if (entry.staleUntil <= now) entries.delete(key);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * One JSON file per entry: <dir>/<namespace>/<sha1 of key>.json. Writes go through a
+ * temporary file and a rename, so readers never see half-written entries.
+ */
+function createFileDriver(dir) {
+  const namespaceDir = namespace => path.join(dir, namespace.replace(/[^\w-]/g, '_'));
+  const entryPath = (namespace, key) =>
+    path.join(namespaceDir(namespace), `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+  async function readEntryFile(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      return null; // Missing, or removed by another process mid-read
+    }
+  }
+
+  async function listEntryFiles(namespace) {
+    try {
+      const files = await fs.promises.readdir(namespaceDir(namespace));
+      return files.filter(f => f.endsWith('.json')).map(f => path.join(namespaceDir(namespace), f));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async function removeFile(file) {
+    await fs.promises.rm(file, { force: true });
+  }
+
+  return {
+    name: 'file',
+    async get(namespace, key) {
+      const stored = await readEntryFile(entryPath(namespace, key));
+      return stored && stored.key === key ? stored.entry : null;
+    },
+    async set(namespace, key, entry) {
+      const file = entryPath(namespace, key);
+      const temp = `${file}.${INSTANCE_ID}.tmp`;
+      await fs.promises.mkdir(namespaceDir(namespace), { recursive: true });
+      await fs.promises.writeFile(temp, JSON.stringify({ key, entry }));
+      await fs.promises.rename(temp, file);
+    },
+    async delete(namespace, pattern) {
+      for (const file of await listEntryFiles(namespace)) {
+        const stored = pattern ? await readEntryFile(file) : null;
+        if (!pattern || (stored && matches(stored.key, pattern))) {
+          await removeFile(file);
+        }
+      }
+    },
+    async count(namespace) {
+      return (await listEntryFiles(namespace)).length;
+    },
+    async purge(now) {
+      let namespaces = [];
+      try {
+        namespaces = await fs.promises.readdir(dir);
+      } catch (error) {
+        return;
+      }
+      for (const namespace of namespaces) {
+        for (const file of await listEntryFiles(namespace)) {
+          const stored = await readEntryFile(file);
+          if (!stored || stored.entry.staleUntil <= now) await removeFile(file);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Entries live in the cache_entries table (SQL in db-service.js). Reads are served from a
+ * local copy for up to LOCAL_COPY_TTL; NOTIFY messages from other instances drop copies early.
+ */
+function createPostgresDriver(database) {
+  const localCopies = new Map(); // Map<"namespace\nkey", { entry, readAt }>
+  const localKey = (namespace, key) => `${namespace}\n${key}`;
+
+  function dropLocal(namespace, pattern) {
+    const prefix = localKey(namespace, '');
+    for (const copyKey of localCopies.keys()) {
+      if (copyKey.startsWith(prefix) && matches(copyKey.slice(prefix.length), pattern)) localCopies.delete(copyKey);
+    }
+  }
+
+  function announce(namespace, pattern) {
+    database.notifyCacheInvalidation({ origin: INSTANCE_ID, namespace, pattern: pattern || null })
+      .catch(error => console.error('[Cache] Failed to announce invalidation:', error.message));
+  }
+
+  let subscribed = false;
+
+  async function subscribe() {
+    try {
+      await database.listenForCacheInvalidations(message => {
+        if (message.origin !== INSTANCE_ID) dropLocal(message.namespace, message.pattern);
+      }, () => {
+        // Connection lost: copies may have missed invalidations
+        localCopies.clear();
+        setTimeout(subscribe, RESUBSCRIBE_DELAY).unref();
+      });
+    } catch (error) {
+      console.error('[Cache] Failed to listen for invalidations:', error.message);
+      localCopies.clear();
+      setTimeout(subscribe, RESUBSCRIBE_DELAY).unref();
+    }
+  }
+
+  // LISTEN on first use rather than at startup, so loading this module never opens a connection
+  function ensureSubscribed() {
+    if (!subscribed) {
+      subscribed = true;
+      subscribe();
+    }
+  }
+
+  return {
+    name: 'postgres',
+    async get(namespace, key) {
+      ensureSubscribed();
+      const copy = localCopies.get(localKey(namespace, key));
+      if (copy && Date.now() - copy.readAt < LOCAL_COPY_TTL) return copy.entry;
+
+      const entry = await database.getCacheEntry(namespace, key);
+      localCopies.set(localKey(namespace, key), { entry, readAt: Date.now() });
+      return entry;
+    },
+    async set(namespace, key, entry) {
+      ensureSubscribed();
+      await database.setCacheEntry(namespace, key, entry);
+      localCopies.set(localKey(namespace, key), { entry, readAt: Date.now() });
+      announce(namespace, key);
+    },
+    async delete(namespace, pattern) {
+      await database.deleteCacheEntries(namespace, pattern);
+      dropLocal(namespace, pattern);
+      announce(namespace, pattern);
+    },
+    async count(namespace) {
+      return database.countCacheEntries(namespace);
+    },
+    async purge(now) {
+      await database.purgeCacheEntries(new Date(now));
+      for (const [copyKey, copy] of localCopies) {
+        if (!copy.entry || copy.entry.staleUntil <= now) localCopies.delete(copyKey);
+      }
+    }
+  };
+}
+
+// ============================================
+// SETUP
+// ============================================
+
+/**
+ * Select the cache driver. Until this is called, caches use the memory driver.
+ * @param {Object} options
+ * @param {string} options.driver - memory | postgres | file (default CACHE_DRIVER, then memory)
+ * @param {Object} options.database - db-service (postgres driver)
+ * @param {string} options.dir - Directory for the file driver (default CACHE_DIR, then ./.cache)
+ */
+function initialize({ driver: driverName = process.env.CACHE_DRIVER || 'memory', database, dir = process.env.CACHE_DIR || DEFAULT_CACHE_DIR } = {}) {
+  if (!CACHE_DRIVERS.includes(driverName)) {
+    throw new Error(`CACHE_DRIVER must be one of: ${CACHE_DRIVERS.join(', ')}`);
+  }
+  if (driverName === 'postgres' && !database) {
+    throw new Error('The postgres cache driver needs the database service');
+  }
+
+  driver = driverName === 'postgres'
+    ? createPostgresDriver(database)
+    : driverName === 'file' ? createFileDriver(dir) : createMemoryDriver();
+
+  if (!purgeTimer) {
+    purgeTimer = setInterval(() => {
+      getDriver().purge(Date.now()).catch(error => console.error('[Cache] Purge failed:', error.message));
+    }, PURGE_INTERVAL);
+    purgeTimer.unref();
+  }
+}
+
+function getDriver() {
+  if (!driver) driver = createMemoryDriver();
+  return driver;
+}
+
+function getDriverName() {
+  return getDriver().name;
+}
+
+// ============================================
+// CACHES
+// ============================================
+
+/**
+ * Create a cache in its own namespace. Driver errors are logged and treated as cache
+ * misses, so a broken cache backend slows requests down but never fails them.
+ * @param {string} namespace - e.g. 'playlists'
+ * @param {Object} defaults - { ttl, staleTtl } in ms, used when a call doesn't pass its own
+ */
+function createCache(namespace, { ttl: defaultTtl = 60 * 60 * 1000, staleTtl: defaultStaleTtl = 0 } = {}) {
+  const inFlight = new Map(); // Map<key, Promise> - one reload per key at a time
+
+  async function read(key) {
+    try {
+      return await getDriver().get(namespace, key);
+    } catch (error) {
+      console.error(`[Cache] Read failed (${namespace}:${key}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Cached entry with its state, or null when missing or past its stale period.
+   * @returns {Promise<{ value, fresh: boolean, expiresAt: number }|null>}
+   */
+  async function peek(key) {
+    const entry = await read(key);
+    const now = Date.now();
+
+    if (!entry || entry.staleUntil <= now) return null;
+    return { value: entry.value, fresh: entry.expiresAt > now, expiresAt: entry.expiresAt };
+  }
+
+  // Fresh value, or null
+  async function get(key) {
+    const cached = await peek(key);
+    return cached && cached.fresh ? cached.value : null;
+  }
+
+  async function set(key, value, { ttl = defaultTtl, staleTtl = defaultStaleTtl } = {}) {
+    const now = Date.now();
+    try {
+      await getDriver().set(namespace, key, { value, expiresAt: now + ttl, staleUntil: now + ttl + staleTtl });
+    } catch (error) {
+      console.error(`[Cache] Write failed (${namespace}:${key}):`, error.message);
+    }
+  }
+
+  // Drop entries whose key contains `pattern` (every entry when omitted), on all instances
+  async function clear(pattern = null) {
+    try {
+      await getDriver().delete(namespace, pattern);
+    } catch (error) {
+      console.error(`[Cache] Invalidation failed (${namespace}:${pattern || '*'}):`, error.message);
+    }
+  }
+
+  async function size() {
+    try {
+      return await getDriver().count(namespace);
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  function reload(key, loader, options, stale) {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const promise = (async () => {
+      try {
+        const value = await loader();
+        await set(key, value, options);
+        return value;
+      } catch (error) {
+        // Keep serving the old value, and don't retry before errorTtl
+        if (stale && options.errorTtl) {
+          await set(key, stale.value, { ttl: options.errorTtl, staleTtl: options.staleTtl });
+        }
+        throw error;
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Cached value, loading it on a miss. A stale value is returned immediately and reloaded
+   * in the background; if that reload fails the stale value stays.
+   * @param {string} key
+   * @param {Function} loader - async () => value (must be JSON-serializable)
+   * @param {Object} options - { ttl, staleTtl, errorTtl } (errorTtl: keep a stale value
+   *   fresh this long after a failed reload instead of retrying on every call)
+   * @throws Whatever the loader throws, when there is no value to fall back to
+   */
+  async function wrap(key, loader, options = {}) {
+    const cached = await peek(key);
+
+    if (cached && cached.fresh) return cached.value;
+
+    if (cached) {
+      reload(key, loader, options, cached)
+        .catch(error => console.error(`[Cache] Background reload failed (${namespace}:${key}):`, error.message));
+      return cached.value;
+    }
+
+    return reload(key, loader, options, null);
+  }
+
+  const cache = { namespace, peek, get, set, clear, size, wrap };
+  caches.set(namespace, cache);
+  return cache;
+}
+
+/**
+ * A cache created with createCache, or null.
+ */
+function getCache(namespace) {
+  return caches.get(namespace) || null;
+}
+
+function listCaches() {
+  return [...caches.values()];
+}
+
+module.exports = {
+  CACHE_DRIVERS,
+  initialize,
+  getDriverName,
+  createCache,
+  getCache,
+  listCaches
+};
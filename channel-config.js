@@ -0,0 +1,103 @@
+/**
+ * Channel Line-up (YouTube API mode)
+ *
+ * Channels, in guide order, and the YouTube playlists they air when running without a
+ * database. Database mode keeps the same settings in the channels table instead, managed
+ * through the admin channel endpoints.
+ *
+ *   isEasterEgg  hidden until unlocked; playlists are fetched on demand (POST /api/channel/:id/load)
+ *   isRandom     airs a shuffle of every channel with feedsRandom instead of its own playlists
+ *   feedsRandom  contributes its playlists to random channels
+ *   splitTitles  false keeps YouTube titles whole instead of splitting "Artist - Song"
+ */
+
+const CHANNEL_LINEUP = [
+  {
+    id: 'rock', name: 'Rock', icon: '🤘🏼', feedsRandom: true,
+    playlists: [
+      { id: "PLqKA0FE2hsOnyYVBZv2pcFyxNKPBaz2Nv", label: "Top Rock Of All Time" },
+      { id: "PL300C32DA374417AA", label: "Classic Rock" },
+      { id: "PL6Lt9p1lIRZ311J9ZHuzkR5A3xesae2pk", label: "Alt Revival: 2000s Reloaded" },
+      { id: "PLD58ECddxRngHs9gZPQWOCAKwV1hTtYe4", label: "Flannel Frequency" },
+      { id: "PL6Lt9p1lIRZ3m2X1Ur8ykG1XRGPFsTsbD", label: "Alternative rock of the 2010s" }
+    ]
+  },
+  {
+    id: 'hiphop', name: 'Hip Hop / Rap', icon: '🎤', feedsRandom: true,
+    playlists: [
+      { id: "PLYC_eh_Ae3Dw0iZucKzKjLv9Zys4FbdHI", label: "90's Hip Hop" },
+      { id: "PLxo7H7n2_s1hwM1EdojpSGGl65fHaYAn7", label: "2000's Hip Hop" },
+      { id: "PLdTuPwLzSCS5xNlwleM48YA8gJOBzrStV", label: "Golden Era Hip Hop & RnB" },
+      { id: "PLn4GvABOzCQuZrM1YBvzlYVCkQpZkhXLS", label: "Top Hip-Hop and Rap Of All Time" }
+    ]
+  },
+  {
+    id: '2000s', name: '2000s', icon: '📀', feedsRandom: true,
+    playlists: [
+      { id: "PLCh-xN1_B-eJazkwtVvYruDhfZyBCiMRn", label: "Millennium Mix" },
+      { id: "PLId5xJ_xHV-nphbMh65l19EVyXZkSEVKr", label: "Y2K Anthems" },
+      { id: "PLkESttpe0UDycidmhDo0PWqhGeohs6VfV", label: "Shuffle Time" },
+      { id: "PL9tY0BWXOZFu4vlBOzIOmvT6wjYb2jNiV", label: "The 2000s Show" },
+      { id: "PL6Lt9p1lIRZ311J9ZHuzkR5A3xesae2pk", label: "Alt Revival: 2000s Reloaded" }
+    ]
+  },
+  {
+    id: '1990s', name: '1990s', icon: '📼', feedsRandom: true,
+    playlists: [
+      { id: "PL1Mmsa-U48mea1oIN-Eus78giJANx4D9W", label: "90's Mix" },
+      { id: "PLD58ECddxRngHs9gZPQWOCAKwV1hTtYe4", label: "Flannel Frequency" },
+      { id: "PLzRN-jh85ZxWAmGTRTmI54_wUPI1Ctfar", label: "90's Rock" },
+      { id: "PLCQCtoOJpI_Dg1iO9xS2u24_2FtbyxCo2", label: "Classic 1990's" },
+      { id: "PLkpn4UHlnIHnfh9Ye0ysC__1f29F2Bnv1", label: "90's Alternative" },
+      { id: "PL_NwZs4ruMxGXczs29ssrIy1blOJq-BBw", label: "RHYTHM IS A DANCER" }
+    ]
+  },
+  {
+    id: '1980s', name: '1980s', icon: '📺', feedsRandom: true,
+    playlists: [
+      { id: "PLd9auH4JIHvupoMgW5YfOjqtj6Lih0MKw", label: "Totally 80s!" },
+      { id: "PLDHCLXs2vTkLK-Y7lCVSM5aC3wBYzAcyw", label: "Neon Rewind" },
+      { id: "PLzRN-jh85ZxUe55BQvbT-7uhcYxUGlcED", label: "ROCK: 80s ARENA ANTHEMS" },
+      { id: "PLmXxqSJJq-yWTswOPWtZVTrs5ZAAjFB_j", label: "Going Underground" }
+    ]
+  },
+  {
+    id: 'live', name: 'Live', icon: '🎸', feedsRandom: true, splitTitles: false,
+    playlists: [
+      { id: "PLcIRQEExiw7ZD9SyyNvazIzYI8SkBM5LS", label: "" },
+      { id: "PLXUBfJihF4_AhFBKu5UR2rhX_wKm5L9BO", label: "" }
+    ]
+  },
+  {
+    id: 'shows', name: 'Shows', icon: '🎬', feedsRandom: true,
+    playlists: [
+      { id: "PLjwvTaJGeSmQE2fDbYhkQY7zSB3k23cmh", label: "Celebrity Deathmatch - Nuggets" },
+      { id: "PLBPLVvU_jvGvwo0Fev5kEyrjDm4oXkhxG", label: "Celebrity Deathmatch - Nuggets" },
+      { id: "PLjwvTaJGeSmQfzhApDigzyCH0_Hu82fQf", label: "Cribs - Nuggets" },
+      { id: "PL0exW-53ug6JHCQnY654-iSGBPRqkSEww", label: "Cribs - Nuggets" },
+      { id: "PLA9_zFupTNzhk0O83A8dd1S9iKRcLh5dn", label: "Beavis and Butt-head - Nuggets" },
+      { id: "PL0exW-53ug6LfnmcO4MOPg07kZqjDmkZv", label: "Pimp My Ride - Nuggets" },
+      { id: "PLXUBfJihF4_BtodhxajQzb5Irkev4Yl3v", label: "Interviews" },
+      { id: "PLjwvTaJGeSmTR9x_r_wXZCrwRXiNjDmnA", label: "Jackass - Nuggets" },
+      { id: "PLjwvTaJGeSmTRxXrtO7ufnX28B3a4ojYk", label: "Punk'd - Full Episodes" },
+      { id: "PLXUBfJihF4_Bj6INx79to31FAo-Dm7R8m", label: "Punk'd - Full Episodes" }
+    ]
+  },
+  {
+    id: 'noa', name: 'NOA', icon: '🎵', isEasterEgg: true,
+    playlists: [
+      { id: "PLcIRQEExiw7aK3zIogUqYDQLi82XJvAiY", label: "30 Years of Noa" },
+      { id: "PLcIRQEExiw7YQ3A0rJpFfinqpa_3eGBBm", label: "BerliNoa" },
+      { id: "PLcIRQEExiw7YAWUtoixTBV5wAcLQzO8aa", label: "Noa Is Budapesting" },
+      { id: "PLcIRQEExiw7aDBTUm4yY6qxkOFccpdzgr", label: "Noa's Winter" },
+      { id: "PLcIRQEExiw7ZuW3rOAqqkKZfnZovAdauM", label: "NOA-LON-DON" },
+      { id: "PLcIRQEExiw7aQ2RBhOhL3tDOvDKtNSGO_", label: "Chip-Chop Noa" }
+    ]
+  },
+  {
+    id: 'random', name: 'Random', icon: '🎲', isRandom: true,
+    playlists: [] // Pulls from every channel with feedsRandom
+  }
+];
+
+module.exports = { CHANNEL_LINEUP };
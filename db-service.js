@@ -5,7 +5,8 @@
  * All functions throw errors to be caught by caller for fallback logic.
  */
 
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
+const cacheStore = require('./cache-store');
 require('dotenv').config();
 
 // ============================================
@@ -13,6 +14,14 @@ require('dotenv').config();
 // ============================================
 
 let pool = null;
+let cacheListener = null; // Dedicated connection for LISTEN (see listenForCacheInvalidations)
+
+function getConnectionConfig() {
+  return {
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false } // Local Postgres usually has no SSL
+  };
+}
 
 function initializePool() {
   if (pool) {
@@ -20,8 +29,7 @@ function initializePool() {
   }
 
   pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: { rejectUnauthorized: false },
+    ...getConnectionConfig(),
     max: 20, // Maximum pool size
     idleTimeoutMillis: 30000,
     connectionTimeoutMillis: 10000,
@@ -44,6 +52,11 @@ function getPool() {
 }
 
 async function closePool() {
+  if (cacheListener) {
+    const listener = cacheListener;
+    cacheListener = null;
+    await listener.end();
+  }
   if (pool) {
     await pool.end();
     pool = null;
@@ -51,6 +64,26 @@ async function closePool() {
   }
 }
 
+/**
+ * Run `callback(client)` inside a transaction on a dedicated pool client.
+ * Commits on success, rolls back and rethrows on error.
+ */
+async function withTransaction(callback) {
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 async function healthCheck() {
   const client = getPool();
   const result = await client.query('SELECT NOW()');
@@ -61,7 +94,9 @@ async function healthCheck() {
 // CACHING LAYER
 // ============================================
 
-const cache = new Map();
+// Query results, in the shared cache (see cache-store.js) so instances agree after admin edits
+const dbCache = cacheStore.createCache('db');
+
 const CACHE_TTL = {
   CHANNELS: 24 * 60 * 60 * 1000,    // 24 hours
   PLAYLISTS: 60 * 60 * 1000,        // 1 hour
@@ -69,47 +104,24 @@ const CACHE_TTL = {
   BUMPERS: 24 * 60 * 60 * 1000      // 24 hours
 };
 
-function getCached(key) {
-  const cached = cache.get(key);
-  if (!cached) return null;
-
-  const { value, timestamp, ttl } = cached;
-  const now = Date.now();
-
-  if (now - timestamp > ttl) {
-    cache.delete(key);
-    return null;
-  }
-
-  return value;
+async function getCached(key) {
+  return dbCache.get(key);
 }
 
-function setCached(key, value, ttl) {
-  cache.set(key, {
-    value,
-    timestamp: Date.now(),
-    ttl
-  });
+async function setCached(key, value, ttl) {
+  await dbCache.set(key, value, { ttl });
 }
 
-function clearCache(pattern = null) {
-  if (pattern) {
-    // Clear cache entries matching pattern
-    for (const key of cache.keys()) {
-      if (key.includes(pattern)) {
-        cache.delete(key);
-      }
-    }
-  } else {
-    cache.clear();
-  }
+// Clear cache entries whose key contains `pattern` (everything when omitted), on every instance
+async function clearCache(pattern = null) {
+  await dbCache.clear(pattern);
 }
 
 // Fisher-Yates shuffle algorithm for unbiased randomization
-function shuffle(arr) {
+function shuffle(arr, random = Math.random) {
   const shuffled = [...arr];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
@@ -119,36 +131,28 @@ function shuffle(arr) {
 // CHANNEL FUNCTIONS
 // ============================================
 
+const CHANNEL_COLUMNS = 'id, name, icon, is_easter_egg, block_minutes, bumper_pattern, history_minutes, position, is_random, feeds_random';
+
 async function getAllChannels() {
   const cacheKey = 'channels:all';
-  const cached = getCached(cacheKey);
+  const cached = await getCached(cacheKey);
   if (cached) return cached;
 
   const client = getPool();
   const result = await client.query(`
-    SELECT id, name, icon, is_easter_egg
+    SELECT ${CHANNEL_COLUMNS}
     FROM channels
-    ORDER BY 
-      CASE id
-        WHEN 'rock' THEN 1
-        WHEN 'hiphop' THEN 2
-        WHEN '2000s' THEN 3
-        WHEN '1990s' THEN 4
-        WHEN '1980s' THEN 5
-        WHEN 'live' THEN 6
-        WHEN 'shows' THEN 7
-        WHEN 'noa' THEN 8
-      END
+    ORDER BY position NULLS LAST, id
   `);
 
-  setCached(cacheKey, result.rows, CACHE_TTL.CHANNELS);
+  await setCached(cacheKey, result.rows, CACHE_TTL.CHANNELS);
   return result.rows;
 }
 
 async function getChannelById(channelId) {
   const client = getPool();
   const result = await client.query(
-    'SELECT id, name, icon, is_easter_egg FROM channels WHERE id = $1',
+    `SELECT ${CHANNEL_COLUMNS} FROM channels WHERE id = $1`,
     [channelId]
   );
 
@@ -159,13 +163,32 @@ async function getChannelById(channelId) {
   return result.rows[0];
 }
 
+/**
+ * Set (or reset with null) a channel's bumper placement pattern.
+ * The pattern must already be validated (see bumper-patterns.js).
+ */
+async function updateChannelBumperPattern(channelId, pattern) {
+  const client = getPool();
+  const result = await client.query(
+    'UPDATE channels SET bumper_pattern = $1 WHERE id = $2 RETURNING id, bumper_pattern',
+    [pattern ? JSON.stringify(pattern) : null, channelId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error(`Channel not found: ${channelId}`);
+  }
+
+  await clearCache('channels:');
+  return result.rows[0];
+}
+
 // ============================================
 // PLAYLIST FUNCTIONS
 // ============================================
 
 async function getPlaylistsForChannel(channelId) {
   const cacheKey = `playlists:channel:${channelId}`;
-  const cached = getCached(cacheKey);
+  const cached = await getCached(cacheKey);
   if (cached) return cached;
 
   const client = getPool();
@@ -174,10 +197,10 @@ async function getPlaylistsForChannel(channelId) {
     FROM playlists p
     JOIN channel_playlists cp ON p.id = cp.playlist_id
     WHERE cp.channel_id = $1
-    ORDER BY p.name
+    ORDER BY cp.position NULLS LAST, p.name
   `, [channelId]);
 
-  setCached(cacheKey, result.rows, CACHE_TTL.PLAYLISTS);
+  await setCached(cacheKey, result.rows, CACHE_TTL.PLAYLISTS);
   return result.rows;
 }
 
@@ -193,9 +216,11 @@ async function getRandomPlaylistForChannel(channelId, excludePlaylistIds = []) {
 
   const params = [channelId];
 
-  if (excludePlaylistIds.length > 0) {
-    query += ` AND p.id NOT IN (${excludePlaylistIds.map((_, i) => `$${i + 2}`).join(',')})`;
-    params.push(...excludePlaylistIds);
+  // Playlist ids may come from viewer history as strings (non-numeric ones belong to YouTube mode)
+  const excludeIds = excludePlaylistIds.map(id => parseInt(id)).filter(Number.isInteger);
+  if (excludeIds.length > 0) {
+    query += ' AND NOT (p.id = ANY($2::int[]))';
+    params.push(excludeIds);
   }
 
   query += ' ORDER BY RANDOM() LIMIT 1';
@@ -223,21 +248,53 @@ async function getAllPlaylistsForChannel(channelId) {
   const client = getPool();
 
   const result = await client.query(`
-    SELECT p.id, p.name, p.description
+    SELECT p.id, p.name, p.description, cp.weight, cp.dayparts
     FROM playlists p
     JOIN channel_playlists cp ON p.id = cp.playlist_id
     WHERE cp.channel_id = $1
-    ORDER BY p.id
+    ORDER BY cp.position NULLS LAST, p.id
   `, [channelId]);
 
   return result.rows.map(row => ({
     id: row.id,
     name: row.name,
     description: row.description,
+    weight: Number(row.weight),
+    dayparts: row.dayparts,
     isCustom: false
   }));
 }
 
+/**
+ * Set a playlist's rotation weight and dayparts on a channel.
+ * Values must already be validated (see playlist-rotation.js).
+ * @param {Object} rotation - { weight?, dayparts? } - omitted fields are left unchanged
+ */
+async function updateChannelPlaylistRotation(channelId, playlistId, { weight, dayparts }) {
+  const client = getPool();
+  const result = await client.query(`
+    UPDATE channel_playlists
+    SET weight = COALESCE($3, weight),
+        dayparts = CASE WHEN $4 THEN $5::jsonb ELSE dayparts END
+    WHERE channel_id = $1 AND playlist_id = $2
+    RETURNING channel_id, playlist_id, weight, dayparts
+  `, [
+    channelId,
+    playlistId,
+    weight === undefined ? null : weight,
+    dayparts !== undefined,
+    dayparts ? JSON.stringify(dayparts) : null
+  ]);
+
+  if (result.rows.length === 0) {
+    throw new Error(`Playlist ${playlistId} not found on channel ${channelId}`);
+  }
+
+  await clearCache(`playlists:channel:${channelId}`);
+  const row = result.rows[0];
+  return { channelId: row.channel_id, playlistId: row.playlist_id, weight: Number(row.weight), dayparts: row.dayparts };
+}
+
 async function getPlaylistById(playlistId) {
   const client = getPool();
   const result = await client.query(
@@ -256,7 +313,12 @@ async function getPlaylistById(playlistId) {
 // VIDEO FUNCTIONS
 // ============================================
 
-async function getVideosByPlaylistId(playlistId, limit = null, excludeVideoIds = []) {
+/**
+ * Get (randomly ordered) videos of a playlist.
+ * Passing a seed makes the order reproducible: rows are sorted by md5(seed || video id)
+ * instead of RANDOM(), which linear broadcast relies on.
+ */
+async function getVideosByPlaylistId(playlistId, limit = null, excludeVideoIds = [], seed = null) {
   const client = getPool();
 
   let query = `
@@ -278,12 +340,18 @@ async function getVideosByPlaylistId(playlistId, limit = null, excludeVideoIds =
 
   const params = [playlistId];
 
+  // One array parameter, however long the exclusion list gets
   if (excludeVideoIds.length > 0) {
-    query += ` AND v.youtube_video_id NOT IN (${excludeVideoIds.map((_, i) => `$${i + 2}`).join(',')})`;
-    params.push(...excludeVideoIds);
+    query += ' AND NOT (v.youtube_video_id = ANY($2::text[]))';
+    params.push(excludeVideoIds);
   }
 
-  query += ' ORDER BY RANDOM()';
+  if (seed !== null) {
+    params.push(String(seed));
+    query += ` ORDER BY md5($${params.length} || v.youtube_video_id)`;
+  } else {
+    query += ' ORDER BY RANDOM()';
+  }
 
   if (limit) {
     query += ` LIMIT ${parseInt(limit)}`;
@@ -298,36 +366,6 @@ async function getVideosByPlaylistId(playlistId, limit = null, excludeVideoIds =
   };
 }
 
-async function getVideosForChannelBlock(channelId, excludeVideoIds = [], excludePlaylistIds = []) {
-  // Get random playlist for this channel
-  const playlist = await getRandomPlaylistForChannel(channelId, excludePlaylistIds);
-
-  if (!playlist) {
-    throw new Error(`No playlists available for channel: ${channelId}`);
-  }
-
-  // Determine block size based on channel type
-  // Shows channel: 3 videos, Music/Live channels: 12 videos
-  const blockSize = channelId === 'shows' ? 3 : 12;
-
-  // Get videos from this playlist (bumpers will be added separately)
-  const result = await getVideosByPlaylistId(playlist.id, blockSize, excludeVideoIds);
-
-  return {
-    playlistLabel: playlist.name,
-    playlistId: playlist.id.toString(),
-    items: result.videos.map(v => ({
-      id: v.id,
-      title: v.title,
-      artist: v.artist,
-      song: v.song,
-      year: v.year,
-      isLimited: v.is_limited,
-      isBumper: false
-    }))
-  };
-}
-
 async function getVideoByYoutubeId(youtubeVideoId) {
   const client = getPool();
   const result = await client.query(
@@ -338,78 +376,6 @@ async function getVideoByYoutubeId(youtubeVideoId) {
   return result.rows[0] || null;
 }
 
-async function markVideoUnavailable(youtubeVideoId, errorCode = null) {
-  const client = getPool();
-
-  // Get current video state
-  const videoResult = await client.query(
-    'SELECT unavailable_count, last_unavailable_at FROM videos WHERE youtube_video_id = $1',
-    [youtubeVideoId]
-  );
-
-  if (videoResult.rows.length === 0) {
-    console.log(`Video ${youtubeVideoId} not found in database`);
-    return;
-  }
-
-  const video = videoResult.rows[0];
-  const now = new Date();
-  const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-
-  let newCount;
-  let shouldFlag = false;
-
-  // If last unavailable was > 30 days ago (or never), reset counter to 1
-  if (!video.last_unavailable_at || new Date(video.last_unavailable_at) < thirtyDaysAgo) {
-    newCount = 1;
-    console.log(`Video ${youtubeVideoId}: Resetting counter to 1 (last report was >30 days ago)`);
-  } else {
-    // Otherwise, increment counter
-    newCount = (video.unavailable_count || 0) + 1;
-    console.log(`Video ${youtubeVideoId}: Incrementing counter to ${newCount}`);
-  }
-
-  // Auto-flag if counter reaches threshold
-  if (newCount >= 50) {
-    shouldFlag = true;
-    console.log(`Video ${youtubeVideoId}: Auto-flagging (counter >= 50)`);
-  }
-
-  // Build flag reason
-  let flagReason = null;
-  if (shouldFlag) {
-    flagReason = errorCode
-      ? `Auto-flagged: ${newCount} unavailable reports (Error: ${errorCode})`
-      : `Auto-flagged: ${newCount} unavailable reports`;
-  }
-
-  // Update video
-  if (shouldFlag) {
-    await client.query(
-      `UPDATE videos 
-       SET unavailable_count = $1, 
-           last_unavailable_at = $2, 
-           is_flagged = true,
-           flag_reason = $3,
-           updated_at = NOW() 
-       WHERE youtube_video_id = $4`,
-      [newCount, now, flagReason, youtubeVideoId]
-    );
-  } else {
-    await client.query(
-      `UPDATE videos 
-       SET unavailable_count = $1, 
-           last_unavailable_at = $2,
-           updated_at = NOW() 
-       WHERE youtube_video_id = $3`,
-      [newCount, now, youtubeVideoId]
-    );
-  }
-
-  // Clear related cache
-  clearCache('videos:');
-}
-
 async function updateVideoYear(youtubeVideoId, year) {
   const client = getPool();
 
@@ -419,77 +385,173 @@ async function updateVideoYear(youtubeVideoId, year) {
   );
 
   // Clear related cache
-  clearCache('videos:');
+  await clearCache('videos:');
 }
 
 // ============================================
 // BUMPER FUNCTIONS
 // ============================================
 
-async function getRandomBumpers(count = 1) {
+const BUMPER_CATEGORIES = ['ident', 'promo', 'station-id', 'decade', 'channel', 'special-event'];
+
+// Bumpers with their tags and channel / special event mappings
+const BUMPERS_QUERY = `
+  SELECT
+    b.youtube_video_id as id,
+    b.title,
+    b.duration_seconds,
+    ARRAY(SELECT t.tag FROM bumper_tags t WHERE t.bumper_id = b.id ORDER BY t.tag) as tags,
+    ARRAY(SELECT bc.channel_id FROM bumper_channels bc WHERE bc.bumper_id = b.id ORDER BY bc.channel_id) as channel_ids,
+    ARRAY(SELECT bse.special_event_id FROM bumper_special_events bse WHERE bse.bumper_id = b.id ORDER BY bse.special_event_id) as special_event_ids
+  FROM bumpers b
+`;
+
+async function getAllBumpers() {
   const cacheKey = 'bumpers:all';
-  let bumpers = getCached(cacheKey);
+  const cached = await getCached(cacheKey);
+  if (cached) return cached;
 
-  if (!bumpers) {
-    const client = getPool();
-    const result = await client.query(`
-      SELECT youtube_video_id as id, title, duration_seconds
-      FROM bumpers
-      ORDER BY id
-    `);
+  const client = getPool();
+  const result = await client.query(`${BUMPERS_QUERY} ORDER BY b.id`);
 
-    bumpers = result.rows;
-    setCached(cacheKey, bumpers, CACHE_TTL.BUMPERS);
-  }
+  const bumpers = result.rows;
+  await setCached(cacheKey, bumpers, CACHE_TTL.BUMPERS);
+  return bumpers;
+}
+
+/**
+ * Choose bumpers for a block from `bumpers` (rows of BUMPERS_QUERY).
+ * Bumpers mapped to the target channel / special event come first, topped up with generic
+ * (unmapped) bumpers. Bumpers mapped elsewhere are skipped, so a hip-hop ident never airs on 1980s.
+ * Tags narrow the generic pool: `channel` bumpers only air where they are mapped, and
+ * `special-event` bumpers only during special events, ahead of the other generic ones there.
+ * @param {Object[]} bumpers - Rows with tags, channel_ids and special_event_ids
+ * @param {number} count - Number of bumpers wanted
+ * @param {Function} random - PRNG (seeded for linear broadcast)
+ * @param {Object} target - { channelId?, specialEventId? }
+ */
+function selectBumpers(bumpers, count = 1, random = Math.random, { channelId = null, specialEventId = null } = {}) {
+  const matching = bumpers.filter(b =>
+    (channelId && b.channel_ids.includes(channelId)) ||
+    (specialEventId && b.special_event_ids.includes(specialEventId))
+  );
+  const generic = bumpers.filter(b =>
+    b.channel_ids.length === 0 && b.special_event_ids.length === 0 &&
+    !b.tags.includes('channel') && (specialEventId || !b.tags.includes('special-event'))
+  );
+  const eventGeneric = specialEventId ? generic.filter(b => b.tags.includes('special-event')) : [];
+  const otherGeneric = generic.filter(b => !eventGeneric.includes(b));
+
+  // Nothing suitable at all - better any bumper than none
+  const pool = matching.length + generic.length > 0
+    ? [...shuffle(matching, random), ...shuffle(eventGeneric, random), ...shuffle(otherGeneric, random)]
+    : shuffle(bumpers, random);
+
+  return pool.slice(0, Math.max(count, 1));
+}
 
-  // Shuffle and return requested count
-  const shuffled = shuffle(bumpers);
-  return shuffled.slice(0, count).map(b => ({
+/**
+ * Pick random bumpers for a block (see selectBumpers for which ones).
+ * @param {number} count - Number of bumpers wanted
+ * @param {Function} random - PRNG (seeded for linear broadcast)
+ * @param {Object} target - { channelId?, specialEventId? }
+ */
+async function getRandomBumpers(count = 1, random = Math.random, target = {}) {
+  const bumpers = await getAllBumpers();
+
+  return selectBumpers(bumpers, count, random, target).map(b => ({
     id: b.id,
     title: b.title,
+    duration: b.duration_seconds,
+    tags: b.tags,
     isBumper: true,
     playlistId: 'bumpers'
   }));
 }
 
-async function getAllBumpers() {
-  const cacheKey = 'bumpers:all';
-  const cached = getCached(cacheKey);
-  if (cached) return cached;
+/**
+ * Validate bumper tag/mapping input.
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateBumperTags({ tags, channel_ids, special_event_ids }) {
+  if (tags !== undefined && (!Array.isArray(tags) || tags.some(t => !BUMPER_CATEGORIES.includes(t)))) {
+    return `tags must be an array of: ${BUMPER_CATEGORIES.join(', ')}`;
+  }
+  if (channel_ids !== undefined && (!Array.isArray(channel_ids) || channel_ids.some(id => typeof id !== 'string'))) {
+    return 'channel_ids must be an array of channel ids';
+  }
+  if (special_event_ids !== undefined && (!Array.isArray(special_event_ids) || special_event_ids.some(id => !Number.isInteger(id)))) {
+    return 'special_event_ids must be an array of integers';
+  }
+  return null;
+}
 
-  const client = getPool();
-  const result = await client.query(`
-    SELECT youtube_video_id as id, title, duration_seconds
-    FROM bumpers
-    ORDER BY id
-  `);
+// Mapped channels / special events that don't exist, as an error message (null if all do).
+// Checked in the writing transaction, so an unknown id is refused rather than a foreign key error.
+async function checkBumperMappings(client, { channel_ids, special_event_ids }) {
+  if (channel_ids && channel_ids.length > 0) {
+    const found = await client.query('SELECT id FROM channels WHERE id = ANY($1::text[])', [channel_ids]);
+    const missing = [...new Set(channel_ids)].filter(id => !found.rows.some(row => row.id === id));
+    if (missing.length > 0) {
+      return `Channel not found: ${missing.join(', ')}`;
+    }
+  }
 
-  const bumpers = result.rows;
-  setCached(cacheKey, bumpers, CACHE_TTL.BUMPERS);
-  return bumpers;
+  if (special_event_ids && special_event_ids.length > 0) {
+    const found = await client.query('SELECT id FROM special_events WHERE id = ANY($1::int[])', [special_event_ids]);
+    const missing = [...new Set(special_event_ids)].filter(id => !found.rows.some(row => row.id === id));
+    if (missing.length > 0) {
+      return `Special event not found: ${missing.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+// Replace a bumper's tags and mappings (only the provided lists are touched)
+async function writeBumperTags(client, bumperId, { tags, channel_ids, special_event_ids }) {
+  if (tags !== undefined) {
+    await client.query('DELETE FROM bumper_tags WHERE bumper_id = $1', [bumperId]);
+    for (const tag of new Set(tags)) {
+      await client.query('INSERT INTO bumper_tags (bumper_id, tag) VALUES ($1, $2)', [bumperId, tag]);
+    }
+  }
+
+  if (channel_ids !== undefined) {
+    await client.query('DELETE FROM bumper_channels WHERE bumper_id = $1', [bumperId]);
+    for (const channelId of new Set(channel_ids)) {
+      await client.query('INSERT INTO bumper_channels (bumper_id, channel_id) VALUES ($1, $2)', [bumperId, channelId]);
+    }
+  }
+
+  if (special_event_ids !== undefined) {
+    await client.query('DELETE FROM bumper_special_events WHERE bumper_id = $1', [bumperId]);
+    for (const eventId of new Set(special_event_ids)) {
+      await client.query('INSERT INTO bumper_special_events (bumper_id, special_event_id) VALUES ($1, $2)', [bumperId, eventId]);
+    }
+  }
 }
 
 /**
  * Check if videos exist in bumpers table
  * @param {string[]} videoIds - Array of YouTube video IDs
- * @returns {Object} Map of videoId -> { isBumper: boolean, title?: string }
+ * @returns {Object} Map of videoId -> { isBumper: boolean, title?, duration?, tags?, channelIds?, specialEventIds? }
  */
 async function checkBumpersExistence(videoIds) {
   if (!videoIds || videoIds.length === 0) return {};
 
   const client = getPool();
-  const result = await client.query(`
-    SELECT youtube_video_id as id, title, duration_seconds
-    FROM bumpers
-    WHERE youtube_video_id = ANY($1)
-  `, [videoIds]);
+  const result = await client.query(`${BUMPERS_QUERY} WHERE b.youtube_video_id = ANY($1)`, [videoIds]);
 
   const bumperMap = {};
   result.rows.forEach(row => {
     bumperMap[row.id] = {
       isBumper: true,
       title: row.title,
-      duration: row.duration_seconds
+      duration: row.duration_seconds,
+      tags: row.tags,
+      channelIds: row.channel_ids,
+      specialEventIds: row.special_event_ids
     };
   });
 
@@ -505,7 +567,7 @@ async function checkBumpersExistence(videoIds) {
 
 /**
  * Add a video to bumpers table
- * @param {Object} bumperData - { youtube_video_id, title, duration_seconds }
+ * @param {Object} bumperData - { youtube_video_id, title, duration_seconds, tags?, channel_ids?, special_event_ids? }
  * @returns {Object} { success: boolean, id?: number, error?: string }
  */
 async function addBumper(bumperData) {
@@ -515,6 +577,11 @@ async function addBumper(bumperData) {
     return { success: false, error: 'youtube_video_id is required' };
   }
 
+  const tagError = validateBumperTags(bumperData);
+  if (tagError) {
+    return { success: false, error: tagError };
+  }
+
   const client = getPool();
 
   // Check if already exists
@@ -527,53 +594,104 @@ async function addBumper(bumperData) {
     return { success: false, error: 'Video is already a bumper', existingId: existing.rows[0].id };
   }
 
-  // Insert new bumper
-  const result = await client.query(
-    `INSERT INTO bumpers (youtube_video_id, title, duration_seconds)
-     VALUES ($1, $2, $3)
-     RETURNING id`,
-    [youtube_video_id, title || 'Bumper', duration_seconds || 0]
-  );
+  // Insert new bumper with its tags and mappings
+  const { id, error } = await withTransaction(async (tx) => {
+    const mappingError = await checkBumperMappings(tx, bumperData);
+    if (mappingError) {
+      return { error: mappingError };
+    }
+
+    const result = await tx.query(
+      `INSERT INTO bumpers (youtube_video_id, title, duration_seconds)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [youtube_video_id, title || 'Bumper', duration_seconds || 0]
+    );
+
+    await writeBumperTags(tx, result.rows[0].id, bumperData);
+    return { id: result.rows[0].id };
+  });
+
+  if (error) {
+    return { success: false, error };
+  }
 
   // Clear bumpers cache
-  clearCachePattern('bumpers:');
+  await clearCache('bumpers:');
 
-  return { success: true, id: result.rows[0].id };
+  return { success: true, id };
 }
 
 /**
- * Remove a video from bumpers table
+ * Replace a bumper's tags and channel / special event mappings
  * @param {string} videoId - YouTube video ID
+ * @param {Object} tagData - { tags?, channel_ids?, special_event_ids? } (omitted lists are left unchanged)
  * @returns {Object} { success: boolean, error?: string }
  */
-async function removeBumper(videoId) {
-  if (!videoId) {
-    return { success: false, error: 'videoId is required' };
+async function updateBumperTags(videoId, tagData) {
+  const tagError = validateBumperTags(tagData);
+  if (tagError) {
+    return { success: false, error: tagError };
   }
 
   const client = getPool();
-  const result = await client.query(
-    'DELETE FROM bumpers WHERE youtube_video_id = $1 RETURNING id',
-    [videoId]
-  );
+  const existing = await client.query('SELECT id FROM bumpers WHERE youtube_video_id = $1', [videoId]);
 
-  if (result.rows.length === 0) {
+  if (existing.rows.length === 0) {
     return { success: false, error: 'Video is not a bumper' };
   }
 
-  // Clear bumpers cache
-  clearCachePattern('bumpers:');
+  const mappingError = await withTransaction(async (tx) => {
+    const error = await checkBumperMappings(tx, tagData);
+    if (!error) {
+      await writeBumperTags(tx, existing.rows[0].id, tagData);
+    }
+    return error;
+  });
+
+  if (mappingError) {
+    return { success: false, error: mappingError };
+  }
+
+  await clearCache('bumpers:');
 
   return { success: true };
 }
 
-// Helper to clear cache entries matching pattern
-function clearCachePattern(pattern) {
-  for (const key of cache.keys()) {
-    if (key.startsWith(pattern)) {
-      cache.delete(key);
-    }
+/**
+ * Move a bumper to the trash, with its tags and channel / special event mappings
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} options - { deletedBy? }
+ * @returns {Object} { success: boolean, trashId?: number, error?: string }
+ */
+async function removeBumper(videoId, { deletedBy = null } = {}) {
+  if (!videoId) {
+    return { success: false, error: 'videoId is required' };
+  }
+
+  const trashId = await withTransaction(async (tx) => {
+    const bumper = await tx.query('SELECT id, title FROM bumpers WHERE youtube_video_id = $1 FOR UPDATE', [videoId]);
+    if (bumper.rows.length === 0) return null;
+
+    const { id, title } = bumper.rows[0];
+    const trashed = await moveToTrash(tx, { itemType: 'bumper', itemId: videoId, label: title || videoId, deletedBy }, [
+      ['bumpers', 'id = $1', [id]],
+      ['bumper_tags', 'bumper_id = $1', [id]],
+      ['bumper_channels', 'bumper_id = $1', [id]],
+      ['bumper_special_events', 'bumper_id = $1', [id]]
+    ]);
+    await tx.query('DELETE FROM bumpers WHERE id = $1', [id]);
+    return trashed;
+  });
+
+  if (trashId === null) {
+    return { success: false, error: 'Video is not a bumper' };
   }
+
+  // Clear bumpers cache
+  await clearCache('bumpers:');
+
+  return { success: true, trashId };
 }
 
 // ============================================
@@ -587,7 +705,7 @@ async function flagVideo(youtubeVideoId, reason = null) {
     [reason, youtubeVideoId]
   );
 
-  clearCache('videos:');
+  await clearCache('videos:');
 }
 
 async function unflagVideo(youtubeVideoId) {
@@ -597,18 +715,37 @@ async function unflagVideo(youtubeVideoId) {
     [youtubeVideoId]
   );
 
-  clearCache('videos:');
+  await clearCache('videos:');
 }
 
-async function deleteVideo(youtubeVideoId) {
-  const client = getPool();
-  // CASCADE will handle playlist_videos relationships
-  await client.query(
-    'DELETE FROM videos WHERE youtube_video_id = $1',
-    [youtubeVideoId]
-  );
+/**
+ * Move a video to the trash, with its year, flags, playlist memberships and viewer reports.
+ * @param {Object} options - { deletedBy? } (admin username, shown in the trash)
+ * @returns {Promise<{ trashId: number }>}
+ * @throws {Error} If the video doesn't exist
+ */
+async function deleteVideo(youtubeVideoId, { deletedBy = null } = {}) {
+  const trashId = await withTransaction(async (tx) => {
+    const video = await tx.query('SELECT id, title FROM videos WHERE youtube_video_id = $1 FOR UPDATE', [youtubeVideoId]);
+    if (video.rows.length === 0) {
+      throw new Error(`Video not found: ${youtubeVideoId}`);
+    }
 
-  clearCache('videos:');
+    const { id, title } = video.rows[0];
+    const trashed = await moveToTrash(tx, { itemType: 'video', itemId: youtubeVideoId, label: title, deletedBy }, [
+      ['videos', 'id = $1', [id]],
+      ['playlist_videos', 'video_id = $1', [id]],
+      ['video_flag_reports', 'video_id = $1', [id]],
+      ['video_unavailability_reports', 'video_id = $1', [id]]
+    ]);
+    // CASCADE will handle playlist_videos relationships
+    await tx.query('DELETE FROM videos WHERE id = $1', [id]);
+    return trashed;
+  });
+
+  await clearCache('videos:');
+  await clearCache('playlists:');
+  return { trashId };
 }
 
 async function addVideoToPlaylist(playlistId, videoData) {
@@ -651,8 +788,8 @@ async function addVideoToPlaylist(playlistId, videoData) {
 
     await client.query('COMMIT');
 
-    clearCache('videos:');
-    clearCache('playlists:');
+    await clearCache('videos:');
+    await clearCache('playlists:');
 
     return videoId;
   } catch (error) {
@@ -661,17 +798,39 @@ async function addVideoToPlaylist(playlistId, videoData) {
   }
 }
 
-async function removeVideoFromPlaylist(playlistId, youtubeVideoId) {
-  const client = getPool();
-
-  await client.query(`
-    DELETE FROM playlist_videos
-    WHERE playlist_id = $1
-    AND video_id = (SELECT id FROM videos WHERE youtube_video_id = $2)
-  `, [playlistId, youtubeVideoId]);
+/**
+ * Take a video off a playlist, keeping the entry (and its position) in the trash.
+ * @param {Object} options - { deletedBy? }
+ * @returns {Promise<{ trashId: number }|null>} null if the video wasn't on the playlist
+ */
+async function removeVideoFromPlaylist(playlistId, youtubeVideoId, { deletedBy = null } = {}) {
+  const trashId = await withTransaction(async (tx) => {
+    const entry = await tx.query(`
+      SELECT pv.video_id, v.title, p.name as playlist_name
+      FROM playlist_videos pv
+      JOIN videos v ON v.id = pv.video_id
+      JOIN playlists p ON p.id = pv.playlist_id
+      WHERE pv.playlist_id = $1 AND v.youtube_video_id = $2
+      FOR UPDATE OF pv
+    `, [playlistId, youtubeVideoId]);
+    if (entry.rows.length === 0) return null;
+
+    const { video_id: videoId, title, playlist_name: playlistName } = entry.rows[0];
+    const trashed = await moveToTrash(tx, {
+      itemType: 'playlist_video',
+      itemId: `${playlistId}:${youtubeVideoId}`,
+      label: `${title} (from ${playlistName})`,
+      deletedBy
+    }, [
+      ['playlist_videos', 'playlist_id = $1 AND video_id = $2', [playlistId, videoId]]
+    ]);
+    await tx.query('DELETE FROM playlist_videos WHERE playlist_id = $1 AND video_id = $2', [playlistId, videoId]);
+    return trashed;
+  });
 
-  clearCache('videos:');
-  clearCache('playlists:');
+  await clearCache('videos:');
+  await clearCache('playlists:');
+  return trashId === null ? null : { trashId };
 }
 
 async function checkVideosExistence(youtubeVideoIds) {
@@ -737,14 +896,11 @@ async function createPlaylist(name, description, channelId) {
 
     // 2. Link to channel
     if (channelId) {
-      await client.query(
-        'INSERT INTO channel_playlists (channel_id, playlist_id) VALUES ($1, $2)',
-        [channelId, playlistId]
-      );
+      await insertChannelPlaylist(client, channelId, playlistId);
     }
 
     await client.query('COMMIT');
-    clearCache('playlists:');
+    await clearCache('playlists:');
 
     return playlistId;
   } catch (err) {
@@ -755,54 +911,555 @@ async function createPlaylist(name, description, channelId) {
 
 
 // ============================================
-// SPECIAL EVENT FUNCTIONS
+// CHANNEL MANAGEMENT FUNCTIONS
 // ============================================
 
-/**
- * Get the currently active special event (enabled + within date range).
- * Returns the full config shape the frontend expects, or null if none active.
- */
-async function getActiveSpecialEvent() {
-  const cacheKey = 'special_event:active';
-  const cached = getCached(cacheKey);
-  if (cached !== null) return cached;
+// Admin API field -> channels column
+const CHANNEL_FIELDS = {
+  name: 'name',
+  icon: 'icon',
+  isEasterEgg: 'is_easter_egg',
+  isRandom: 'is_random',
+  feedsRandom: 'feeds_random',
+  blockMinutes: 'block_minutes',
+  historyMinutes: 'history_minutes',
+  bumperPattern: 'bumper_pattern'
+};
 
-  const client = getPool();
+function formatAdminChannel(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    icon: row.icon,
+    position: row.position,
+    isEasterEgg: row.is_easter_egg,
+    isRandom: row.is_random,
+    feedsRandom: row.feeds_random,
+    blockMinutes: row.block_minutes,
+    historyMinutes: row.history_minutes,
+    bumperPattern: row.bumper_pattern,
+    playlistCount: row.playlist_count
+  };
+}
 
-  // Compare only month and day so events recur every year.
-  // We use (month * 100 + day) as a sortable "day-of-year" number (e.g., March 5 = 305, Dec 20 = 1220).
-  // For ranges that wrap around year-end (e.g., Dec 20 → Jan 5), we use OR logic.
-  const now = new Date();
-  const todayMD = (now.getMonth() + 1) * 100 + now.getDate();
+async function queryAdminChannels(client, where = '', params = []) {
+  const result = await client.query(`
+    SELECT c.*,
+      (SELECT COUNT(*) FROM channel_playlists cp WHERE cp.channel_id = c.id)::int as playlist_count
+    FROM channels c
+    ${where}
+    ORDER BY c.position NULLS LAST, c.id
+  `, params);
+  return result.rows.map(formatAdminChannel);
+}
 
-  const eventResult = await client.query(`
-    SELECT id, label, icon1, icon2, is_enabled, start_date, end_date
-    FROM special_events
-    WHERE is_enabled = TRUE
-      AND (
-        start_date IS NULL OR end_date IS NULL
-        OR (
-          -- Normal range (start <= end within same year, e.g., Mar 1 → Mar 31)
-          CASE WHEN (EXTRACT(MONTH FROM start_date) * 100 + EXTRACT(DAY FROM start_date))
-                 <= (EXTRACT(MONTH FROM end_date) * 100 + EXTRACT(DAY FROM end_date))
-          THEN
-            $1 >= (EXTRACT(MONTH FROM start_date) * 100 + EXTRACT(DAY FROM start_date))
-            AND $1 <= (EXTRACT(MONTH FROM end_date) * 100 + EXTRACT(DAY FROM end_date))
-          -- Wraparound range (start > end, e.g., Dec 20 → Jan 5)
-          ELSE
-            $1 >= (EXTRACT(MONTH FROM start_date) * 100 + EXTRACT(DAY FROM start_date))
-            OR $1 <= (EXTRACT(MONTH FROM end_date) * 100 + EXTRACT(DAY FROM end_date))
-          END
-        )
-      )
-    ORDER BY start_date DESC NULLS LAST
-    LIMIT 1
-  `, [todayMD]);
+/**
+ * Every channel, in guide order, with its settings and playlist count.
+ */
+async function getAdminChannels() {
+  return queryAdminChannels(getPool());
+}
 
-  if (eventResult.rows.length === 0) {
-    // Cache the "no event" result for 5 minutes so we don't query constantly
-    setCached(cacheKey, null, 5 * 60 * 1000);
-    return null;
+/**
+ * One channel with its settings and playlist count.
+ * @throws {Error} If the channel doesn't exist
+ */
+async function getAdminChannel(channelId) {
+  const [channel] = await queryAdminChannels(getPool(), 'WHERE c.id = $1', [channelId]);
+  if (!channel) {
+    throw new Error(`Channel not found: ${channelId}`);
+  }
+  return channel;
+}
+
+/**
+ * Create a channel, last in the guide. It airs nothing until playlists are linked to it
+ * (unless it is a random channel).
+ * @param {Object} channel - { id, name, icon?, isEasterEgg?, isRandom?, feedsRandom?, blockMinutes?, historyMinutes?, bumperPattern? }
+ *   bumperPattern must already be validated (see bumper-patterns.js)
+ * @throws {Error} If a channel with this id already exists
+ */
+async function createChannel({ id, ...fields }) {
+  const columns = ['id', 'position'];
+  const placeholders = ['$1', '(SELECT COALESCE(MAX(position) + 1, 0) FROM channels)'];
+  const values = [id];
+  for (const [field, column] of Object.entries(CHANNEL_FIELDS)) {
+    if (fields[field] === undefined) continue;
+    values.push(field === 'bumperPattern' && fields[field] ? JSON.stringify(fields[field]) : fields[field]);
+    columns.push(column);
+    placeholders.push(`$${values.length}`);
+  }
+
+  try {
+    await getPool().query(
+      `INSERT INTO channels (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`,
+      values
+    );
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new Error(`Channel ${id} already exists`);
+    }
+    throw error;
+  }
+
+  await clearCache('channels:');
+  return getAdminChannel(id);
+}
+
+/**
+ * Change a channel's settings.
+ * @param {Object} fields - Any of createChannel()'s fields except id; omitted fields are left
+ *   unchanged, null resets blockMinutes / historyMinutes / bumperPattern to the defaults
+ * @throws {Error} If the channel doesn't exist
+ */
+async function updateChannel(channelId, fields) {
+  const assignments = [];
+  const values = [channelId];
+  for (const [field, column] of Object.entries(CHANNEL_FIELDS)) {
+    if (fields[field] === undefined) continue;
+    values.push(field === 'bumperPattern' && fields[field] ? JSON.stringify(fields[field]) : fields[field]);
+    assignments.push(`${column} = $${values.length}`);
+  }
+
+  if (assignments.length > 0) {
+    const result = await getPool().query(
+      `UPDATE channels SET ${assignments.join(', ')} WHERE id = $1`,
+      values
+    );
+    if (result.rowCount === 0) {
+      throw new Error(`Channel not found: ${channelId}`);
+    }
+  }
+
+  await clearCache('channels:');
+  await clearCache('playlists:');
+  return getAdminChannel(channelId);
+}
+
+/**
+ * Delete a channel. Its playlists are kept; only their links to the channel go.
+ * @param {Object} options - { force: also delete a channel that still has playlists }
+ * @throws {Error} If the channel doesn't exist, or still has playlists without force
+ */
+async function deleteChannel(channelId, { force = false } = {}) {
+  const deleted = await withTransaction(async (tx) => {
+    const channel = await tx.query('SELECT id, name FROM channels WHERE id = $1 FOR UPDATE', [channelId]);
+    if (channel.rows.length === 0) {
+      throw new Error(`Channel not found: ${channelId}`);
+    }
+
+    const links = await tx.query(
+      'SELECT playlist_id FROM channel_playlists WHERE channel_id = $1 ORDER BY playlist_id',
+      [channelId]
+    );
+    const playlistIds = links.rows.map(row => row.playlist_id);
+    if (playlistIds.length > 0 && !force) {
+      throw new Error(`Channel ${channelId} still has ${playlistIds.length} playlist(s) - unlink them first or delete with force`);
+    }
+
+    // channel_playlists and bumper_channels rows go with it (ON DELETE CASCADE)
+    await tx.query('DELETE FROM channels WHERE id = $1', [channelId]);
+
+    return { id: channel.rows[0].id, name: channel.rows[0].name, unlinkedPlaylists: playlistIds };
+  });
+
+  await clearCache('channels:');
+  await clearCache('playlists:');
+  return deleted;
+}
+
+/**
+ * Set the guide order of the channels.
+ * @param {Array<string>} channelIds - Every channel, exactly once, first to last
+ * @throws {Error} If the list doesn't match the channels
+ */
+async function setChannelOrder(channelIds) {
+  await withTransaction(async (tx) => {
+    const current = await tx.query('SELECT id FROM channels FOR UPDATE');
+    assertSameIds(current.rows.map(row => row.id), channelIds, 'channelIds must list every channel exactly once');
+
+    await tx.query(`
+      UPDATE channels c
+      SET position = ordered.position - 1
+      FROM UNNEST($1::text[]) WITH ORDINALITY AS ordered(id, position)
+      WHERE c.id = ordered.id
+    `, [channelIds]);
+  });
+
+  await clearCache('channels:');
+  return getAdminChannels();
+}
+
+// ============================================
+// PLAYLIST MANAGEMENT FUNCTIONS
+// ============================================
+
+// Every playlist's row, channel links and video count
+const ADMIN_PLAYLISTS_QUERY = `
+  SELECT p.id, p.name, p.description, p.source_type, p.source_id, p.created_at, p.updated_at,
+    (SELECT COUNT(*) FROM playlist_videos pv WHERE pv.playlist_id = p.id)::int as video_count,
+    COALESCE(
+      JSONB_AGG(JSONB_BUILD_OBJECT('channelId', cp.channel_id, 'position', cp.position, 'weight', cp.weight)
+        ORDER BY cp.channel_id) FILTER (WHERE cp.channel_id IS NOT NULL),
+      '[]'
+    ) as channels
+  FROM playlists p
+  LEFT JOIN channel_playlists cp ON cp.playlist_id = p.id
+`;
+
+function formatAdminPlaylist(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    sourceType: row.source_type,
+    sourceId: row.source_id,
+    videoCount: row.video_count,
+    channels: row.channels.map(link => ({ ...link, weight: Number(link.weight) })),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * All playlists with their video counts and channels (only one channel's, in channel order, when given).
+ */
+async function getAdminPlaylists({ channelId = null } = {}) {
+  const client = getPool();
+
+  if (channelId) {
+    const result = await client.query(`
+      ${ADMIN_PLAYLISTS_QUERY}
+      WHERE p.id IN (SELECT playlist_id FROM channel_playlists WHERE channel_id = $1)
+      GROUP BY p.id
+      ORDER BY (SELECT position FROM channel_playlists WHERE channel_id = $1 AND playlist_id = p.id) NULLS LAST, p.id
+    `, [channelId]);
+    return result.rows.map(formatAdminPlaylist);
+  }
+
+  const result = await client.query(`${ADMIN_PLAYLISTS_QUERY} GROUP BY p.id ORDER BY p.id`);
+  return result.rows.map(formatAdminPlaylist);
+}
+
+/**
+ * One playlist with its channels and videos, in playlist order.
+ * @throws {Error} If the playlist doesn't exist
+ */
+async function getAdminPlaylist(playlistId) {
+  const client = getPool();
+  const result = await client.query(`${ADMIN_PLAYLISTS_QUERY} WHERE p.id = $1 GROUP BY p.id`, [playlistId]);
+
+  if (result.rows.length === 0) {
+    throw new Error(`Playlist not found: ${playlistId}`);
+  }
+
+  const videos = await client.query(`
+    SELECT v.youtube_video_id, v.title, v.artist, v.song, v.duration_seconds, v.year, v.is_flagged, pv.position
+    FROM playlist_videos pv
+    JOIN videos v ON v.id = pv.video_id
+    WHERE pv.playlist_id = $1
+    ORDER BY pv.position NULLS LAST, v.id
+  `, [playlistId]);
+
+  return {
+    ...formatAdminPlaylist(result.rows[0]),
+    videos: videos.rows.map(row => ({
+      youtubeVideoId: row.youtube_video_id,
+      title: row.title,
+      artist: row.artist,
+      song: row.song,
+      durationSeconds: row.duration_seconds,
+      year: row.year,
+      isFlagged: row.is_flagged,
+      position: row.position
+    }))
+  };
+}
+
+/**
+ * Rename and/or describe a playlist.
+ * @param {Object} fields - { name?, description? } - omitted fields are left unchanged
+ * @throws {Error} If the playlist doesn't exist
+ */
+async function updatePlaylist(playlistId, { name, description }) {
+  const client = getPool();
+  const result = await client.query(`
+    UPDATE playlists
+    SET name = COALESCE($2, name),
+        description = CASE WHEN $3 THEN $4 ELSE description END,
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING id
+  `, [playlistId, name === undefined ? null : name, description !== undefined, description ?? null]);
+
+  if (result.rows.length === 0) {
+    throw new Error(`Playlist not found: ${playlistId}`);
+  }
+
+  await clearCache('playlists:');
+  await clearCache('videos:');
+  return getAdminPlaylist(playlistId);
+}
+
+/**
+ * Move a playlist to the trash, with its video order and channel placements. Its videos stay in the library.
+ * @param {Object} options - { force: also delete a playlist that is still on channels, deletedBy? }
+ * @throws {Error} If the playlist doesn't exist, or is still on a channel without force
+ */
+async function deletePlaylist(playlistId, { force = false, deletedBy = null } = {}) {
+  const deleted = await withTransaction(async (tx) => {
+    const playlist = await tx.query('SELECT id, name FROM playlists WHERE id = $1 FOR UPDATE', [playlistId]);
+    if (playlist.rows.length === 0) {
+      throw new Error(`Playlist not found: ${playlistId}`);
+    }
+
+    const links = await tx.query(
+      'SELECT channel_id FROM channel_playlists WHERE playlist_id = $1 ORDER BY channel_id',
+      [playlistId]
+    );
+    const channelIds = links.rows.map(row => row.channel_id);
+    if (channelIds.length > 0 && !force) {
+      throw new Error(`Playlist ${playlistId} is still on channel(s) ${channelIds.join(', ')} - unlink it first or delete with force`);
+    }
+
+    const trashId = await moveToTrash(tx, { itemType: 'playlist', itemId: String(playlistId), label: playlist.rows[0].name, deletedBy }, [
+      ['playlists', 'id = $1', [playlistId]],
+      ['playlist_videos', 'playlist_id = $1', [playlistId]],
+      ['channel_playlists', 'playlist_id = $1', [playlistId]]
+    ]);
+
+    const videos = await tx.query('DELETE FROM playlist_videos WHERE playlist_id = $1', [playlistId]);
+    await tx.query('DELETE FROM playlists WHERE id = $1', [playlistId]);
+
+    return { id: playlist.rows[0].id, name: playlist.rows[0].name, unlinkedChannels: channelIds, unlinkedVideos: videos.rowCount, trashId };
+  });
+
+  await clearCache('playlists:');
+  await clearCache('videos:');
+  return deleted;
+}
+
+// A link at the end of the channel's list unless a position is given
+async function insertChannelPlaylist(tx, channelId, playlistId, { position = null, weight = null, dayparts = null } = {}) {
+  const result = await tx.query(`
+    INSERT INTO channel_playlists (channel_id, playlist_id, position, weight, dayparts)
+    VALUES ($1::varchar, $2,
+      COALESCE($3::int, (SELECT COALESCE(MAX(position) + 1, 0) FROM channel_playlists WHERE channel_id = $1::varchar)),
+      COALESCE($4::numeric, 1), $5::jsonb)
+    ON CONFLICT (channel_id, playlist_id) DO UPDATE SET position = COALESCE($3::int, channel_playlists.position)
+    RETURNING channel_id, playlist_id, position, weight, dayparts
+  `, [channelId, playlistId, position, weight, dayparts ? JSON.stringify(dayparts) : null]);
+
+  const row = result.rows[0];
+  return { channelId: row.channel_id, playlistId: row.playlist_id, position: row.position, weight: Number(row.weight), dayparts: row.dayparts };
+}
+
+async function assertChannelAndPlaylist(tx, channelId, playlistId) {
+  const channel = await tx.query('SELECT id FROM channels WHERE id = $1', [channelId]);
+  if (channel.rows.length === 0) {
+    throw new Error(`Channel not found: ${channelId}`);
+  }
+
+  const playlist = await tx.query('SELECT id FROM playlists WHERE id = $1', [playlistId]);
+  if (playlist.rows.length === 0) {
+    throw new Error(`Playlist not found: ${playlistId}`);
+  }
+}
+
+// Refuse to leave a channel with nothing to air
+async function assertNotLastPlaylist(tx, channelId, playlistId) {
+  const result = await tx.query(
+    'SELECT COUNT(*)::int as count FROM channel_playlists WHERE channel_id = $1 AND playlist_id <> $2',
+    [channelId, playlistId]
+  );
+  if (result.rows[0].count === 0) {
+    throw new Error(`Playlist ${playlistId} is the last playlist on channel ${channelId} - use force to leave the channel empty`);
+  }
+}
+
+/**
+ * Put a playlist on a channel (or move it within the channel when already there).
+ * @param {Object} options - { position: place in the channel's list (default last) }
+ * @throws {Error} If the channel or playlist doesn't exist
+ */
+async function linkPlaylistToChannel(channelId, playlistId, { position = null } = {}) {
+  const link = await withTransaction(async (tx) => {
+    await assertChannelAndPlaylist(tx, channelId, playlistId);
+    return insertChannelPlaylist(tx, channelId, playlistId, { position });
+  });
+
+  await clearCache('playlists:');
+  return link;
+}
+
+/**
+ * Take a playlist off a channel. The playlist itself is kept.
+ * @param {Object} options - { force: also remove the channel's last playlist }
+ * @throws {Error} If the playlist isn't on the channel, or is its last playlist without force
+ */
+async function unlinkPlaylistFromChannel(channelId, playlistId, { force = false } = {}) {
+  await withTransaction(async (tx) => {
+    const result = await tx.query(
+      'DELETE FROM channel_playlists WHERE channel_id = $1 AND playlist_id = $2',
+      [channelId, playlistId]
+    );
+    if (result.rowCount === 0) {
+      throw new Error(`Playlist ${playlistId} not found on channel ${channelId}`);
+    }
+    if (!force) await assertNotLastPlaylist(tx, channelId, playlistId);
+  });
+
+  await clearCache('playlists:');
+}
+
+/**
+ * Move a playlist from one channel to another, keeping its rotation weight and dayparts.
+ * It is placed last on the new channel.
+ * @param {Object} options - { force: also move the source channel's last playlist }
+ * @throws {Error} If the playlist isn't on the source channel, is already on the target, or is the source's last playlist
+ */
+async function movePlaylistToChannel(playlistId, fromChannelId, toChannelId, { force = false } = {}) {
+  const link = await withTransaction(async (tx) => {
+    await assertChannelAndPlaylist(tx, toChannelId, playlistId);
+
+    const current = await tx.query(
+      'DELETE FROM channel_playlists WHERE channel_id = $1 AND playlist_id = $2 RETURNING weight, dayparts',
+      [fromChannelId, playlistId]
+    );
+    if (current.rows.length === 0) {
+      throw new Error(`Playlist ${playlistId} not found on channel ${fromChannelId}`);
+    }
+    if (!force) await assertNotLastPlaylist(tx, fromChannelId, playlistId);
+
+    const existing = await tx.query(
+      'SELECT 1 FROM channel_playlists WHERE channel_id = $1 AND playlist_id = $2',
+      [toChannelId, playlistId]
+    );
+    if (existing.rows.length > 0) {
+      throw new Error(`Playlist ${playlistId} is already on channel ${toChannelId}`);
+    }
+
+    return insertChannelPlaylist(tx, toChannelId, playlistId, current.rows[0]);
+  });
+
+  await clearCache('playlists:');
+  return link;
+}
+
+/**
+ * Set the order of a channel's playlists.
+ * @param {Array<number>} playlistIds - Every playlist on the channel, exactly once, first to last
+ * @throws {Error} If the channel doesn't exist or the list doesn't match its playlists
+ */
+async function setChannelPlaylistOrder(channelId, playlistIds) {
+  await withTransaction(async (tx) => {
+    const channel = await tx.query('SELECT id FROM channels WHERE id = $1', [channelId]);
+    if (channel.rows.length === 0) {
+      throw new Error(`Channel not found: ${channelId}`);
+    }
+
+    const current = await tx.query('SELECT playlist_id FROM channel_playlists WHERE channel_id = $1 FOR UPDATE', [channelId]);
+    assertSameIds(current.rows.map(row => row.playlist_id), playlistIds, `playlistIds must list every playlist on channel ${channelId} exactly once`);
+
+    await tx.query(`
+      UPDATE channel_playlists cp
+      SET position = ordered.position - 1
+      FROM UNNEST($2::int[]) WITH ORDINALITY AS ordered(playlist_id, position)
+      WHERE cp.channel_id = $1 AND cp.playlist_id = ordered.playlist_id
+    `, [channelId, playlistIds]);
+  });
+
+  await clearCache('playlists:');
+  return getAdminPlaylists({ channelId });
+}
+
+/**
+ * Set the order of a playlist's videos.
+ * @param {Array<string>} youtubeVideoIds - Every video in the playlist, exactly once, first to last
+ * @throws {Error} If the playlist doesn't exist or the list doesn't match its videos
+ */
+async function setPlaylistVideoOrder(playlistId, youtubeVideoIds) {
+  await withTransaction(async (tx) => {
+    const playlist = await tx.query('SELECT id FROM playlists WHERE id = $1 FOR UPDATE', [playlistId]);
+    if (playlist.rows.length === 0) {
+      throw new Error(`Playlist not found: ${playlistId}`);
+    }
+
+    const current = await tx.query(`
+      SELECT v.youtube_video_id FROM playlist_videos pv JOIN videos v ON v.id = pv.video_id
+      WHERE pv.playlist_id = $1
+    `, [playlistId]);
+    assertSameIds(current.rows.map(row => row.youtube_video_id), youtubeVideoIds, `videoIds must list every video in playlist ${playlistId} exactly once`);
+
+    await tx.query(`
+      UPDATE playlist_videos pv
+      SET position = ordered.position - 1
+      FROM UNNEST($2::text[]) WITH ORDINALITY AS ordered(youtube_video_id, position), videos v
+      WHERE pv.playlist_id = $1 AND v.id = pv.video_id AND v.youtube_video_id = ordered.youtube_video_id
+    `, [playlistId, youtubeVideoIds]);
+    await tx.query('UPDATE playlists SET updated_at = NOW() WHERE id = $1', [playlistId]);
+  });
+
+  await clearCache('videos:');
+  return getAdminPlaylist(playlistId);
+}
+
+function assertSameIds(current, requested, message) {
+  const unique = new Set(requested);
+  if (unique.size !== requested.length || unique.size !== current.length || !current.every(id => unique.has(id))) {
+    throw new Error(message);
+  }
+}
+
+// ============================================
+// SPECIAL EVENT FUNCTIONS
+// ============================================
+
+/**
+ * Get the currently active special event (enabled + within date range).
+ * Returns the full config shape the frontend expects, or null if none active.
+ */
+async function getActiveSpecialEvent() {
+  const cacheKey = 'special_event:active';
+  const cached = await getCached(cacheKey);
+  if (cached !== null) return cached;
+
+  const client = getPool();
+
+  // Compare only month and day so events recur every year.
+  // We use (month * 100 + day) as a sortable "day-of-year" number (e.g., March 5 = 305, Dec 20 = 1220).
+  // For ranges that wrap around year-end (e.g., Dec 20 → Jan 5), we use OR logic.
+  const now = new Date();
+  const todayMD = (now.getMonth() + 1) * 100 + now.getDate();
+
+  const eventResult = await client.query(`
+    SELECT id, label, icon1, icon2, is_enabled, start_date, end_date
+    FROM special_events
+    WHERE is_enabled = TRUE
+      AND (
+        start_date IS NULL OR end_date IS NULL
+        OR (
+          -- Normal range (start <= end within same year, e.g., Mar 1 → Mar 31)
+          CASE WHEN (EXTRACT(MONTH FROM start_date) * 100 + EXTRACT(DAY FROM start_date))
+                 <= (EXTRACT(MONTH FROM end_date) * 100 + EXTRACT(DAY FROM end_date))
+          THEN
+            $1 >= (EXTRACT(MONTH FROM start_date) * 100 + EXTRACT(DAY FROM start_date))
+            AND $1 <= (EXTRACT(MONTH FROM end_date) * 100 + EXTRACT(DAY FROM end_date))
+          -- Wraparound range (start > end, e.g., Dec 20 → Jan 5)
+          ELSE
+            $1 >= (EXTRACT(MONTH FROM start_date) * 100 + EXTRACT(DAY FROM start_date))
+            OR $1 <= (EXTRACT(MONTH FROM end_date) * 100 + EXTRACT(DAY FROM end_date))
+          END
+        )
+      )
+    ORDER BY start_date DESC NULLS LAST
+    LIMIT 1
+  `, [todayMD]);
+
+  if (eventResult.rows.length === 0) {
+    // Cache the "no event" result for 5 minutes so we don't query constantly
+    await setCached(cacheKey, null, 5 * 60 * 1000);
+    return null;
   }
 
   const event = eventResult.rows[0];
@@ -830,7 +1487,7 @@ async function getActiveSpecialEvent() {
   };
 
   // Cache for 5 minutes
-  setCached(cacheKey, result, 5 * 60 * 1000);
+  await setCached(cacheKey, result, 5 * 60 * 1000);
   return result;
 }
 
@@ -904,7 +1561,7 @@ async function createSpecialEvent({ label, icon1, icon2, isEnabled, startDate, e
     }
 
     await client.query('COMMIT');
-    clearCache('special_event');
+    await clearCache('special_event');
 
     return { id, label, icon1, icon2, isEnabled, startDate, endDate, playlists };
   } catch (err) {
@@ -947,7 +1604,7 @@ async function updateSpecialEvent(id, { label, icon1, icon2, isEnabled, startDat
     }
 
     await client.query('COMMIT');
-    clearCache('special_event');
+    await clearCache('special_event');
 
     return { id, label, icon1, icon2, isEnabled, startDate, endDate, playlists };
   } catch (err) {
@@ -957,57 +1614,1625 @@ async function updateSpecialEvent(id, { label, icon1, icon2, isEnabled, startDat
 }
 
 /**
- * Delete a special event by ID.
+ * Move a special event to the trash by ID, with its playlists and bumper mappings.
+ * @param {Object} options - { deletedBy? }
  */
-async function deleteSpecialEvent(eventId) {
-  const client = getPool();
-  const result = await client.query('DELETE FROM special_events WHERE id = $1 RETURNING id', [eventId]);
+async function deleteSpecialEvent(eventId, { deletedBy = null } = {}) {
+  const trashId = await withTransaction(async (tx) => {
+    const event = await tx.query('SELECT id, label FROM special_events WHERE id = $1 FOR UPDATE', [eventId]);
+    if (event.rows.length === 0) {
+      throw new Error(`Special event not found: ${eventId}`);
+    }
 
-  if (result.rows.length === 0) {
-    throw new Error(`Special event not found: ${eventId}`);
-  }
+    const trashed = await moveToTrash(tx, { itemType: 'special_event', itemId: String(eventId), label: event.rows[0].label, deletedBy }, [
+      ['special_events', 'id = $1', [eventId]],
+      ['special_event_playlists', 'special_event_id = $1', [eventId]],
+      ['bumper_special_events', 'special_event_id = $1', [eventId]]
+    ]);
+    await tx.query('DELETE FROM special_events WHERE id = $1', [eventId]);
+    return trashed;
+  });
 
-  clearCache('special_event');
-  return { deleted: true, id: eventId };
+  await clearCache('special_event');
+  await clearCache('bumpers:');
+  return { deleted: true, id: eventId, trashId };
 }
 
 // ============================================
-// EXPORTS
+// VIEWER HISTORY FUNCTIONS
 // ============================================
 
-module.exports = {
-  // Connection
-  initializePool,
-  getPool,
-  closePool,
-  healthCheck,
+/**
+ * Videos served to a viewer since a point in time (oldest first).
+ * @returns {Promise<Array<{ videoId, playlistId, channelId, playedAt }>>}
+ */
+async function getViewerHistory(viewerId, since) {
+  const client = getPool();
+  const result = await client.query(`
+    SELECT youtube_video_id, playlist_id, channel_id, played_at
+    FROM viewer_history
+    WHERE viewer_id = $1 AND played_at >= $2
+    ORDER BY played_at
+  `, [viewerId, since]);
 
-  // Cache
-  clearCache,
+  return result.rows.map(row => ({
+    videoId: row.youtube_video_id,
+    playlistId: row.playlist_id,
+    channelId: row.channel_id,
+    playedAt: row.played_at
+  }));
+}
 
-  // Channels
-  getAllChannels,
-  getChannelById,
+async function addViewerHistory(viewerId, entries) {
+  if (entries.length === 0) return;
 
-  // Playlists
-  getPlaylistsForChannel,
-  getRandomPlaylistForChannel,
-  getAllPlaylistsForChannel,
-  getPlaylistById,
+  const client = getPool();
+  await client.query(`
+    INSERT INTO viewer_history (viewer_id, youtube_video_id, playlist_id, channel_id, played_at)
+    SELECT $1, e.video_id, e.playlist_id, e.channel_id, e.played_at
+    FROM UNNEST($2::text[], $3::text[], $4::text[], $5::timestamptz[])
+      AS e(video_id, playlist_id, channel_id, played_at)
+  `, [
+    viewerId,
+    entries.map(e => e.videoId),
+    entries.map(e => e.playlistId),
+    entries.map(e => e.channelId),
+    entries.map(e => e.playedAt)
+  ]);
+}
 
-  // Videos
-  getVideosByPlaylistId,
-  getVideosForChannelBlock,
-  getVideoByYoutubeId,
-  markVideoUnavailable,
-  updateVideoYear,
+async function purgeViewerHistory(before) {
+  const client = getPool();
+  const result = await client.query('DELETE FROM viewer_history WHERE played_at < $1', [before]);
+  return result.rowCount;
+}
 
-  // Bumpers
-  getRandomBumpers,
-  getAllBumpers,
-  checkBumpersExistence,
-  addBumper,
-  removeBumper,
+// ============================================
+// YOUTUBE QUOTA FUNCTIONS
+// ============================================
+
+/**
+ * YouTube API usage per quota day (Pacific time) and endpoint, most recent `days` days.
+ * @returns {Promise<Array<{ day: string, endpoint: string, calls: number, units: number }>>}
+ */
+async function getYoutubeQuotaUsage(days = 7) {
+  const client = getPool();
+  const result = await client.query(`
+    SELECT to_char(usage_date, 'YYYY-MM-DD') as day, endpoint, calls, units
+    FROM youtube_quota_usage
+    WHERE usage_date > (NOW() AT TIME ZONE 'America/Los_Angeles')::date - $1::int
+  `, [days]);
+
+  return result.rows;
+}
+
+/**
+ * Add calls/units to the persisted counters.
+ * @param {Array<{ day: string, endpoint: string, calls: number, units: number }>} entries
+ */
+async function addYoutubeQuotaUsage(entries) {
+  if (entries.length === 0) return;
+
+  const client = getPool();
+  await client.query(`
+    INSERT INTO youtube_quota_usage (usage_date, endpoint, calls, units)
+    SELECT e.day::date, e.endpoint, e.calls, e.units
+    FROM UNNEST($1::text[], $2::text[], $3::int[], $4::int[]) AS e(day, endpoint, calls, units)
+    ON CONFLICT (usage_date, endpoint) DO UPDATE
+    SET calls = youtube_quota_usage.calls + EXCLUDED.calls,
+        units = youtube_quota_usage.units + EXCLUDED.units
+  `, [
+    entries.map(e => e.day),
+    entries.map(e => e.endpoint),
+    entries.map(e => e.calls),
+    entries.map(e => e.units)
+  ]);
+}
+
+// ============================================
+// SHARED CACHE FUNCTIONS
+// ============================================
+
+const CACHE_NOTIFY_CHANNEL = 'nmtv_cache_invalidation';
+
+/**
+ * A cache entry, or null. Times are epoch ms.
+ * @returns {Promise<{ value, expiresAt: number, staleUntil: number }|null>}
+ */
+async function getCacheEntry(namespace, key) {
+  const client = getPool();
+  const result = await client.query(`
+    SELECT value, expires_at, stale_until
+    FROM cache_entries
+    WHERE namespace = $1 AND cache_key = $2
+  `, [namespace, key]);
+
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  return { value: row.value, expiresAt: row.expires_at.getTime(), staleUntil: row.stale_until.getTime() };
+}
+
+async function setCacheEntry(namespace, key, { value, expiresAt, staleUntil }) {
+  const client = getPool();
+  await client.query(`
+    INSERT INTO cache_entries (namespace, cache_key, value, expires_at, stale_until, updated_at)
+    VALUES ($1, $2, $3::jsonb, $4, $5, NOW())
+    ON CONFLICT (namespace, cache_key) DO UPDATE
+    SET value = EXCLUDED.value,
+        expires_at = EXCLUDED.expires_at,
+        stale_until = EXCLUDED.stale_until,
+        updated_at = NOW()
+  `, [namespace, key, JSON.stringify(value ?? null), new Date(expiresAt), new Date(staleUntil)]);
+}
+
+// Delete entries whose key contains `pattern` (the whole namespace when null)
+async function deleteCacheEntries(namespace, pattern = null) {
+  const client = getPool();
+  const result = await client.query(`
+    DELETE FROM cache_entries
+    WHERE namespace = $1 AND ($2::text IS NULL OR strpos(cache_key, $2::text) > 0)
+  `, [namespace, pattern]);
+  return result.rowCount;
+}
+
+async function countCacheEntries(namespace) {
+  const client = getPool();
+  const result = await client.query('SELECT COUNT(*)::int as count FROM cache_entries WHERE namespace = $1', [namespace]);
+  return result.rows[0].count;
+}
+
+async function purgeCacheEntries(before) {
+  const client = getPool();
+  const result = await client.query('DELETE FROM cache_entries WHERE stale_until < $1', [before]);
+  return result.rowCount;
+}
+
+async function notifyCacheInvalidation(message) {
+  const client = getPool();
+  await client.query('SELECT pg_notify($1, $2)', [CACHE_NOTIFY_CHANNEL, JSON.stringify(message)]);
+}
+
+/**
+ * Receive invalidation messages from every instance (including this one) on a dedicated
+ * connection (replacing any earlier listener). `onDisconnect` is called once if that connection is lost.
+ */
+async function listenForCacheInvalidations(onMessage, onDisconnect) {
+  // One listener per process
+  if (cacheListener) {
+    const previous = cacheListener;
+    cacheListener = null;
+    previous.end().catch(() => {});
+  }
+
+  const listener = new Client(getConnectionConfig());
+
+  listener.on('notification', ({ payload }) => {
+    try {
+      onMessage(JSON.parse(payload));
+    } catch (error) {
+      console.error('Invalid cache invalidation message:', error.message);
+    }
+  });
+
+  // Error or unexpected end (closePool() clears cacheListener first, so it doesn't count)
+  const lost = () => {
+    if (cacheListener !== listener) return;
+    cacheListener = null;
+    listener.end().catch(() => {});
+    onDisconnect();
+  };
+  listener.on('error', (error) => {
+    console.error('Cache invalidation listener error:', error.message);
+    lost();
+  });
+  listener.on('end', lost);
+
+  try {
+    await listener.connect();
+    await listener.query(`LISTEN ${CACHE_NOTIFY_CHANNEL}`);
+  } catch (error) {
+    listener.end().catch(() => {});
+    throw error;
+  }
+  cacheListener = listener;
+}
+
+// ============================================
+// PLAYLIST SOURCE FUNCTIONS
+// ============================================
+
+/**
+ * Every playlist with where it came from: source, import options, last import and last sync.
+ */
+async function getPlaylistSources() {
+  const client = getPool();
+  const result = await client.query(`
+    SELECT p.id, p.name, p.source_type, p.source_id, p.source_options, p.imported_at,
+      p.last_synced_at, p.last_sync_error, p.created_at,
+      COALESCE(ARRAY_AGG(cp.channel_id ORDER BY cp.channel_id) FILTER (WHERE cp.channel_id IS NOT NULL), '{}') as channel_ids,
+      (SELECT COUNT(*) FROM playlist_videos pv WHERE pv.playlist_id = p.id)::int as video_count
+    FROM playlists p
+    LEFT JOIN channel_playlists cp ON cp.playlist_id = p.id
+    GROUP BY p.id
+    ORDER BY p.id
+  `);
+
+  return result.rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    sourceType: row.source_type,
+    sourceId: row.source_id,
+    sourceUrl: row.source_type === 'youtube' && row.source_id
+      ? `https://www.youtube.com/playlist?list=${row.source_id}`
+      : null,
+    sourceOptions: row.source_options,
+    importedAt: row.imported_at,
+    lastSyncedAt: row.last_synced_at,
+    lastSyncError: row.last_sync_error,
+    channelIds: row.channel_ids,
+    videoCount: row.video_count,
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * Link a playlist to the YouTube playlist it is built from (null makes it a manual playlist).
+ * @throws {Error} If the playlist doesn't exist, or the YouTube playlist is another playlist's source
+ */
+async function setPlaylistSource(playlistId, youtubePlaylistId) {
+  const client = getPool();
+
+  let result;
+  try {
+    result = await client.query(`
+      UPDATE playlists
+      SET source_type = $2, source_id = $3, last_synced_at = NULL, last_sync_error = NULL, updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, name, source_type, source_id
+    `, [playlistId, youtubePlaylistId ? 'youtube' : 'manual', youtubePlaylistId]);
+  } catch (error) {
+    if (error.code === '23505') {
+      const owner = await client.query(
+        "SELECT id, name FROM playlists WHERE source_type = 'youtube' AND source_id = $1",
+        [youtubePlaylistId]
+      );
+      throw new Error(`YouTube playlist ${youtubePlaylistId} is already the source of playlist ${owner.rows[0]?.id} (${owner.rows[0]?.name})`);
+    }
+    throw error;
+  }
+
+  if (result.rows.length === 0) {
+    throw new Error(`Playlist not found: ${playlistId}`);
+  }
+
+  // Reports against the previous source no longer apply
+  await client.query(`
+    UPDATE playlist_sync_reports SET status = 'superseded', resolved_at = NOW()
+    WHERE playlist_id = $1 AND status = 'pending'
+  `, [playlistId]);
+
+  const row = result.rows[0];
+  return { id: row.id, name: row.name, sourceType: row.source_type, sourceId: row.source_id };
+}
+
+// ============================================
+// PLAYLIST SYNC FUNCTIONS
+// ============================================
+
+const SYNC_CHANGE_TYPES = ['added', 'removed', 'private', 'title_changed'];
+
+function formatSyncReport(row) {
+  return {
+    id: row.id,
+    playlistId: row.playlist_id,
+    playlistName: row.playlist_name,
+    youtubePlaylistId: row.youtube_playlist_id,
+    status: row.status,
+    sourceVideoCount: row.source_video_count,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at,
+    counts: row.counts || {}
+  };
+}
+
+function formatSyncChange(row) {
+  return {
+    id: row.id,
+    type: row.change_type,
+    youtubeVideoId: row.youtube_video_id,
+    title: row.title,
+    artist: row.artist,
+    song: row.song,
+    previousTitle: row.previous_title,
+    position: row.position,
+    durationSeconds: row.duration_seconds,
+    appliedAt: row.applied_at
+  };
+}
+
+/**
+ * Playlists linked to a YouTube playlist, with their sync state and pending report (if any).
+ */
+async function getSyncedPlaylists() {
+  const client = getPool();
+  const result = await client.query(`
+    SELECT p.id, p.name, p.source_id, p.last_synced_at, p.last_sync_error,
+      (SELECT COUNT(*) FROM playlist_videos pv WHERE pv.playlist_id = p.id)::int as video_count,
+      r.id as pending_report_id,
+      (SELECT COUNT(*) FROM playlist_sync_changes c WHERE c.report_id = r.id AND c.applied_at IS NULL)::int as pending_changes
+    FROM playlists p
+    LEFT JOIN playlist_sync_reports r ON r.playlist_id = p.id AND r.status = 'pending'
+    WHERE p.source_type = 'youtube' AND p.source_id IS NOT NULL
+    ORDER BY p.last_synced_at ASC NULLS FIRST, p.id
+  `);
+
+  return result.rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    youtubePlaylistId: row.source_id,
+    videoCount: row.video_count,
+    lastSyncedAt: row.last_synced_at,
+    lastSyncError: row.last_sync_error,
+    pendingReportId: row.pending_report_id,
+    pendingChanges: row.pending_report_id ? row.pending_changes : 0
+  }));
+}
+
+/**
+ * Linked playlist synced longest ago (never-synced first), if it was last synced before `before`.
+ * @returns {Promise<number|null>} Playlist id
+ */
+async function getNextPlaylistToSync(before) {
+  const client = getPool();
+  const result = await client.query(`
+    SELECT id FROM playlists
+    WHERE source_type = 'youtube' AND source_id IS NOT NULL
+      AND (last_synced_at IS NULL OR last_synced_at < $1)
+    ORDER BY last_synced_at ASC NULLS FIRST, id
+    LIMIT 1
+  `, [before]);
+
+  return result.rows[0]?.id ?? null;
+}
+
+/**
+ * A linked playlist with the channels it airs on and its current videos, for diffing.
+ * @throws {Error} If the playlist doesn't exist or has no source YouTube playlist
+ */
+async function getPlaylistSyncSource(playlistId) {
+  const client = getPool();
+  const playlistResult = await client.query(`
+    SELECT p.id, p.name, p.source_type, p.source_id, p.source_options,
+      COALESCE(ARRAY_AGG(cp.channel_id) FILTER (WHERE cp.channel_id IS NOT NULL), '{}') as channel_ids
+    FROM playlists p
+    LEFT JOIN channel_playlists cp ON cp.playlist_id = p.id
+    WHERE p.id = $1
+    GROUP BY p.id
+  `, [playlistId]);
+
+  if (playlistResult.rows.length === 0) {
+    throw new Error(`Playlist not found: ${playlistId}`);
+  }
+
+  const playlist = playlistResult.rows[0];
+  if (playlist.source_type !== 'youtube' || !playlist.source_id) {
+    throw new Error(`Playlist ${playlistId} has no source YouTube playlist`);
+  }
+
+  const videosResult = await client.query(`
+    SELECT v.youtube_video_id, v.title
+    FROM playlist_videos pv
+    JOIN videos v ON v.id = pv.video_id
+    WHERE pv.playlist_id = $1
+    ORDER BY pv.position NULLS LAST, v.id
+  `, [playlistId]);
+
+  return {
+    id: playlist.id,
+    name: playlist.name,
+    youtubePlaylistId: playlist.source_id,
+    sourceOptions: playlist.source_options || {},
+    channelIds: playlist.channel_ids,
+    videos: videosResult.rows.map(row => ({ youtubeVideoId: row.youtube_video_id, title: row.title }))
+  };
+}
+
+// Remember why a sync failed; the playlist is retried on the next sync interval
+async function recordPlaylistSyncError(playlistId, message) {
+  const client = getPool();
+  await client.query(
+    'UPDATE playlists SET last_synced_at = NOW(), last_sync_error = $2 WHERE id = $1',
+    [playlistId, message]
+  );
+}
+
+/**
+ * Store the result of a sync: supersedes the playlist's pending report and, when there are
+ * changes, creates a new pending report with them.
+ * @param {Array<Object>} changes - { type, youtubeVideoId, title?, artist?, song?, previousTitle?, position?, durationSeconds? }
+ * @returns {Promise<Object|null>} The new report with its changes, or null when the playlist is in sync
+ */
+async function createPlaylistSyncReport(playlistId, youtubePlaylistId, sourceVideoCount, changes) {
+  const invalid = changes.find(change => !SYNC_CHANGE_TYPES.includes(change.type));
+  if (invalid) {
+    throw new Error(`Invalid sync change type: ${invalid.type}`);
+  }
+
+  const reportId = await withTransaction(async (tx) => {
+    await tx.query(
+      'UPDATE playlists SET last_synced_at = NOW(), last_sync_error = NULL WHERE id = $1',
+      [playlistId]
+    );
+    await tx.query(`
+      UPDATE playlist_sync_reports SET status = 'superseded', resolved_at = NOW()
+      WHERE playlist_id = $1 AND status = 'pending'
+    `, [playlistId]);
+
+    if (changes.length === 0) return null;
+
+    const reportResult = await tx.query(`
+      INSERT INTO playlist_sync_reports (playlist_id, youtube_playlist_id, source_video_count)
+      VALUES ($1, $2, $3)
+      RETURNING id
+    `, [playlistId, youtubePlaylistId, sourceVideoCount]);
+    const id = reportResult.rows[0].id;
+
+    await tx.query(`
+      INSERT INTO playlist_sync_changes
+        (report_id, change_type, youtube_video_id, title, artist, song, previous_title, position, duration_seconds)
+      SELECT $1, c.change_type, c.youtube_video_id, c.title, c.artist, c.song, c.previous_title, c.position, c.duration_seconds
+      FROM UNNEST($2::text[], $3::text[], $4::text[], $5::text[], $6::text[], $7::text[], $8::int[], $9::int[])
+        AS c(change_type, youtube_video_id, title, artist, song, previous_title, position, duration_seconds)
+    `, [
+      id,
+      changes.map(c => c.type),
+      changes.map(c => c.youtubeVideoId),
+      changes.map(c => c.title ?? null),
+      changes.map(c => c.artist ?? null),
+      changes.map(c => c.song ?? null),
+      changes.map(c => c.previousTitle ?? null),
+      changes.map(c => c.position ?? null),
+      changes.map(c => c.durationSeconds ?? null)
+    ]);
+
+    return id;
+  });
+
+  return reportId === null ? null : getPlaylistSyncReport(reportId);
+}
+
+const SYNC_REPORTS_QUERY = `
+  SELECT r.id, r.playlist_id, p.name as playlist_name, r.youtube_playlist_id, r.status,
+    r.source_video_count, r.created_at, r.resolved_at,
+    (SELECT JSONB_OBJECT_AGG(t.change_type, t.count) FROM (
+      SELECT change_type, COUNT(*) as count FROM playlist_sync_changes WHERE report_id = r.id GROUP BY change_type
+    ) t) as counts
+  FROM playlist_sync_reports r
+  LEFT JOIN playlists p ON p.id = r.playlist_id
+`;
+
+/**
+ * Sync reports, newest first, with change counts per type.
+ * @param {Object} filters - { status?, playlistId? }
+ */
+async function getPlaylistSyncReports({ status = null, playlistId = null } = {}) {
+  const client = getPool();
+  const result = await client.query(`
+    ${SYNC_REPORTS_QUERY}
+    WHERE ($1::text IS NULL OR r.status = $1) AND ($2::int IS NULL OR r.playlist_id = $2)
+    ORDER BY r.created_at DESC, r.id DESC
+    LIMIT 200
+  `, [status, playlistId]);
+
+  return result.rows.map(formatSyncReport);
+}
+
+/**
+ * One sync report with all of its changes.
+ * @throws {Error} If the report doesn't exist
+ */
+async function getPlaylistSyncReport(reportId) {
+  const client = getPool();
+  const reportResult = await client.query(`${SYNC_REPORTS_QUERY} WHERE r.id = $1`, [reportId]);
+
+  if (reportResult.rows.length === 0) {
+    throw new Error(`Sync report not found: ${reportId}`);
+  }
+
+  const changesResult = await client.query(`
+    SELECT * FROM playlist_sync_changes
+    WHERE report_id = $1
+    ORDER BY change_type, position NULLS LAST, id
+  `, [reportId]);
+
+  return {
+    ...formatSyncReport(reportResult.rows[0]),
+    changes: changesResult.rows.map(formatSyncChange)
+  };
+}
+
+// Lock a report for an update; only pending reports can change
+async function lockPendingSyncReport(tx, reportId) {
+  const result = await tx.query(
+    'SELECT id, playlist_id, status FROM playlist_sync_reports WHERE id = $1 FOR UPDATE',
+    [reportId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error(`Sync report not found: ${reportId}`);
+  }
+  if (result.rows[0].status !== 'pending') {
+    throw new Error(`Sync report ${reportId} is already ${result.rows[0].status}`);
+  }
+  return result.rows[0];
+}
+
+async function applySyncChange(tx, playlistId, change) {
+  switch (change.change_type) {
+    case 'added': {
+      // Existing videos keep their metadata; only the playlist link is new
+      const videoResult = await tx.query(`
+        INSERT INTO videos (youtube_video_id, title, artist, song, duration_seconds)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (youtube_video_id) DO UPDATE SET youtube_video_id = EXCLUDED.youtube_video_id
+        RETURNING id
+      `, [change.youtube_video_id, change.title, change.artist, change.song, change.duration_seconds]);
+
+      await tx.query(`
+        INSERT INTO playlist_videos (playlist_id, video_id, position)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (playlist_id, video_id) DO UPDATE SET position = EXCLUDED.position
+      `, [playlistId, videoResult.rows[0].id, change.position]);
+      break;
+    }
+
+    case 'removed':
+    case 'private':
+      await tx.query(`
+        DELETE FROM playlist_videos
+        WHERE playlist_id = $1
+        AND video_id = (SELECT id FROM videos WHERE youtube_video_id = $2)
+      `, [playlistId, change.youtube_video_id]);
+      break;
+
+    case 'title_changed':
+      await tx.query(`
+        UPDATE videos SET title = $2, artist = $3, song = $4, updated_at = NOW()
+        WHERE youtube_video_id = $1
+      `, [change.youtube_video_id, change.title, change.artist, change.song]);
+      break;
+  }
+}
+
+/**
+ * Apply a pending report's changes to its playlist in one transaction. The report is marked
+ * applied once every change has been applied.
+ * @param {number[]|null} changeIds - Changes to apply (null = all not yet applied)
+ * @returns {Promise<{ applied: number, report: Object }>}
+ * @throws {Error} If the report or a change doesn't exist, or the report isn't pending
+ */
+async function applyPlaylistSyncChanges(reportId, changeIds = null) {
+  const applied = await withTransaction(async (tx) => {
+    const report = await lockPendingSyncReport(tx, reportId);
+
+    const changesResult = await tx.query(`
+      SELECT * FROM playlist_sync_changes
+      WHERE report_id = $1 AND applied_at IS NULL AND ($2::int[] IS NULL OR id = ANY($2))
+      ORDER BY id
+    `, [reportId, changeIds]);
+
+    if (changeIds) {
+      const found = new Set(changesResult.rows.map(row => row.id));
+      const missing = changeIds.filter(id => !found.has(id));
+      if (missing.length > 0) {
+        throw new Error(`Changes not found or already applied in report ${reportId}: ${missing.join(', ')}`);
+      }
+    }
+
+    for (const change of changesResult.rows) {
+      await applySyncChange(tx, report.playlist_id, change);
+    }
+
+    await tx.query(
+      'UPDATE playlist_sync_changes SET applied_at = NOW() WHERE id = ANY($1)',
+      [changesResult.rows.map(row => row.id)]
+    );
+    await tx.query(`
+      UPDATE playlist_sync_reports SET status = 'applied', resolved_at = NOW()
+      WHERE id = $1 AND NOT EXISTS (
+        SELECT 1 FROM playlist_sync_changes WHERE report_id = $1 AND applied_at IS NULL
+      )
+    `, [reportId]);
+    await tx.query('UPDATE playlists SET updated_at = NOW() WHERE id = $1', [report.playlist_id]);
+
+    return changesResult.rows.length;
+  });
+
+  await clearCache('videos:');
+  await clearCache('playlists:');
+
+  return { applied, report: await getPlaylistSyncReport(reportId) };
+}
+
+/**
+ * Close a pending report without applying its remaining changes.
+ * @throws {Error} If the report doesn't exist or isn't pending
+ */
+async function dismissPlaylistSyncReport(reportId) {
+  await withTransaction(async (tx) => {
+    await lockPendingSyncReport(tx, reportId);
+    await tx.query(
+      `UPDATE playlist_sync_reports SET status = 'dismissed', resolved_at = NOW() WHERE id = $1`,
+      [reportId]
+    );
+  });
+
+  return getPlaylistSyncReport(reportId);
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+// ============================================
+// FLAG REPORT FUNCTIONS
+// ============================================
+
+// What a viewer can report about a video
+const FLAG_REASONS = ['unavailable', 'wrong_video', 'wrong_channel', 'bad_quality', 'inappropriate', 'other'];
+
+// flag_reason prefix for videos flagged by viewer reports (dismissing the reports unflags only these)
+const REPORTED_FLAG_PREFIX = 'Reported: ';
+
+function formatFlagReport(row) {
+  return {
+    id: row.id,
+    viewerId: row.viewer_id,
+    reporterIp: row.reporter_ip,
+    reason: row.reason,
+    comment: row.comment,
+    status: row.status,
+    createdAt: row.created_at,
+    reviewedAt: row.reviewed_at,
+    reviewedBy: row.reviewed_by
+  };
+}
+
+// The most reported reason among a video's pending reports
+async function getTopPendingReason(tx, videoId) {
+  const result = await tx.query(`
+    SELECT reason FROM video_flag_reports
+    WHERE video_id = $1 AND status = 'pending'
+    GROUP BY reason
+    ORDER BY COUNT(*) DESC, MIN(created_at)
+    LIMIT 1
+  `, [videoId]);
+  return result.rows[0]?.reason || 'other';
+}
+
+/**
+ * Record a viewer's report about a video. A viewer has at most one pending report per video;
+ * once pending reports come from `threshold` IP addresses, the video is flagged (and leaves
+ * playback) until reviewed. Viewer ids are chosen by the client, so they only dedupe.
+ * @param {Object} report - { viewerId, reporterIp, reason (FLAG_REASONS), comment?, threshold }
+ * @returns {Promise<Object>} { reportId, duplicate, pendingReports, pendingReporters, flagged, autoFlagged (by this report) }
+ * @throws {Error} If the video doesn't exist
+ */
+async function addFlagReport(youtubeVideoId, { viewerId, reporterIp = null, reason, comment = null, threshold }) {
+  const report = await withTransaction(async (tx) => {
+    const video = await tx.query('SELECT id, is_flagged FROM videos WHERE youtube_video_id = $1 FOR UPDATE', [youtubeVideoId]);
+    if (video.rows.length === 0) {
+      throw new Error(`Video not found: ${youtubeVideoId}`);
+    }
+    const { id: videoId, is_flagged: wasFlagged } = video.rows[0];
+
+    const inserted = await tx.query(`
+      INSERT INTO video_flag_reports (video_id, viewer_id, reporter_ip, reason, comment)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (video_id, viewer_id) WHERE status = 'pending' DO NOTHING
+      RETURNING id
+    `, [videoId, viewerId, reporterIp, reason, comment]);
+
+    const pending = await tx.query(`
+      SELECT COUNT(*)::int as reports, COUNT(DISTINCT COALESCE(reporter_ip, viewer_id))::int as reporters
+      FROM video_flag_reports
+      WHERE video_id = $1 AND status = 'pending'
+    `, [videoId]);
+    const { reports: pendingReports, reporters: pendingReporters } = pending.rows[0];
+
+    let flagged = wasFlagged;
+    if (!wasFlagged && pendingReporters >= threshold) {
+      const topReason = await getTopPendingReason(tx, videoId);
+      await tx.query(
+        'UPDATE videos SET is_flagged = true, flag_reason = $1, updated_at = NOW() WHERE id = $2',
+        [`${REPORTED_FLAG_PREFIX}${topReason} (${pendingReporters} reporters)`, videoId]
+      );
+      flagged = true;
+    }
+
+    return {
+      reportId: inserted.rows[0]?.id ?? null,
+      duplicate: inserted.rows.length === 0,
+      pendingReports,
+      pendingReporters,
+      flagged,
+      autoFlagged: flagged && !wasFlagged
+    };
+  });
+
+  if (report.autoFlagged) {
+    await clearCache('videos:');
+  }
+  return report;
+}
+
+/**
+ * Videos with reports in a status (pending = the review queue), most reported first.
+ * @param {Object} filters - { status: pending | approved | dismissed }
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<{ videos: Array<Object>, totalItems: number }>}
+ */
+async function getFlagReportQueue({ status = 'pending' } = {}, { limit = 50, offset = 0 } = {}) {
+  const client = getPool();
+
+  const count = await client.query(
+    'SELECT COUNT(DISTINCT video_id)::int as total FROM video_flag_reports WHERE status = $1',
+    [status]
+  );
+  const result = await client.query(`
+    SELECT v.youtube_video_id, v.title, v.artist, v.song, v.is_flagged, v.flag_reason,
+      COUNT(*)::int as report_count,
+      COUNT(DISTINCT COALESCE(r.reporter_ip, r.viewer_id))::int as reporter_count,
+      MIN(r.created_at) as first_reported_at,
+      MAX(r.created_at) as last_reported_at,
+      (
+        SELECT jsonb_object_agg(reason, n) FROM (
+          SELECT reason, COUNT(*)::int as n FROM video_flag_reports
+          WHERE video_id = v.id AND status = $1
+          GROUP BY reason
+        ) reasons
+      ) as reasons
+    FROM video_flag_reports r
+    JOIN videos v ON v.id = r.video_id
+    WHERE r.status = $1
+    GROUP BY v.id
+    ORDER BY COUNT(DISTINCT COALESCE(r.reporter_ip, r.viewer_id)) DESC, COUNT(*) DESC, MIN(r.created_at), v.id
+    LIMIT $2 OFFSET $3
+  `, [status, limit, offset]);
+
+  return {
+    videos: result.rows.map(row => ({
+      youtubeVideoId: row.youtube_video_id,
+      title: row.title,
+      artist: row.artist,
+      song: row.song,
+      isFlagged: row.is_flagged,
+      flagReason: row.flag_reason,
+      reportCount: row.report_count,
+      reporterCount: row.reporter_count,
+      reasons: row.reasons,
+      firstReportedAt: row.first_reported_at,
+      lastReportedAt: row.last_reported_at
+    })),
+    totalItems: count.rows[0].total
+  };
+}
+
+/**
+ * A video's flag state and every report about it, newest first.
+ * @throws {Error} If the video doesn't exist
+ */
+async function getVideoFlagReports(youtubeVideoId) {
+  const client = getPool();
+  const video = await client.query(
+    'SELECT id, youtube_video_id, title, is_flagged, flag_reason FROM videos WHERE youtube_video_id = $1',
+    [youtubeVideoId]
+  );
+
+  if (video.rows.length === 0) {
+    throw new Error(`Video not found: ${youtubeVideoId}`);
+  }
+
+  const reports = await client.query(
+    'SELECT * FROM video_flag_reports WHERE video_id = $1 ORDER BY created_at DESC, id DESC',
+    [video.rows[0].id]
+  );
+
+  const row = video.rows[0];
+  return {
+    youtubeVideoId: row.youtube_video_id,
+    title: row.title,
+    isFlagged: row.is_flagged,
+    flagReason: row.flag_reason,
+    reports: reports.rows.map(formatFlagReport)
+  };
+}
+
+/**
+ * Decide a video's pending reports. Approving flags the video; dismissing unflags it if
+ * reports had flagged it (flags from unavailability reports or by hand are left alone).
+ * @param {string} decision - approved | dismissed
+ * @param {Object} options - { reviewedBy, requirePending: throw when there are no pending reports (default true) }
+ * @returns {Promise<Object>} { youtubeVideoId, decision, reviewed, isFlagged }
+ * @throws {Error} If the video doesn't exist, or has no pending reports
+ */
+async function reviewFlagReports(youtubeVideoId, decision, { reviewedBy, requirePending = true }) {
+  const review = await withTransaction(async (tx) => {
+    const video = await tx.query(
+      'SELECT id, is_flagged, flag_reason FROM videos WHERE youtube_video_id = $1 FOR UPDATE',
+      [youtubeVideoId]
+    );
+    if (video.rows.length === 0) {
+      throw new Error(`Video not found: ${youtubeVideoId}`);
+    }
+    const { id: videoId, is_flagged: isFlagged, flag_reason: flagReason } = video.rows[0];
+
+    const topReason = await getTopPendingReason(tx, videoId);
+    const reviewed = await tx.query(`
+      UPDATE video_flag_reports
+      SET status = $2, reviewed_at = NOW(), reviewed_by = $3
+      WHERE video_id = $1 AND status = 'pending'
+    `, [videoId, decision, reviewedBy]);
+
+    if (reviewed.rowCount === 0 && requirePending) {
+      throw new Error(`Video ${youtubeVideoId} has no pending reports`);
+    }
+
+    if (decision === 'approved' && !isFlagged) {
+      await tx.query(
+        'UPDATE videos SET is_flagged = true, flag_reason = $1, updated_at = NOW() WHERE id = $2',
+        [`${REPORTED_FLAG_PREFIX}${topReason} (approved by ${reviewedBy})`, videoId]
+      );
+    }
+
+    return {
+      reviewed: reviewed.rowCount,
+      flagChanged: decision === 'approved' ? !isFlagged : false,
+      unflag: decision === 'dismissed' && isFlagged && (flagReason || '').startsWith(REPORTED_FLAG_PREFIX)
+    };
+  });
+
+  if (review.unflag) {
+    await unflagVideo(youtubeVideoId);
+  } else if (review.flagChanged) {
+    await clearCache('videos:');
+  }
+
+  const video = await getVideoByYoutubeId(youtubeVideoId);
+  return { youtubeVideoId, decision, reviewed: review.reviewed, isFlagged: video.is_flagged };
+}
+
+// ============================================
+// UNAVAILABILITY REPORT FUNCTIONS
+// ============================================
+
+// YouTube player errors a viewer can report (see UNAVAILABILITY_TRACKING.md)
+const UNAVAILABLE_ERROR_CODES = [2, 5, 100, 101, 150];
+
+// Gone for everyone (invalid id, removed or private): only these auto-flag
+const REMOVED_ERROR_CODES = [2, 100];
+
+// Embedding refused - also how YouTube answers an embed blocked in the viewer's region
+const REGION_ERROR_CODES = [101, 150];
+
+const UNAVAILABLE_WINDOW_DAYS = 30;       // Reports older than this no longer count
+const UNAVAILABLE_FLAG_THRESHOLD = 5;     // Removed-code reports in the window that flag a video
+const UNAVAILABLE_REPORT_RETENTION_DAYS = 90;
+const UNAVAILABLE_REPORTER_COOLDOWN_HOURS = 24; // A reporter's repeat reports of a video are ignored this long
+
+// Who sent a report: the IP address, or the viewer session without one (viewer ids are
+// chosen by the client, so counting them alone lets one client stuff a threshold)
+const UNAVAILABLE_REPORTER = 'COALESCE(reporter_ip, viewer_id)';
+
+// Region-limited: at least LIMITED_MIN_REPORTS reporters of region-code failures with a country in
+// the window, LIMITED_REGION_SHARE of them from at most LIMITED_MAX_REGIONS countries - while the audience
+// as a whole (every report in the window) comes from more countries than that
+const LIMITED_MIN_REPORTS = 5;
+const LIMITED_MAX_REGIONS = 2;
+const LIMITED_REGION_SHARE = 0.8;
+
+// Whether a video's region-code failures are concentrated in a few countries
+async function isRegionConcentrated(tx, videoId) {
+  const regions = await tx.query(`
+    SELECT country, COUNT(DISTINCT ${UNAVAILABLE_REPORTER})::int as count FROM video_unavailability_reports
+    WHERE video_id = $1 AND country IS NOT NULL AND error_code = ANY($2::int[])
+      AND created_at > NOW() - make_interval(days => $3)
+    GROUP BY country
+    ORDER BY count DESC
+  `, [videoId, REGION_ERROR_CODES, UNAVAILABLE_WINDOW_DAYS]);
+
+  const total = regions.rows.reduce((sum, row) => sum + row.count, 0);
+  if (total < LIMITED_MIN_REPORTS) return false;
+
+  const top = regions.rows.slice(0, LIMITED_MAX_REGIONS).reduce((sum, row) => sum + row.count, 0);
+  if (top / total < LIMITED_REGION_SHARE) return false;
+
+  // An audience from only a country or two makes every failure look regional
+  const audience = await tx.query(`
+    SELECT COUNT(DISTINCT country)::int as count FROM video_unavailability_reports
+    WHERE country IS NOT NULL AND created_at > NOW() - make_interval(days => $1)
+  `, [UNAVAILABLE_WINDOW_DAYS]);
+  return audience.rows[0].count > LIMITED_MAX_REGIONS;
+}
+
+/**
+ * Record a viewer's report that a video failed to play. Each report is stored with its reporter,
+ * error code and country; a reporter's repeat report of the video within
+ * UNAVAILABLE_REPORTER_COOLDOWN_HOURS is not stored (duplicate). videos.unavailable_count becomes
+ * the reports in the last UNAVAILABLE_WINDOW_DAYS. The video is flagged once
+ * UNAVAILABLE_FLAG_THRESHOLD reporters sent removed codes (REMOVED_ERROR_CODES) in that window,
+ * and marked is_limited when its region-code failures are concentrated in a few countries.
+ * @param {Object} report - { viewerId, reporterIp?, errorCode? (UNAVAILABLE_ERROR_CODES), country? (ISO 3166-1 alpha-2) }
+ * @returns {Promise<Object|null>} { duplicate, recentReports, removedReports (distinct reporters), flagged,
+ *   autoFlagged, isLimited, autoLimited }, or null if the video isn't in the database
+ */
+async function markVideoUnavailable(youtubeVideoId, { viewerId, reporterIp = null, errorCode = null, country = null } = {}) {
+  const result = await withTransaction(async (tx) => {
+    const videoResult = await tx.query(
+      'SELECT id, is_flagged, is_limited FROM videos WHERE youtube_video_id = $1 FOR UPDATE',
+      [youtubeVideoId]
+    );
+    if (videoResult.rows.length === 0) {
+      return null;
+    }
+    const { id: videoId, is_flagged: wasFlagged, is_limited: wasLimited } = videoResult.rows[0];
+
+    const recent = await tx.query(`
+      SELECT 1 FROM video_unavailability_reports
+      WHERE video_id = $1 AND ${UNAVAILABLE_REPORTER} = COALESCE($2::text, $3::text)
+        AND created_at > NOW() - make_interval(hours => $4)
+      LIMIT 1
+    `, [videoId, reporterIp, viewerId, UNAVAILABLE_REPORTER_COOLDOWN_HOURS]);
+    const duplicate = recent.rows.length > 0;
+
+    if (!duplicate) {
+      await tx.query(
+        'INSERT INTO video_unavailability_reports (video_id, viewer_id, reporter_ip, error_code, country) VALUES ($1, $2, $3, $4, $5)',
+        [videoId, viewerId, reporterIp, errorCode, country]
+      );
+    }
+    await tx.query(
+      'DELETE FROM video_unavailability_reports WHERE video_id = $1 AND created_at < NOW() - make_interval(days => $2)',
+      [videoId, UNAVAILABLE_REPORT_RETENTION_DAYS]
+    );
+
+    const counts = await tx.query(`
+      SELECT COUNT(*)::int as recent,
+        COUNT(DISTINCT ${UNAVAILABLE_REPORTER}) FILTER (WHERE error_code = ANY($2::int[]))::int as removed
+      FROM video_unavailability_reports
+      WHERE video_id = $1 AND created_at > NOW() - make_interval(days => $3)
+    `, [videoId, REMOVED_ERROR_CODES, UNAVAILABLE_WINDOW_DAYS]);
+    const { recent: recentReports, removed: removedReports } = counts.rows[0];
+
+    if (duplicate) {
+      return { duplicate, recentReports, removedReports, flagged: wasFlagged, autoFlagged: false, isLimited: wasLimited, autoLimited: false };
+    }
+
+    const autoFlagged = !wasFlagged && removedReports >= UNAVAILABLE_FLAG_THRESHOLD;
+    const autoLimited = !wasLimited && REGION_ERROR_CODES.includes(errorCode) && country !== null &&
+      await isRegionConcentrated(tx, videoId);
+
+    await tx.query(`
+      UPDATE videos
+      SET unavailable_count = $1,
+          last_unavailable_at = NOW(),
+          is_flagged = is_flagged OR $2,
+          flag_reason = CASE WHEN $2 THEN $3 ELSE flag_reason END,
+          is_limited = is_limited OR $4,
+          updated_at = NOW()
+      WHERE id = $5
+    `, [recentReports, autoFlagged, `Auto-flagged: ${removedReports} unavailable reporters (Error: ${errorCode})`, autoLimited, videoId]);
+
+    if (autoFlagged) {
+      console.log(`Video ${youtubeVideoId}: Auto-flagging (${removedReports} removed-code reporters in ${UNAVAILABLE_WINDOW_DAYS} days)`);
+    }
+    if (autoLimited) {
+      console.log(`Video ${youtubeVideoId}: Marking region-limited (failures concentrated by region)`);
+    }
+
+    return {
+      duplicate,
+      recentReports,
+      removedReports,
+      flagged: wasFlagged || autoFlagged,
+      autoFlagged,
+      isLimited: wasLimited || autoLimited,
+      autoLimited
+    };
+  });
+
+  // Clear related cache
+  await clearCache('videos:');
+  return result;
+}
+
+/**
+ * Videos reported unavailable in the last `days`, most reported first, with their reports
+ * counted per error code and per country.
+ * @param {Object} filters - { days, errorCode?, country? }
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<{ videos: Array<Object>, totalItems: number }>}
+ */
+async function getUnavailabilityReports({ days = UNAVAILABLE_WINDOW_DAYS, errorCode = null, country = null } = {}, { limit = 50, offset = 0 } = {}) {
+  const client = getPool();
+  const where = `created_at > NOW() - make_interval(days => $1)
+    AND ($2::int IS NULL OR error_code = $2)
+    AND ($3::text IS NULL OR country = $3)`;
+  const params = [days, errorCode, country];
+
+  const count = await client.query(
+    `SELECT COUNT(DISTINCT video_id)::int as total FROM video_unavailability_reports WHERE ${where}`,
+    params
+  );
+  const result = await client.query(`
+    WITH recent AS (
+      SELECT * FROM video_unavailability_reports WHERE ${where}
+    )
+    SELECT v.youtube_video_id, v.title, v.artist, v.song, v.is_flagged, v.flag_reason, v.is_limited,
+      COUNT(*)::int as report_count,
+      MAX(r.created_at) as last_reported_at,
+      (
+        SELECT jsonb_object_agg(COALESCE(error_code::text, 'unknown'), n) FROM (
+          SELECT error_code, COUNT(*)::int as n FROM recent WHERE video_id = v.id GROUP BY error_code
+        ) codes
+      ) as by_code,
+      (
+        SELECT jsonb_object_agg(COALESCE(country, 'unknown'), n) FROM (
+          SELECT country, COUNT(*)::int as n FROM recent WHERE video_id = v.id GROUP BY country
+        ) regions
+      ) as by_region
+    FROM recent r
+    JOIN videos v ON v.id = r.video_id
+    GROUP BY v.id
+    ORDER BY COUNT(*) DESC, MAX(r.created_at) DESC, v.id
+    LIMIT $4 OFFSET $5
+  `, [...params, limit, offset]);
+
+  return {
+    videos: result.rows.map(row => ({
+      youtubeVideoId: row.youtube_video_id,
+      title: row.title,
+      artist: row.artist,
+      song: row.song,
+      isFlagged: row.is_flagged,
+      flagReason: row.flag_reason,
+      isLimited: row.is_limited,
+      reportCount: row.report_count,
+      lastReportedAt: row.last_reported_at,
+      byCode: row.by_code,
+      byRegion: row.by_region
+    })),
+    totalItems: count.rows[0].total
+  };
+}
+
+/**
+ * A video's unavailability reports in the last `days`, by country and error code.
+ * @returns {Promise<Object>} { youtubeVideoId, title, isFlagged, flagReason, isLimited, days,
+ *   reportCount, byCode, regions: [{ country, reportCount, byCode, lastReportedAt }] }
+ * @throws {Error} If the video doesn't exist
+ */
+async function getVideoUnavailability(youtubeVideoId, { days = UNAVAILABLE_WINDOW_DAYS } = {}) {
+  const client = getPool();
+  const video = await client.query(
+    'SELECT id, youtube_video_id, title, is_flagged, flag_reason, is_limited FROM videos WHERE youtube_video_id = $1',
+    [youtubeVideoId]
+  );
+  if (video.rows.length === 0) {
+    throw new Error(`Video not found: ${youtubeVideoId}`);
+  }
+  const row = video.rows[0];
+
+  const result = await client.query(`
+    SELECT country, error_code, COUNT(*)::int as count, MAX(created_at) as last_reported_at
+    FROM video_unavailability_reports
+    WHERE video_id = $1 AND created_at > NOW() - make_interval(days => $2)
+    GROUP BY country, error_code
+  `, [row.id, days]);
+
+  const byCode = {};
+  const regions = new Map();
+  for (const { country, error_code: errorCode, count, last_reported_at: lastReportedAt } of result.rows) {
+    const code = errorCode === null ? 'unknown' : String(errorCode);
+    byCode[code] = (byCode[code] || 0) + count;
+
+    const key = country || 'unknown';
+    const region = regions.get(key) || { country: key, reportCount: 0, byCode: {}, lastReportedAt };
+    region.reportCount += count;
+    region.byCode[code] = count;
+    if (lastReportedAt > region.lastReportedAt) region.lastReportedAt = lastReportedAt;
+    regions.set(key, region);
+  }
+
+  return {
+    youtubeVideoId: row.youtube_video_id,
+    title: row.title,
+    isFlagged: row.is_flagged,
+    flagReason: row.flag_reason,
+    isLimited: row.is_limited,
+    days,
+    reportCount: Object.values(byCode).reduce((sum, count) => sum + count, 0),
+    byCode,
+    // Most reports first, reports without a country last
+    regions: [...regions.values()].sort((a, b) =>
+      (a.country === 'unknown') - (b.country === 'unknown') || b.reportCount - a.reportCount || a.country.localeCompare(b.country))
+  };
+}
+
+// ============================================
+// TRASH FUNCTIONS
+// ============================================
+
+// Foreign keys checked before restoring a table's rows: a row whose parent is gone is skipped
+const TRASH_PARENTS = {
+  playlist_videos: { playlist_id: 'playlists', video_id: 'videos' },
+  video_flag_reports: { video_id: 'videos' },
+  video_unavailability_reports: { video_id: 'videos' },
+  channel_playlists: { channel_id: 'channels', playlist_id: 'playlists' },
+  bumper_tags: { bumper_id: 'bumpers' },
+  bumper_channels: { bumper_id: 'bumpers', channel_id: 'channels' },
+  bumper_special_events: { bumper_id: 'bumpers', special_event_id: 'special_events' },
+  special_event_playlists: { special_event_id: 'special_events' }
+};
+
+/**
+ * Copy the rows a deletion is about to remove into the trash (inside the deleting transaction).
+ * @param {Object} item - { itemType, itemId, label, deletedBy }
+ * @param {Array} sources - [[table, where, params]], the deleted item's own row first
+ * @returns {Promise<number>} Trash item id
+ */
+async function moveToTrash(tx, { itemType, itemId, label, deletedBy }, sources) {
+  const data = [];
+  for (const [table, where, params] of sources) {
+    const result = await tx.query(
+      `SELECT COALESCE(jsonb_agg(t), '[]'::jsonb) as rows FROM ${table} t WHERE ${where}`,
+      params
+    );
+    data.push({ table, rows: result.rows[0].rows });
+  }
+
+  const result = await tx.query(`
+    INSERT INTO trash (item_type, item_id, label, data, deleted_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id
+  `, [itemType, itemId, label, JSON.stringify(data), deletedBy]);
+
+  return result.rows[0].id;
+}
+
+function formatTrashItem(row) {
+  return {
+    id: row.id,
+    itemType: row.item_type,
+    itemId: row.item_id,
+    label: row.label,
+    deletedBy: row.deleted_by,
+    deletedAt: row.deleted_at,
+    rowCounts: Object.fromEntries(row.data.map(({ table, rows }) => [table, rows.length]))
+  };
+}
+
+/**
+ * Trashed items, most recently deleted first.
+ * @param {Object} filters - { itemType? }
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<{ items: Array<Object>, totalItems: number }>}
+ */
+async function getTrashItems({ itemType = null } = {}, { limit = 50, offset = 0 } = {}) {
+  const client = getPool();
+
+  const count = await client.query(
+    'SELECT COUNT(*)::int as total FROM trash WHERE $1::varchar IS NULL OR item_type = $1',
+    [itemType]
+  );
+  const result = await client.query(`
+    SELECT * FROM trash
+    WHERE $1::varchar IS NULL OR item_type = $1
+    ORDER BY deleted_at DESC, id DESC
+    LIMIT $2 OFFSET $3
+  `, [itemType, limit, offset]);
+
+  return { items: result.rows.map(formatTrashItem), totalItems: count.rows[0].total };
+}
+
+/**
+ * One trashed item with the rows it would restore.
+ * @throws {Error} If it isn't in the trash
+ */
+async function getTrashItem(trashId) {
+  const client = getPool();
+  const result = await client.query('SELECT * FROM trash WHERE id = $1', [trashId]);
+
+  if (result.rows.length === 0) {
+    throw new Error(`Trash item not found: ${trashId}`);
+  }
+
+  return { ...formatTrashItem(result.rows[0]), data: result.rows[0].data };
+}
+
+/**
+ * Put a trashed item's rows back, with their original ids, and take it out of the trash.
+ * Related rows whose parent is gone meanwhile (a channel deleted, a video trashed) are skipped.
+ * @returns {Promise<Object>} The restored item, with restoredRows per table
+ * @throws {Error} If it isn't in the trash, was re-created since, or depends on something deleted since
+ */
+async function restoreTrashItem(trashId) {
+  const restored = await withTransaction(async (tx) => {
+    const result = await tx.query('SELECT * FROM trash WHERE id = $1 FOR UPDATE', [trashId]);
+    if (result.rows.length === 0) {
+      throw new Error(`Trash item not found: ${trashId}`);
+    }
+
+    const item = result.rows[0];
+    const restoredRows = {};
+
+    for (const [index, { table, rows }] of item.data.entries()) {
+      const parents = Object.entries(TRASH_PARENTS[table] || {});
+      const where = parents.length === 0 ? '' : 'WHERE ' + parents
+        .map(([column, parent]) => `EXISTS (SELECT 1 FROM ${parent} WHERE ${parent}.id = r.${column})`)
+        .join(' AND ');
+
+      // The item itself must come back as it was; its related rows only where they still fit
+      const sql = `INSERT INTO ${table} SELECT r.* FROM jsonb_populate_recordset(NULL::${table}, $1) r ${where}`;
+      let inserted;
+      try {
+        inserted = await tx.query(index === 0 ? sql : `${sql} ON CONFLICT DO NOTHING`, [JSON.stringify(rows)]);
+      } catch (error) {
+        if (error.code === '23505') {
+          throw new Error(`${item.label} can't be restored - it already exists again`);
+        }
+        throw error;
+      }
+
+      if (index === 0 && inserted.rowCount < rows.length) {
+        throw new Error(`${item.label} can't be restored - its playlist or video has been deleted since`);
+      }
+      restoredRows[table] = inserted.rowCount;
+    }
+
+    await tx.query('DELETE FROM trash WHERE id = $1', [trashId]);
+    return { ...formatTrashItem(item), restoredRows };
+  });
+
+  await clearCache('videos:');
+  await clearCache('playlists:');
+  await clearCache('bumpers:');
+  await clearCache('special_event');
+  return restored;
+}
+
+/**
+ * Permanently delete one trashed item.
+ * @throws {Error} If it isn't in the trash
+ */
+async function deleteTrashItem(trashId) {
+  const client = getPool();
+  const result = await client.query('DELETE FROM trash WHERE id = $1 RETURNING id, item_type, item_id, label', [trashId]);
+
+  if (result.rows.length === 0) {
+    throw new Error(`Trash item not found: ${trashId}`);
+  }
+
+  const row = result.rows[0];
+  return { id: row.id, itemType: row.item_type, itemId: row.item_id, label: row.label };
+}
+
+/**
+ * Permanently delete everything trashed before `olderThan`.
+ * @returns {Promise<number>} Items purged
+ */
+async function purgeTrash(olderThan) {
+  const client = getPool();
+  const result = await client.query('DELETE FROM trash WHERE deleted_at < $1', [olderThan]);
+  return result.rowCount;
+}
+
+// ============================================
+// AUDIT LOG FUNCTIONS
+// ============================================
+
+function formatAuditEntry(row) {
+  return {
+    id: Number(row.id),
+    createdAt: row.created_at,
+    actorType: row.actor_type,
+    actorId: row.actor_id,
+    actorRole: row.actor_role,
+    action: row.action,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    before: row.before,
+    after: row.after,
+    method: row.method,
+    path: row.path,
+    statusCode: row.status_code,
+    ip: row.ip,
+    userAgent: row.user_agent,
+    requestBody: row.request_body
+  };
+}
+
+/**
+ * Append an audit log entry (see audit-log.js for the fields).
+ */
+async function insertAuditEntry(entry) {
+  const client = getPool();
+  const json = value => value === undefined || value === null ? null : JSON.stringify(value);
+
+  await client.query(`
+    INSERT INTO audit_log (actor_type, actor_id, actor_role, action, target_type, target_id,
+      before, after, method, path, status_code, ip, user_agent, request_body)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+  `, [
+    entry.actorType, entry.actorId, entry.actorRole, entry.action, entry.targetType, entry.targetId,
+    json(entry.before), json(entry.after), entry.method, entry.path, entry.statusCode,
+    entry.ip, entry.userAgent, json(entry.requestBody)
+  ]);
+}
+
+/**
+ * Audit log entries, newest first.
+ * @param {Object} filters - { actorId?, action?, targetType?, targetId?, since?: Date, until?: Date }
+ *   action matches exactly, or by prefix when it ends with "." (e.g. "playlist.")
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<{ entries: Array<Object>, totalItems: number }>}
+ */
+async function getAuditEntries({ actorId, action, targetType, targetId, since, until } = {}, { limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+  const where = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (actorId) where('actor_id = ?', actorId);
+  if (action) {
+    if (action.endsWith('.')) where('action LIKE ?', `${action.replace(/[%_\\]/g, '\\$&')}%`);
+    else where('action = ?', action);
+  }
+  if (targetType) where('target_type = ?', targetType);
+  if (targetId) where('target_id = ?', String(targetId));
+  if (since) where('created_at >= ?', since);
+  if (until) where('created_at < ?', until);
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const client = getPool();
+
+  const count = await client.query(`SELECT COUNT(*)::int as total FROM audit_log ${whereClause}`, params);
+  const result = await client.query(`
+    SELECT * FROM audit_log
+    ${whereClause}
+    ORDER BY created_at DESC, id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  return { entries: result.rows.map(formatAuditEntry), totalItems: count.rows[0].total };
+}
+
+/**
+ * Delete audit log entries of one actor type older than a date.
+ * @returns {Promise<number>} Entries deleted
+ */
+async function purgeAuditEntries({ actorType, olderThan }) {
+  const client = getPool();
+  const result = await client.query(
+    'DELETE FROM audit_log WHERE actor_type = $1 AND created_at < $2',
+    [actorType, olderThan]
+  );
+  return result.rowCount;
+}
+
+// ============================================
+// ADMIN USER FUNCTIONS
+// ============================================
+
+function formatAdminUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastLoginAt: row.last_login_at
+  };
+}
+
+/**
+ * Every admin account (without password hashes), by username.
+ */
+async function getAdminUsers() {
+  const client = getPool();
+  const result = await client.query(`
+    SELECT id, username, role, created_at, updated_at, last_login_at
+    FROM admin_users
+    ORDER BY username
+  `);
+  return result.rows.map(formatAdminUser);
+}
+
+/**
+ * An admin account with its password hash, for signing in.
+ * @returns {Promise<Object|null>} { id, username, role, passwordHash } or null
+ */
+async function getAdminUserCredentials(username) {
+  const client = getPool();
+  const result = await client.query(
+    'SELECT id, username, role, password_hash FROM admin_users WHERE username = $1',
+    [username]
+  );
+
+  const row = result.rows[0];
+  return row ? { id: row.id, username: row.username, role: row.role, passwordHash: row.password_hash } : null;
+}
+
+async function hasAdminOwner() {
+  const client = getPool();
+  const result = await client.query("SELECT EXISTS (SELECT 1 FROM admin_users WHERE role = 'owner') AS has_owner");
+  return result.rows[0].has_owner;
+}
+
+/**
+ * Create an admin account. The password must already be hashed (see admin-auth.js).
+ * @throws {Error} If the username is taken
+ */
+async function createAdminUser({ username, passwordHash, role }) {
+  const client = getPool();
+
+  try {
+    const result = await client.query(`
+      INSERT INTO admin_users (username, password_hash, role)
+      VALUES ($1, $2, $3)
+      RETURNING id, username, role, created_at, updated_at, last_login_at
+    `, [username, passwordHash, role]);
+    return formatAdminUser(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new Error(`Admin user ${username} already exists`);
+    }
+    throw error;
+  }
+}
+
+// Refuse to leave the site without an owner
+async function assertNotLastOwner(tx, userId) {
+  const result = await tx.query(
+    "SELECT COUNT(*)::int as count FROM admin_users WHERE role = 'owner' AND id <> $1",
+    [userId]
+  );
+  if (result.rows[0].count === 0) {
+    throw new Error(`Admin user ${userId} is the last owner - make another user owner first`);
+  }
+}
+
+/**
+ * Change an admin account's role and/or password. A new password signs the user out everywhere.
+ * @param {Object} fields - { role?, passwordHash? }
+ * @throws {Error} If the user doesn't exist, or the change would leave no owner
+ */
+async function updateAdminUser(userId, { role, passwordHash }) {
+  return withTransaction(async (tx) => {
+    const current = await tx.query('SELECT role FROM admin_users WHERE id = $1 FOR UPDATE', [userId]);
+    if (current.rows.length === 0) {
+      throw new Error(`Admin user not found: ${userId}`);
+    }
+    if (role && role !== 'owner' && current.rows[0].role === 'owner') {
+      await assertNotLastOwner(tx, userId);
+    }
+
+    const result = await tx.query(`
+      UPDATE admin_users
+      SET role = COALESCE($2, role),
+          password_hash = COALESCE($3, password_hash),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, username, role, created_at, updated_at, last_login_at
+    `, [userId, role || null, passwordHash || null]);
+
+    if (passwordHash) {
+      await tx.query('DELETE FROM admin_sessions WHERE user_id = $1', [userId]);
+    }
+    return formatAdminUser(result.rows[0]);
+  });
+}
+
+/**
+ * Delete an admin account and its sessions.
+ * @throws {Error} If the user doesn't exist or is the last owner
+ */
+async function deleteAdminUser(userId) {
+  return withTransaction(async (tx) => {
+    const current = await tx.query('SELECT username, role FROM admin_users WHERE id = $1 FOR UPDATE', [userId]);
+    if (current.rows.length === 0) {
+      throw new Error(`Admin user not found: ${userId}`);
+    }
+    if (current.rows[0].role === 'owner') {
+      await assertNotLastOwner(tx, userId);
+    }
+
+    // admin_sessions rows go with it (ON DELETE CASCADE)
+    await tx.query('DELETE FROM admin_users WHERE id = $1', [userId]);
+    return { id: userId, username: current.rows[0].username };
+  });
+}
+
+/**
+ * Store a new session (and drop expired ones).
+ * @param {string} tokenHash - SHA-256 of the session token
+ * @param {number|null} userId - null for the ADMIN_PASSWORD owner
+ */
+async function createAdminSession(tokenHash, userId, expiresAt) {
+  const client = getPool();
+  await client.query('DELETE FROM admin_sessions WHERE expires_at < NOW()');
+  await client.query(
+    'INSERT INTO admin_sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)',
+    [tokenHash, userId, expiresAt]
+  );
+
+  if (userId !== null) {
+    await client.query('UPDATE admin_users SET last_login_at = NOW() WHERE id = $1', [userId]);
+  }
+}
+
+/**
+ * An unexpired session and its user's current role.
+ * @returns {Promise<Object|null>} { userId, username, role, expiresAt } (userId null for the ADMIN_PASSWORD owner) or null
+ */
+async function getAdminSession(tokenHash) {
+  const client = getPool();
+  const result = await client.query(`
+    SELECT s.user_id, s.expires_at, u.username, u.role
+    FROM admin_sessions s
+    LEFT JOIN admin_users u ON u.id = s.user_id
+    WHERE s.token_hash = $1 AND s.expires_at > NOW()
+  `, [tokenHash]);
+
+  const row = result.rows[0];
+  return row ? { userId: row.user_id, username: row.username, role: row.role, expiresAt: row.expires_at } : null;
+}
+
+async function deleteAdminSession(tokenHash) {
+  const client = getPool();
+  await client.query('DELETE FROM admin_sessions WHERE token_hash = $1', [tokenHash]);
+}
+
+module.exports = {
+  // Connection
+  initializePool,
+  getPool,
+  closePool,
+  healthCheck,
+  withTransaction,
+
+  // Cache
+  clearCache,
+
+  // Channels
+  getAllChannels,
+  getChannelById,
+  updateChannelBumperPattern,
+
+  // Playlists
+  getPlaylistsForChannel,
+  getRandomPlaylistForChannel,
+  getAllPlaylistsForChannel,
+  getPlaylistById,
+  updateChannelPlaylistRotation,
+
+  // Videos
+  getVideosByPlaylistId,
+  getVideoByYoutubeId,
+  updateVideoYear,
+
+  // Bumpers
+  BUMPER_CATEGORIES,
+  getRandomBumpers,
+  selectBumpers,
+  getAllBumpers,
+  checkBumpersExistence,
+  addBumper,
+  updateBumperTags,
+  removeBumper,
 
   // Admin
   flagVideo,
@@ -1018,10 +3243,100 @@ module.exports = {
   checkVideosExistence,
   createPlaylist,
 
+  // Channel Management
+  getAdminChannels,
+  getAdminChannel,
+  createChannel,
+  updateChannel,
+  deleteChannel,
+  setChannelOrder,
+
+  // Playlist Management
+  getAdminPlaylists,
+  getAdminPlaylist,
+  updatePlaylist,
+  deletePlaylist,
+  linkPlaylistToChannel,
+  unlinkPlaylistFromChannel,
+  movePlaylistToChannel,
+  setChannelPlaylistOrder,
+  setPlaylistVideoOrder,
+
   // Special Events
   getActiveSpecialEvent,
   getAllSpecialEvents,
   createSpecialEvent,
   updateSpecialEvent,
-  deleteSpecialEvent
+  deleteSpecialEvent,
+
+  // Viewer History
+  getViewerHistory,
+  addViewerHistory,
+  purgeViewerHistory,
+
+  // YouTube Quota
+  getYoutubeQuotaUsage,
+  addYoutubeQuotaUsage,
+
+  // Shared Cache
+  getCacheEntry,
+  setCacheEntry,
+  deleteCacheEntries,
+  countCacheEntries,
+  purgeCacheEntries,
+  notifyCacheInvalidation,
+  listenForCacheInvalidations,
+
+  // Playlist Sources
+  getPlaylistSources,
+  setPlaylistSource,
+
+  // Playlist Sync
+  SYNC_CHANGE_TYPES,
+  getSyncedPlaylists,
+  getNextPlaylistToSync,
+  getPlaylistSyncSource,
+  recordPlaylistSyncError,
+  createPlaylistSyncReport,
+  getPlaylistSyncReports,
+  getPlaylistSyncReport,
+  applyPlaylistSyncChanges,
+  dismissPlaylistSyncReport,
+
+  // Flag Reports
+  FLAG_REASONS,
+  addFlagReport,
+  getFlagReportQueue,
+  getVideoFlagReports,
+  reviewFlagReports,
+
+  // Unavailability Reports
+  UNAVAILABLE_ERROR_CODES,
+  UNAVAILABLE_WINDOW_DAYS,
+  markVideoUnavailable,
+  getUnavailabilityReports,
+  getVideoUnavailability,
+
+  // Trash
+  getTrashItems,
+  getTrashItem,
+  restoreTrashItem,
+  deleteTrashItem,
+  purgeTrash,
+
+  // Audit Log
+  insertAuditEntry,
+  getAuditEntries,
+  purgeAuditEntries,
+
+  // Admin Users
+  getAdminUsers,
+  getAdminUserCredentials,
+  hasAdminOwner,
+  createAdminUser,
+  updateAdminUser,
+  deleteAdminUser,
+  createAdminSession,
+  getAdminSession,
+  deleteAdminSession
 };
@@ -0,0 +1,125 @@
+/**
+ * Electronic Program Guide (EPG) Service
+ *
+ * Builds the programme guide from the linear broadcast timeline, so the guide always
+ * matches what /api/channel/:id/now reports. Exports JSON for the web app and
+ * XMLTV for set-top boxes and IPTV clients.
+ */
+
+const broadcastService = require('./broadcast-service');
+
+const DEFAULT_GUIDE_HOURS = 6;
+const MAX_GUIDE_HOURS = 24;
+const XMLTV_CHANNEL_SUFFIX = '.nmtv';
+
+function getItemTitle(item) {
+  if (item.artist && item.song) {
+    return `${item.artist} - ${item.song}`;
+  }
+  return item.title || '';
+}
+
+/**
+ * Build the guide for a list of channels.
+ * @param {Object[]} channels - [{ id, name, icon }]
+ * @param {number} from - Epoch ms
+ * @param {number} hours - Guide length in hours
+ * @returns {Promise<Object>} { from, to, channels: [{ id, name, icon, programmes: [] }] }
+ */
+async function buildGuide(channels, from, hours = DEFAULT_GUIDE_HOURS) {
+  const guideHours = Math.min(MAX_GUIDE_HOURS, Math.max(1, hours || DEFAULT_GUIDE_HOURS));
+  const to = from + guideHours * 60 * 60 * 1000;
+
+  const guideChannels = [];
+
+  // Sequential on purpose: each channel may need to build many blocks
+  for (const channel of channels) {
+    try {
+      const blocks = await broadcastService.getSchedule(channel.id, from, to);
+
+      guideChannels.push({
+        id: channel.id,
+        name: channel.name,
+        icon: channel.icon || null,
+        programmes: blocks.map(block => ({
+          title: block.playlistLabel || channel.name,
+          playlistId: block.playlistId,
+          startsAt: block.startsAt,
+          endsAt: block.endsAt,
+          items: block.items.map(item => ({
+            id: item.id,
+            title: item.isBumper ? item.title || 'Bumper' : getItemTitle(item),
+            isBumper: !!item.isBumper,
+            startsAt: item.startsAt,
+            endsAt: item.endsAt
+          }))
+        }))
+      });
+    } catch (error) {
+      console.error(`[EPG] Skipping channel ${channel.id}:`, error.message);
+    }
+  }
+
+  return { from, to, channels: guideChannels };
+}
+
+// ============================================
+// XMLTV EXPORT
+// ============================================
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// XMLTV timestamps: YYYYMMDDHHMMSS +0000
+function formatXmltvTime(ms) {
+  const iso = new Date(ms).toISOString(); // 2026-01-31T12:34:56.000Z
+  return `${iso.slice(0, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}${iso.slice(11, 13)}${iso.slice(14, 16)}${iso.slice(17, 19)} +0000`;
+}
+
+/**
+ * Serialize a guide (from buildGuide) to an XMLTV document.
+ * One <programme> per block; the block's videos go in <desc>.
+ * Channels carry no <icon>: XMLTV's icon is an image URL, and channel icons are emoji.
+ */
+function toXmltv(guide) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE tv SYSTEM "xmltv.dtd">',
+    '<tv generator-info-name="NMTV">'
+  ];
+
+  guide.channels.forEach(channel => {
+    lines.push(`  <channel id="${escapeXml(channel.id + XMLTV_CHANNEL_SUFFIX)}">`);
+    lines.push(`    <display-name>${escapeXml(channel.name)}</display-name>`);
+    lines.push('  </channel>');
+  });
+
+  guide.channels.forEach(channel => {
+    channel.programmes.forEach(programme => {
+      const videos = programme.items.filter(i => !i.isBumper).map(i => i.title);
+
+      lines.push(`  <programme start="${formatXmltvTime(programme.startsAt)}" stop="${formatXmltvTime(programme.endsAt)}" channel="${escapeXml(channel.id + XMLTV_CHANNEL_SUFFIX)}">`);
+      lines.push(`    <title>${escapeXml(programme.title)}</title>`);
+      if (videos.length > 0) {
+        lines.push(`    <desc>${escapeXml(videos.join(' / '))}</desc>`);
+      }
+      lines.push('  </programme>');
+    });
+  });
+
+  lines.push('</tv>');
+  return lines.join('\n');
+}
+
+module.exports = {
+  buildGuide,
+  toXmltv,
+  DEFAULT_GUIDE_HOURS,
+  MAX_GUIDE_HOURS
+};
@@ -0,0 +1,289 @@
+/**
+ * Fake YouTube Data API Server
+ *
+ * A local stand-in for the three YouTube Data API endpoints the backend uses
+ * (playlistItems, playlists, videos), so the server, the admin scan routes and the tests
+ * run without network or an API key. Responses follow the real API's shape: 50-item paging
+ * with nextPageToken, ETags with 304 revalidation, and YouTube-style error bodies.
+ *
+ * Content comes from fixtures/youtube/catalog.json. Playlists listed there can set a title,
+ * size, `kind: "bumper"` (short videos) or an `error` case; any other playlist id gets
+ * deterministic generated videos, so every playlist in channel-config.js works out of the box.
+ *
+ * Error cases (catalog `error`):
+ *   private        403 playlistItemsNotAccessible
+ *   notFound       404 playlistNotFound
+ *   quotaExceeded  403 quotaExceeded
+ *   flaky          500 on every other request
+ *
+ * Standalone: node fake-youtube-server.js (port FAKE_YOUTUBE_PORT, default 3002), then point
+ * the backend at it with YOUTUBE_API_BASE_URL=http://localhost:3002/youtube/v3.
+ * In-process: YOUTUBE_MODE=fake (see youtube-fixtures.js).
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CATALOG = path.join(__dirname, 'fixtures', 'youtube', 'catalog.json');
+const DEFAULT_PLAYLIST_SIZE = 60;
+const MAX_RESULTS = 50;
+const BUMPER_DURATIONS = [8, 15, 20, 30, 45, 60];
+
+function hash(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function toIsoDuration(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = seconds % 60;
+  return `PT${m > 0 ? `${m}M` : ''}${s > 0 || m === 0 ? `${s}S` : ''}`;
+}
+
+function loadCatalog(catalogPath) {
+  if (!fs.existsSync(catalogPath)) {
+    return { playlists: {} };
+  }
+  const catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+  return { playlists: catalog.playlists || {}, defaultSize: catalog.defaultSize };
+}
+
+// ============================================
+// GENERATED CONTENT
+// ============================================
+
+/**
+ * Deterministic videos for a playlist id. Every 25th slot is a "Private video" /
+ * "Deleted video" placeholder, like real playlists have.
+ */
+function generatePlaylist(playlistId, config, defaultSize) {
+  const size = config.size || defaultSize || DEFAULT_PLAYLIST_SIZE;
+  const isBumper = config.kind === 'bumper';
+  const seed = hash(playlistId);
+
+  const videos = [];
+  for (let position = 0; position < size; position++) {
+    const bytes = hash(`${playlistId}:${position}`);
+    const videoId = bytes.toString('base64').replace(/[^a-zA-Z0-9]/g, '').slice(0, 11);
+    const artistNumber = (seed[0] + (bytes[1] % 12)) % 40 + 1;
+
+    let title;
+    if (!isBumper && position % 25 === 24) {
+      title = position % 50 === 24 ? 'Private video' : 'Deleted video';
+    } else if (isBumper) {
+      title = `${config.title || 'Bumper'} #${position + 1}`;
+    } else {
+      title = `Fake Artist ${artistNumber} - Song ${bytes.readUInt16BE(2) % 500 + 1} (Official Video)`;
+    }
+
+    videos.push({
+      id: videoId,
+      title,
+      channelTitle: isBumper ? 'Fake Bumpers' : `Fake Artist ${artistNumber}`,
+      duration: isBumper
+        ? BUMPER_DURATIONS[bytes[4] % BUMPER_DURATIONS.length]
+        : 150 + bytes.readUInt16BE(4) % 210 // 2:30 - 6:00
+    });
+  }
+
+  return videos;
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+function sendError(res, status, reason, message) {
+  res.status(status).json({
+    error: { code: status, message, errors: [{ message, domain: 'youtube.fake', reason }] }
+  });
+}
+
+// JSON with an ETag; answers 304 when the client already has this version
+function sendWithEtag(req, res, body) {
+  const etag = `"${hash(JSON.stringify(body)).toString('hex').slice(0, 27)}"`;
+
+  if (req.get('If-None-Match') === etag) {
+    return res.status(304).set('ETag', etag).end();
+  }
+  res.set('ETag', etag).json({ ...body, etag });
+}
+
+/**
+ * Build the fake API as an Express app (mount point: /youtube/v3).
+ * @param {Object} options
+ * @param {string} options.catalogPath - Catalog JSON (default fixtures/youtube/catalog.json)
+ * @returns {express.Application} App with `requestLog` (endpoint + params of every call) attached
+ */
+function createFakeYouTubeApp({ catalogPath = DEFAULT_CATALOG } = {}) {
+  const catalog = loadCatalog(catalogPath);
+  const playlists = new Map();   // Map<playlistId, videos[]>
+  const videos = new Map();      // Map<videoId, video>
+  const flakyCounts = new Map(); // Map<playlistId, requests seen>
+
+  const app = express();
+  const router = express.Router();
+  app.disable('x-powered-by');
+  app.set('etag', false); // ETags are set explicitly, matching YouTube's
+  app.requestLog = [];
+
+  function getPlaylist(playlistId) {
+    if (!playlists.has(playlistId)) {
+      const generated = generatePlaylist(playlistId, catalog.playlists[playlistId] || {}, catalog.defaultSize);
+      generated.forEach(video => videos.set(video.id, video));
+      playlists.set(playlistId, generated);
+    }
+    return playlists.get(playlistId);
+  }
+
+  // Returns true when an error response was sent for this playlist
+  function sendPlaylistError(res, playlistId) {
+    const error = catalog.playlists[playlistId]?.error;
+
+    if (error === 'private') {
+      sendError(res, 403, 'playlistItemsNotAccessible', 'The request is not properly authorized to retrieve the specified playlist.');
+      return true;
+    }
+    if (error === 'notFound') {
+      sendError(res, 404, 'playlistNotFound', 'The playlist identified with the request\'s playlistId parameter cannot be found.');
+      return true;
+    }
+    if (error === 'quotaExceeded') {
+      sendError(res, 403, 'quotaExceeded', 'The request cannot be completed because you have exceeded your quota.');
+      return true;
+    }
+    if (error === 'flaky') {
+      const count = (flakyCounts.get(playlistId) || 0) + 1;
+      flakyCounts.set(playlistId, count);
+      if (count % 2 === 1) {
+        sendError(res, 500, 'backendError', 'Backend Error');
+        return true;
+      }
+    }
+    return false;
+  }
+
+  router.use((req, res, next) => {
+    app.requestLog.push({ endpoint: req.path.slice(1), params: { ...req.query, key: undefined } });
+
+    if (!req.query.key) {
+      return sendError(res, 403, 'forbidden', 'The request is missing a valid API key.');
+    }
+    next();
+  });
+
+  router.get('/playlistItems', (req, res) => {
+    const { playlistId, pageToken } = req.query;
+    if (!playlistId) {
+      return sendError(res, 400, 'invalidParameter', 'No filter selected. Expected one of: id, playlistId');
+    }
+    if (sendPlaylistError(res, playlistId)) return;
+
+    const all = getPlaylist(playlistId);
+    const maxResults = Math.min(MAX_RESULTS, Math.max(1, parseInt(req.query.maxResults, 10) || 5));
+    const offset = pageToken ? parseInt(String(pageToken).replace('page-', ''), 10) : 0;
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      return sendError(res, 400, 'invalidPageToken', 'The request specifies an invalid page token.');
+    }
+
+    const page = all.slice(offset, offset + maxResults);
+
+    sendWithEtag(req, res, {
+      kind: 'youtube#playlistItemListResponse',
+      ...(offset + maxResults < all.length ? { nextPageToken: `page-${offset + maxResults}` } : {}),
+      ...(offset > 0 ? { prevPageToken: `page-${Math.max(0, offset - maxResults)}` } : {}),
+      pageInfo: { totalResults: all.length, resultsPerPage: maxResults },
+      items: page.map((video, i) => ({
+        kind: 'youtube#playlistItem',
+        id: `${playlistId}.${offset + i}`,
+        snippet: {
+          title: video.title,
+          position: offset + i,
+          playlistId,
+          channelTitle: video.channelTitle,
+          resourceId: { kind: 'youtube#video', videoId: video.id }
+        },
+        contentDetails: { videoId: video.id }
+      }))
+    });
+  });
+
+  router.get('/playlists', (req, res) => {
+    const ids = String(req.query.id || '').split(',').filter(Boolean);
+
+    // Like YouTube, missing and private playlists are simply absent from `items`
+    const items = ids
+      .filter(id => !catalog.playlists[id]?.error || catalog.playlists[id].error === 'flaky')
+      .map(id => ({
+        kind: 'youtube#playlist',
+        id,
+        snippet: { title: catalog.playlists[id]?.title || `Fake Playlist ${id.slice(-6)}`, channelTitle: 'Fake YouTube' },
+        contentDetails: { itemCount: getPlaylist(id).length }
+      }));
+
+    sendWithEtag(req, res, {
+      kind: 'youtube#playlistListResponse',
+      pageInfo: { totalResults: items.length, resultsPerPage: items.length },
+      items
+    });
+  });
+
+  router.get('/videos', (req, res) => {
+    const ids = String(req.query.id || '').split(',').filter(Boolean);
+    if (ids.length > MAX_RESULTS) {
+      return sendError(res, 400, 'invalidParameter', 'Too many ids (max 50).');
+    }
+
+    const items = ids
+      .map(id => videos.get(id))
+      .filter(video => video && video.title !== 'Private video' && video.title !== 'Deleted video')
+      .map(video => ({
+        kind: 'youtube#video',
+        id: video.id,
+        snippet: {
+          title: video.title,
+          channelTitle: video.channelTitle,
+          thumbnails: { default: { url: `https://i.ytimg.com/vi/${video.id}/default.jpg` } }
+        },
+        contentDetails: { duration: toIsoDuration(video.duration) }
+      }));
+
+    sendWithEtag(req, res, {
+      kind: 'youtube#videoListResponse',
+      pageInfo: { totalResults: items.length, resultsPerPage: items.length },
+      items
+    });
+  });
+
+  app.use('/youtube/v3', router);
+  return app;
+}
+
+/**
+ * Start the fake API on a port (0 = any free port).
+ * @returns {Promise<{ server: http.Server, app, baseUrl: string }>}
+ */
+function startFakeYouTubeServer({ port = 0, catalogPath } = {}) {
+  const app = createFakeYouTubeApp({ catalogPath });
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      resolve({ server, app, baseUrl: `http://127.0.0.1:${server.address().port}/youtube/v3` });
+    });
+    server.on('error', reject);
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.FAKE_YOUTUBE_PORT, 10) || 3002;
+  startFakeYouTubeServer({ port }).then(({ baseUrl }) => {
+    console.log(`Fake YouTube Data API listening on ${baseUrl}`);
+  });
+}
+
+module.exports = {
+  createFakeYouTubeApp,
+  startFakeYouTubeServer
+};
@@ -0,0 +1,147 @@
+/**
+ * Viewer Play History Service
+ *
+ * Remembers what each anonymous viewer has been served, so block dedupe happens on the
+ * server instead of clients shipping ever-growing excludeIds arrays.
+ *
+ * Database mode stores history in the viewer_history table; YouTube API mode (or a
+ * database failure) falls back to a bounded in-memory store.
+ */
+
+const dbService = require('./db-service');
+
+const DEFAULT_HISTORY_MINUTES = 12 * 60;       // Lookback when a channel has no history_minutes
+const MAX_HISTORY_MINUTES = 7 * 24 * 60;       // Entries older than this are purged
+const MEMORY_MAX_ENTRIES_PER_VIEWER = 500;
+const MEMORY_MAX_VIEWERS = 10000;
+const PURGE_INTERVAL = 60 * 60 * 1000;         // 1 hour
+
+let useDatabase = false;
+let purgeTimer = null;
+
+// Map<viewerId, [{ videoId, playlistId, channelId, playedAt }]> (oldest first)
+const memoryHistory = new Map();
+
+function initialize({ useDatabase: databaseMode }) {
+  useDatabase = databaseMode;
+
+  if (!purgeTimer) {
+    purgeTimer = setInterval(() => {
+      purgeExpired().catch(error => console.error('[History] Purge failed:', error.message));
+    }, PURGE_INTERVAL);
+    purgeTimer.unref();
+  }
+}
+
+// ============================================
+// IN-MEMORY STORE
+// ============================================
+
+function getMemoryEntries(viewerId, since) {
+  return (memoryHistory.get(viewerId) || []).filter(e => e.playedAt >= since);
+}
+
+function addMemoryEntries(viewerId, entries) {
+  // Re-insert to keep Map order = least recently active first
+  const existing = memoryHistory.get(viewerId) || [];
+  memoryHistory.delete(viewerId);
+  memoryHistory.set(viewerId, existing.concat(entries).slice(-MEMORY_MAX_ENTRIES_PER_VIEWER));
+
+  // Evict least recently active viewers
+  while (memoryHistory.size > MEMORY_MAX_VIEWERS) {
+    memoryHistory.delete(memoryHistory.keys().next().value);
+  }
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * What a viewer was served recently.
+ * Videos are deduped across all channels; playlists only within the requested channel.
+ * @param {string} viewerId - Anonymous viewer session id
+ * @param {string} channelId - Channel being tuned
+ * @param {number} lookbackMinutes - History window for this channel
+ * @returns {Promise<{ videoIds: string[], playlistIds: string[] }>}
+ */
+async function getRecentHistory(viewerId, channelId, lookbackMinutes = DEFAULT_HISTORY_MINUTES) {
+  if (!viewerId) {
+    return { videoIds: [], playlistIds: [] };
+  }
+
+  const since = new Date(Date.now() - Math.min(lookbackMinutes, MAX_HISTORY_MINUTES) * 60 * 1000);
+  let entries;
+
+  if (useDatabase) {
+    try {
+      entries = await dbService.getViewerHistory(viewerId, since);
+    } catch (error) {
+      console.error('[History] Database read failed, using memory:', error.message);
+    }
+  }
+
+  if (!entries) {
+    entries = getMemoryEntries(viewerId, since);
+  }
+
+  return {
+    videoIds: [...new Set(entries.map(e => e.videoId))],
+    playlistIds: [...new Set(entries.filter(e => e.channelId === channelId && e.playlistId).map(e => e.playlistId))]
+  };
+}
+
+/**
+ * Record the videos of a block served to a viewer (bumpers are not tracked).
+ */
+async function recordBlock(viewerId, channelId, block) {
+  if (!viewerId || !block || !block.items) return;
+
+  const playedAt = new Date();
+  const entries = block.items
+    .filter(item => !item.isBumper)
+    .map(item => ({
+      videoId: item.id,
+      playlistId: block.playlistId ? String(block.playlistId) : null,
+      channelId,
+      playedAt
+    }));
+
+  if (entries.length === 0) return;
+
+  if (useDatabase) {
+    try {
+      await dbService.addViewerHistory(viewerId, entries);
+      return;
+    } catch (error) {
+      console.error('[History] Database write failed, using memory:', error.message);
+    }
+  }
+
+  addMemoryEntries(viewerId, entries);
+}
+
+async function purgeExpired() {
+  const before = new Date(Date.now() - MAX_HISTORY_MINUTES * 60 * 1000);
+
+  for (const [viewerId, entries] of memoryHistory.entries()) {
+    const kept = entries.filter(e => e.playedAt >= before);
+    if (kept.length === 0) {
+      memoryHistory.delete(viewerId);
+    } else {
+      memoryHistory.set(viewerId, kept);
+    }
+  }
+
+  if (useDatabase) {
+    await dbService.purgeViewerHistory(before);
+  }
+}
+
+module.exports = {
+  DEFAULT_HISTORY_MINUTES,
+  initialize,
+  getRecentHistory,
+  recordBlock,
+  purgeExpired
+};
@@ -9,14 +9,66 @@ require('dotenv').config();
 
 // Database service (new)
 const dbService = require('./db-service');
+const migrationRunner = require('./migration-runner');
 const USE_DATABASE = process.env.USE_DATABASE === 'true';
 
+// Linear broadcast timeline (shared "what's on now" per channel) and program guide
+const broadcastService = require('./broadcast-service');
+const epgService = require('./epg-service');
+const streamService = require('./stream-service');
+
+// Runtime-targeted block sizing and bumper placement
+const blockRuntime = require('./block-runtime');
+const bumperPatterns = require('./bumper-patterns');
+const blockSequencer = require('./block-sequencer');
+const playlistRotation = require('./playlist-rotation');
+
+// Channel line-up for YouTube API mode (database mode reads the channels table)
+const { CHANNEL_LINEUP } = require('./channel-config');
+
+// YouTube Data API access with daily quota accounting
+const youtubeClient = require('./youtube-client');
+const youtubeFixtures = require('./youtube-fixtures');
+youtubeClient.initialize({ useDatabase: USE_DATABASE });
+
+// Playlist data and query results, shared across restarts and instances (CACHE_DRIVER)
+const cacheStore = require('./cache-store');
+cacheStore.initialize({ database: dbService });
+const playlistRefresh = require('./playlist-refresh');
+
+// Diffs DB playlists against their source YouTube playlists (database mode)
+const playlistSync = require('./playlist-sync');
+playlistSync.initialize({ useDatabase: USE_DATABASE });
+
+// Per-viewer play history (server-side repeat avoidance)
+const historyService = require('./history-service');
+historyService.initialize({ useDatabase: USE_DATABASE });
+
+// Admin accounts, roles and server-side sessions
+const adminAuth = require('./admin-auth');
+adminAuth.initialize({ useDatabase: USE_DATABASE });
+
+// Who changed what: admin writes and public flag / unavailable reports
+const auditLog = require('./audit-log');
+auditLog.initialize({ useDatabase: USE_DATABASE });
+
+// Deleted videos, playlists, bumpers and special events stay restorable until purged (database mode)
+const trashService = require('./trash-service');
+trashService.initialize({ useDatabase: USE_DATABASE });
+
 const app = express();
 
 // Security middleware
 app.use(helmet()); // Adds security headers
 app.disable('x-powered-by'); // Hide Express
 
+// Behind a load balancer (Render), req.ip is the proxy's address unless X-Forwarded-For is trusted.
+// TRUST_PROXY takes Express's setting: a hop count ("1"), "true", or addresses / subnets.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' ? true : trustProxy);
+}
+
 // CORS configuration for production
 const allowedOrigins = [
   'http://localhost:4200',
@@ -44,93 +96,118 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Viewer-Id']
 }));
 
 app.use(express.json()); // Parse JSON request bodies
 app.use(cookieParser()); // Parse cookies
 
 // ============================================
-// ADMIN AUTHENTICATION UTILITIES
+// VIEWER SESSION
 // ============================================
 
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
-const SESSION_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+const VIEWER_COOKIE_DURATION = 365 * 24 * 60 * 60 * 1000; // 1 year
+const MAX_EXCLUDE_VIDEOS = 200; // Cap on history + client excludeIds sent to the database
 
-/**
- * Generate a signed session token
- * Token format: base64(timestamp:hmac_signature)
- */
-function generateSessionToken() {
-  const timestamp = Date.now().toString();
-  const signature = crypto
-    .createHmac('sha256', ADMIN_PASSWORD)
-    .update(timestamp)
-    .digest('hex');
-  return Buffer.from(`${timestamp}:${signature}`).toString('base64');
+function isValidViewerId(id) {
+  return typeof id === 'string' && /^[a-zA-Z0-9_-]{8,64}$/.test(id);
 }
 
 /**
- * Verify a session token
- * Returns { valid: boolean, expiresAt?: number }
+ * Anonymous viewer session for channel routes.
+ * Clients that can't keep cookies send the id back in the X-Viewer-Id header.
  */
-function verifySessionToken(token) {
-  if (!token || !ADMIN_PASSWORD) {
-    return { valid: false };
+function viewerSessionMiddleware(req, res, next) {
+  const headerId = req.get('X-Viewer-Id');
+  const cookieId = req.cookies.viewerId;
+
+  req.viewerId = isValidViewerId(headerId) ? headerId : isValidViewerId(cookieId) ? cookieId : crypto.randomUUID();
+
+  if (req.viewerId !== cookieId) {
+    res.cookie('viewerId', req.viewerId, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+      maxAge: VIEWER_COOKIE_DURATION,
+      path: '/'
+    });
   }
+  res.set('X-Viewer-Id', req.viewerId);
 
-  try {
-    const decoded = Buffer.from(token, 'base64').toString('utf-8');
-    const [timestamp, signature] = decoded.split(':');
-
-    if (!timestamp || !signature) {
-      return { valid: false };
-    }
+  next();
+}
 
-    // Verify signature
-    const expectedSignature = crypto
-      .createHmac('sha256', ADMIN_PASSWORD)
-      .update(timestamp)
-      .digest('hex');
+// The header the CDN in front of the app puts the viewer's country in (ISO 3166-1 alpha-2), e.g.
+// CF-IPCountry. Only the CDN can be trusted to set it, so without COUNTRY_HEADER none is read -
+// a client could otherwise send any country header and steer region-limiting.
+const COUNTRY_HEADER = process.env.COUNTRY_HEADER || null;
 
-    if (signature !== expectedSignature) {
-      return { valid: false };
-    }
+// The viewer's coarse location for unavailability reports, or null if unknown
+function getViewerCountry(req) {
+  if (!COUNTRY_HEADER) return null;
+  const value = req.get(COUNTRY_HEADER);
+  // XX / ZZ are the CDNs' "unknown"
+  if (value && /^[a-z]{2}$/i.test(value) && !/^(xx|zz)$/i.test(value)) {
+    return value.toUpperCase();
+  }
+  return null;
+}
 
-    // Check expiration
-    const tokenTime = parseInt(timestamp, 10);
-    const expiresAt = tokenTime + SESSION_DURATION;
+// ============================================
+// ADMIN AUTHENTICATION UTILITIES
+// ============================================
 
-    if (Date.now() > expiresAt) {
-      return { valid: false };
-    }
+// Admin routes name the permission they need: read, playlists, channels or system (see admin-auth.js)
+const { requireAdmin } = adminAuth;
 
-    return { valid: true, expiresAt };
-  } catch (error) {
-    return { valid: false };
-  }
+function setAdminSessionCookie(res, token, maxAge) {
+  res.cookie('adminSession', token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+    maxAge,
+    path: '/'
+  });
 }
 
-/**
- * Middleware to protect admin routes
- */
-function adminAuthMiddleware(req, res, next) {
-  const token = req.cookies.adminSession;
-  const result = verifySessionToken(token);
+// ============================================
+// AUDIT LOG
+// ============================================
 
-  if (!result.valid) {
-    return res.status(401).json({ error: 'Unauthorized - please login' });
-  }
+// Write routes name their audit action and target: audit('playlist.update', { type: 'playlist', id: param('playlistId') })
+const audit = auditLog.track;
+const param = name => req => req.params[name];
+const signedIn = req => req.adminUser?.id; // login / logout (null for the ADMIN_PASSWORD owner)
 
-  req.sessionExpiresAt = result.expiresAt;
-  next();
+const isNumericId = id => /^\d+$/.test(String(id));
+
+// Before / after snapshots per target type (database mode - YouTube API mode has nothing to snapshot)
+if (USE_DATABASE) {
+  auditLog.registerSnapshot('playlist', async id => {
+    if (!isNumericId(id)) return null;
+    const { videos, ...playlist } = await dbService.getAdminPlaylist(parseInt(id));
+    return { ...playlist, videoIds: videos.map(video => video.youtubeVideoId) };
+  });
+  auditLog.registerSnapshot('channel', async id => {
+    const channel = await dbService.getAdminChannel(id);
+    const playlists = await dbService.getAdminPlaylists({ channelId: id });
+    return { ...channel, playlistIds: playlists.map(playlist => playlist.id) };
+  });
+  auditLog.registerSnapshot('lineup', async () => (await dbService.getAdminChannels()).map(channel => channel.id));
+  auditLog.registerSnapshot('video', id => dbService.getVideoByYoutubeId(id));
+  auditLog.registerSnapshot('bumper', async id => (await dbService.getAllBumpers()).find(bumper => bumper.id === id));
+  auditLog.registerSnapshot('special_event', async id => (await dbService.getAllSpecialEvents()).find(event => event.id === Number(id)));
+  auditLog.registerSnapshot('admin_user', async id => (await dbService.getAdminUsers()).find(user => user.id === Number(id)));
+  auditLog.registerSnapshot('sync_report', id => isNumericId(id) ? dbService.getPlaylistSyncReport(parseInt(id)) : null);
+  auditLog.registerSnapshot('trash', id => isNumericId(id) ? dbService.getTrashItem(parseInt(id)) : null);
 }
 
 // Rate limiting configuration
-// General API rate limiter - 100 requests per minute per IP
+// General API rate limiter - 100 requests per minute per IP (API_RATE_LIMIT overrides, e.g. for tests)
 const apiLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
-  max: 100, // Limit each IP to 100 requests per windowMs
+  max: parseInt(process.env.API_RATE_LIMIT, 10) || 100, // Limit each IP to this many requests per windowMs
   message: {
     error: 'Too many requests from this IP, please try again later.',
     retryAfter: '1 minute'
@@ -151,83 +228,42 @@ const validationLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Unavailability reports - 30 per hour per IP, enough for a viewer zapping through broken videos
+const unavailableLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 30,
+  message: {
+    error: 'Too many unavailability reports, please try again later.',
+    retryAfter: '1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Apply general rate limiter to all API routes
 app.use('/api', apiLimiter);
 
-const API_KEY = process.env.YOUTUBE_API_KEY;
+const API_KEY = youtubeClient.getApiKey(); // Placeholder key when YOUTUBE_MODE is fake/replay
 const IMVDB_API_KEY = process.env.IMVDB_API_KEY;
 
 // Cache configuration
 const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-const playlistCache = new Map(); // Map<playlistId, {videos: [], timestamp: number}>
+const PLAYLIST_STALE_DURATION = 7 * 24 * 60 * 60 * 1000; // Expired playlists are served (while refetched) for 7 more days
+const FAILED_FETCH_RETRY = 10 * 60 * 1000; // Retry a failed playlist fetch after 10 minutes
+const playlistStore = cacheStore.createCache('playlists', { ttl: CACHE_DURATION, staleTtl: PLAYLIST_STALE_DURATION }); // playlistId -> videos[]
 let bumpersCache = null; // Cache for bumpers (fetched once on startup)
 
 // Readiness state tracking
 let isDataReady = false;
 let dataLoadingStartTime = null;
-let isNoaChannelReady = false; // Track if NOA channel playlists are loaded
-
-const CHANNELS = {
-  rock: [
-    { id: "PLqKA0FE2hsOnyYVBZv2pcFyxNKPBaz2Nv", label: "Top Rock Of All Time" },
-    { id: "PL300C32DA374417AA", label: "Classic Rock" },
-    { id: "PL6Lt9p1lIRZ311J9ZHuzkR5A3xesae2pk", label: "Alt Revival: 2000s Reloaded" },
-    { id: "PLD58ECddxRngHs9gZPQWOCAKwV1hTtYe4", label: "Flannel Frequency" },
-    { id: "PL6Lt9p1lIRZ3m2X1Ur8ykG1XRGPFsTsbD", label: "Alternative rock of the 2010s" }
-  ],
-  hiphop: [
-    { id: "PLYC_eh_Ae3Dw0iZucKzKjLv9Zys4FbdHI", label: "90's Hip Hop" },
-    { id: "PLxo7H7n2_s1hwM1EdojpSGGl65fHaYAn7", label: "2000's Hip Hop" },
-    { id: "PLdTuPwLzSCS5xNlwleM48YA8gJOBzrStV", label: "Golden Era Hip Hop & RnB" },
-    { id: "PLn4GvABOzCQuZrM1YBvzlYVCkQpZkhXLS", label: "Top Hip-Hop and Rap Of All Time" }
-  ],
-  "2000s": [
-    { id: "PLCh-xN1_B-eJazkwtVvYruDhfZyBCiMRn", label: "Millennium Mix" },
-    { id: "PLId5xJ_xHV-nphbMh65l19EVyXZkSEVKr", label: "Y2K Anthems" },
-    { id: "PLkESttpe0UDycidmhDo0PWqhGeohs6VfV", label: "Shuffle Time" },
-    { id: "PL9tY0BWXOZFu4vlBOzIOmvT6wjYb2jNiV", label: "The 2000s Show" },
-    { id: "PL6Lt9p1lIRZ311J9ZHuzkR5A3xesae2pk", label: "Alt Revival: 2000s Reloaded" }
-  ],
-  "1990s": [
-    { id: "PL1Mmsa-U48mea1oIN-Eus78giJANx4D9W", label: "90's Mix" },
-    { id: "PLD58ECddxRngHs9gZPQWOCAKwV1hTtYe4", label: "Flannel Frequency" },
-    { id: "PLzRN-jh85ZxWAmGTRTmI54_wUPI1Ctfar", label: "90's Rock" },
-    { id: "PLCQCtoOJpI_Dg1iO9xS2u24_2FtbyxCo2", label: "Classic 1990's" },
-    { id: "PLkpn4UHlnIHnfh9Ye0ysC__1f29F2Bnv1", label: "90's Alternative" },
-    { id: "PL_NwZs4ruMxGXczs29ssrIy1blOJq-BBw", label: "RHYTHM IS A DANCER" }
-  ],
-  "1980s": [
-    { id: "PLd9auH4JIHvupoMgW5YfOjqtj6Lih0MKw", label: "Totally 80s!" },
-    { id: "PLDHCLXs2vTkLK-Y7lCVSM5aC3wBYzAcyw", label: "Neon Rewind" },
-    { id: "PLzRN-jh85ZxUe55BQvbT-7uhcYxUGlcED", label: "ROCK: 80s ARENA ANTHEMS" },
-    { id: "PLmXxqSJJq-yWTswOPWtZVTrs5ZAAjFB_j", label: "Going Underground" }
-  ],
-  "live": [
-    { id: "PLcIRQEExiw7ZD9SyyNvazIzYI8SkBM5LS", label: "" },
-    { id: "PLXUBfJihF4_AhFBKu5UR2rhX_wKm5L9BO", label: "" }
-  ],
-  "shows": [
-    { id: "PLjwvTaJGeSmQE2fDbYhkQY7zSB3k23cmh", label: "Celebrity Deathmatch - Nuggets" },
-    { id: "PLBPLVvU_jvGvwo0Fev5kEyrjDm4oXkhxG", label: "Celebrity Deathmatch - Nuggets" },
-    { id: "PLjwvTaJGeSmQfzhApDigzyCH0_Hu82fQf", label: "Cribs - Nuggets" },
-    { id: "PL0exW-53ug6JHCQnY654-iSGBPRqkSEww", label: "Cribs - Nuggets" },
-    { id: "PLA9_zFupTNzhk0O83A8dd1S9iKRcLh5dn", label: "Beavis and Butt-head - Nuggets" },
-    { id: "PL0exW-53ug6LfnmcO4MOPg07kZqjDmkZv", label: "Pimp My Ride - Nuggets" },
-    { id: "PLXUBfJihF4_BtodhxajQzb5Irkev4Yl3v", label: "Interviews" },
-    { id: "PLjwvTaJGeSmTR9x_r_wXZCrwRXiNjDmnA", label: "Jackass - Nuggets" },
-    { id: "PLjwvTaJGeSmTRxXrtO7ufnX28B3a4ojYk", label: "Punk'd - Full Episodes" },
-    { id: "PLXUBfJihF4_Bj6INx79to31FAo-Dm7R8m", label: "Punk'd - Full Episodes" },
-  ],
-  "noa": [
-    { id: "PLcIRQEExiw7aK3zIogUqYDQLi82XJvAiY", label: "30 Years of Noa" },
-    { id: "PLcIRQEExiw7YQ3A0rJpFfinqpa_3eGBBm", label: "BerliNoa" },
-    { id: "PLcIRQEExiw7YAWUtoixTBV5wAcLQzO8aa", label: "Noa Is Budapesting" },
-    { id: "PLcIRQEExiw7aDBTUm4yY6qxkOFccpdzgr", label: "Noa's Winter" },
-    { id: "PLcIRQEExiw7ZuW3rOAqqkKZfnZovAdauM", label: "NOA-LON-DON" },
-    { id: "PLcIRQEExiw7aQ2RBhOhL3tDOvDKtNSGO_", label: "Chip-Chop Noa" }
-  ],
-  "random": [] // Random channel - pulls from all music channels
-};
+const loadedEasterEggChannels = new Set(); // Easter-egg channels whose playlists have been loaded on demand
+
+// channelId -> YouTube playlists (API mode)
+const CHANNELS = Object.fromEntries(CHANNEL_LINEUP.map(channel => [channel.id, channel.playlists]));
+
+function getLineupChannel(channelId) {
+  return CHANNEL_LINEUP.find(channel => channel.id === channelId) || null;
+}
 
 // Special event config is now loaded from the database.
 // Use getSpecialEventConfig() to get the current active event.
@@ -331,9 +367,10 @@ async function fetchVideoYear(title, artist, song) {
   return null;
 }
 
-function shuffle(arr) {
+// Fisher-Yates shuffle (in place). Pass a seeded `random` for reproducible order.
+function shuffle(arr, random = Math.random) {
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
@@ -350,18 +387,21 @@ async function fetchPlaylistItems(playlistId, maxVideos = null, channel = null)
 
   // Fetch pages until no more nextPageToken or reached maxVideos limit
   do {
-    const url = `https://www.googleapis.com/youtube/v3/playlistItems?part=snippet&maxResults=50&playlistId=${playlistId}&key=${API_KEY}${nextPageToken ? `&pageToken=${nextPageToken}` : ''}`;
-
     try {
-      const res = await axios.get(url);
+      const data = await youtubeClient.request('playlistItems', {
+        part: 'snippet',
+        maxResults: 50,
+        playlistId,
+        pageToken: nextPageToken || undefined
+      });
 
       // Check if playlist is private or has no items
-      if (!res.data.items) {
+      if (!data.items) {
         console.warn(`  └─ Playlist ${playlistId} returned no items (may be private or deleted)`);
         break;
       }
 
-      const items = res.data.items || [];
+      const items = data.items || [];
 
       // Process videos from this page
       const videos = items
@@ -390,7 +430,7 @@ async function fetchPlaylistItems(playlistId, maxVideos = null, channel = null)
       }
 
       // Get next page token (will be undefined/null when no more pages)
-      nextPageToken = res.data.nextPageToken;
+      nextPageToken = data.nextPageToken;
 
       // Small delay to avoid rate limiting
       if (nextPageToken) {
@@ -398,13 +438,15 @@ async function fetchPlaylistItems(playlistId, maxVideos = null, channel = null)
       }
 
     } catch (error) {
-      // Handle 404 or 403 errors for private/deleted playlists
-      if (error.response && (error.response.status === 404 || error.response.status === 403)) {
-        console.warn(`  └─ Playlist ${playlistId} is private, deleted, or inaccessible (${error.response.status})`);
-      } else {
-        console.error(`  └─ Error fetching page ${pageCount + 1} of playlist ${playlistId}:`, error.message);
+      // Private/deleted playlists are genuinely empty
+      if (error instanceof youtubeClient.PrivateResourceError || error instanceof youtubeClient.NotFoundError) {
+        console.warn(`  └─ Playlist ${playlistId} is private, deleted, or inaccessible (${error.status})`);
+        return [];
       }
-      break; // Stop on error
+
+      // Anything else (quota, network, server errors after retries) - never hand back a partial playlist
+      console.error(`  └─ Error fetching page ${pageCount + 1} of playlist ${playlistId}:`, error.message);
+      throw error;
     }
   } while (nextPageToken); // Continue while there's a next page
 
@@ -413,8 +455,8 @@ async function fetchPlaylistItems(playlistId, maxVideos = null, channel = null)
 }
 
 function parseTitle(title, channel = null) {
-  // For Live channel or bumpers, never split the title
-  if (channel === 'live' || channel === 'bumper') {
+  // For channels that keep whole titles (Live) or bumpers, never split the title
+  if (channel === 'bumper' || getLineupChannel(channel)?.splitTitles === false) {
     return {
       title: title.trim()
     };
@@ -449,8 +491,8 @@ function parseDuration(isoDuration) {
   return hours * 3600 + minutes * 60 + seconds;
 }
 
-// Fetch video details including duration
-async function getVideoDurations(videoIds) {
+// Fetch video details including duration (priority 'optional' skips the calls when quota runs low)
+async function getVideoDurations(videoIds, priority = 'essential') {
   if (!API_KEY) {
     throw new Error('YOUTUBE_API_KEY not set');
   }
@@ -460,11 +502,9 @@ async function getVideoDurations(videoIds) {
   // YouTube API allows up to 50 video IDs per request
   for (let i = 0; i < videoIds.length; i += 50) {
     const batch = videoIds.slice(i, i + 50);
-    const url = `https://www.googleapis.com/youtube/v3/videos?part=contentDetails&id=${batch.join(',')}&key=${API_KEY}`;
-
     try {
-      const res = await axios.get(url);
-      const items = res.data.items || [];
+      const data = await youtubeClient.request('videos', { part: 'contentDetails', id: batch.join(',') }, { priority });
+      const items = data.items || [];
 
       items.forEach(item => {
         const duration = parseDuration(item.contentDetails.duration);
@@ -475,12 +515,92 @@ async function getVideoDurations(videoIds) {
       });
     } catch (error) {
       console.error('Error fetching video durations:', error.message);
+      if (error instanceof youtubeClient.QuotaExceededError) break;
     }
   }
 
   return results;
 }
 
+// Durations never change, so they are cached for the lifetime of the process
+const videoDurationCache = new Map(); // Map<videoId, seconds>
+
+/**
+ * Attach `duration` (seconds) to videos that lack one, fetching only uncached IDs from YouTube.
+ * Videos whose duration cannot be resolved keep `duration: null`.
+ */
+async function attachDurations(videos) {
+  const missingIds = [...new Set(
+    videos
+      .filter(v => !v.duration && !videoDurationCache.has(v.id))
+      .map(v => v.id)
+  )];
+
+  if (missingIds.length > 0 && API_KEY) {
+    // Unknown durations fall back to block-runtime defaults, so these calls are optional
+    const durations = await getVideoDurations(missingIds, 'optional');
+    durations.forEach(({ id, duration }) => videoDurationCache.set(id, duration));
+  }
+
+  return videos.map(v => ({
+    ...v,
+    duration: v.duration || videoDurationCache.get(v.id) || null
+  }));
+}
+
+/**
+ * Block runtime (seconds), bumper pattern and viewer history window for a channel.
+ * Database mode reads channels.block_minutes / bumper_pattern / history_minutes; otherwise defaults apply.
+ * @returns {Promise<{ targetSeconds: number, bumperPattern: Object, historyMinutes: number }>}
+ */
+async function getChannelProgramming(channel) {
+  let dbChannel = null;
+
+  if (USE_DATABASE) {
+    try {
+      const channels = await dbService.getAllChannels();
+      dbChannel = channels.find(c => c.id === channel) || null;
+    } catch (error) {
+      // Use defaults
+    }
+  }
+
+  let bumperPattern;
+  try {
+    bumperPattern = bumperPatterns.normalizePattern(dbChannel?.bumper_pattern || bumperPatterns.getDefaultPattern(channel));
+  } catch (error) {
+    console.error(`Invalid bumper pattern for channel ${channel}, using default:`, error.message);
+    bumperPattern = bumperPatterns.getDefaultPattern(channel);
+  }
+
+  return {
+    targetSeconds: (dbChannel?.block_minutes || blockRuntime.getDefaultBlockMinutes(channel)) * 60,
+    bumperPattern,
+    historyMinutes: dbChannel?.history_minutes || historyService.DEFAULT_HISTORY_MINUTES
+  };
+}
+
+/**
+ * Select and order videos for a block of the channel's target runtime.
+ * Candidates are interleaved by artist before selection, durations are resolved, and the
+ * selected videos are sequenced for artist separation, decade spread and repeat spacing.
+ * @param {Object[]} candidates - Shuffled videos (not mutated)
+ * @param {boolean} allowRepeats - Reuse videos only when the distinct ones can't fill the runtime
+ */
+async function selectBlockVideos(programming, candidates, bumperDurations, allowRepeats = true) {
+  const spread = blockSequencer.spreadCandidates(candidates);
+  const withDurations = await attachDurations(spread.slice(0, blockRuntime.MAX_BLOCK_CANDIDATES));
+
+  const selected = blockRuntime.selectVideosForRuntime(withDurations, {
+    targetSeconds: programming.targetSeconds,
+    countBumpers: videos => bumperPatterns.countBumpers(videos, programming.bumperPattern),
+    bumperSeconds: blockRuntime.averageDuration(bumperDurations),
+    allowRepeats
+  });
+
+  return blockSequencer.sequenceBlock(selected);
+}
+
 // Fetch and filter bumpers by duration
 async function fetchBumpers() {
   console.log('🎬 Fetching bumpers from playlists...');
@@ -513,6 +633,7 @@ async function fetchBumpers() {
     })
     .map(bumper => ({
       ...bumper,
+      duration: durationMap.get(bumper.id),
       isBumper: true,
       playlistId: 'bumpers'
     }));
@@ -522,16 +643,8 @@ async function fetchBumpers() {
   return filteredBumpers;
 }
 
-async function getPlaylistVideos(playlistId, maxVideos = null, timeout = null, channel = null) {
-  const now = Date.now();
-  const cached = playlistCache.get(playlistId);
-
-  // Return cached version if it exists and is still valid
-  if (cached && (now - cached.timestamp) < CACHE_DURATION) {
-    return cached.videos;
-  }
-
-  // Fetch with timeout
+// Fetch a playlist from YouTube, giving up after `timeout` ms
+async function fetchPlaylistWithTimeout(playlistId, maxVideos = null, timeout = null, channel = null) {
   const limitMsg = maxVideos ? ` (limit: ${maxVideos} videos)` : '';
   console.log(`Fetching videos from playlist: ${playlistId}${limitMsg}...`);
 
@@ -540,26 +653,44 @@ async function getPlaylistVideos(playlistId, maxVideos = null, timeout = null, c
   // Official playlists (unlimited): 60 seconds
   const actualTimeout = timeout || (maxVideos ? 15000 : 60000);
 
-  // Create timeout promise
+  // Create timeout promise (cleared once the fetch settles so it never holds the process open)
+  let timeoutId;
   const timeoutPromise = new Promise((_, reject) => {
-    setTimeout(() => reject(new Error(`Playlist fetch timeout after ${actualTimeout}ms`)), actualTimeout);
+    timeoutId = setTimeout(() => reject(new Error(`Playlist fetch timeout after ${actualTimeout}ms`)), actualTimeout);
   });
 
   try {
     // Race between fetch and timeout
-    const videos = await Promise.race([
+    return await Promise.race([
       fetchPlaylistItems(playlistId, maxVideos, channel),
       timeoutPromise
     ]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
 
-    // Cache even if empty (to avoid repeated failed fetches)
-    playlistCache.set(playlistId, { videos, timestamp: now });
-    return videos;
+async function getPlaylistVideos(playlistId, maxVideos = null, timeout = null, channel = null) {
+  try {
+    // Fresh copy as is. An expired copy is served while it's refetched in the background,
+    // and kept for another FAILED_FETCH_RETRY if that fails.
+    // Empty results are cached too (private/deleted playlists - avoids repeated fetches)
+    return await playlistStore.wrap(
+      playlistId,
+      () => fetchPlaylistWithTimeout(playlistId, maxVideos, timeout, channel),
+      { errorTtl: FAILED_FETCH_RETRY }
+    );
   } catch (error) {
     console.error(`Error fetching playlist ${playlistId}:`, error.message);
-    // Cache empty result to avoid repeated attempts
-    playlistCache.set(playlistId, { videos: [], timestamp: now });
-    return []; // Return empty array instead of throwing
+
+    // Out of quota with nothing cached: retry once quota allows
+    if (error instanceof youtubeClient.QuotaExceededError) {
+      return [];
+    }
+
+    // Nothing cached: serve nothing and try again after FAILED_FETCH_RETRY
+    await playlistStore.set(playlistId, [], { ttl: FAILED_FETCH_RETRY, staleTtl: 0 });
+    return []; // Return instead of throwing
   }
 }
 
@@ -746,11 +877,11 @@ async function getPlaylistName(playlistId) {
   }
 
   try {
-    const url = `https://www.googleapis.com/youtube/v3/playlists?part=snippet&id=${playlistId}&key=${API_KEY}`;
-    const response = await axios.get(url);
+    // Names are cosmetic (callers fall back to "Custom Playlist (id)"), so refused first when quota runs low
+    const data = await youtubeClient.request('playlists', { part: 'snippet', id: playlistId }, { priority: 'optional' });
 
-    if (response.data.items && response.data.items.length > 0) {
-      return response.data.items[0].snippet.title;
+    if (data.items && data.items.length > 0) {
+      return data.items[0].snippet.title;
     }
     return null;
   } catch (error) {
@@ -760,7 +891,7 @@ async function getPlaylistName(playlistId) {
 }
 
 // Create a programming block from a single playlist
-async function createProgrammingBlock(playlistObj, channel, excludeVideoIds = []) {
+async function createProgrammingBlock(playlistObj, channel, excludeVideoIds = [], random = Math.random) {
   const playlistId = playlistObj.id;
   const playlistLabel = playlistObj.label;
 
@@ -775,48 +906,26 @@ async function createProgrammingBlock(playlistObj, channel, excludeVideoIds = []
 
   // If we don't have enough videos after filtering, use all videos
   if (availableVideos.length === 0) {
-    // No available videos after filtering, using all videos
-    availableVideos = allVideos;
+    // No available videos after filtering, using all videos (copy - never shuffle the cache in place)
+    availableVideos = [...allVideos];
   }
 
   // Shuffle the available videos
-  shuffle(availableVideos);
-
-  // Determine block size based on channel type
-  let blockSize, bumperInterval;
-  if (channel === 'shows') {
-    blockSize = 3;
-    bumperInterval = 'shows'; // Special pattern: [v1, BUMPER, v2, v3, BUMPER]
-  } else if (channel === 'live') {
-    // Live channel uses random mixing, not blocks
-    blockSize = 12;
-    bumperInterval = 4; // Position-based pattern
-  } else {
-    // Music channels: rock, hiphop, 2000s, 1990s, 1980s, special, random
-    blockSize = 12;
-    bumperInterval = 4; // Position-based pattern
-  }
-
-  // Take the required number of videos
-  let blockVideos = availableVideos.slice(0, blockSize);
+  shuffle(availableVideos, random);
 
-  // If playlist is smaller than block size, repeat videos to fill the block
-  if (blockVideos.length < blockSize) {
-    // Playlist smaller than block size, repeating videos
-    while (blockVideos.length < blockSize) {
-      const needed = blockSize - blockVideos.length;
-      blockVideos = blockVideos.concat(availableVideos.slice(0, needed));
-    }
-  }
+  // Runtime target and bumper pattern are configured per channel
+  const programming = await getChannelProgramming(channel);
 
-  // Transform videos to include duration field (null for YouTube API mode)
-  blockVideos = blockVideos.map(v => ({
-    ...v,
-    duration: null
-  }));
+  // Fill the block up to the channel's target runtime and sequence it
+  // (videos repeat only if the playlist is too short, spaced as far apart as possible)
+  const blockVideos = await selectBlockVideos(
+    programming,
+    availableVideos,
+    (bumpersCache || []).map(b => b.duration)
+  );
 
   // Insert bumpers
-  const items = insertBumpersIntoBlock(blockVideos, bumperInterval);
+  const items = insertBumpersIntoBlock(blockVideos, bumpersCache, programming.bumperPattern, random);
 
   // Block created successfully
 
@@ -827,45 +936,24 @@ async function createProgrammingBlock(playlistObj, channel, excludeVideoIds = []
   };
 }
 
-// Insert bumpers into a block of videos
-function insertBumpersIntoBlock(videos, interval) {
-  if (!bumpersCache || bumpersCache.length === 0 || !interval) {
+/**
+ * Insert bumpers into a block of videos according to a bumper pattern.
+ * Used by both YouTube API mode (bumpersCache) and database mode (bumpers table).
+ * The pool is shuffled and cycled, so the same bumper never plays twice in a row when there is a choice.
+ */
+function insertBumpersIntoBlock(videos, bumpers, pattern, random = Math.random) {
+  if (!bumpers || bumpers.length === 0) {
     return videos;
   }
 
-  const result = [];
-  const shuffledBumpers = shuffle([...bumpersCache]);
+  const shuffledBumpers = shuffle([...bumpers], random);
   let bumperIndex = 0;
 
-  // Special pattern for shows channel: [v1, BUMPER, v2, v3, BUMPER]
-  if (interval === 'shows') {
-    result.push(videos[0]); // First video
-    result.push(shuffledBumpers[bumperIndex % shuffledBumpers.length]);
-    bumperIndex++;
-
-    result.push(videos[1]); // Second video
-    result.push(videos[2]); // Third video
-    result.push(shuffledBumpers[bumperIndex % shuffledBumpers.length]);
-
-    return result;
-  }
-
-  // Pattern for music/live channels: [v1, v2, BUMPER, v3-v6, BUMPER, v7-v10, BUMPER, v11-v12, BUMPER]
-  for (let i = 0; i < videos.length; i++) {
-    result.push(videos[i]);
-
-    // Insert bumper after positions 2, 6, 10, 12 (indices 1, 5, 9, 11)
-    if (i === 1 || i === 5 || i === 9 || i === 11) {
-      result.push(shuffledBumpers[bumperIndex % shuffledBumpers.length]);
-      bumperIndex++;
-    }
-  }
-
-  return result;
+  return bumperPatterns.applyPattern(videos, pattern, () => shuffledBumpers[bumperIndex++ % shuffledBumpers.length]);
 }
 
-// Get a random playlist for a channel (excluding certain playlists)
-function selectRandomPlaylist(channel, customPlaylistIds = [], excludePlaylistIds = [], preferCustom = false) {
+// Pick a playlist for a channel: dayparts decide what may air at airsAt, weights decide how often (excluding certain playlists)
+function selectRandomPlaylist(channel, customPlaylistIds = [], excludePlaylistIds = [], preferCustom = false, random = Math.random, airsAt = Date.now()) {
   const officialPlaylists = CHANNELS[channel] || [];
 
   // Build custom playlist objects with labels (will fetch from YouTube API)
@@ -873,8 +961,8 @@ function selectRandomPlaylist(channel, customPlaylistIds = [], excludePlaylistId
     .filter(isValidPlaylistId)
     .map(id => ({ id, label: null, isCustom: true })); // label will be fetched later
 
-  // Combine official and custom playlists
-  const allPlaylists = [...officialPlaylists, ...customPlaylists];
+  // Combine official and custom playlists, keeping only those whose dayparts cover airsAt
+  const allPlaylists = playlistRotation.filterOnAir([...officialPlaylists, ...customPlaylists], airsAt);
 
   if (allPlaylists.length === 0) {
     throw new Error(`No playlists available for channel: ${channel}`);
@@ -887,7 +975,7 @@ function selectRandomPlaylist(channel, customPlaylistIds = [], excludePlaylistId
   // If all playlists are excluded, reset and use all playlists
   if (availablePlaylists.length === 0) {
     // All playlists excluded, resetting
-    return allPlaylists[Math.floor(Math.random() * allPlaylists.length)];
+    return playlistRotation.pickWeighted(allPlaylists, random);
   }
 
   // Zig-zag pattern: prefer custom or official based on preferCustom flag
@@ -897,50 +985,50 @@ function selectRandomPlaylist(channel, customPlaylistIds = [], excludePlaylistId
     // Try to select from custom playlists first
     const availableCustom = availablePlaylists.filter(p => p.isCustom);
     if (availableCustom.length > 0) {
-      selectedPlaylist = availableCustom[Math.floor(Math.random() * availableCustom.length)];
+      selectedPlaylist = playlistRotation.pickWeighted(availableCustom, random);
       // Selected custom playlist
     } else {
       // No custom available, fall back to official
       const availableOfficial = availablePlaylists.filter(p => !p.isCustom);
-      selectedPlaylist = availableOfficial[Math.floor(Math.random() * availableOfficial.length)];
+      selectedPlaylist = playlistRotation.pickWeighted(availableOfficial, random);
       // No custom available, using official
     }
   } else if (customPlaylists.length > 0 && !preferCustom) {
     // Try to select from official playlists first
     const availableOfficial = availablePlaylists.filter(p => !p.isCustom);
     if (availableOfficial.length > 0) {
-      selectedPlaylist = availableOfficial[Math.floor(Math.random() * availableOfficial.length)];
+      selectedPlaylist = playlistRotation.pickWeighted(availableOfficial, random);
       // Selected official playlist
     } else {
       // No official available, fall back to custom
       const availableCustom = availablePlaylists.filter(p => p.isCustom);
-      selectedPlaylist = availableCustom[Math.floor(Math.random() * availableCustom.length)];
+      selectedPlaylist = playlistRotation.pickWeighted(availableCustom, random);
       // No official available, using custom
     }
   } else {
     // No custom playlists, just select randomly from available
-    selectedPlaylist = availablePlaylists[Math.floor(Math.random() * availablePlaylists.length)];
+    selectedPlaylist = playlistRotation.pickWeighted(availablePlaylists, random);
     // Selected playlist randomly
   }
   return selectedPlaylist;
 }
 
-// Get programming block for channel (RANDOM channel uses special mixing, all others use standard flow)
-async function getChannelBlock(channel, customPlaylistIds = [], excludePlaylistIds = [], excludeVideoIds = [], preferCustom = false) {
+// Get programming block for channel (random channels use special mixing, all others use standard flow)
+async function getChannelBlock(channel, customPlaylistIds = [], excludePlaylistIds = [], excludeVideoIds = [], preferCustom = false, random = Math.random, airsAt = Date.now()) {
   // Getting programming block for channel
 
-  // Special handling for RANDOM channel - completely shuffled from all channels
-  if (channel === 'random') {
-    return await getRandomChannelBlock(customPlaylistIds, excludeVideoIds);
+  // Special handling for random channels - completely shuffled from all feeding channels
+  if (getLineupChannel(channel)?.isRandom) {
+    return await getRandomChannelBlock(channel, customPlaylistIds, excludeVideoIds, random);
   }
 
   // Special handling for SPECIAL channel
   if (channel === 'special') {
-    return await getSpecialChannelBlock();
+    return await getSpecialChannelBlock(random);
   }
 
   // For all other channels (including live), select a random playlist and create a block
-  const selectedPlaylist = selectRandomPlaylist(channel, customPlaylistIds, excludePlaylistIds, preferCustom);
+  const selectedPlaylist = selectRandomPlaylist(channel, customPlaylistIds, excludePlaylistIds, preferCustom, random, airsAt);
 
   // If it's a custom playlist, fetch the YouTube playlist name
   if (selectedPlaylist.isCustom) {
@@ -949,11 +1037,11 @@ async function getChannelBlock(channel, customPlaylistIds = [], excludePlaylistI
   }
 
   // Create programming block from the selected playlist
-  return await createProgrammingBlock(selectedPlaylist, channel, excludeVideoIds);
+  return await createProgrammingBlock(selectedPlaylist, channel, excludeVideoIds, random);
 }
 
 // Special handler for SPECIAL channel
-async function getSpecialChannelBlock() {
+async function getSpecialChannelBlock(random = Math.random) {
   const specialConfig = USE_DATABASE
     ? await dbService.getActiveSpecialEvent()
     : null;
@@ -963,34 +1051,25 @@ async function getSpecialChannelBlock() {
   }
 
   // Pick a random playlist from the DB config
-  const playlist = specialConfig.playlists[Math.floor(Math.random() * specialConfig.playlists.length)];
+  const playlist = specialConfig.playlists[Math.floor(random() * specialConfig.playlists.length)];
 
   // Fetch videos from YouTube API (special channel always uses YouTube API for videos)
-  let allVideos = await getPlaylistVideos(playlist.id, null, null, 'special');
+  const cachedVideos = await getPlaylistVideos(playlist.id, null, null, 'special');
 
-  if (!allVideos || allVideos.length === 0) {
+  if (!cachedVideos || cachedVideos.length === 0) {
     throw new Error('No videos found for special channel');
   }
 
-  // Shuffle the videos
-  shuffle(allVideos);
-
-  // Take 12 videos (music channel block size)
-  const blockSize = 12;
-  let blockVideos = allVideos.slice(0, blockSize);
-
-  // If playlist is smaller than block size, repeat videos to fill the block
-  if (blockVideos.length < blockSize && allVideos.length > 0) {
-    while (blockVideos.length < blockSize) {
-      const needed = blockSize - blockVideos.length;
-      blockVideos = blockVideos.concat(allVideos.slice(0, needed));
-    }
-  }
+  // Shuffle a copy so the cached playlist order stays stable
+  const allVideos = shuffle([...cachedVideos], random);
+  const programming = await getChannelProgramming('special');
 
   let items;
 
   if (USE_DATABASE) {
     // Database mode: get bumpers from database
+    const allBumpers = await dbService.getAllBumpers();
+    const blockVideos = await selectBlockVideos(programming, allVideos, allBumpers.map(b => b.duration_seconds));
 
     // Convert videos to items format
     const videoItems = blockVideos.map(v => ({
@@ -999,18 +1078,23 @@ async function getSpecialChannelBlock() {
       artist: v.artist,
       song: v.song,
       year: v.year,
-      duration: null,
+      duration: v.duration,
       isLimited: true, // Special channel videos should be skipped if unavailable, not tracked
       isBumper: false,
       playlistId: playlist.id
     }));
 
     // Get bumpers from database
-    const bumpers = await dbService.getRandomBumpers(4);
-    items = insertBumpersIntoBlockFromDB(videoItems, bumpers, 4);
+    const bumpers = await dbService.getRandomBumpers(
+      bumperPatterns.countBumpers(videoItems, programming.bumperPattern),
+      random,
+      { specialEventId: specialConfig.id }
+    );
+    items = insertBumpersIntoBlock(videoItems, bumpers, programming.bumperPattern, random);
   } else {
     // YouTube API mode: use cached bumpers
-    items = insertBumpersIntoBlock(blockVideos, 4);
+    const blockVideos = await selectBlockVideos(programming, allVideos, (bumpersCache || []).map(b => b.duration));
+    items = insertBumpersIntoBlock(blockVideos, bumpersCache, programming.bumperPattern, random);
   }
 
   return {
@@ -1020,23 +1104,23 @@ async function getSpecialChannelBlock() {
   };
 }
 
-// Special handler for RANDOM channel - shuffles videos from ALL channels
-async function getRandomChannelBlock(customPlaylistIds = [], excludeVideoIds = []) {
-  // Collect all playlists from all channels (exclude noa)
-  const channelsToInclude = ['rock', 'hiphop', '2000s', '1990s', '1980s', 'live', 'shows'];
-  const allPlaylists = channelsToInclude.flatMap(ch => CHANNELS[ch] || []);
+// Special handler for random channels - shuffles videos from every channel with feedsRandom
+async function getRandomChannelBlock(channel, customPlaylistIds = [], excludeVideoIds = [], random = Math.random) {
+  const allPlaylists = CHANNEL_LINEUP
+    .filter(c => c.feedsRandom && c.id !== channel)
+    .flatMap(c => c.playlists);
 
   // Performance optimization: randomly select a subset of playlists instead of all
   // This drastically reduces API calls while maintaining variety
   const PLAYLISTS_TO_SAMPLE = 8; // Sample 12 random playlists from
   const VIDEOS_PER_PLAYLIST = 15; // Fetch 20 videos per playlist (12 × 20 = 240 videos to shuffle)
 
-  shuffle(allPlaylists);
+  shuffle(allPlaylists, random);
   const selectedPlaylists = allPlaylists.slice(0, PLAYLISTS_TO_SAMPLE);
 
   // Fetch videos from selected playlists
   const allPromises = selectedPlaylists.map(p =>
-    getPlaylistVideos(p.id, VIDEOS_PER_PLAYLIST, null, 'random').catch(error => {
+    getPlaylistVideos(p.id, VIDEOS_PER_PLAYLIST, null, channel).catch(error => {
       return [];
     })
   );
@@ -1047,7 +1131,7 @@ async function getRandomChannelBlock(customPlaylistIds = [], excludeVideoIds = [
       .filter(isValidPlaylistId)
       .map(async (pid) => {
         try {
-          const videos = await getPlaylistVideos(pid, 100, null, 'random');
+          const videos = await getPlaylistVideos(pid, 100, null, channel);
           // Fetch playlist name from YouTube API and attach to videos
           const playlistName = await getPlaylistName(pid);
           return videos.map(v => ({
@@ -1072,15 +1156,13 @@ async function getRandomChannelBlock(customPlaylistIds = [], excludeVideoIds = [
     availableVideos = allVideos;
   }
 
-  // Shuffle and take 12 videos
-  shuffle(availableVideos);
-  const blockVideos = availableVideos.slice(0, 12).map(v => ({
-    ...v,
-    duration: null
-  }));
+  // Shuffle and fill the block up to the target runtime
+  shuffle(availableVideos, random);
+  const programming = await getChannelProgramming(channel);
+  const blockVideos = await selectBlockVideos(programming, availableVideos, (bumpersCache || []).map(b => b.duration), false);
 
   // Insert bumpers
-  const items = insertBumpersIntoBlock(blockVideos, 4);
+  const items = insertBumpersIntoBlock(blockVideos, bumpersCache, programming.bumperPattern, random);
 
   return {
     playlistLabel: '', // Empty - no playlist label for random channel
@@ -1100,23 +1182,29 @@ async function getRandomChannelBlock(customPlaylistIds = [], excludeVideoIds = [
  * @param {string[]} excludePlaylistIds - Exclude these playlists
  * @param {string[]} excludeVideoIds - Exclude these videos
  * @param {boolean} preferCustom - Prefer custom playlists
+ * @param {Function|null} random - Seeded PRNG for reproducible blocks (linear broadcast); null = Math.random
  * @returns {Promise<VideoBlock>}
  */
-async function getChannelBlockWithFallback(channel, customPlaylistIds = [], excludePlaylistIds = [], excludeVideoIds = [], preferCustom = false) {
+async function getChannelBlockWithFallback(channel, customPlaylistIds = [], excludePlaylistIds = [], excludeVideoIds = [], preferCustom = false, random = null, airsAt = Date.now()) {
+  const rand = random || Math.random;
+  // Seed for SQL-side ordering; null keeps ORDER BY RANDOM()
+  const seed = random ? random().toString(36) : null;
+
   if (USE_DATABASE) {
     try {
       // Special handling for SPECIAL channel in database mode
       if (channel === 'special') {
         // Special channel always uses YouTube API, so fall back immediately
-        return await getChannelBlock(channel, customPlaylistIds, excludePlaylistIds, excludeVideoIds, preferCustom);
+        return await getChannelBlock(channel, customPlaylistIds, excludePlaylistIds, excludeVideoIds, preferCustom, rand, airsAt);
       }
 
-      // Special handling for RANDOM channel in database mode
-      if (channel === 'random') {
-        // Get all playlists from all channels (exclude noa)
-        const channelsToInclude = ['rock', 'hiphop', '2000s', '1990s', '1980s', 'live', 'shows'];
+      // Special handling for random channels in database mode
+      const dbChannels = await dbService.getAllChannels();
+      if (dbChannels.find(c => c.id === channel)?.is_random) {
+        // Get all playlists from every channel that feeds random channels
+        const feedingChannels = dbChannels.filter(c => c.feeds_random && c.id !== channel);
         const allDbPlaylistsArrays = await Promise.all(
-          channelsToInclude.map(ch => dbService.getAllPlaylistsForChannel(ch))
+          feedingChannels.map(c => dbService.getAllPlaylistsForChannel(c.id))
         );
         const allDbPlaylists = allDbPlaylistsArrays.flat();
 
@@ -1134,17 +1222,18 @@ async function getChannelBlockWithFallback(channel, customPlaylistIds = [], excl
         // Fetch LIMITED videos from each playlist to reduce memory/query load (50 per playlist)
         const videoPromises = allPlaylists.map(async playlist => {
           if (playlist.isCustom) {
-            // Custom playlist - fetch from YouTube API (limit 50)
-            const videos = await fetchPlaylistItems(playlist.id, 50, 'random');
+            // Custom playlist - fetch from YouTube API (limit 50); skipped if YouTube is unavailable
+            const videos = await fetchPlaylistItems(playlist.id, 50, channel).catch(() => []);
             return videos;
           } else {
             // DB playlist - fetch from database (limit 50)
-            const result = await dbService.getVideosByPlaylistId(playlist.id, 50, []);
+            const result = await dbService.getVideosByPlaylistId(playlist.id, 50, [], seed);
             return result.videos.map(v => ({
               id: v.id,
               title: v.title,
               artist: v.artist,
               song: v.song,
+              year: v.year,
               duration: v.duration_seconds
             }));
           }
@@ -1161,9 +1250,11 @@ async function getChannelBlockWithFallback(channel, customPlaylistIds = [], excl
           availableVideos = allVideos;
         }
 
-        // Shuffle and take 12 videos
-        shuffle(availableVideos);
-        const blockVideos = availableVideos.slice(0, 12);
+        // Shuffle and fill the block up to the target runtime
+        shuffle(availableVideos, rand);
+        const programming = await getChannelProgramming(channel);
+        const allBumpers = await dbService.getAllBumpers();
+        const blockVideos = await selectBlockVideos(programming, availableVideos, allBumpers.map(b => b.duration_seconds), false);
 
         // Convert to items format
         const items = blockVideos.map(v => ({
@@ -1171,6 +1262,7 @@ async function getChannelBlockWithFallback(channel, customPlaylistIds = [], excl
           title: v.title,
           artist: v.artist,
           song: v.song,
+          year: v.year,
           duration: v.duration,
           isLimited: false,
           isBumper: false,
@@ -1178,8 +1270,12 @@ async function getChannelBlockWithFallback(channel, customPlaylistIds = [], excl
         }));
 
         // Insert bumpers
-        const bumpers = await dbService.getRandomBumpers(4);
-        const itemsWithBumpers = insertBumpersIntoBlockFromDB(items, bumpers, 4);
+        const bumpers = await dbService.getRandomBumpers(
+          bumperPatterns.countBumpers(items, programming.bumperPattern),
+          rand,
+          { channelId: channel }
+        );
+        const itemsWithBumpers = insertBumpersIntoBlock(items, bumpers, programming.bumperPattern, rand);
 
         return {
           playlistLabel: '', // Empty for random channel
@@ -1196,8 +1292,8 @@ async function getChannelBlockWithFallback(channel, customPlaylistIds = [], excl
         .filter(isValidPlaylistId)
         .map(id => ({ id, isCustom: true }));
 
-      // Combine all playlists
-      const allPlaylists = [...dbPlaylists, ...customPlaylists];
+      // Combine all playlists, keeping only those whose dayparts cover airsAt
+      const allPlaylists = playlistRotation.filterOnAir([...dbPlaylists, ...customPlaylists], airsAt);
 
       if (allPlaylists.length === 0) {
         throw new Error(`No playlists available for channel: ${channel}`);
@@ -1213,29 +1309,31 @@ async function getChannelBlockWithFallback(channel, customPlaylistIds = [], excl
 
       if (customPlaylists.length === 0) {
         // No custom playlists, select randomly from DB playlists
-        selectedPlaylist = availableList[Math.floor(Math.random() * availableList.length)];
+        selectedPlaylist = playlistRotation.pickWeighted(availableList, rand);
       } else if (preferCustom) {
         // Prefer custom playlists (zig-zag pattern)
         const availableCustom = availableList.filter(p => p.isCustom);
         if (availableCustom.length > 0) {
-          selectedPlaylist = availableCustom[Math.floor(Math.random() * availableCustom.length)];
+          selectedPlaylist = playlistRotation.pickWeighted(availableCustom, rand);
         } else {
           const availableDB = availableList.filter(p => !p.isCustom);
-          selectedPlaylist = availableDB[Math.floor(Math.random() * availableDB.length)];
+          selectedPlaylist = playlistRotation.pickWeighted(availableDB, rand);
         }
       } else {
         // Default: prefer DB playlists (zig-zag pattern)
         const availableDB = availableList.filter(p => !p.isCustom);
         if (availableDB.length > 0) {
-          selectedPlaylist = availableDB[Math.floor(Math.random() * availableDB.length)];
+          selectedPlaylist = playlistRotation.pickWeighted(availableDB, rand);
         } else {
           const availableCustom = availableList.filter(p => p.isCustom);
-          selectedPlaylist = availableCustom[Math.floor(Math.random() * availableCustom.length)];
+          selectedPlaylist = playlistRotation.pickWeighted(availableCustom, rand);
         }
       }
 
-      // Determine block size
-      const blockSize = channel === 'shows' ? 3 : 12;
+      // Blocks are filled up to the channel's target runtime; bumpers count toward it
+      const programming = await getChannelProgramming(channel);
+      const allBumpers = await dbService.getAllBumpers();
+      const bumperDurations = allBumpers.map(b => b.duration_seconds);
       let items;
       let playlistLabel;
 
@@ -1255,24 +1353,16 @@ async function getChannelBlockWithFallback(channel, customPlaylistIds = [], excl
           availableVideos = videos;
         }
 
-        // Shuffle and take block size
-        shuffle(availableVideos);
-        let blockVideos = availableVideos.slice(0, blockSize);
-
-        // Repeat if needed
-        if (blockVideos.length < blockSize && availableVideos.length > 0) {
-          while (blockVideos.length < blockSize) {
-            const needed = blockSize - blockVideos.length;
-            blockVideos = blockVideos.concat(availableVideos.slice(0, needed));
-          }
-        }
+        // Shuffle and fill to the target runtime (repeat if the playlist is too short)
+        shuffle(availableVideos, rand);
+        const blockVideos = await selectBlockVideos(programming, availableVideos, bumperDurations);
 
         items = blockVideos.map(v => ({
           id: v.id,
           title: v.title,
           artist: v.artist,
           song: v.song,
-          duration: null,
+          duration: v.duration,
           isLimited: false,
           isBumper: false,
           playlistId: selectedPlaylist.id
@@ -1280,19 +1370,29 @@ async function getChannelBlockWithFallback(channel, customPlaylistIds = [], excl
 
       } else {
         // DB playlist - fetch from database
-        const result = await dbService.getVideosByPlaylistId(
+        let result = await dbService.getVideosByPlaylistId(
           selectedPlaylist.id,
-          blockSize,
-          excludeVideoIds
+          blockRuntime.MAX_BLOCK_CANDIDATES,
+          excludeVideoIds,
+          seed
         );
 
+        // Viewer has seen the whole playlist recently - allow repeats rather than an empty block
+        if (result.videos.length === 0 && excludeVideoIds.length > 0) {
+          result = await dbService.getVideosByPlaylistId(selectedPlaylist.id, blockRuntime.MAX_BLOCK_CANDIDATES, [], seed);
+        }
+
         playlistLabel = selectedPlaylist.name;
 
-        items = result.videos.map(v => ({
+        const candidates = result.videos.map(v => ({ ...v, duration: v.duration_seconds }));
+        const blockVideos = await selectBlockVideos(programming, candidates, bumperDurations, false);
+
+        items = blockVideos.map(v => ({
           id: v.id,
           title: v.title,
           artist: v.artist,
           song: v.song,
+          year: v.year,
           duration: v.duration_seconds,
           isLimited: v.is_limited,
           isBumper: false,
@@ -1301,9 +1401,12 @@ async function getChannelBlockWithFallback(channel, customPlaylistIds = [], excl
       }
 
       // Insert bumpers
-      const bumpers = await dbService.getRandomBumpers(10);
-      const bumperInterval = channel === 'shows' ? 'shows' : 4;
-      const itemsWithBumpers = insertBumpersIntoBlockFromDB(items, bumpers, bumperInterval);
+      const bumpers = await dbService.getRandomBumpers(
+        bumperPatterns.countBumpers(items, programming.bumperPattern),
+        rand,
+        { channelId: channel }
+      );
+      const itemsWithBumpers = insertBumpersIntoBlock(items, bumpers, programming.bumperPattern, rand);
 
       return {
         playlistLabel,
@@ -1318,59 +1421,46 @@ async function getChannelBlockWithFallback(channel, customPlaylistIds = [], excl
   }
 
   // Use existing YouTube API implementation
-  return await getChannelBlock(channel, customPlaylistIds, excludePlaylistIds, excludeVideoIds, preferCustom);
+  return await getChannelBlock(channel, customPlaylistIds, excludePlaylistIds, excludeVideoIds, preferCustom, rand, airsAt);
 }
 
-/**
- * Helper to insert bumpers from DB into video list
- */
-function insertBumpersIntoBlockFromDB(videos, bumpers, interval = 4) {
-  if (!bumpers || bumpers.length === 0) {
-    return videos;
-  }
-
-  const result = [];
-  let lastBumperIndex = -1;
-
-  // Helper to get a random bumper (avoiding consecutive duplicates)
-  const getRandomBumper = () => {
-    if (bumpers.length === 1) return bumpers[0];
-
-    let bumperIndex;
-    do {
-      bumperIndex = Math.floor(Math.random() * bumpers.length);
-    } while (bumperIndex === lastBumperIndex);
-
-    lastBumperIndex = bumperIndex;
-    return bumpers[bumperIndex];
-  };
+// Broadcast timelines are built from the same blocks viewers get on demand
+broadcastService.initialize({
+  buildBlock: (channel, { random, excludeVideoIds, excludePlaylistIds, startsAt }) =>
+    getChannelBlockWithFallback(channel, [], excludePlaylistIds, excludeVideoIds, false, random, startsAt)
+});
 
-  // Special pattern for shows channel: [v1, BUMPER, v2, v3, BUMPER]
-  if (interval === 'shows') {
-    result.push(videos[0]); // First video
-    result.push(getRandomBumper());
+// Special events only exist in database mode; `fresh` bypasses the 5-minute cache
+streamService.initialize({
+  loadSpecialEvent: USE_DATABASE
+    ? async (fresh) => {
+      if (fresh) await dbService.clearCache('special_event');
+      return dbService.getActiveSpecialEvent();
+    }
+    : null
+});
 
-    result.push(videos[1]); // Second video
-    result.push(videos[2]); // Third video
-    result.push(getRandomBumper());
+/**
+ * Build a block for a viewer, skipping what their history says they've seen recently.
+ * Client-sent exclusions (deprecated) are merged in so older clients keep working.
+ */
+async function getViewerBlock(viewerId, channel, customPlaylistIds, clientExcludePlaylistIds, clientExcludeVideoIds, preferCustom) {
+  const { historyMinutes } = await getChannelProgramming(channel);
+  const history = await historyService.getRecentHistory(viewerId, channel, historyMinutes);
 
-    return result;
-  }
+  // Server history first (most recent first), then client ids: the cap drops client ids before any history
+  const excludeVideoIds = [...new Set([...history.videoIds.reverse(), ...clientExcludeVideoIds])].slice(0, MAX_EXCLUDE_VIDEOS);
+  const excludePlaylistIds = [...new Set([...clientExcludePlaylistIds, ...history.playlistIds.reverse()])];
 
-  // Pattern for music/live channels: [v1, v2, BUMPER, v3-v6, BUMPER, v7-v10, BUMPER, v11-v12, BUMPER]
-  videos.forEach((video, index) => {
-    result.push(video);
+  const block = await getChannelBlockWithFallback(channel, customPlaylistIds, excludePlaylistIds, excludeVideoIds, preferCustom);
 
-    // Insert bumper after positions 2, 6, 10, 12 (indices 1, 5, 9, 11)
-    if (index === 1 || index === 5 || index === 9 || index === 11) {
-      result.push(getRandomBumper());
-    }
-  });
+  historyService.recordBlock(viewerId, channel, block)
+    .catch(error => console.error('Error recording viewer history:', error.message));
 
-  return result;
+  return block;
 }
 
-app.get('/api/channel/:id', async (req, res) => {
+app.get('/api/channel/:id', viewerSessionMiddleware, async (req, res) => {
   const channel = req.params.id;
   const customParam = req.query.custom || '';
   const customPlaylistIds = customParam.split(',').filter(Boolean);
@@ -1378,11 +1468,11 @@ app.get('/api/channel/:id', async (req, res) => {
   // Fetching programming block for channel
 
   try {
-    // Get a programming block (DB or YouTube API with fallback)
-    const block = await getChannelBlockWithFallback(channel, customPlaylistIds, [], []);
+    // Get a programming block (DB or YouTube API with fallback), deduped against the viewer's history
+    const block = await getViewerBlock(req.viewerId, channel, customPlaylistIds, [], [], false);
 
-    // Cache for 5 minutes on CDN (reduces backend load)
-    res.set('Cache-Control', 'public, max-age=300, s-maxage=300');
+    // Blocks are per viewer now - browser cache only, never shared caches
+    res.set('Cache-Control', 'private, max-age=300');
     res.json(block);
   } catch (e) {
     console.error('Error:', e.message);
@@ -1390,21 +1480,22 @@ app.get('/api/channel/:id', async (req, res) => {
   }
 });
 
-app.post('/api/channel/:id/next', async (req, res) => {
+app.post('/api/channel/:id/next', viewerSessionMiddleware, async (req, res) => {
   const channel = req.params.id;
+  // excludeIds / excludePlaylistIds are deprecated - the server tracks viewer history itself
   const { excludeIds, customPlaylistIds, excludePlaylistIds, preferCustom } = req.body;
 
   // Validate request body
-  const excludeVideoArray = Array.isArray(excludeIds) ? excludeIds : [];
+  const excludeVideoArray = Array.isArray(excludeIds) ? excludeIds.filter(id => typeof id === 'string') : [];
   const customArray = Array.isArray(customPlaylistIds) ? customPlaylistIds : [];
-  const excludePlaylistArray = Array.isArray(excludePlaylistIds) ? excludePlaylistIds : [];
+  const excludePlaylistArray = Array.isArray(excludePlaylistIds) ? excludePlaylistIds.map(String) : [];
   const preferCustomFlag = preferCustom === true;
 
   // Fetching next block
 
   try {
     // Get next programming block (DB or YouTube API with fallback)
-    const block = await getChannelBlockWithFallback(channel, customArray, excludePlaylistArray, excludeVideoArray, preferCustomFlag);
+    const block = await getViewerBlock(req.viewerId, channel, customArray, excludePlaylistArray, excludeVideoArray, preferCustomFlag);
 
     res.json(block);
   } catch (e) {
@@ -1413,68 +1504,210 @@ app.post('/api/channel/:id/next', async (req, res) => {
   }
 });
 
+// Linear broadcast - what is airing on a channel right now, and at what offset
+app.get('/api/channel/:id/now', async (req, res) => {
+  const channel = req.params.id;
+
+  try {
+    const nowPlaying = await broadcastService.getNowPlaying(channel);
+
+    res.set('Cache-Control', 'no-cache');
+    res.json(nowPlaying);
+  } catch (e) {
+    console.error('Error:', e.message);
+    res.status(404).json({ error: e.message });
+  }
+});
+
+// Server-Sent Events stream of the channel's broadcast (block-start, track-change, bumper, special-event)
+app.get('/api/channel/:id/events', async (req, res) => {
+  const channel = req.params.id;
+
+  try {
+    await streamService.subscribe(channel, req, res);
+  } catch (e) {
+    console.error('Error:', e.message);
+    if (!res.headersSent) {
+      res.status(404).json({ error: e.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// ============================================
+// ELECTRONIC PROGRAM GUIDE
+// ============================================
+
+/**
+ * Channels shown in the guide. Easter-egg channels are skipped unless listed in `unlockedIds`;
+ * the special channel is included while an event is active.
+ */
+async function getGuideChannels(unlockedIds = []) {
+  let channels;
+
+  if (USE_DATABASE) {
+    const dbChannels = await dbService.getAllChannels();
+    channels = dbChannels.map(c => ({ id: c.id, name: c.name, icon: c.icon, isEasterEgg: c.is_easter_egg }));
+
+    const specialEvent = await dbService.getActiveSpecialEvent();
+    if (specialEvent) {
+      channels.push({ id: 'special', name: specialEvent.label, icon: specialEvent.icon1, isEasterEgg: false });
+    }
+  } else {
+    channels = CHANNEL_LINEUP.map(c => ({ id: c.id, name: c.name, icon: c.icon, isEasterEgg: Boolean(c.isEasterEgg) }));
+  }
+
+  return channels.filter(c => !c.isEasterEgg || unlockedIds.includes(c.id));
+}
+
+function parseGuideQuery(query) {
+  return {
+    hours: parseInt(query.hours, 10) || epgService.DEFAULT_GUIDE_HOURS,
+    unlockedIds: (query.unlocked || '').split(',').filter(Boolean)
+  };
+}
+
+// EPG as JSON: GET /api/epg?hours=6&unlocked=noa
+app.get('/api/epg', async (req, res) => {
+  const { hours, unlockedIds } = parseGuideQuery(req.query);
+
+  try {
+    const channels = await getGuideChannels(unlockedIds);
+    const guide = await epgService.buildGuide(channels, Date.now(), hours);
+
+    res.set('Cache-Control', 'public, max-age=300, s-maxage=300');
+    res.json(guide);
+  } catch (error) {
+    console.error('Error building EPG:', error.message);
+    res.status(500).json({ error: 'Failed to build program guide' });
+  }
+});
+
+// EPG as XMLTV for set-top and IPTV clients
+app.get('/api/epg/xmltv', async (req, res) => {
+  const { hours, unlockedIds } = parseGuideQuery(req.query);
+
+  try {
+    const channels = await getGuideChannels(unlockedIds);
+    const guide = await epgService.buildGuide(channels, Date.now(), hours);
+
+    res.set('Cache-Control', 'public, max-age=300, s-maxage=300');
+    res.type('application/xml').send(epgService.toXmltv(guide));
+  } catch (error) {
+    console.error('Error building XMLTV guide:', error.message);
+    res.status(500).json({ error: 'Failed to build program guide' });
+  }
+});
+
 app.get('/health', (req, res) => {
   res.set('Cache-Control', 'no-cache');
   res.json({ status: 'OK', message: 'NMTV backend is running' });
 });
 
-// Flag a video (mark as is_flagged = true)
-app.post('/api/videos/:videoId/flag', async (req, res) => {
+// Reporters (distinct IP addresses with pending reports) needed before a video is flagged without review
+const FLAG_REPORT_THRESHOLD = parseInt(process.env.FLAG_REPORT_THRESHOLD, 10) || 3;
+
+// Report a problem with a video (body: { reason?, comment? } - reason defaults to other).
+// Reports wait for a moderator; the video is flagged once reports come from FLAG_REPORT_THRESHOLD
+// IP addresses (viewer ids are client-chosen, so they only dedupe).
+app.post('/api/videos/:videoId/flag', viewerSessionMiddleware, audit('video.flag', { type: 'video', id: param('videoId') }), async (req, res) => {
   try {
     const { videoId } = req.params;
+    const { reason = 'other', comment } = req.body || {};
 
     if (!videoId) {
       return res.status(400).json({ error: 'Video ID is required' });
     }
+    if (!dbService.FLAG_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of: ${dbService.FLAG_REASONS.join(', ')}` });
+    }
+    if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > 500)) {
+      return res.status(400).json({ error: 'comment must be a string of at most 500 characters' });
+    }
 
     if (!USE_DATABASE) {
       // In non-database mode, just return success (no-op)
       return res.json({
         success: true,
-        message: 'Video flagged (memory only - not persisted)',
+        message: 'Report received (memory only - not persisted)',
         videoId
       });
     }
 
-    await dbService.flagVideo(videoId);
+    const report = await dbService.addFlagReport(videoId, {
+      viewerId: req.viewerId,
+      reporterIp: req.ip || null,
+      reason,
+      comment: comment?.trim() || null,
+      threshold: FLAG_REPORT_THRESHOLD
+    });
+    // Once flagged, take it off every channel's timeline
+    if (report.flagged) broadcastService.invalidate();
 
     res.json({
       success: true,
-      message: 'Video flagged successfully',
-      videoId
+      message: report.duplicate ? 'You have already reported this video' : 'Report received',
+      videoId,
+      reason,
+      duplicate: report.duplicate,
+      flagged: report.flagged
     });
   } catch (error) {
-    console.error('Error flagging video:', error);
-    res.status(500).json({ error: 'Failed to flag video' });
+    console.error('Error reporting video:', error.message);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to report video' });
   }
 });
 
-// Mark a video as unavailable (set is_available = false)
-app.post('/api/videos/:videoId/unavailable', async (req, res) => {
+// Report that a video failed to play (body: { errorCode? } - the YouTube player error).
+// Stored per report with the reporter (viewer id and IP) and country; a reporter's repeat reports of
+// a video within a day are ignored. See UNAVAILABILITY_TRACKING.md for what flags a video.
+app.post('/api/videos/:videoId/unavailable', unavailableLimiter, viewerSessionMiddleware, audit('video.unavailable', { type: 'video', id: param('videoId') }), async (req, res) => {
   try {
+    const { videoId } = req.params;
+    const { errorCode: rawErrorCode } = req.body || {};
+
+    if (!videoId) {
+      return res.status(400).json({ error: 'Video ID is required' });
+    }
+
+    const errorCode = rawErrorCode === undefined || rawErrorCode === null || rawErrorCode === '' ? null : Number(rawErrorCode);
+    if (errorCode !== null && !dbService.UNAVAILABLE_ERROR_CODES.includes(errorCode)) {
+      return res.status(400).json({ error: `errorCode must be one of: ${dbService.UNAVAILABLE_ERROR_CODES.join(', ')}` });
+    }
+
     if (!USE_DATABASE) {
       // In non-database mode, just return success (no-op)
       return res.json({
         success: true,
         message: 'Video marked as unavailable (memory only)',
-        videoId: req.params.videoId
+        videoId
       });
     }
 
-    const { videoId } = req.params;
-    const { errorCode } = req.body; // Get error code from request body
-
-    if (!videoId) {
-      return res.status(400).json({ error: 'Video ID is required' });
-    }
-
-    const result = await dbService.markVideoUnavailable(videoId, errorCode);
+    const country = getViewerCountry(req);
+    const result = await dbService.markVideoUnavailable(videoId, {
+      viewerId: req.viewerId,
+      reporterIp: req.ip || null,
+      errorCode,
+      country
+    });
+    // Rebuild the timelines once this report takes the video off air or marks it limited
+    if (result?.autoFlagged || result?.autoLimited) broadcastService.invalidate();
 
     res.json({
       success: true,
-      message: 'Video unavailability tracked',
+      message: result ? 'Video unavailability tracked' : 'Video not in database - not tracked',
       videoId,
-      errorCode: errorCode || null
+      errorCode,
+      country,
+      tracked: result !== null,
+      duplicate: result?.duplicate ?? false,
+      flagged: result?.flagged ?? false,
+      isLimited: result?.isLimited ?? false
     });
   } catch (error) {
     console.error('Error marking video unavailable:', error);
@@ -1496,6 +1729,7 @@ app.get('/api/ready', async (req, res) => {
         bumpersLoaded: true,
         bumpersCount: 0,
         loadingTime: 0,
+        easterEggChannelsReady: true,
         noaChannelReady: true,
         specialEvent: await dbService.getActiveSpecialEvent() || { enabled: false }
       });
@@ -1509,17 +1743,18 @@ app.get('/api/ready', async (req, res) => {
   }
 
   // YouTube API mode: check if playlists are cached
-  const cacheSize = playlistCache.size;
+  const cacheSize = await playlistStore.size();
   const bumpersLoaded = bumpersCache !== null && bumpersCache.length > 0;
   const ready = isDataReady && cacheSize > 0 && bumpersLoaded;
 
-  // Calculate total unique playlists (excluding NOA which loads on demand)
+  // Calculate total unique playlists (excluding easter-egg channels, which load on demand)
   const allPlaylistIds = new Set();
-  for (const [channel, playlists] of Object.entries(CHANNELS)) {
-    if (channel === 'noa') continue; // Skip NOA
-    playlists.forEach(p => allPlaylistIds.add(p.id));
+  for (const channel of CHANNEL_LINEUP) {
+    if (channel.isEasterEgg) continue;
+    channel.playlists.forEach(p => allPlaylistIds.add(p.id));
   }
   const totalPlaylists = allPlaylistIds.size;
+  const easterEggChannelsReady = CHANNEL_LINEUP.every(c => !c.isEasterEgg || loadedEasterEggChannels.has(c.id));
 
   res.json({
     ready,
@@ -1529,32 +1764,32 @@ app.get('/api/ready', async (req, res) => {
     bumpersLoaded,
     bumpersCount: bumpersCache?.length || 0,
     loadingTime: dataLoadingStartTime ? Date.now() - dataLoadingStartTime : 0,
-    noaChannelReady: isNoaChannelReady,
+    easterEggChannelsReady,
+    noaChannelReady: easterEggChannelsReady, // Older clients
     specialEvent: { enabled: false }
   });
 });
 
-// Load NOA channel endpoint - loads NOA channel playlists on demand
-app.post('/api/channel/noa/load', async (req, res) => {
-  // If already loaded, return immediately
-  if (isNoaChannelReady) {
-    return res.json({ success: true, message: 'NOA channel already loaded' });
+// Load an easter-egg channel's playlists on demand (YouTube API mode; e.g. POST /api/channel/noa/load)
+app.post('/api/channel/:channelId/load', async (req, res) => {
+  const { channelId } = req.params;
+
+  // Database mode: playlists come from the database, nothing to load
+  if (USE_DATABASE || loadedEasterEggChannels.has(channelId)) {
+    return res.json({ success: true, message: `${channelId} channel already loaded` });
+  }
+
+  const lineupChannel = getLineupChannel(channelId);
+  if (!lineupChannel?.isEasterEgg) {
+    return res.status(404).json({ error: `Easter-egg channel not found: ${channelId}` });
   }
 
   try {
-    const noaPlaylists = CHANNELS['noa'];
-    if (!noaPlaylists) {
-      return res.status(404).json({ error: 'NOA channel not configured' });
-    }
-
-    // Fetch all NOA playlists in parallel
-    const fetchPromises = noaPlaylists.map(p =>
-      fetchPlaylistItems(p.id, null, 'noa')
-        .then(videos => {
-          playlistCache.set(p.id, {
-            videos: videos,
-            timestamp: Date.now()
-          });
+    // Fetch all of the channel's playlists in parallel
+    const fetchPromises = lineupChannel.playlists.map(p =>
+      fetchPlaylistItems(p.id, null, channelId)
+        .then(async videos => {
+          await playlistStore.set(p.id, videos);
           console.log(`  ✓ Cached ${videos.length} videos from playlist: ${p.label}`);
           return videos.length;
         })
@@ -1567,16 +1802,16 @@ app.post('/api/channel/noa/load', async (req, res) => {
     const results = await Promise.all(fetchPromises);
     const totalVideos = results.reduce((sum, count) => sum + count, 0);
 
-    isNoaChannelReady = true;
+    loadedEasterEggChannels.add(channelId);
 
     res.json({
       success: true,
-      message: 'NOA channel loaded successfully',
+      message: `${lineupChannel.name} channel loaded successfully`,
       totalVideos: totalVideos
     });
   } catch (error) {
-    console.error('Error loading NOA channel:', error);
-    res.status(500).json({ error: 'Failed to load NOA channel' });
+    console.error(`Error loading ${channelId} channel:`, error);
+    res.status(500).json({ error: `Failed to load ${channelId} channel` });
   }
 });
 
@@ -1594,20 +1829,22 @@ app.get('/api/validate-playlist/:playlistId', validationLimiter, async (req, res
 
   try {
     // Fetch playlist metadata to get video count and title
-    const url = `https://www.googleapis.com/youtube/v3/playlists?part=contentDetails,snippet&id=${playlistId}&key=${API_KEY}`;
-    const response = await axios.get(url);
+    const data = await youtubeClient.request('playlists', { part: 'contentDetails,snippet', id: playlistId }, { priority: 'optional' });
 
-    if (!response.data.items || response.data.items.length === 0) {
+    if (!data.items || data.items.length === 0) {
       return res.status(404).json({ error: 'Playlist not found or is private' });
     }
 
-    const playlist = response.data.items[0];
+    const playlist = data.items[0];
     const videoCount = playlist.contentDetails.itemCount;
     const playlistName = playlist.snippet.title;
 
     res.json({ videoCount, playlistName });
   } catch (error) {
     console.error('Error validating playlist:', error.message);
+    if (error instanceof youtubeClient.QuotaExceededError) {
+      return res.status(503).json({ error: 'Playlist validation is temporarily unavailable, please try again later' });
+    }
     res.status(500).json({ error: 'Failed to validate playlist' });
   }
 });
@@ -1621,10 +1858,10 @@ async function preFetchAllPlaylists() {
   const allPlaylistsByChannel = [];
   const fetchedPlaylistIds = new Set();
 
-  // Collect all unique playlist IDs with their channel (excluding NOA - loaded on demand)
-  for (const [channel, playlists] of Object.entries(CHANNELS)) {
-    // Skip NOA channel - it will be loaded on demand when user unlocks it
-    if (channel === 'noa') {
+  // Collect all unique playlist IDs with their channel (excluding easter eggs - loaded on demand)
+  for (const { id: channel, isEasterEgg, playlists } of CHANNEL_LINEUP) {
+    // Skip easter-egg channels - they are loaded when a viewer unlocks them
+    if (isEasterEgg) {
       continue;
     }
 
@@ -1672,231 +1909,1537 @@ async function preFetchAllPlaylists() {
     await Promise.all(batch.map(fetchPlaylist));
   }
 
-  console.log(`\n✅ Cache complete: ${successCount}/${allPlaylistsByChannel.length} playlists, ${totalVideos} total videos`);
-
-  // Fetch and cache bumpers
+  console.log(`\n✅ Cache complete: ${successCount}/${allPlaylistsByChannel.length} playlists, ${totalVideos} total videos`);
+
+  // Fetch and cache bumpers
+  try {
+    bumpersCache = await fetchBumpers();
+  } catch (e) {
+    bumpersCache = []; // Set to empty array so app doesn't crash
+  }
+
+  // Mark data as ready
+  isDataReady = true;
+  const loadTime = ((Date.now() - dataLoadingStartTime) / 1000).toFixed(2);
+}
+
+// ============================================
+// SCHEDULED PLAYLIST REFRESH
+// ============================================
+
+// Playlists kept warm: every channel's in API mode (easter eggs once unlocked), the active special event's in DB mode
+async function listRefreshablePlaylists() {
+  if (USE_DATABASE) {
+    const event = await dbService.getActiveSpecialEvent();
+    return (event?.playlists || []).map(p => ({ playlistId: p.id, channel: 'special' }));
+  }
+
+  const playlists = [];
+  for (const { id: channel, isEasterEgg, playlists: channelPlaylists } of CHANNEL_LINEUP) {
+    if (isEasterEgg && !loadedEasterEggChannels.has(channel)) continue;
+    channelPlaylists.forEach(p => playlists.push({ playlistId: p.id, channel }));
+  }
+  return playlists;
+}
+
+// Refreshes replace the cached copy only on success, so a failure keeps serving the old one
+playlistRefresh.initialize({
+  listPlaylists: listRefreshablePlaylists,
+  getExpiry: async (playlistId) => (await playlistStore.peek(playlistId))?.expiresAt ?? null,
+  refreshPlaylist: async (playlistId, channel) => {
+    const videos = await fetchPlaylistWithTimeout(playlistId, null, null, channel);
+    await playlistStore.set(playlistId, videos);
+    return videos;
+  },
+  canRefresh: () => youtubeClient.canSpend('optional')
+});
+
+// IMVDb API endpoint to get video release year
+app.get('/api/video/year', async (req, res) => {
+  const { title, videoId, artist, song } = req.query;
+
+  if (!title && !(artist && song)) {
+    return res.status(400).json({ error: 'Title parameter is required' });
+  }
+
+  try {
+    const year = await fetchVideoYear(title || `${artist} ${song}`, artist, song);
+
+    if (year) {
+      // Respond immediately, persist to DB in background
+      res.json({ year });
+      if (videoId && USE_DATABASE) {
+        dbService.updateVideoYear(videoId, year).catch(() => {});
+      }
+      return;
+    }
+
+    return res.json({ year: null });
+  } catch (error) {
+    return res.json({ year: null });
+  }
+});
+
+// ============================================
+// ADMIN AUTHENTICATION ROUTES
+// ============================================
+
+// Login endpoint - verify username / password and set session cookie
+// (body: { username?, password } - no username signs in the ADMIN_PASSWORD owner)
+app.post('/api/admin/login', audit('admin.login', { type: 'admin_user', id: signedIn }), async (req, res) => {
+  const { username, password } = req.body;
+
+  if (!password || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Password is required' });
+  }
+  if (username !== undefined && typeof username !== 'string') {
+    return res.status(400).json({ error: 'username must be a string' });
+  }
+
+  try {
+    const session = await adminAuth.login(username, password);
+    if (!session) {
+      return res.status(401).json({ error: username ? 'Invalid username or password' : 'Invalid password' });
+    }
+
+    req.adminUser = session.user; // Audited as the user who signed in
+    setAdminSessionCookie(res, session.token, adminAuth.SESSION_DURATION);
+    res.json({ success: true, message: 'Login successful', user: session.user });
+  } catch (error) {
+    console.error('Error logging in:', error.message);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Logout endpoint - revoke the session and clear its cookie
+app.post('/api/admin/logout', audit('admin.logout', { type: 'admin_user', id: signedIn }), async (req, res) => {
+  try {
+    req.adminUser = (await adminAuth.getSession(req.cookies.adminSession))?.user; // Audited as the user signing out
+    await adminAuth.logout(req.cookies.adminSession);
+  } catch (error) {
+    console.error('Error revoking admin session:', error.message);
+  }
+
+  setAdminSessionCookie(res, '', 0);
+  res.json({ success: true });
+});
+
+// Session check endpoint - verify if session is valid, and whose it is
+app.get('/api/admin/session', async (req, res) => {
+  let session = null;
+  try {
+    session = await adminAuth.getSession(req.cookies.adminSession);
+  } catch (error) {
+    console.error('Error checking admin session:', error.message);
+  }
+
+  if (!session) {
+    return res.status(401).json({ valid: false, error: 'Session invalid or expired' });
+  }
+
+  res.json({
+    valid: true,
+    expiresAt: session.expiresAt,
+    user: { ...session.user, permissions: adminAuth.ROLE_PERMISSIONS[session.user.role] }
+  });
+});
+
+// ============================================
+// ADMIN USERS
+// ============================================
+
+// Map admin user errors: unknown ids 404, conflicts 409, invalid fields 400
+function sendAdminUserError(res, error, fallback) {
+  console.error(`${fallback}:`, error.message);
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('already exists') || error.message.includes('last owner')) {
+    return res.status(409).json({ error: error.message });
+  }
+  if (/^(username|role|password) /.test(error.message) || error.message.includes('incorrect') || error.message.includes('ADMIN_PASSWORD')) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: fallback });
+}
+
+// Every admin account (owners only)
+app.get('/api/admin/users', requireAdmin('system'), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  try {
+    res.json(await dbService.getAdminUsers());
+  } catch (error) {
+    sendAdminUserError(res, error, 'Failed to list admin users');
+  }
+});
+
+// Create an admin account (body: { username, password, role })
+app.post('/api/admin/users', requireAdmin('system'), audit('admin_user.create', { type: 'admin_user', id: (req, body) => body?.user?.id }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  try {
+    const user = await adminAuth.createUser(req.body);
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    sendAdminUserError(res, error, 'Failed to create admin user');
+  }
+});
+
+// Change an admin account's role and/or password (body: { role?, password? } - a new password signs the user out)
+app.put('/api/admin/users/:userId', requireAdmin('system'), audit('admin_user.update', { type: 'admin_user', id: param('userId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { role, password } = req.body;
+
+  if (!/^\d+$/.test(req.params.userId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+  if (role === undefined && password === undefined) {
+    return res.status(400).json({ error: 'Provide role and/or password' });
+  }
+
+  try {
+    const user = await adminAuth.updateUser(parseInt(req.params.userId), { role, password });
+    res.json({ success: true, user });
+  } catch (error) {
+    sendAdminUserError(res, error, 'Failed to update admin user');
+  }
+});
+
+// Delete an admin account and its sessions
+app.delete('/api/admin/users/:userId', requireAdmin('system'), audit('admin_user.delete', { type: 'admin_user', id: param('userId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+  if (!/^\d+$/.test(req.params.userId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  try {
+    const deleted = await dbService.deleteAdminUser(parseInt(req.params.userId));
+    res.json({ success: true, deleted });
+  } catch (error) {
+    sendAdminUserError(res, error, 'Failed to delete admin user');
+  }
+});
+
+// Change your own password (body: { currentPassword, newPassword } - signs you out everywhere)
+app.put('/api/admin/account/password', requireAdmin('read'), audit('admin_user.password', { type: 'admin_user', id: req => req.adminUser.id }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    await adminAuth.changeOwnPassword(req.adminUser, currentPassword, newPassword);
+    setAdminSessionCookie(res, '', 0);
+    res.json({ success: true });
+  } catch (error) {
+    sendAdminUserError(res, error, 'Failed to change password');
+  }
+});
+
+// ============================================
+// FLAG REVIEW (ADMIN)
+// ============================================
+
+const FLAG_REPORT_STATUSES = ['pending', 'approved', 'dismissed'];
+
+// Map flag review errors: unknown videos 404, nothing to review 409
+function sendFlagReviewError(res, error, fallback) {
+  console.error(`${fallback}:`, error.message);
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('no pending reports')) {
+    return res.status(409).json({ error: error.message });
+  }
+  res.status(500).json({ error: fallback });
+}
+
+// Reported videos, most reported first (?status=pending (the review queue)|approved|dismissed, ?page=, ?pageSize=)
+app.get('/api/admin/flag-reports', requireAdmin('read'), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { status = 'pending' } = req.query;
+  if (!FLAG_REPORT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${FLAG_REPORT_STATUSES.join(', ')}` });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize) || 50));
+
+  try {
+    const { videos, totalItems } = await dbService.getFlagReportQueue({ status }, { limit: pageSize, offset: (page - 1) * pageSize });
+    res.set('Cache-Control', 'no-cache');
+    res.json({
+      status,
+      threshold: FLAG_REPORT_THRESHOLD,
+      reasons: dbService.FLAG_REASONS,
+      page,
+      pageSize,
+      totalPages: Math.ceil(totalItems / pageSize),
+      totalItems,
+      videos
+    });
+  } catch (error) {
+    sendFlagReviewError(res, error, 'Failed to list flag reports');
+  }
+});
+
+// A video's flag state and every report about it
+app.get('/api/admin/flag-reports/:videoId', requireAdmin('read'), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  try {
+    res.json(await dbService.getVideoFlagReports(req.params.videoId));
+  } catch (error) {
+    sendFlagReviewError(res, error, 'Failed to fetch flag reports');
+  }
+});
+
+// Uphold a video's pending reports: the video is flagged (out of playback)
+app.post('/api/admin/flag-reports/:videoId/approve', requireAdmin('playlists'), audit('video.flag_approve', { type: 'video', id: param('videoId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  try {
+    const review = await dbService.reviewFlagReports(req.params.videoId, 'approved', { reviewedBy: req.adminUser.username });
+    broadcastService.invalidate();
+    res.json({ success: true, ...review });
+  } catch (error) {
+    sendFlagReviewError(res, error, 'Failed to approve flag reports');
+  }
+});
+
+// Reject a video's pending reports: a video the reports had flagged goes back on air
+app.post('/api/admin/flag-reports/:videoId/dismiss', requireAdmin('playlists'), audit('video.flag_dismiss', { type: 'video', id: param('videoId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  try {
+    const review = await dbService.reviewFlagReports(req.params.videoId, 'dismissed', { reviewedBy: req.adminUser.username });
+    broadcastService.invalidate();
+    res.json({ success: true, ...review });
+  } catch (error) {
+    sendFlagReviewError(res, error, 'Failed to dismiss flag reports');
+  }
+});
+
+// Put a flagged video back on air, whatever flagged it (pending reports are dismissed)
+app.post('/api/admin/videos/:videoId/unflag', requireAdmin('playlists'), audit('video.unflag', { type: 'video', id: param('videoId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { videoId } = req.params;
+
+  try {
+    const { reviewed } = await dbService.reviewFlagReports(videoId, 'dismissed', { reviewedBy: req.adminUser.username, requirePending: false });
+    await dbService.unflagVideo(videoId);
+    broadcastService.invalidate();
+    res.json({ success: true, youtubeVideoId: videoId, dismissedReports: reviewed, isFlagged: false });
+  } catch (error) {
+    sendFlagReviewError(res, error, 'Failed to unflag video');
+  }
+});
+
+// ============================================
+// UNAVAILABILITY (ADMIN)
+// ============================================
+
+// ?days= (1-90, default 30): how far back unavailability reports are counted
+function parseUnavailabilityDays(value) {
+  if (value === undefined) return dbService.UNAVAILABLE_WINDOW_DAYS;
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 1 && days <= 90 ? days : null;
+}
+
+// Videos reported unavailable, most reported first, counted per error code and country
+// (?days=, ?errorCode=, ?country=, ?page=, ?pageSize=)
+app.get('/api/admin/unavailability', requireAdmin('read'), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const days = parseUnavailabilityDays(req.query.days);
+  if (days === null) {
+    return res.status(400).json({ error: 'days must be a whole number from 1 to 90' });
+  }
+  const errorCode = req.query.errorCode === undefined ? null : Number(req.query.errorCode);
+  if (errorCode !== null && !dbService.UNAVAILABLE_ERROR_CODES.includes(errorCode)) {
+    return res.status(400).json({ error: `errorCode must be one of: ${dbService.UNAVAILABLE_ERROR_CODES.join(', ')}` });
+  }
+  const { country } = req.query;
+  if (country !== undefined && !/^[a-z]{2}$/i.test(country)) {
+    return res.status(400).json({ error: 'country must be a two-letter country code' });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize) || 50));
+
+  try {
+    const { videos, totalItems } = await dbService.getUnavailabilityReports(
+      { days, errorCode, country: country?.toUpperCase() ?? null },
+      { limit: pageSize, offset: (page - 1) * pageSize }
+    );
+    res.set('Cache-Control', 'no-cache');
+    res.json({
+      days,
+      page,
+      pageSize,
+      totalPages: Math.ceil(totalItems / pageSize),
+      totalItems,
+      videos
+    });
+  } catch (error) {
+    console.error('Error listing unavailability reports:', error.message);
+    res.status(500).json({ error: 'Failed to list unavailability reports' });
+  }
+});
+
+// A video's unavailability reports by country and error code (?days=)
+app.get('/api/admin/unavailability/:videoId', requireAdmin('read'), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const days = parseUnavailabilityDays(req.query.days);
+  if (days === null) {
+    return res.status(400).json({ error: 'days must be a whole number from 1 to 90' });
+  }
+
+  try {
+    res.set('Cache-Control', 'no-cache');
+    res.json(await dbService.getVideoUnavailability(req.params.videoId, { days }));
+  } catch (error) {
+    console.error('Error fetching unavailability reports:', error.message);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to fetch unavailability reports' });
+  }
+});
+
+// ============================================
+// TRASH (ADMIN)
+// ============================================
+
+// Who may restore each kind of trashed item (the permission that deletes it)
+const TRASH_PERMISSIONS = {
+  video: 'playlists',
+  playlist_video: 'playlists',
+  playlist: 'playlists',
+  bumper: 'playlists',
+  special_event: 'channels'
+};
+
+// Map trash errors: unknown ids 404, items that no longer fit 409
+function sendTrashError(res, error, fallback) {
+  console.error(`${fallback}:`, error.message);
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes("can't be restored")) {
+    return res.status(409).json({ error: error.message });
+  }
+  res.status(500).json({ error: fallback });
+}
+
+function withExpiry(item) {
+  return { ...item, expiresAt: trashService.getExpiry(item.deletedAt) };
+}
+
+// Trashed items, most recently deleted first (?type=video|playlist_video|playlist|bumper|special_event, ?page=, ?pageSize=)
+app.get('/api/admin/trash', requireAdmin('read'), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { type } = req.query;
+  if (type !== undefined && !TRASH_PERMISSIONS[type]) {
+    return res.status(400).json({ error: `type must be one of: ${Object.keys(TRASH_PERMISSIONS).join(', ')}` });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize) || 50));
+
+  try {
+    const { items, totalItems } = await dbService.getTrashItems({ itemType: type || null }, { limit: pageSize, offset: (page - 1) * pageSize });
+    res.set('Cache-Control', 'no-cache');
+    res.json({
+      retentionDays: trashService.getRetentionDays(),
+      page,
+      pageSize,
+      totalPages: Math.ceil(totalItems / pageSize),
+      totalItems,
+      items: items.map(withExpiry)
+    });
+  } catch (error) {
+    sendTrashError(res, error, 'Failed to list trash');
+  }
+});
+
+// One trashed item with the rows a restore would put back
+app.get('/api/admin/trash/:trashId', requireAdmin('read'), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+  if (!/^\d+$/.test(req.params.trashId)) {
+    return res.status(400).json({ error: 'Invalid trash ID' });
+  }
+
+  try {
+    res.json(withExpiry(await dbService.getTrashItem(parseInt(req.params.trashId))));
+  } catch (error) {
+    sendTrashError(res, error, 'Failed to fetch trash item');
+  }
+});
+
+// Restore a trashed item (needs the permission that deleted it)
+app.post('/api/admin/trash/:trashId/restore', requireAdmin('read'), audit('trash.restore', { type: 'trash', id: param('trashId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+  if (!/^\d+$/.test(req.params.trashId)) {
+    return res.status(400).json({ error: 'Invalid trash ID' });
+  }
+
+  try {
+    const trashId = parseInt(req.params.trashId);
+    const { itemType } = await dbService.getTrashItem(trashId);
+    if (!adminAuth.hasPermission(req.adminUser.role, TRASH_PERMISSIONS[itemType])) {
+      return res.status(403).json({ error: `Forbidden - the ${req.adminUser.role} role can't restore a ${itemType}` });
+    }
+
+    const restored = await dbService.restoreTrashItem(trashId);
+    broadcastService.invalidate();
+    res.json({ success: true, restored });
+  } catch (error) {
+    sendTrashError(res, error, 'Failed to restore trash item');
+  }
+});
+
+// Permanently delete a trashed item now
+app.delete('/api/admin/trash/:trashId', requireAdmin('system'), audit('trash.purge', { type: 'trash', id: param('trashId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+  if (!/^\d+$/.test(req.params.trashId)) {
+    return res.status(400).json({ error: 'Invalid trash ID' });
+  }
+
+  try {
+    const purged = await dbService.deleteTrashItem(parseInt(req.params.trashId));
+    res.json({ success: true, purged });
+  } catch (error) {
+    sendTrashError(res, error, 'Failed to purge trash item');
+  }
+});
+
+// ============================================
+// AUDIT LOG (ADMIN)
+// ============================================
+
+/**
+ * Audit log filters from the query string: actor, action ("playlist." for every playlist action),
+ * targetType, targetId, since, until (ISO dates, until exclusive).
+ * @throws {Error} On an unparseable date
+ */
+function parseAuditFilters(query) {
+  const text = value => typeof value === 'string' && value ? value : null;
+  const date = name => {
+    if (!text(query[name])) return null;
+    const value = new Date(query[name]);
+    if (isNaN(value.getTime())) {
+      throw new Error(`${name} must be an ISO date`);
+    }
+    return value;
+  };
+
+  return {
+    actorId: text(query.actor),
+    action: text(query.action),
+    targetType: text(query.targetType),
+    targetId: text(query.targetId),
+    since: date('since'),
+    until: date('until')
+  };
+}
+
+// Audit entries, newest first (?actor=&action=&targetType=&targetId=&since=&until=&page=&pageSize=)
+app.get('/api/admin/audit-log', requireAdmin('system'), async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize) || 50));
+
+  let filters;
+  try {
+    filters = parseAuditFilters(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    res.set('Cache-Control', 'no-cache');
+    res.json(await auditLog.query(filters, { page, pageSize }));
+  } catch (error) {
+    console.error('Error fetching audit log:', error.message);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// The same entries as a CSV download (same filters, newest first, capped at auditLog.EXPORT_MAX_ENTRIES)
+app.get('/api/admin/audit-log/export', requireAdmin('system'), async (req, res) => {
+  let filters;
+  try {
+    filters = parseAuditFilters(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const csv = await auditLog.exportCsv(filters);
+    res.set('Cache-Control', 'no-cache');
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Error exporting audit log:', error.message);
+    res.status(500).json({ error: 'Failed to export audit log' });
+  }
+});
+
+// ============================================
+// ADMIN ROUTES (Protected)
+// ============================================
+
+// Check if videos exist in DB
+app.post('/api/admin/check-videos', requireAdmin('read'), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { videoIds } = req.body;
+
+  if (!Array.isArray(videoIds) || videoIds.length === 0) {
+    return res.status(400).json({ error: 'videoIds array is required' });
+  }
+
+  try {
+    const result = await dbService.checkVideosExistence(videoIds);
+    res.json(result);
+  } catch (error) {
+    console.error('Error checking videos:', error);
+    res.status(500).json({ error: 'Failed to check videos' });
+  }
+});
+
+// Create new playlist
+app.post('/api/admin/playlist', requireAdmin('playlists'), audit('playlist.create', { type: 'playlist', id: (req, body) => body?.id }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { name, description, channelId } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ error: 'Playlist name is required' });
+  }
+
+  try {
+    const id = await dbService.createPlaylist(name, description, channelId);
+    res.json({ success: true, id });
+  } catch (error) {
+    console.error('Error creating playlist:', error);
+    res.status(500).json({ error: 'Failed to create playlist' });
+  }
+});
+
+// Add video to playlist
+app.post('/api/admin/playlist/video', requireAdmin('playlists'), audit('playlist.add_video', { type: 'playlist', id: req => req.body.playlistId }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { playlistId, videoData } = req.body; // videoData = { youtube_video_id, title, artist, song, duration_seconds }
+
+  if (!playlistId || !videoData || !videoData.youtube_video_id) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  try {
+    const internalId = await dbService.addVideoToPlaylist(playlistId, videoData);
+    broadcastService.invalidate();
+    res.json({ success: true, videoId: internalId });
+  } catch (error) {
+    console.error('Error adding video to playlist:', error);
+    res.status(500).json({ error: 'Failed to add video to playlist' });
+  }
+});
+
+// Remove video from playlist (restorable from the trash)
+app.delete('/api/admin/playlist/:playlistId/video/:videoId', requireAdmin('playlists'), audit('playlist.remove_video', { type: 'playlist', id: param('playlistId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { playlistId, videoId } = req.params;
+
+  if (!playlistId || !videoId) {
+    return res.status(400).json({ error: 'Missing playlistId or videoId' });
+  }
+
+  try {
+    const removed = await dbService.removeVideoFromPlaylist(parseInt(playlistId), videoId, { deletedBy: req.adminUser.username });
+    broadcastService.invalidate();
+    res.json({ success: true, trashId: removed?.trashId ?? null });
+  } catch (error) {
+    console.error('Error removing video from playlist:', error);
+    res.status(500).json({ error: 'Failed to remove video from playlist' });
+  }
+});
+
+// Delete a video from the library and every playlist (restorable from the trash)
+app.delete('/api/admin/videos/:videoId', requireAdmin('playlists'), audit('video.delete', { type: 'video', id: param('videoId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  try {
+    const { trashId } = await dbService.deleteVideo(req.params.videoId, { deletedBy: req.adminUser.username });
+    broadcastService.invalidate();
+    res.json({ success: true, trashId });
+  } catch (error) {
+    console.error('Error deleting video:', error.message);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to delete video' });
+  }
+});
+
+// ============================================
+// CHANNEL MANAGEMENT (ADMIN)
+// ============================================
+
+const CHANNEL_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+const RESERVED_CHANNEL_IDS = ['special', 'bumper']; // The special-event channel and the bumper pseudo-channel
+
+/**
+ * Validate the channel settings in a create / update request body.
+ * Only fields present in the body are returned; null resets blockMinutes / historyMinutes /
+ * bumperPattern to the defaults.
+ * @throws {Error} Describing the first invalid field
+ */
+function parseChannelFields(body) {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > 100) {
+      throw new Error('name must be a non-empty string of at most 100 characters');
+    }
+    fields.name = body.name.trim();
+  }
+  if (body.icon !== undefined) {
+    if (body.icon !== null && (typeof body.icon !== 'string' || body.icon.length > 10)) {
+      throw new Error('icon must be a string of at most 10 characters, or null');
+    }
+    fields.icon = body.icon || null;
+  }
+  for (const flag of ['isEasterEgg', 'isRandom', 'feedsRandom']) {
+    if (body[flag] === undefined) continue;
+    if (typeof body[flag] !== 'boolean') {
+      throw new Error(`${flag} must be true or false`);
+    }
+    fields[flag] = body[flag];
+  }
+  for (const minutes of ['blockMinutes', 'historyMinutes']) {
+    if (body[minutes] === undefined) continue;
+    if (body[minutes] !== null && !(Number.isInteger(body[minutes]) && body[minutes] > 0)) {
+      throw new Error(`${minutes} must be a positive whole number of minutes, or null for the default`);
+    }
+    fields[minutes] = body[minutes];
+  }
+  if (body.bumperPattern !== undefined) {
+    fields.bumperPattern = body.bumperPattern === null ? null : bumperPatterns.normalizePattern(body.bumperPattern);
+  }
+
+  return fields;
+}
+
+// Map channel management errors: unknown ids 404, conflicts 409, bad lists 400
+function sendChannelError(res, error, fallback) {
+  console.error(`${fallback}:`, error.message);
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('already exists') || error.message.includes('still has')) {
+    return res.status(409).json({ error: error.message });
+  }
+  if (error.message.includes('must list')) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: fallback });
+}
+
+// Every channel in guide order, with its settings and playlist count
+app.get('/api/admin/channels', requireAdmin('read'), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  try {
+    res.json(await dbService.getAdminChannels());
+  } catch (error) {
+    sendChannelError(res, error, 'Failed to list channels');
+  }
+});
+
+// Create a channel, last in the guide (body: { id, name, icon?, isEasterEgg?, isRandom?, feedsRandom?, blockMinutes?, historyMinutes?, bumperPattern? })
+app.post('/api/admin/channels', requireAdmin('channels'), audit('channel.create', { type: 'channel', id: req => req.body.id }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { id } = req.body;
+
+  if (typeof id !== 'string' || !CHANNEL_ID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'id must be 1-50 lowercase letters, digits or dashes' });
+  }
+  if (RESERVED_CHANNEL_IDS.includes(id)) {
+    return res.status(400).json({ error: `Channel id ${id} is reserved` });
+  }
+  if (req.body.name === undefined) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  let fields;
+  try {
+    fields = parseChannelFields(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const channel = await dbService.createChannel({ id, ...fields });
+    broadcastService.invalidate(id);
+    res.status(201).json({ success: true, channel });
+  } catch (error) {
+    sendChannelError(res, error, 'Failed to create channel');
+  }
+});
+
+// Change a channel's settings (body: any of the create fields except id)
+app.put('/api/admin/channels/:channelId', requireAdmin('channels'), audit('channel.update', { type: 'channel', id: param('channelId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  let fields;
+  try {
+    fields = parseChannelFields(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: 'Provide at least one channel setting to change' });
+  }
+
+  try {
+    const channel = await dbService.updateChannel(req.params.channelId, fields);
+    broadcastService.invalidate(req.params.channelId);
+    res.json({ success: true, channel });
+  } catch (error) {
+    sendChannelError(res, error, 'Failed to update channel');
+  }
+});
+
+// Delete a channel (?force=true also deletes one that still has playlists; the playlists are kept)
+app.delete('/api/admin/channels/:channelId', requireAdmin('channels'), audit('channel.delete', { type: 'channel', id: param('channelId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  try {
+    const deleted = await dbService.deleteChannel(req.params.channelId, { force: req.query.force === 'true' });
+    broadcastService.invalidate(req.params.channelId);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    sendChannelError(res, error, 'Failed to delete channel');
+  }
+});
+
+// Set the guide order (body: { channelIds: [every channel id, first to last] })
+app.put('/api/admin/channel-order', requireAdmin('channels'), audit('channel.reorder', { type: 'lineup', id: () => 'guide' }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { channelIds } = req.body;
+
+  if (!Array.isArray(channelIds) || !channelIds.every(id => typeof id === 'string')) {
+    return res.status(400).json({ error: 'channelIds must be an array of channel ids' });
+  }
+
+  try {
+    const channels = await dbService.setChannelOrder(channelIds);
+    res.json({ success: true, channels });
+  } catch (error) {
+    sendChannelError(res, error, 'Failed to reorder channels');
+  }
+});
+
+// ============================================
+// PLAYLIST MANAGEMENT (ADMIN)
+// ============================================
+
+// Map playlist management errors: unknown ids 404, safety checks 409, bad lists 400
+function sendPlaylistError(res, error, fallback) {
+  console.error(`${fallback}:`, error.message);
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('still on') || error.message.includes('last playlist') || error.message.includes('already on')) {
+    return res.status(409).json({ error: error.message });
+  }
+  if (error.message.includes('must list')) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: fallback });
+}
+
+// Every playlist with video count and channels (?channelId= for one channel's, in channel order)
+app.get('/api/admin/playlists', requireAdmin('read'), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  try {
+    res.json(await dbService.getAdminPlaylists({ channelId: req.query.channelId || null }));
+  } catch (error) {
+    sendPlaylistError(res, error, 'Failed to list playlists');
+  }
+});
+
+// One playlist with its channels and videos in order
+app.get('/api/admin/playlists/:playlistId', requireAdmin('read'), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+  if (!/^\d+$/.test(req.params.playlistId)) {
+    return res.status(400).json({ error: 'Invalid playlist ID' });
+  }
+
+  try {
+    res.json(await dbService.getAdminPlaylist(parseInt(req.params.playlistId)));
+  } catch (error) {
+    sendPlaylistError(res, error, 'Failed to fetch playlist');
+  }
+});
+
+// Rename / describe a playlist (body: { name?, description? } - description null clears it)
+app.put('/api/admin/playlists/:playlistId', requireAdmin('playlists'), audit('playlist.update', { type: 'playlist', id: param('playlistId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { name, description } = req.body;
+
+  if (!/^\d+$/.test(req.params.playlistId)) {
+    return res.status(400).json({ error: 'Invalid playlist ID' });
+  }
+  if (name === undefined && description === undefined) {
+    return res.status(400).json({ error: 'Provide name and/or description' });
+  }
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 255)) {
+    return res.status(400).json({ error: 'name must be a non-empty string of at most 255 characters' });
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return res.status(400).json({ error: 'description must be a string or null' });
+  }
+
+  try {
+    const playlist = await dbService.updatePlaylist(parseInt(req.params.playlistId), {
+      name: name?.trim(),
+      description
+    });
+    broadcastService.invalidate();
+    res.json({ success: true, playlist });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Failed to update playlist');
+  }
+});
+
+// Delete a playlist to the trash; refused while it is on a channel unless ?force=true (videos stay in the library)
+app.delete('/api/admin/playlists/:playlistId', requireAdmin('playlists'), audit('playlist.delete', { type: 'playlist', id: param('playlistId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+  if (!/^\d+$/.test(req.params.playlistId)) {
+    return res.status(400).json({ error: 'Invalid playlist ID' });
+  }
+
+  try {
+    const deleted = await dbService.deletePlaylist(parseInt(req.params.playlistId), {
+      force: req.query.force === 'true',
+      deletedBy: req.adminUser.username
+    });
+    broadcastService.invalidate();
+    res.json({ success: true, ...deleted });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Failed to delete playlist');
+  }
+});
+
+// Reorder a playlist's videos (body: { videoIds: every YouTube video ID in the playlist, in order })
+app.put('/api/admin/playlists/:playlistId/video-order', requireAdmin('playlists'), audit('playlist.reorder_videos', { type: 'playlist', id: param('playlistId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { videoIds } = req.body;
+
+  if (!/^\d+$/.test(req.params.playlistId)) {
+    return res.status(400).json({ error: 'Invalid playlist ID' });
+  }
+  if (!Array.isArray(videoIds) || !videoIds.every(id => typeof id === 'string')) {
+    return res.status(400).json({ error: 'videoIds must be an array of YouTube video IDs' });
+  }
+
+  try {
+    const playlist = await dbService.setPlaylistVideoOrder(parseInt(req.params.playlistId), videoIds);
+    broadcastService.invalidate();
+    res.json({ success: true, playlist });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Failed to reorder playlist');
+  }
+});
+
+// Move a playlist to another channel (body: { fromChannelId, toChannelId, force? }), keeping weight and dayparts
+app.post('/api/admin/playlists/:playlistId/move', requireAdmin('channels'), audit('playlist.move', { type: 'playlist', id: param('playlistId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { fromChannelId, toChannelId, force } = req.body;
+
+  if (!/^\d+$/.test(req.params.playlistId)) {
+    return res.status(400).json({ error: 'Invalid playlist ID' });
+  }
+  if (!fromChannelId || !toChannelId || fromChannelId === toChannelId) {
+    return res.status(400).json({ error: 'fromChannelId and toChannelId must be two different channels' });
+  }
+
+  try {
+    const link = await dbService.movePlaylistToChannel(parseInt(req.params.playlistId), fromChannelId, toChannelId, { force: force === true });
+    broadcastService.invalidate(fromChannelId);
+    broadcastService.invalidate(toChannelId);
+    res.json({ success: true, ...link });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Failed to move playlist');
+  }
+});
+
+// Put an existing playlist on a channel, or move it within the channel (body: { position? } - default last)
+app.put('/api/admin/channels/:channelId/playlists/:playlistId', requireAdmin('channels'), audit('channel.add_playlist', { type: 'playlist', id: param('playlistId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { channelId, playlistId } = req.params;
+  const { position } = req.body;
+
+  if (!/^\d+$/.test(playlistId)) {
+    return res.status(400).json({ error: 'Invalid playlist ID' });
+  }
+  if (position !== undefined && position !== null && !(Number.isInteger(position) && position >= 0)) {
+    return res.status(400).json({ error: 'position must be a non-negative integer' });
+  }
+
+  try {
+    const link = await dbService.linkPlaylistToChannel(channelId, parseInt(playlistId), { position: position ?? null });
+    broadcastService.invalidate(channelId);
+    res.json({ success: true, ...link });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Failed to add playlist to channel');
+  }
+});
+
+// Take a playlist off a channel; refused for the channel's last playlist unless ?force=true
+app.delete('/api/admin/channels/:channelId/playlists/:playlistId', requireAdmin('channels'), audit('channel.remove_playlist', { type: 'playlist', id: param('playlistId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { channelId, playlistId } = req.params;
+
+  if (!/^\d+$/.test(playlistId)) {
+    return res.status(400).json({ error: 'Invalid playlist ID' });
+  }
+
+  try {
+    await dbService.unlinkPlaylistFromChannel(channelId, parseInt(playlistId), { force: req.query.force === 'true' });
+    broadcastService.invalidate(channelId);
+    res.json({ success: true });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Failed to remove playlist from channel');
+  }
+});
+
+// Reorder a channel's playlists (body: { playlistIds: every playlist on the channel, in order })
+app.put('/api/admin/channels/:channelId/playlist-order', requireAdmin('channels'), audit('channel.reorder_playlists', { type: 'channel', id: param('channelId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { playlistIds } = req.body;
+
+  if (!Array.isArray(playlistIds) || !playlistIds.every(Number.isInteger)) {
+    return res.status(400).json({ error: 'playlistIds must be an array of playlist IDs' });
+  }
+
+  try {
+    const playlists = await dbService.setChannelPlaylistOrder(req.params.channelId, playlistIds);
+    broadcastService.invalidate(req.params.channelId);
+    res.json({ success: true, playlists });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Failed to reorder channel playlists');
+  }
+});
+
+// Get all channels (already exposed via frontend constants but good to have API)
+app.get('/api/channels', async (req, res) => {
+  if (USE_DATABASE) {
+    try {
+      const channels = await dbService.getAllChannels();
+      res.json(channels);
+    } catch (error) {
+      console.error('Error fetching channels:', error);
+      res.status(500).json({ error: 'Failed to fetch channels' });
+    }
+  } else {
+    // Return the line-up from channel-config.js
+    const channels = CHANNEL_LINEUP.map(c => ({ id: c.id, name: c.name, icon: c.icon, is_easter_egg: Boolean(c.isEasterEgg) }));
+    res.json(channels);
+  }
+});
+
+// Get playlists for channel
+app.get('/api/channels/:id/playlists', async (req, res) => {
+  const channelId = req.params.id;
+
+  if (USE_DATABASE) {
+    try {
+      const playlists = await dbService.getAllPlaylistsForChannel(channelId);
+      res.json(playlists);
+    } catch (error) {
+      console.error('Error fetching playlists:', error);
+      res.status(500).json({ error: 'Failed to fetch playlists' });
+    }
+  } else {
+    // Return from CHANNELS constant
+    const playlists = CHANNELS[channelId] || [];
+    res.json(playlists.map(p => ({ id: p.id, name: p.label })));
+  }
+});
+
+// Get a channel's bumper pattern (stored or default)
+app.get('/api/admin/channels/:channelId/bumper-pattern', requireAdmin('read'), async (req, res) => {
+  const { channelId } = req.params;
+
+  try {
+    if (USE_DATABASE) {
+      await dbService.getChannelById(channelId);
+    } else if (!CHANNELS[channelId]) {
+      return res.status(404).json({ error: `Channel not found: ${channelId}` });
+    }
+
+    const { bumperPattern } = await getChannelProgramming(channelId);
+    res.json({ channelId, pattern: bumperPattern, types: bumperPatterns.PATTERN_TYPES });
+  } catch (error) {
+    console.error('Error fetching bumper pattern:', error.message);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to fetch bumper pattern' });
+  }
+});
+
+// Set a channel's bumper pattern (body: { pattern } - null resets to the channel default)
+app.put('/api/admin/channels/:channelId/bumper-pattern', requireAdmin('channels'), audit('channel.bumper_pattern', { type: 'channel', id: param('channelId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { channelId } = req.params;
+  const { pattern } = req.body;
+
+  let normalized = null;
+  if (pattern !== null && pattern !== undefined) {
+    try {
+      normalized = bumperPatterns.normalizePattern(pattern);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+
+  try {
+    await dbService.updateChannelBumperPattern(channelId, normalized);
+    broadcastService.invalidate(channelId);
+    res.json({ success: true, channelId, pattern: normalized || bumperPatterns.getDefaultPattern(channelId) });
+  } catch (error) {
+    console.error('Error updating bumper pattern:', error.message);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to update bumper pattern' });
+  }
+});
+
+// Get a channel's playlist rotation (weights, dayparts and whether each playlist is on air now)
+app.get('/api/admin/channels/:channelId/rotation', requireAdmin('read'), async (req, res) => {
+  const { channelId } = req.params;
+
+  try {
+    let playlists;
+    if (USE_DATABASE) {
+      await dbService.getChannelById(channelId);
+      playlists = await dbService.getAllPlaylistsForChannel(channelId);
+    } else if (CHANNELS[channelId]) {
+      playlists = CHANNELS[channelId].map(p => ({ id: p.id, name: p.label, weight: p.weight, dayparts: p.dayparts }));
+    } else {
+      return res.status(404).json({ error: `Channel not found: ${channelId}` });
+    }
+
+    res.json({
+      channelId,
+      playlists: playlists.map(p => ({
+        id: p.id,
+        name: p.name,
+        weight: p.weight ?? playlistRotation.DEFAULT_WEIGHT,
+        dayparts: p.dayparts || null,
+        onAir: playlistRotation.isOnAir(p)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching playlist rotation:', error.message);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to fetch playlist rotation' });
+  }
+});
+
+// Set a playlist's weight and/or dayparts on a channel (body: { weight?, dayparts? } - dayparts null = always on air)
+app.put('/api/admin/channels/:channelId/rotation/:playlistId', requireAdmin('channels'), audit('channel.rotation', { type: 'playlist', id: param('playlistId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { channelId, playlistId } = req.params;
+  const { weight, dayparts } = req.body;
+
+  if (!/^\d+$/.test(playlistId)) {
+    return res.status(400).json({ error: 'Invalid playlist ID' });
+  }
+  if (weight === undefined && dayparts === undefined) {
+    return res.status(400).json({ error: 'Provide weight and/or dayparts' });
+  }
+
+  const update = {};
+  try {
+    if (weight !== undefined) update.weight = playlistRotation.normalizeWeight(weight);
+    if (dayparts !== undefined) update.dayparts = playlistRotation.normalizeDayparts(dayparts);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const rotation = await dbService.updateChannelPlaylistRotation(channelId, parseInt(playlistId), update);
+    broadcastService.invalidate(channelId);
+    res.json({ success: true, ...rotation });
+  } catch (error) {
+    console.error('Error updating playlist rotation:', error.message);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to update playlist rotation' });
+  }
+});
+
+// YouTube API quota usage: today's units per endpoint, budget, degradation state and last 7 days
+app.get('/api/admin/youtube-quota', requireAdmin('read'), async (req, res) => {
   try {
-    bumpersCache = await fetchBumpers();
-  } catch (e) {
-    bumpersCache = []; // Set to empty array so app doesn't crash
+    const stats = await youtubeClient.getUsageStats();
+    res.set('Cache-Control', 'no-cache');
+    res.json(stats);
+  } catch (error) {
+    console.error('Error fetching YouTube quota usage:', error.message);
+    res.status(500).json({ error: 'Failed to fetch YouTube quota usage' });
   }
+});
 
-  // Mark data as ready
-  isDataReady = true;
-  const loadTime = ((Date.now() - dataLoadingStartTime) / 1000).toFixed(2);
-}
+// Shared cache: driver and entries per namespace
+app.get('/api/admin/cache', requireAdmin('read'), async (req, res) => {
+  const caches = await Promise.all(cacheStore.listCaches().map(async cache => ({
+    namespace: cache.namespace,
+    entries: await cache.size()
+  })));
 
-// IMVDb API endpoint to get video release year
-app.get('/api/video/year', async (req, res) => {
-  const { title, videoId, artist, song } = req.query;
+  res.set('Cache-Control', 'no-cache');
+  res.json({ driver: cacheStore.getDriverName(), caches });
+});
 
-  if (!title && !(artist && song)) {
-    return res.status(400).json({ error: 'Title parameter is required' });
+// Invalidate a cache namespace on every instance (?pattern= limits it to keys containing pattern)
+app.delete('/api/admin/cache/:namespace', requireAdmin('system'), audit('cache.clear', { type: 'cache', id: param('namespace') }), async (req, res) => {
+  const cache = cacheStore.getCache(req.params.namespace);
+  if (!cache) {
+    return res.status(404).json({ error: `Cache ${req.params.namespace} not found` });
   }
 
-  try {
-    const year = await fetchVideoYear(title || `${artist} ${song}`, artist, song);
+  const pattern = typeof req.query.pattern === 'string' && req.query.pattern ? req.query.pattern : null;
+  await cache.clear(pattern);
+  res.json({ success: true, namespace: cache.namespace, pattern });
+});
 
-    if (year) {
-      // Respond immediately, persist to DB in background
-      res.json({ year });
-      if (videoId && USE_DATABASE) {
-        dbService.updateVideoYear(videoId, year).catch(() => {});
-      }
-      return;
-    }
+// Background playlist refresh: scheduler state and last refresh per playlist
+app.get('/api/admin/playlist-refresh', requireAdmin('read'), async (req, res) => {
+  try {
+    const status = await playlistRefresh.getStatus();
+    res.set('Cache-Control', 'no-cache');
+    res.json(status);
+  } catch (error) {
+    console.error('Error fetching playlist refresh status:', error.message);
+    res.status(500).json({ error: 'Failed to fetch playlist refresh status' });
+  }
+});
 
-    return res.json({ year: null });
+// Refresh one playlist now (ignores expiry and failure backoff)
+app.post('/api/admin/playlist-refresh/:playlistId', requireAdmin('system'), audit('playlist.refresh', { type: 'youtube_playlist', id: param('playlistId') }), async (req, res) => {
+  try {
+    const status = await playlistRefresh.refreshNow(req.params.playlistId);
+    if (status.lastError === null) broadcastService.invalidate();
+    res.json({ success: status.lastError === null, status });
   } catch (error) {
-    return res.json({ year: null });
+    console.error('Error refreshing playlist:', error.message);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to refresh playlist' });
   }
 });
 
 // ============================================
-// ADMIN AUTHENTICATION ROUTES
+// PLAYLIST SYNC (ADMIN)
 // ============================================
 
-// Login endpoint - verify password and set session cookie
-app.post('/api/admin/login', (req, res) => {
-  const { password } = req.body;
-
-  if (!ADMIN_PASSWORD) {
-    console.error('ADMIN_PASSWORD not configured');
-    return res.status(500).json({ error: 'Admin authentication not configured' });
+// Linked playlists with their last sync and pending report
+app.get('/api/admin/playlist-sync', requireAdmin('read'), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
   }
 
-  if (!password) {
-    return res.status(400).json({ error: 'Password is required' });
+  try {
+    res.set('Cache-Control', 'no-cache');
+    res.json(await playlistSync.getStatus());
+  } catch (error) {
+    console.error('Error fetching playlist sync status:', error.message);
+    res.status(500).json({ error: 'Failed to fetch playlist sync status' });
   }
+});
 
-  if (password !== ADMIN_PASSWORD) {
-    return res.status(401).json({ error: 'Invalid password' });
+// Every playlist's provenance: source type / id, import options, last import and sync
+app.get('/api/admin/playlist-sources', requireAdmin('read'), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
   }
 
-  // Generate session token and set cookie
-  const token = generateSessionToken();
-  res.cookie('adminSession', token, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-    maxAge: SESSION_DURATION,
-    path: '/'
-  });
-
-  res.json({ success: true, message: 'Login successful' });
+  try {
+    res.json(await dbService.getPlaylistSources());
+  } catch (error) {
+    console.error('Error fetching playlist sources:', error.message);
+    res.status(500).json({ error: 'Failed to fetch playlist sources' });
+  }
 });
 
-// Logout endpoint - clear session cookie
-app.post('/api/admin/logout', (req, res) => {
-  res.cookie('adminSession', '', {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-    maxAge: 0,
-    path: '/'
-  });
-
-  res.json({ success: true });
-});
+// Link a playlist to its source YouTube playlist (body: { youtubePlaylistId } - null makes it manual)
+app.put('/api/admin/playlists/:playlistId/source', requireAdmin('playlists'), audit('playlist.source', { type: 'playlist', id: param('playlistId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
 
-// Session check endpoint - verify if session is valid
-app.get('/api/admin/session', (req, res) => {
-  const token = req.cookies.adminSession;
-  const result = verifySessionToken(token);
+  const { playlistId } = req.params;
+  const { youtubePlaylistId } = req.body;
 
-  if (!result.valid) {
-    return res.status(401).json({ valid: false, error: 'Session invalid or expired' });
+  if (!/^\d+$/.test(playlistId)) {
+    return res.status(400).json({ error: 'Invalid playlist ID' });
+  }
+  if (youtubePlaylistId !== null && !isValidPlaylistId(youtubePlaylistId)) {
+    return res.status(400).json({ error: 'Invalid YouTube playlist ID format' });
   }
 
-  res.json({ valid: true, expiresAt: result.expiresAt });
+  try {
+    const playlist = await dbService.setPlaylistSource(parseInt(playlistId), youtubePlaylistId);
+    res.json({ success: true, ...playlist });
+  } catch (error) {
+    console.error('Error linking playlist source:', error.message);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('already the source')) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to link playlist source' });
+  }
 });
 
-// ============================================
-// ADMIN ROUTES (Protected)
-// ============================================
-
-// Check if videos exist in DB
-app.post('/api/admin/check-videos', adminAuthMiddleware, async (req, res) => {
+// Diff a playlist against its source now (report is null when nothing changed)
+app.post('/api/admin/playlists/:playlistId/sync', requireAdmin('playlists'), audit('playlist.sync', { type: 'playlist', id: param('playlistId') }), async (req, res) => {
   if (!USE_DATABASE) {
     return res.status(503).json({ error: 'Database mode not enabled' });
   }
 
-  const { videoIds } = req.body;
-
-  if (!Array.isArray(videoIds) || videoIds.length === 0) {
-    return res.status(400).json({ error: 'videoIds array is required' });
+  const { playlistId } = req.params;
+  if (!/^\d+$/.test(playlistId)) {
+    return res.status(400).json({ error: 'Invalid playlist ID' });
   }
 
   try {
-    const result = await dbService.checkVideosExistence(videoIds);
-    res.json(result);
+    res.json(await playlistSync.syncPlaylist(parseInt(playlistId)));
   } catch (error) {
-    console.error('Error checking videos:', error);
-    res.status(500).json({ error: 'Failed to check videos' });
+    console.error('Error syncing playlist:', error.message);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('no source')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof youtubeClient.QuotaExceededError) {
+      return res.status(503).json({ error: 'Playlist sync is temporarily unavailable, please try again later' });
+    }
+    res.status(502).json({ error: `Failed to sync playlist: ${error.message}` });
   }
 });
 
-// Create new playlist
-app.post('/api/admin/playlist', adminAuthMiddleware, async (req, res) => {
+// Sync reports, newest first (?status=pending|applied|dismissed|superseded, ?playlistId=)
+app.get('/api/admin/playlist-sync/reports', requireAdmin('read'), async (req, res) => {
   if (!USE_DATABASE) {
     return res.status(503).json({ error: 'Database mode not enabled' });
   }
 
-  const { name, description, channelId } = req.body;
-
-  if (!name) {
-    return res.status(400).json({ error: 'Playlist name is required' });
+  const { status, playlistId } = req.query;
+  if (playlistId !== undefined && !/^\d+$/.test(playlistId)) {
+    return res.status(400).json({ error: 'Invalid playlist ID' });
   }
 
   try {
-    const id = await dbService.createPlaylist(name, description, channelId);
-    res.json({ success: true, id });
+    const reports = await dbService.getPlaylistSyncReports({
+      status: typeof status === 'string' ? status : null,
+      playlistId: playlistId !== undefined ? parseInt(playlistId) : null
+    });
+    res.json(reports);
   } catch (error) {
-    console.error('Error creating playlist:', error);
-    res.status(500).json({ error: 'Failed to create playlist' });
+    console.error('Error fetching sync reports:', error.message);
+    res.status(500).json({ error: 'Failed to fetch sync reports' });
   }
 });
 
-// Add video to playlist
-app.post('/api/admin/playlist/video', adminAuthMiddleware, async (req, res) => {
+// One report with all of its changes
+app.get('/api/admin/playlist-sync/reports/:reportId', requireAdmin('read'), async (req, res) => {
   if (!USE_DATABASE) {
     return res.status(503).json({ error: 'Database mode not enabled' });
   }
 
-  const { playlistId, videoData } = req.body; // videoData = { youtube_video_id, title, artist, song, duration_seconds }
-
-  if (!playlistId || !videoData || !videoData.youtube_video_id) {
-    return res.status(400).json({ error: 'Missing required fields' });
+  const { reportId } = req.params;
+  if (!/^\d+$/.test(reportId)) {
+    return res.status(400).json({ error: 'Invalid report ID' });
   }
 
   try {
-    const internalId = await dbService.addVideoToPlaylist(playlistId, videoData);
-    res.json({ success: true, videoId: internalId });
+    res.json(await dbService.getPlaylistSyncReport(parseInt(reportId)));
   } catch (error) {
-    console.error('Error adding video to playlist:', error);
-    res.status(500).json({ error: 'Failed to add video to playlist' });
+    console.error('Error fetching sync report:', error.message);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to fetch sync report' });
   }
 });
 
-// Remove video from playlist
-app.delete('/api/admin/playlist/:playlistId/video/:videoId', adminAuthMiddleware, async (req, res) => {
+// Apply a report's changes in one transaction (body: { changeIds? } - omitted = all remaining)
+app.post('/api/admin/playlist-sync/reports/:reportId/apply', requireAdmin('playlists'), audit('sync_report.apply', { type: 'sync_report', id: param('reportId') }), async (req, res) => {
   if (!USE_DATABASE) {
     return res.status(503).json({ error: 'Database mode not enabled' });
   }
 
-  const { playlistId, videoId } = req.params;
+  const { reportId } = req.params;
+  const { changeIds } = req.body;
 
-  if (!playlistId || !videoId) {
-    return res.status(400).json({ error: 'Missing playlistId or videoId' });
+  if (!/^\d+$/.test(reportId)) {
+    return res.status(400).json({ error: 'Invalid report ID' });
+  }
+  if (changeIds !== undefined && (!Array.isArray(changeIds) || changeIds.length === 0 || changeIds.some(id => !Number.isInteger(id)))) {
+    return res.status(400).json({ error: 'changeIds must be a non-empty array of integers' });
   }
 
   try {
-    await dbService.removeVideoFromPlaylist(parseInt(playlistId), videoId);
-    res.json({ success: true });
+    const result = await dbService.applyPlaylistSyncChanges(parseInt(reportId), changeIds || null);
+    broadcastService.invalidate();
+    res.json({ success: true, ...result });
   } catch (error) {
-    console.error('Error removing video from playlist:', error);
-    res.status(500).json({ error: 'Failed to remove video from playlist' });
+    console.error('Error applying sync report:', error.message);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('already')) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to apply sync report' });
   }
 });
 
-// Get all channels (already exposed via frontend constants but good to have API)
-app.get('/api/channels', async (req, res) => {
-  if (USE_DATABASE) {
-    try {
-      const channels = await dbService.getAllChannels();
-      res.json(channels);
-    } catch (error) {
-      console.error('Error fetching channels:', error);
-      res.status(500).json({ error: 'Failed to fetch channels' });
-    }
-  } else {
-    // Return keys from CHANNELS constant
-    const channels = Object.keys(CHANNELS).map(id => ({ id, name: id.toUpperCase() }));
-    res.json(channels);
+// Close a report without applying its remaining changes
+app.post('/api/admin/playlist-sync/reports/:reportId/dismiss', requireAdmin('playlists'), audit('sync_report.dismiss', { type: 'sync_report', id: param('reportId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
   }
-});
 
-// Get playlists for channel
-app.get('/api/channels/:id/playlists', async (req, res) => {
-  const channelId = req.params.id;
+  const { reportId } = req.params;
+  if (!/^\d+$/.test(reportId)) {
+    return res.status(400).json({ error: 'Invalid report ID' });
+  }
 
-  if (USE_DATABASE) {
-    try {
-      const playlists = await dbService.getAllPlaylistsForChannel(channelId);
-      res.json(playlists);
-    } catch (error) {
-      console.error('Error fetching playlists:', error);
-      res.status(500).json({ error: 'Failed to fetch playlists' });
+  try {
+    const report = await dbService.dismissPlaylistSyncReport(parseInt(reportId));
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Error dismissing sync report:', error.message);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
     }
-  } else {
-    // Return from CHANNELS constant
-    const playlists = CHANNELS[channelId] || [];
-    res.json(playlists.map(p => ({ id: p.id, name: p.label })));
+    if (error.message.includes('already')) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to dismiss sync report' });
   }
 });
 
 // Fetch YouTube metadata for admin interface
-app.post('/api/admin/fetch-youtube-metadata', adminAuthMiddleware, async (req, res) => {
+app.post('/api/admin/fetch-youtube-metadata', requireAdmin('playlists'), async (req, res) => {
   const { videoIds } = req.body;
   if (!Array.isArray(videoIds) || videoIds.length === 0) {
     return res.status(400).json({ error: 'videoIds array is required' });
@@ -1911,11 +3454,9 @@ app.post('/api/admin/fetch-youtube-metadata', adminAuthMiddleware, async (req, r
   // YouTube API allows up to 50 video IDs per request
   for (let i = 0; i < videoIds.length; i += 50) {
     const batch = videoIds.slice(i, i + 50);
-    const url = `https://www.googleapis.com/youtube/v3/videos?part=snippet,contentDetails&id=${batch.join(',')}&key=${API_KEY}`;
-
     try {
-      const response = await axios.get(url);
-      const items = response.data.items || [];
+      const data = await youtubeClient.request('videos', { part: 'snippet,contentDetails', id: batch.join(',') });
+      const items = data.items || [];
 
       items.forEach(item => {
         const duration = parseDuration(item.contentDetails.duration);
@@ -1935,7 +3476,8 @@ app.post('/api/admin/fetch-youtube-metadata', adminAuthMiddleware, async (req, r
       });
     } catch (error) {
       console.error('Error fetching YouTube metadata:', error.message);
-      // Continue to next batch even if one fails
+      // Continue to next batch even if one fails (unless out of quota)
+      if (error instanceof youtubeClient.QuotaExceededError) break;
     }
   }
 
@@ -1943,7 +3485,7 @@ app.post('/api/admin/fetch-youtube-metadata', adminAuthMiddleware, async (req, r
 });
 
 // Combined scan endpoint - fetches YouTube metadata AND checks DB existence in one request
-app.post('/api/admin/scan-videos', adminAuthMiddleware, async (req, res) => {
+app.post('/api/admin/scan-videos', requireAdmin('playlists'), async (req, res) => {
   const { videoIds } = req.body;
   if (!Array.isArray(videoIds) || videoIds.length === 0) {
     return res.status(400).json({ error: 'videoIds array is required' });
@@ -1959,11 +3501,9 @@ app.post('/api/admin/scan-videos', adminAuthMiddleware, async (req, res) => {
   if (API_KEY) {
     for (let i = 0; i < videoIds.length; i += 50) {
       const batch = videoIds.slice(i, i + 50);
-      const url = `https://www.googleapis.com/youtube/v3/videos?part=snippet,contentDetails&id=${batch.join(',')}&key=${API_KEY}`;
-
       try {
-        const ytResponse = await axios.get(url);
-        const items = ytResponse.data.items || [];
+        const data = await youtubeClient.request('videos', { part: 'snippet,contentDetails', id: batch.join(',') });
+        const items = data.items || [];
 
         items.forEach(item => {
           const duration = parseDuration(item.contentDetails.duration);
@@ -1983,6 +3523,7 @@ app.post('/api/admin/scan-videos', adminAuthMiddleware, async (req, res) => {
         });
       } catch (error) {
         console.error('Error fetching YouTube metadata:', error.message);
+        if (error instanceof youtubeClient.QuotaExceededError) break;
       }
     }
   }
@@ -2007,12 +3548,12 @@ app.post('/api/admin/scan-videos', adminAuthMiddleware, async (req, res) => {
 });
 
 // Add video to bumpers
-app.post('/api/admin/bumper', adminAuthMiddleware, async (req, res) => {
+app.post('/api/admin/bumper', requireAdmin('playlists'), audit('bumper.create', { type: 'bumper', id: req => req.body.youtube_video_id }), async (req, res) => {
   if (!USE_DATABASE) {
     return res.status(503).json({ error: 'Database mode not enabled' });
   }
 
-  const { youtube_video_id, title, duration_seconds } = req.body;
+  const { youtube_video_id, title, duration_seconds, tags, channel_ids, special_event_ids } = req.body;
 
   if (!youtube_video_id) {
     return res.status(400).json({ error: 'youtube_video_id is required' });
@@ -2022,13 +3563,18 @@ app.post('/api/admin/bumper', adminAuthMiddleware, async (req, res) => {
     const result = await dbService.addBumper({
       youtube_video_id,
       title,
-      duration_seconds
+      duration_seconds,
+      tags,
+      channel_ids,
+      special_event_ids
     });
 
     if (result.success) {
+      broadcastService.invalidate();
       res.json({ success: true, id: result.id });
     } else {
-      res.status(400).json({ success: false, error: result.error });
+      // Unknown mapped channel / special event: 404
+      res.status(result.error.includes('not found') ? 404 : 400).json({ success: false, error: result.error });
     }
   } catch (error) {
     console.error('Error adding bumper:', error);
@@ -2036,19 +3582,49 @@ app.post('/api/admin/bumper', adminAuthMiddleware, async (req, res) => {
   }
 });
 
-// Remove video from bumpers
-app.delete('/api/admin/bumper/:videoId', adminAuthMiddleware, async (req, res) => {
+// List bumper categories (for tag pickers)
+app.get('/api/admin/bumper-categories', requireAdmin('read'), (req, res) => {
+  res.json({ categories: dbService.BUMPER_CATEGORIES });
+});
+
+// Update a bumper's tags and channel / special event mappings
+app.put('/api/admin/bumper/:videoId', requireAdmin('playlists'), audit('bumper.update', { type: 'bumper', id: param('videoId') }), async (req, res) => {
   if (!USE_DATABASE) {
     return res.status(503).json({ error: 'Database mode not enabled' });
   }
 
   const { videoId } = req.params;
+  const { tags, channel_ids, special_event_ids } = req.body;
 
   try {
-    const result = await dbService.removeBumper(videoId);
+    const result = await dbService.updateBumperTags(videoId, { tags, channel_ids, special_event_ids });
 
     if (result.success) {
+      broadcastService.invalidate();
       res.json({ success: true });
+    } else {
+      res.status(result.error.includes('not found') ? 404 : 400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    console.error('Error updating bumper tags:', error);
+    res.status(500).json({ error: 'Failed to update bumper tags' });
+  }
+});
+
+// Remove video from bumpers (restorable from the trash)
+app.delete('/api/admin/bumper/:videoId', requireAdmin('playlists'), audit('bumper.delete', { type: 'bumper', id: param('videoId') }), async (req, res) => {
+  if (!USE_DATABASE) {
+    return res.status(503).json({ error: 'Database mode not enabled' });
+  }
+
+  const { videoId } = req.params;
+
+  try {
+    const result = await dbService.removeBumper(videoId, { deletedBy: req.adminUser.username });
+
+    if (result.success) {
+      broadcastService.invalidate();
+      res.json({ success: true, trashId: result.trashId });
     } else {
       res.status(400).json({ success: false, error: result.error });
     }
@@ -2059,7 +3635,7 @@ app.delete('/api/admin/bumper/:videoId', adminAuthMiddleware, async (req, res) =
 });
 
 // Fetch video year from IMVDb + MusicBrainz fallback (Admin)
-app.post('/api/admin/fetch-year', adminAuthMiddleware, async (req, res) => {
+app.post('/api/admin/fetch-year', requireAdmin('playlists'), audit('video.year', { type: 'video', id: req => req.body.videoId }), async (req, res) => {
   const { title, videoId, artist, song } = req.body;
 
   console.log(`🔍 [Admin] Fetching year for: "${title || `${artist} - ${song}`}" (Video ID: ${videoId})`);
@@ -2100,10 +3676,10 @@ const fs = require('fs');
 const path = require('path');
 const vm = require('vm');
 
-// Cache for MTV playlists
-let listsCache = null;
-let listsCacheTime = null;
+// Cache for MTV playlists (served stale for up to a day while refetched)
 const LISTS_CACHE_DURATION = 60 * 60 * 1000; // 1 hour
+const LISTS_STALE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+const listsStore = cacheStore.createCache('mtv-lists', { ttl: LISTS_CACHE_DURATION, staleTtl: LISTS_STALE_DURATION });
 const MTV_PLAYLISTS_URL = 'https://wantmymtv.vercel.app/public/mtv-playlists.json';
 
 /**
@@ -2111,31 +3687,23 @@ const MTV_PLAYLISTS_URL = 'https://wantmymtv.vercel.app/public/mtv-playlists.jso
  * Returns { categoryName: [videoId1, videoId2, ...], ... }
  */
 async function fetchMTVPlaylists() {
-  const now = Date.now();
-
-  // Return cached version if still valid
-  if (listsCache && listsCacheTime && (now - listsCacheTime) < LISTS_CACHE_DURATION) {
-    return listsCache;
-  }
-
   try {
-    console.log('Fetching MTV playlists from:', MTV_PLAYLISTS_URL);
-    const response = await axios.get(MTV_PLAYLISTS_URL, {
-      timeout: 10000, // 10 second timeout
-      headers: {
-        'User-Agent': 'NMTV-Backend/1.0'
+    return await listsStore.wrap('all', async () => {
+      console.log('Fetching MTV playlists from:', MTV_PLAYLISTS_URL);
+      const response = await axios.get(MTV_PLAYLISTS_URL, {
+        timeout: 10000, // 10 second timeout
+        headers: {
+          'User-Agent': 'NMTV-Backend/1.0'
+        }
+      });
+
+      if (!response.data || typeof response.data !== 'object') {
+        throw new Error('Invalid response format from MTV playlists URL');
       }
-    });
 
-    if (response.data && typeof response.data === 'object') {
-      listsCache = response.data;
-      listsCacheTime = now;
       console.log(`Fetched MTV playlists: ${Object.keys(response.data).length} categories found`);
       return response.data;
-    }
-
-    console.error('Invalid response format from MTV playlists URL');
-    return null;
+    });
   } catch (error) {
     console.error('Error fetching MTV playlists:', error.message);
     return null;
@@ -2143,7 +3711,7 @@ async function fetchMTVPlaylists() {
 }
 
 // Get all list categories with counts
-app.get('/api/admin/lists', adminAuthMiddleware, async (req, res) => {
+app.get('/api/admin/lists', requireAdmin('read'), async (req, res) => {
   const lists = await fetchMTVPlaylists();
 
   if (!lists) {
@@ -2162,7 +3730,7 @@ app.get('/api/admin/lists', adminAuthMiddleware, async (req, res) => {
 });
 
 // Get paginated videos from a specific category
-app.get('/api/admin/lists/:category', adminAuthMiddleware, async (req, res) => {
+app.get('/api/admin/lists/:category', requireAdmin('read'), async (req, res) => {
   const { category } = req.params;
   const page = Math.max(1, parseInt(req.query.page) || 1);
   const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize) || 50));
@@ -2200,12 +3768,12 @@ app.get('/api/admin/lists/:category', adminAuthMiddleware, async (req, res) => {
 // YOUTUBE PLAYLIST BROWSER
 // ============================================
 
-// Cache for fetched YouTube playlists
-const ytPlaylistCache = new Map(); // playlistId -> { videoIds: [], fetchedAt: timestamp }
+// Cache for fetched YouTube playlists (playlistId -> { videoIds, title })
 const YT_PLAYLIST_CACHE_DURATION = 30 * 60 * 1000; // 30 minutes
+const ytPlaylistStore = cacheStore.createCache('youtube-playlists', { ttl: YT_PLAYLIST_CACHE_DURATION });
 
 // Fetch all video IDs from a YouTube playlist
-app.get('/api/admin/youtube-playlist/:playlistId', adminAuthMiddleware, async (req, res) => {
+app.get('/api/admin/youtube-playlist/:playlistId', requireAdmin('read'), async (req, res) => {
   const { playlistId } = req.params;
   const page = Math.max(1, parseInt(req.query.page) || 1);
   const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize) || 50));
@@ -2214,55 +3782,35 @@ app.get('/api/admin/youtube-playlist/:playlistId', adminAuthMiddleware, async (r
     return res.status(500).json({ error: 'YOUTUBE_API_KEY not set' });
   }
 
-  // Check cache
-  const cached = ytPlaylistCache.get(playlistId);
-  if (cached && (Date.now() - cached.fetchedAt) < YT_PLAYLIST_CACHE_DURATION) {
-    const videoIds = cached.videoIds;
-    const totalItems = videoIds.length;
-    const totalPages = Math.ceil(totalItems / pageSize);
-    const startIndex = (page - 1) * pageSize;
-    const endIndex = Math.min(startIndex + pageSize, totalItems);
-
-    return res.json({
-      playlistId,
-      title: cached.title,
-      page,
-      pageSize,
-      totalPages,
-      totalItems,
-      videoIds: videoIds.slice(startIndex, endIndex)
-    });
-  }
-
   try {
-    // Fetch playlist info first
-    const infoUrl = `https://www.googleapis.com/youtube/v3/playlists?part=snippet&id=${playlistId}&key=${API_KEY}`;
-    const infoResponse = await axios.get(infoUrl);
-    const playlistTitle = infoResponse.data.items?.[0]?.snippet?.title || 'Unknown Playlist';
-
-    // Fetch all video IDs from the playlist (paginate through YouTube API)
-    const videoIds = [];
-    let nextPageToken = null;
+    const { videoIds, title } = await ytPlaylistStore.wrap(playlistId, async () => {
+      // Fetch playlist info first
+      const info = await youtubeClient.request('playlists', { part: 'snippet', id: playlistId });
+      const playlistTitle = info.items?.[0]?.snippet?.title || 'Unknown Playlist';
+
+      // Fetch all video IDs from the playlist (paginate through YouTube API)
+      const allVideoIds = [];
+      let nextPageToken = null;
+
+      do {
+        const response = await youtubeClient.request('playlistItems', {
+          part: 'contentDetails',
+          maxResults: 50,
+          playlistId,
+          pageToken: nextPageToken || undefined
+        });
 
-    do {
-      const url = `https://www.googleapis.com/youtube/v3/playlistItems?part=contentDetails&maxResults=50&playlistId=${playlistId}&key=${API_KEY}${nextPageToken ? `&pageToken=${nextPageToken}` : ''}`;
-      const response = await axios.get(url);
-      
-      const items = response.data.items || [];
-      items.forEach(item => {
-        if (item.contentDetails?.videoId) {
-          videoIds.push(item.contentDetails.videoId);
-        }
-      });
+        const items = response.items || [];
+        items.forEach(item => {
+          if (item.contentDetails?.videoId) {
+            allVideoIds.push(item.contentDetails.videoId);
+          }
+        });
 
-      nextPageToken = response.data.nextPageToken;
-    } while (nextPageToken);
+        nextPageToken = response.nextPageToken;
+      } while (nextPageToken);
 
-    // Cache the result
-    ytPlaylistCache.set(playlistId, {
-      videoIds,
-      title: playlistTitle,
-      fetchedAt: Date.now()
+      return { videoIds: allVideoIds, title: playlistTitle };
     });
 
     // Return paginated response
@@ -2273,7 +3821,7 @@ app.get('/api/admin/youtube-playlist/:playlistId', adminAuthMiddleware, async (r
 
     res.json({
       playlistId,
-      title: playlistTitle,
+      title,
       page,
       pageSize,
       totalPages,
@@ -2283,8 +3831,11 @@ app.get('/api/admin/youtube-playlist/:playlistId', adminAuthMiddleware, async (r
 
   } catch (error) {
     console.error('Error fetching YouTube playlist:', error.message);
-    
-    if (error.response?.status === 404) {
+
+    if (error instanceof youtubeClient.QuotaExceededError) {
+      return res.status(503).json({ error: error.message });
+    }
+    if (error instanceof youtubeClient.NotFoundError || error instanceof youtubeClient.PrivateResourceError) {
       return res.status(404).json({ error: 'Playlist not found or is private' });
     }
     
@@ -2297,7 +3848,7 @@ app.get('/api/admin/youtube-playlist/:playlistId', adminAuthMiddleware, async (r
 // ============================================
 
 // GET all special events
-app.get('/api/admin/special-events', adminAuthMiddleware, async (req, res) => {
+app.get('/api/admin/special-events', requireAdmin('read'), async (req, res) => {
   try {
     const events = await dbService.getAllSpecialEvents();
     res.json(events);
@@ -2319,7 +3870,7 @@ app.get('/api/special-event', async (req, res) => {
 });
 
 // CREATE a new special event
-app.post('/api/admin/special-events', adminAuthMiddleware, async (req, res) => {
+app.post('/api/admin/special-events', requireAdmin('channels'), audit('special_event.create', { type: 'special_event', id: (req, body) => body?.id }), async (req, res) => {
   try {
     const { label, icon1, icon2, isEnabled, startDate, endDate, playlists } = req.body;
 
@@ -2331,6 +3882,7 @@ app.post('/api/admin/special-events', adminAuthMiddleware, async (req, res) => {
       label, icon1, icon2, isEnabled, startDate, endDate, playlists
     });
 
+    broadcastService.invalidate('special');
     res.json(result);
   } catch (error) {
     console.error('Error creating special event:', error.message);
@@ -2339,7 +3891,7 @@ app.post('/api/admin/special-events', adminAuthMiddleware, async (req, res) => {
 });
 
 // UPDATE an existing special event
-app.put('/api/admin/special-events/:eventId', adminAuthMiddleware, async (req, res) => {
+app.put('/api/admin/special-events/:eventId', requireAdmin('channels'), audit('special_event.update', { type: 'special_event', id: param('eventId') }), async (req, res) => {
   try {
     const eventId = parseInt(req.params.eventId, 10);
     if (isNaN(eventId)) {
@@ -2356,6 +3908,7 @@ app.put('/api/admin/special-events/:eventId', adminAuthMiddleware, async (req, r
       label, icon1, icon2, isEnabled, startDate, endDate, playlists
     });
 
+    broadcastService.invalidate('special');
     res.json(result);
   } catch (error) {
     console.error('Error updating special event:', error.message);
@@ -2366,14 +3919,15 @@ app.put('/api/admin/special-events/:eventId', adminAuthMiddleware, async (req, r
   }
 });
 
-// DELETE a special event
-app.delete('/api/admin/special-events/:eventId', adminAuthMiddleware, async (req, res) => {
+// DELETE a special event (restorable from the trash)
+app.delete('/api/admin/special-events/:eventId', requireAdmin('channels'), audit('special_event.delete', { type: 'special_event', id: param('eventId') }), async (req, res) => {
   try {
     const eventId = parseInt(req.params.eventId, 10);
     if (isNaN(eventId)) {
       return res.status(400).json({ error: 'eventId must be a number' });
     }
-    const result = await dbService.deleteSpecialEvent(eventId);
+    const result = await dbService.deleteSpecialEvent(eventId, { deletedBy: req.adminUser.username });
+    broadcastService.invalidate('special');
     res.json(result);
   } catch (error) {
     console.error('Error deleting special event:', error.message);
@@ -2385,24 +3939,48 @@ app.delete('/api/admin/special-events/:eventId', adminAuthMiddleware, async (req
 });
 
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, async () => {
-  console.log('NMTV backend running on port ' + PORT);
-  console.log(`Mode: ${USE_DATABASE ? 'DATABASE' : 'YOUTUBE_API'}`);
-
-  if (!API_KEY) {
-    console.warn('WARNING: YOUTUBE_API_KEY not set');
-  }
 
+/**
+ * Connect the database (checking its schema is current), start listening, then warm the
+ * playlist cache.
+ * @param {number} port - Port to listen on (0 = any free port)
+ * @returns {Promise<http.Server>} Resolves once startup work has finished
+ * @throws {Error} In database mode, if migrations are pending
+ */
+async function startServer(port = PORT) {
   // Initialize database connection pool if using database
   if (USE_DATABASE) {
+    let connected = false;
     try {
       await dbService.initializePool();
       await dbService.healthCheck();
+      connected = true;
       console.log('✓ Database connection established');
     } catch (e) {
       console.error('❌ Database connection failed:', e.message);
       console.error('   Will fall back to YouTube API');
     }
+
+    // Queries against an older schema fail in unpredictable places - don't serve at all
+    if (connected) {
+      const schema = await migrationRunner.assertUpToDate(dbService.getPool());
+      console.log(`✓ Database schema at version ${schema.currentVersion}`);
+    }
+  }
+
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(port, () => resolve(listening));
+    listening.on('error', reject);
+  });
+
+  console.log('NMTV backend running on port ' + server.address().port);
+  console.log(`Mode: ${USE_DATABASE ? 'DATABASE' : 'YOUTUBE_API'}`);
+  if (youtubeFixtures.getMode() !== 'live') {
+    console.log(`YouTube: ${youtubeFixtures.getMode().toUpperCase()} (offline stand-in / fixtures)`);
+  }
+
+  if (!API_KEY) {
+    console.warn('WARNING: YOUTUBE_API_KEY not set');
   }
 
   // Pre-fetch playlists after server starts (YouTube API mode only)
@@ -2414,4 +3992,21 @@ app.listen(PORT, async () => {
       console.error('Error during pre-fetch:', e.message);
     }
   }
-});
+
+  // Keep cached playlists fresh, and DB playlists in step with their sources, from here on
+  playlistRefresh.start();
+  playlistSync.start();
+  trashService.start();
+  auditLog.start();
+
+  return server;
+}
+
+if (require.main === module) {
+  startServer().catch(error => {
+    console.error('❌ Not starting:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { app, startServer };
@@ -0,0 +1,256 @@
+/**
+ * Database Migrations
+ *
+ * The schema is built by numbered migrations in migrations/:
+ *
+ *   0001_initial_schema.up.sql      applied by `npm run migrate`
+ *   0001_initial_schema.down.sql    reverted by `npm run migrate -- down`
+ *
+ * Applied versions are recorded in schema_migrations. Each migration runs in its own
+ * transaction, and a Postgres advisory lock keeps two instances (or an instance and the CLI)
+ * from migrating at once. Migrations use IF NOT EXISTS, so a database built by hand from the
+ * old schema.sql / migrations/add_*.sql scripts is adopted by simply running them.
+ *
+ * index.js refuses to start in database mode while migrations are pending (see assertUpToDate).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+const LOCK_ID = 4206001; // pg_advisory_lock key for migrations
+
+// ============================================
+// MIGRATION FILES
+// ============================================
+
+/**
+ * Read the migrations directory.
+ * @param {string} dir - Directory to read (default migrations/)
+ * @returns {Array<{ version: number, name: string, up: string, down: string|null }>} Oldest first
+ * @throws {Error} On unrecognized files, duplicate versions or a missing up migration
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (!file.endsWith('.sql')) continue;
+
+    const match = file.match(MIGRATION_FILE);
+    if (!match) {
+      throw new Error(`Unrecognized migration file ${file} (expected NNNN_name.up.sql / NNNN_name.down.sql)`);
+    }
+
+    const [, number, name, direction] = match;
+    const version = parseInt(number, 10);
+    const migration = byVersion.get(version) || { version, name, up: null, down: null };
+
+    if (migration.name !== name) {
+      throw new Error(`Migration version ${number} is used by both ${migration.name} and ${name}`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (migration.up === null) {
+      throw new Error(`Migration ${formatName(migration)} has no up migration`);
+    }
+  }
+  return migrations;
+}
+
+function formatName({ version, name }) {
+  return `${String(version).padStart(4, '0')}_${name}`;
+}
+
+// ============================================
+// CONNECTION
+// ============================================
+
+// Run `callback(client)` on one connection: a Pool lends a client, a Client is used as is
+async function withConnection(db, callback) {
+  if (!(db instanceof Pool)) return callback(db);
+
+  const client = await db.connect();
+  try {
+    return await callback(client);
+  } finally {
+    client.release();
+  }
+}
+
+// Same, holding the migration lock for the duration
+async function withLock(db, callback) {
+  return withConnection(db, async (client) => {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    try {
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+    }
+  });
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedMigrations(client) {
+  const { rows } = await client.query(`
+    SELECT version, name, applied_at
+    FROM schema_migrations
+    ORDER BY version
+  `);
+  return rows.map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }));
+}
+
+// Apply or revert one migration and record it, in a single transaction
+async function runMigration(client, migration, direction) {
+  const sql = migration[direction];
+
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${formatName(migration)} (${direction}) failed: ${error.message}`);
+  }
+
+  console.log(`[Migrations] ${direction === 'up' ? 'Applied' : 'Reverted'} ${formatName(migration)}`);
+}
+
+// ============================================
+// COMMANDS
+// ============================================
+
+/**
+ * Compare applied migrations with the migrations directory.
+ * @param {Pool|Client} db - pg Pool or connected Client
+ * @param {Object} options - { dir: migrations directory }
+ * @returns {Promise<Object>} { currentVersion, latestVersion, upToDate, applied, pending, unknown }
+ *   unknown lists applied versions that have no file here (the database is newer than this code)
+ */
+async function getStatus(db, { dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withConnection(db, async (client) => {
+    await ensureMigrationsTable(client);
+    const applied = await getAppliedMigrations(client);
+    const appliedVersions = new Set(applied.map(m => m.version));
+    const knownVersions = new Set(migrations.map(m => m.version));
+
+    const pending = migrations
+      .filter(m => !appliedVersions.has(m.version))
+      .map(({ version, name }) => ({ version, name }));
+
+    return {
+      currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+      upToDate: pending.length === 0,
+      applied,
+      pending,
+      unknown: applied.filter(m => !knownVersions.has(m.version))
+    };
+  });
+}
+
+/**
+ * Apply pending migrations, oldest first.
+ * @param {Pool|Client} db - pg Pool or connected Client
+ * @param {Object} options - { to: last version to apply (default all), dir }
+ * @returns {Promise<Array<{ version, name }>>} Migrations applied
+ */
+async function migrate(db, { to = Infinity, dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withLock(db, async (client) => {
+    await ensureMigrationsTable(client);
+    const appliedVersions = new Set((await getAppliedMigrations(client)).map(m => m.version));
+
+    const applied = [];
+    for (const migration of migrations) {
+      if (migration.version > to || appliedVersions.has(migration.version)) continue;
+
+      await runMigration(client, migration, 'up');
+      applied.push({ version: migration.version, name: migration.name });
+    }
+    return applied;
+  });
+}
+
+/**
+ * Revert applied migrations, newest first.
+ * @param {Pool|Client} db - pg Pool or connected Client
+ * @param {Object} options - { steps: how many to revert (default 1), to: revert everything above this version, dir }
+ * @returns {Promise<Array<{ version, name }>>} Migrations reverted
+ * @throws {Error} If a migration to revert has no down migration or no file at all
+ */
+async function rollback(db, { steps = 1, to = null, dir = MIGRATIONS_DIR } = {}) {
+  const migrations = new Map(loadMigrations(dir).map(m => [m.version, m]));
+
+  return withLock(db, async (client) => {
+    await ensureMigrationsTable(client);
+    const applied = (await getAppliedMigrations(client)).reverse();
+    const toRevert = to === null ? applied.slice(0, steps) : applied.filter(m => m.version > to);
+
+    const reverted = [];
+    for (const { version, name } of toRevert) {
+      const migration = migrations.get(version);
+      if (!migration) {
+        throw new Error(`Migration ${formatName({ version, name })} is applied but its files were not found`);
+      }
+      if (migration.down === null) {
+        throw new Error(`Migration ${formatName(migration)} has no down migration`);
+      }
+
+      await runMigration(client, migration, 'down');
+      reverted.push({ version, name });
+    }
+    return reverted;
+  });
+}
+
+/**
+ * Throw unless every migration has been applied. Checked before serving database mode.
+ * @param {Pool|Client} db - pg Pool or connected Client
+ * @returns {Promise<Object>} getStatus() result
+ * @throws {Error} Listing the pending migrations
+ */
+async function assertUpToDate(db, options) {
+  const status = await getStatus(db, options);
+
+  if (!status.upToDate) {
+    const names = status.pending.map(formatName).join(', ');
+    throw new Error(`Database schema is behind: ${status.pending.length} pending migration(s) (${names}). Run \`npm run migrate\`.`);
+  }
+  if (status.unknown.length > 0) {
+    console.warn(`[Migrations] Database has migrations this version doesn't know: ${status.unknown.map(formatName).join(', ')}`);
+  }
+  return status;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getStatus,
+  migrate,
+  rollback,
+  assertUpToDate,
+  formatName
+};
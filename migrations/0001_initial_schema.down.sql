@@ -0,0 +1,10 @@
+-- Drops every table of the initial schema, and all data with it
+
+DROP TABLE IF EXISTS special_event_playlists;
+DROP TABLE IF EXISTS special_events;
+DROP TABLE IF EXISTS bumpers;
+DROP TABLE IF EXISTS playlist_videos;
+DROP TABLE IF EXISTS videos;
+DROP TABLE IF EXISTS channel_playlists;
+DROP TABLE IF EXISTS playlists;
+DROP TABLE IF EXISTS channels;
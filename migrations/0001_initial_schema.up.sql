@@ -1,10 +1,11 @@
--- NMTV Database Schema
--- PostgreSQL schema for Supabase
+-- NMTV Database Schema (initial)
+-- PostgreSQL schema for Supabase. Tables, columns and indexes are created only if missing, so
+-- databases built by hand from the old schema.sql adopt this migration without changes.
 
 -- ============================================
 -- 1. CHANNELS TABLE
 -- ============================================
-CREATE TABLE channels (
+CREATE TABLE IF NOT EXISTS channels (
   id VARCHAR(50) PRIMARY KEY,  -- 'rock', 'hiphop', '2000s', etc.
   name VARCHAR(100) NOT NULL,
   icon VARCHAR(10),
@@ -15,7 +16,7 @@ CREATE TABLE channels (
 -- ============================================
 -- 2. PLAYLISTS TABLE (app-level playlists)
 -- ============================================
-CREATE TABLE playlists (
+CREATE TABLE IF NOT EXISTS playlists (
   id SERIAL PRIMARY KEY,
   name VARCHAR(255) NOT NULL,  -- e.g., "Top Rock Of All Time"
   description TEXT,
@@ -26,7 +27,7 @@ CREATE TABLE playlists (
 -- ============================================
 -- 3. CHANNEL_PLAYLISTS (many-to-many junction)
 -- ============================================
-CREATE TABLE channel_playlists (
+CREATE TABLE IF NOT EXISTS channel_playlists (
   channel_id VARCHAR(50) REFERENCES channels(id) ON DELETE CASCADE,
   playlist_id INTEGER REFERENCES playlists(id) ON DELETE CASCADE,
   created_at TIMESTAMP DEFAULT NOW(),
@@ -36,7 +37,7 @@ CREATE TABLE channel_playlists (
 -- ============================================
 -- 4. VIDEOS TABLE
 -- ============================================
-CREATE TABLE videos (
+CREATE TABLE IF NOT EXISTS videos (
   id SERIAL PRIMARY KEY,
   youtube_video_id VARCHAR(50) UNIQUE NOT NULL,
   title VARCHAR(500) NOT NULL,
@@ -53,10 +54,30 @@ CREATE TABLE videos (
   updated_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Databases older than unavailability tracking (UNAVAILABILITY_TRACKING.md) had a single
+-- is_available flag: add the newer columns and count unavailable videos as already flagged
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS unavailable_count INT DEFAULT 0;
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS last_unavailable_at TIMESTAMP;
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS is_limited BOOLEAN DEFAULT FALSE;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'videos' AND column_name = 'is_available'
+  ) THEN
+    UPDATE videos
+    SET unavailable_count = 5, is_flagged = TRUE, last_unavailable_at = COALESCE(last_unavailable_at, NOW())
+    WHERE is_available = FALSE;
+
+    ALTER TABLE videos DROP COLUMN is_available;
+  END IF;
+END $$;
+
 -- ============================================
 -- 5. PLAYLIST_VIDEOS (many-to-many junction)
 -- ============================================
-CREATE TABLE playlist_videos (
+CREATE TABLE IF NOT EXISTS playlist_videos (
   playlist_id INTEGER REFERENCES playlists(id) ON DELETE CASCADE,
   video_id INTEGER REFERENCES videos(id) ON DELETE CASCADE,
   position INTEGER,  -- order in playlist (nullable for shuffled playback)
@@ -67,7 +88,7 @@ CREATE TABLE playlist_videos (
 -- ============================================
 -- 6. BUMPERS TABLE (separate from videos)
 -- ============================================
-CREATE TABLE bumpers (
+CREATE TABLE IF NOT EXISTS bumpers (
   id SERIAL PRIMARY KEY,
   youtube_video_id VARCHAR(50) UNIQUE NOT NULL,
   title VARCHAR(500) NOT NULL,
@@ -78,20 +99,20 @@ CREATE TABLE bumpers (
 -- ============================================
 -- INDEXES for performance
 -- ============================================
-CREATE INDEX idx_videos_youtube_id ON videos(youtube_video_id);
-CREATE INDEX idx_videos_flagged ON videos(is_flagged);
-CREATE INDEX idx_videos_unavailable_tracking ON videos(unavailable_count, last_unavailable_at);
-CREATE INDEX idx_videos_limited ON videos(is_limited);
-CREATE INDEX idx_bumpers_youtube_id ON bumpers(youtube_video_id);
-CREATE INDEX idx_playlist_videos_playlist ON playlist_videos(playlist_id);
-CREATE INDEX idx_playlist_videos_video ON playlist_videos(video_id);
-CREATE INDEX idx_channel_playlists_channel ON channel_playlists(channel_id);
-CREATE INDEX idx_channel_playlists_playlist ON channel_playlists(playlist_id);
+CREATE INDEX IF NOT EXISTS idx_videos_youtube_id ON videos(youtube_video_id);
+CREATE INDEX IF NOT EXISTS idx_videos_flagged ON videos(is_flagged);
+CREATE INDEX IF NOT EXISTS idx_videos_unavailable_tracking ON videos(unavailable_count, last_unavailable_at);
+CREATE INDEX IF NOT EXISTS idx_videos_limited ON videos(is_limited);
+CREATE INDEX IF NOT EXISTS idx_bumpers_youtube_id ON bumpers(youtube_video_id);
+CREATE INDEX IF NOT EXISTS idx_playlist_videos_playlist ON playlist_videos(playlist_id);
+CREATE INDEX IF NOT EXISTS idx_playlist_videos_video ON playlist_videos(video_id);
+CREATE INDEX IF NOT EXISTS idx_channel_playlists_channel ON channel_playlists(channel_id);
+CREATE INDEX IF NOT EXISTS idx_channel_playlists_playlist ON channel_playlists(playlist_id);
 
 -- ============================================
 -- 7. SPECIAL EVENTS TABLE
 -- ============================================
-CREATE TABLE special_events (
+CREATE TABLE IF NOT EXISTS special_events (
   id SERIAL PRIMARY KEY,
   label VARCHAR(255) NOT NULL,           -- e.g., 'Academy Awards'
   icon1 VARCHAR(10) NOT NULL DEFAULT '⭐', -- First emoji icon
@@ -106,7 +127,7 @@ CREATE TABLE special_events (
 -- ============================================
 -- 8. SPECIAL EVENT PLAYLISTS (junction table)
 -- ============================================
-CREATE TABLE special_event_playlists (
+CREATE TABLE IF NOT EXISTS special_event_playlists (
   special_event_id INTEGER REFERENCES special_events(id) ON DELETE CASCADE,
   youtube_playlist_id VARCHAR(100) NOT NULL,  -- YouTube playlist ID
   label VARCHAR(255),                          -- Optional label for the playlist
@@ -115,9 +136,9 @@ CREATE TABLE special_event_playlists (
   PRIMARY KEY (special_event_id, youtube_playlist_id)
 );
 
-CREATE INDEX idx_special_events_enabled ON special_events(is_enabled);
-CREATE INDEX idx_special_events_dates ON special_events(start_date, end_date);
-CREATE INDEX idx_special_event_playlists_event ON special_event_playlists(special_event_id);
+CREATE INDEX IF NOT EXISTS idx_special_events_enabled ON special_events(is_enabled);
+CREATE INDEX IF NOT EXISTS idx_special_events_dates ON special_events(start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_special_event_playlists_event ON special_event_playlists(special_event_id);
 
 -- ============================================
 -- SEED DATA: Insert channels
@@ -131,4 +152,5 @@ INSERT INTO channels (id, name, icon, is_easter_egg) VALUES
   ('live', 'Live', '🎸', FALSE),
   ('shows', 'Shows', '🎬', FALSE),
   ('random', 'Random', '🎲', FALSE),
-  ('noa', 'NOA', '🎵', TRUE);
+  ('noa', 'NOA', '🎵', TRUE)
+ON CONFLICT (id) DO NOTHING;
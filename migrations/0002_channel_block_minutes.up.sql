@@ -0,0 +1,5 @@
+-- Runtime-targeted programming blocks
+-- Adds a per-channel target block length (minutes, bumpers included).
+-- NULL keeps the built-in default: 30 minutes for shows, 60 for everything else.
+
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS block_minutes INTEGER;
@@ -0,0 +1,6 @@
+-- Configurable bumper placement per channel
+-- Stores a bumper pattern (see bumper-patterns.js), e.g.
+--   {"type": "every", "count": 4, "offset": 2, "end": true}
+-- NULL keeps the built-in default for the channel.
+
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS bumper_pattern JSONB;
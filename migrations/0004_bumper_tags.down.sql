@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS bumper_special_events;
+DROP TABLE IF EXISTS bumper_channels;
+DROP TABLE IF EXISTS bumper_tags;
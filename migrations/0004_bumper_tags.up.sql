@@ -0,0 +1,26 @@
+-- Bumper categories and channel-specific idents
+-- Tags: ident, promo, station-id, decade, channel, special-event
+-- Bumpers mapped to channels / special events are preferred there and never aired elsewhere;
+-- bumpers without any mapping stay generic. Generic `channel` bumpers never air (they need a
+-- mapping), and generic `special-event` bumpers air only during special events, first there.
+
+CREATE TABLE IF NOT EXISTS bumper_tags (
+  bumper_id INTEGER REFERENCES bumpers(id) ON DELETE CASCADE,
+  tag VARCHAR(50) NOT NULL,
+  PRIMARY KEY (bumper_id, tag)
+);
+
+CREATE TABLE IF NOT EXISTS bumper_channels (
+  bumper_id INTEGER REFERENCES bumpers(id) ON DELETE CASCADE,
+  channel_id VARCHAR(50) REFERENCES channels(id) ON DELETE CASCADE,
+  PRIMARY KEY (bumper_id, channel_id)
+);
+
+CREATE TABLE IF NOT EXISTS bumper_special_events (
+  bumper_id INTEGER REFERENCES bumpers(id) ON DELETE CASCADE,
+  special_event_id INTEGER REFERENCES special_events(id) ON DELETE CASCADE,
+  PRIMARY KEY (bumper_id, special_event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bumper_channels_channel ON bumper_channels(channel_id);
+CREATE INDEX IF NOT EXISTS idx_bumper_special_events_event ON bumper_special_events(special_event_id);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS viewer_history;
+ALTER TABLE channels DROP COLUMN IF EXISTS history_minutes;
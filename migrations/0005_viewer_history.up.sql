@@ -0,0 +1,18 @@
+-- Per-viewer play history
+-- Replaces the client-sent excludeIds / excludePlaylistIds arrays: the server remembers what
+-- each anonymous viewer (viewerId cookie / X-Viewer-Id header) was served.
+-- channels.history_minutes sets the lookback window per channel (NULL = 720 minutes).
+
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS history_minutes INTEGER;
+
+CREATE TABLE IF NOT EXISTS viewer_history (
+  id BIGSERIAL PRIMARY KEY,
+  viewer_id VARCHAR(64) NOT NULL,
+  youtube_video_id VARCHAR(20) NOT NULL,
+  playlist_id VARCHAR(100),
+  channel_id VARCHAR(50),
+  played_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_viewer_history_viewer ON viewer_history(viewer_id, played_at);
+CREATE INDEX IF NOT EXISTS idx_viewer_history_played_at ON viewer_history(played_at);
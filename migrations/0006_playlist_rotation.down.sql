@@ -0,0 +1,2 @@
+ALTER TABLE channel_playlists DROP COLUMN IF EXISTS dayparts;
+ALTER TABLE channel_playlists DROP COLUMN IF EXISTS weight;
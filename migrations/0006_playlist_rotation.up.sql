@@ -0,0 +1,7 @@
+-- Weighted playlist rotation and dayparts
+-- weight: relative chance of a playlist being picked on the channel (default 1, 0 = only when nothing else can air)
+-- dayparts: when the playlist may air, e.g. [{"days": ["mon","tue","wed","thu","fri"], "start": "06:00", "end": "12:00"}]
+--           (NULL = always). Times use SCHEDULE_TIMEZONE, or the server's local time.
+
+ALTER TABLE channel_playlists ADD COLUMN IF NOT EXISTS weight NUMERIC(6,2) NOT NULL DEFAULT 1;
+ALTER TABLE channel_playlists ADD COLUMN IF NOT EXISTS dayparts JSONB;
@@ -0,0 +1,11 @@
+-- YouTube API quota accounting
+-- Units spent per quota day (Pacific time, when YouTube resets quota) and API endpoint,
+-- so the daily budget survives restarts. Written by youtube-client.js.
+
+CREATE TABLE IF NOT EXISTS youtube_quota_usage (
+  usage_date DATE NOT NULL,
+  endpoint VARCHAR(50) NOT NULL,
+  calls INTEGER NOT NULL DEFAULT 0,
+  units INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (usage_date, endpoint)
+);
@@ -0,0 +1,15 @@
+-- Shared cache (CACHE_DRIVER=postgres)
+-- Playlist data and query results shared by every instance and kept across restarts.
+-- Written by cache-store.js; entries past stale_until are purged hourly.
+
+CREATE TABLE IF NOT EXISTS cache_entries (
+  namespace VARCHAR(50) NOT NULL,
+  cache_key VARCHAR(500) NOT NULL,
+  value JSONB,
+  expires_at TIMESTAMPTZ NOT NULL,
+  stale_until TIMESTAMPTZ NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (namespace, cache_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cache_entries_stale_until ON cache_entries(stale_until);
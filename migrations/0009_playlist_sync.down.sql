@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS playlist_sync_changes;
+DROP TABLE IF EXISTS playlist_sync_reports;
+ALTER TABLE playlists DROP COLUMN IF EXISTS last_sync_error;
+ALTER TABLE playlists DROP COLUMN IF EXISTS last_synced_at;
@@ -0,0 +1,34 @@
+-- Playlist change detection
+-- Stores the diff reports produced by playlist-sync.js (added, removed, went private,
+-- title changed) until an admin applies or dismisses them. Playlists are linked to their
+-- source by 0010_playlist_source.
+
+ALTER TABLE playlists ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMPTZ;
+ALTER TABLE playlists ADD COLUMN IF NOT EXISTS last_sync_error TEXT;
+
+CREATE TABLE IF NOT EXISTS playlist_sync_reports (
+  id SERIAL PRIMARY KEY,
+  playlist_id INTEGER REFERENCES playlists(id) ON DELETE CASCADE,
+  youtube_playlist_id VARCHAR(100) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  source_video_count INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS playlist_sync_changes (
+  id SERIAL PRIMARY KEY,
+  report_id INTEGER REFERENCES playlist_sync_reports(id) ON DELETE CASCADE,
+  change_type VARCHAR(20) NOT NULL,
+  youtube_video_id VARCHAR(50) NOT NULL,
+  title VARCHAR(500),
+  artist VARCHAR(255),
+  song VARCHAR(255),
+  previous_title VARCHAR(500),
+  position INTEGER,
+  duration_seconds INTEGER,
+  applied_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_playlist_sync_reports_playlist ON playlist_sync_reports(playlist_id, status);
+CREATE INDEX IF NOT EXISTS idx_playlist_sync_changes_report ON playlist_sync_changes(report_id);
@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_playlists_source;
+ALTER TABLE playlists DROP COLUMN IF EXISTS imported_at;
+ALTER TABLE playlists DROP COLUMN IF EXISTS source_options;
+ALTER TABLE playlists DROP COLUMN IF EXISTS source_id;
+ALTER TABLE playlists DROP COLUMN IF EXISTS source_type;
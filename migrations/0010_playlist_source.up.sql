@@ -0,0 +1,33 @@
+-- Playlist source tracking
+-- Records where each playlist came from, so imports are idempotent (one playlist per source)
+-- and playlist-sync.js knows what to diff against.
+--   source_type     youtube (imported from a YouTube playlist) | manual (built in the admin UI)
+--   source_id       YouTube playlist ID for youtube sources
+--   source_options  import options reused by re-imports and sync, e.g. {"splitArtist": true}
+--   imported_at     last import from the source
+
+ALTER TABLE playlists ADD COLUMN IF NOT EXISTS source_type VARCHAR(20) NOT NULL DEFAULT 'manual';
+ALTER TABLE playlists ADD COLUMN IF NOT EXISTS source_id VARCHAR(100);
+ALTER TABLE playlists ADD COLUMN IF NOT EXISTS source_options JSONB;
+ALTER TABLE playlists ADD COLUMN IF NOT EXISTS imported_at TIMESTAMPTZ;
+
+-- Earlier builds of playlist sync kept the link in youtube_playlist_id; carry it over
+-- (the oldest playlist wins when several were linked to the same source)
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'playlists' AND column_name = 'youtube_playlist_id'
+  ) THEN
+    UPDATE playlists p
+    SET source_type = 'youtube', source_id = p.youtube_playlist_id
+    WHERE p.youtube_playlist_id IS NOT NULL
+      AND p.source_id IS NULL
+      AND p.id = (SELECT MIN(d.id) FROM playlists d WHERE d.youtube_playlist_id = p.youtube_playlist_id);
+
+    DROP INDEX IF EXISTS idx_playlists_youtube_playlist_id;
+    ALTER TABLE playlists DROP COLUMN youtube_playlist_id;
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_playlists_source ON playlists(source_type, source_id);
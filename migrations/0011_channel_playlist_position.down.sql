@@ -0,0 +1 @@
+ALTER TABLE channel_playlists DROP COLUMN IF EXISTS position;
@@ -0,0 +1,15 @@
+-- Playlist order on a channel
+-- position: where the playlist is listed on the channel (admin UI and channel playlist lists);
+-- NULL sorts last. Existing links are numbered in playlist id order.
+
+ALTER TABLE channel_playlists ADD COLUMN IF NOT EXISTS position INTEGER;
+
+UPDATE channel_playlists cp
+SET position = numbered.position
+FROM (
+  SELECT channel_id, playlist_id, ROW_NUMBER() OVER (PARTITION BY channel_id ORDER BY playlist_id) - 1 AS position
+  FROM channel_playlists
+) numbered
+WHERE cp.channel_id = numbered.channel_id
+  AND cp.playlist_id = numbered.playlist_id
+  AND cp.position IS NULL;
@@ -0,0 +1,3 @@
+ALTER TABLE channels DROP COLUMN IF EXISTS feeds_random;
+ALTER TABLE channels DROP COLUMN IF EXISTS is_random;
+ALTER TABLE channels DROP COLUMN IF EXISTS position;
@@ -0,0 +1,34 @@
+-- Data-driven channel line-up
+-- position:     guide order; NULL sorts last (by id)
+-- is_random:    the channel airs a shuffle of every feeds_random channel instead of its own playlists
+-- feeds_random: the channel's playlists are part of random channels' shuffle
+-- The built-in channels get the order and random membership that used to be hardcoded.
+-- Guarded so that re-running it never resets what has since been changed through the admin API.
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'channels' AND column_name = 'feeds_random'
+  ) THEN
+    ALTER TABLE channels ADD COLUMN IF NOT EXISTS position INTEGER;
+    ALTER TABLE channels ADD COLUMN IF NOT EXISTS is_random BOOLEAN NOT NULL DEFAULT FALSE;
+    ALTER TABLE channels ADD COLUMN feeds_random BOOLEAN NOT NULL DEFAULT FALSE;
+
+    UPDATE channels SET position = CASE id
+      WHEN 'rock' THEN 0
+      WHEN 'hiphop' THEN 1
+      WHEN '2000s' THEN 2
+      WHEN '1990s' THEN 3
+      WHEN '1980s' THEN 4
+      WHEN 'live' THEN 5
+      WHEN 'shows' THEN 6
+      WHEN 'noa' THEN 7
+      WHEN 'random' THEN 8
+    END;
+
+    UPDATE channels SET is_random = TRUE WHERE id = 'random';
+    UPDATE channels SET feeds_random = TRUE
+    WHERE id IN ('rock', 'hiphop', '2000s', '1990s', '1980s', 'live', 'shows');
+  END IF;
+END $$;
@@ -0,0 +1,26 @@
+-- Admin accounts with roles
+-- Replaces the single shared ADMIN_PASSWORD (see admin-auth.js). Passwords are stored as scrypt
+-- hashes; sessions live server-side so logout, password changes and deleting a user revoke them.
+-- role: viewer (read only), curator (playlists / videos), programmer (channels / events), owner (everything)
+
+CREATE TABLE IF NOT EXISTS admin_users (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(50) NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'curator', 'programmer', 'owner')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  last_login_at TIMESTAMPTZ
+);
+
+-- token_hash: SHA-256 of the session cookie; the token itself is never stored
+-- user_id NULL: the built-in owner that signs in with ADMIN_PASSWORD
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  token_hash CHAR(64) PRIMARY KEY,
+  user_id INTEGER REFERENCES admin_users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_expires ON admin_sessions(expires_at);
@@ -0,0 +1,28 @@
+-- Audit log
+-- One row per successful admin write and public flag / unavailable report (see audit-log.js):
+-- who did it, what, to which target, the target's state before and after, and the request.
+-- actor_type: admin (actor_id = username) or viewer (actor_id = anonymous viewer id, if known)
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  actor_type VARCHAR(20) NOT NULL,
+  actor_id VARCHAR(100),
+  actor_role VARCHAR(20),
+  action VARCHAR(100) NOT NULL,
+  target_type VARCHAR(50),
+  target_id VARCHAR(100),
+  before JSONB,
+  after JSONB,
+  method VARCHAR(10),
+  path TEXT,
+  status_code INTEGER,
+  ip VARCHAR(100),
+  user_agent TEXT,
+  request_body JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action);
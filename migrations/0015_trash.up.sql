@@ -0,0 +1,18 @@
+-- Trash
+-- Deleted videos, playlist entries, playlists, bumpers and special events are kept here, with
+-- every row the deletion removed, until restored or purged (TRASH_RETENTION_DAYS, see trash-service.js).
+-- item_type: video | playlist_video | playlist | bumper | special_event
+-- data: [{ table, rows: [row as JSON] }], parents first - the order rows are restored in
+
+CREATE TABLE IF NOT EXISTS trash (
+  id SERIAL PRIMARY KEY,
+  item_type VARCHAR(30) NOT NULL,
+  item_id VARCHAR(100) NOT NULL,
+  label TEXT,
+  data JSONB NOT NULL,
+  deleted_by VARCHAR(100),
+  deleted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trash_deleted ON trash(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_trash_item ON trash(item_type, item_id);
@@ -0,0 +1,24 @@
+-- Flag reports
+-- Viewer reports of a problem with a video, reviewed by moderators. A video is flagged (and
+-- leaves playback) once reports from FLAG_REPORT_THRESHOLD IP addresses are pending, or when a moderator
+-- approves its reports; dismissing them unflags a video that reports had flagged.
+-- reason: see FLAG_REASONS in db-service.js
+-- status: pending | approved | dismissed
+
+CREATE TABLE IF NOT EXISTS video_flag_reports (
+  id SERIAL PRIMARY KEY,
+  video_id INTEGER NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+  viewer_id VARCHAR(64) NOT NULL,
+  reporter_ip VARCHAR(45),
+  reason VARCHAR(30) NOT NULL,
+  comment TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'dismissed')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  reviewed_at TIMESTAMPTZ,
+  reviewed_by VARCHAR(100)
+);
+
+-- One pending report per viewer and video
+CREATE UNIQUE INDEX IF NOT EXISTS idx_video_flag_reports_pending_viewer
+  ON video_flag_reports(video_id, viewer_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_video_flag_reports_status ON video_flag_reports(status, created_at);
@@ -0,0 +1 @@
+DROP TABLE IF EXISTS video_unavailability_reports;
@@ -0,0 +1,21 @@
+-- Unavailability reports
+-- One row per viewer report of a video failing to play (POST /api/videos/:videoId/unavailable),
+-- with the YouTube player error code and the viewer's country, so failures can be broken down
+-- by region and code. videos.unavailable_count / last_unavailable_at stay as the summary.
+-- viewer_id / reporter_ip: who reported (the viewer session and IP address); thresholds count
+-- distinct reporters, and a reporter's repeat reports of a video are ignored for a day
+-- error_code: 2 | 5 | 100 | 101 | 150 (NULL if the client didn't send one)
+-- country: ISO 3166-1 alpha-2 from the COUNTRY_HEADER request header (NULL if unknown)
+
+CREATE TABLE IF NOT EXISTS video_unavailability_reports (
+  id SERIAL PRIMARY KEY,
+  video_id INTEGER NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+  viewer_id VARCHAR(64),
+  reporter_ip VARCHAR(45),
+  error_code SMALLINT CHECK (error_code IN (2, 5, 100, 101, 150)),
+  country CHAR(2),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_video_unavailability_reports_video ON video_unavailability_reports(video_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_video_unavailability_reports_created ON video_unavailability_reports(created_at);
@@ -0,0 +1,220 @@
+/**
+ * Scheduled Playlist Refresh
+ *
+ * Refetches cached YouTube playlists in the background shortly before they expire, so a
+ * viewer request never waits on a full playlist fetch. Refreshes are spread out (at most one
+ * per tick, soonest expiry first) to smooth quota use, pause while the YouTube quota is
+ * nearly spent, and back off per playlist after failures. A failed refresh leaves the cached
+ * copy in place - it keeps being served until a later refresh succeeds.
+ *
+ * With a shared cache (CACHE_DRIVER=postgres) every instance runs the scheduler, but expiry
+ * is read from the shared store, so a playlist refreshed by one instance is skipped by the others.
+ */
+
+const TICK_INTERVAL = 60 * 1000;                // One refresh at most per minute
+const REFRESH_AHEAD = 2 * 60 * 60 * 1000;       // Refresh playlists expiring within 2 hours
+const FAILURE_BACKOFF = 10 * 60 * 1000;         // First retry after a failure, doubled each time
+const MAX_FAILURE_BACKOFF = 6 * 60 * 60 * 1000;
+
+// Provided by index.js through initialize()
+let listPlaylists = async () => [];
+let getExpiry = async () => null;
+let refreshPlaylist = async () => [];
+let canRefresh = () => true;
+
+let tickTimer = null;
+let tickInProgress = null;
+let lastTickAt = null;
+let pausedForQuota = false;
+
+// Map<playlistId, status> - see getStatus()
+const statuses = new Map();
+
+/**
+ * @param {Object} options
+ * @param {Function} options.listPlaylists - async () => [{ playlistId, channel }] to keep warm
+ * @param {Function} options.getExpiry - async (playlistId) => epoch ms the cached copy expires, or null if not cached
+ * @param {Function} options.refreshPlaylist - async (playlistId, channel) => videos; fetches and caches, throws on failure
+ * @param {Function} options.canRefresh - () => boolean, false while quota should be saved
+ */
+function initialize(options) {
+  if (options.listPlaylists) listPlaylists = options.listPlaylists;
+  if (options.getExpiry) getExpiry = options.getExpiry;
+  if (options.refreshPlaylist) refreshPlaylist = options.refreshPlaylist;
+  if (options.canRefresh) canRefresh = options.canRefresh;
+}
+
+function getPlaylistStatus(playlistId, channel) {
+  if (!statuses.has(playlistId)) {
+    statuses.set(playlistId, {
+      playlistId,
+      channels: [],
+      expiresAt: null,
+      lastAttemptAt: null,
+      lastSuccessAt: null,
+      lastDurationMs: null,
+      videoCount: null,
+      lastError: null,
+      consecutiveFailures: 0,
+      retryAt: null
+    });
+  }
+
+  const status = statuses.get(playlistId);
+  if (channel && !status.channels.includes(channel)) status.channels.push(channel);
+  return status;
+}
+
+// ============================================
+// REFRESHING
+// ============================================
+
+async function refreshOne(status) {
+  const startedAt = Date.now();
+  status.lastAttemptAt = startedAt;
+
+  try {
+    const videos = await refreshPlaylist(status.playlistId, status.channels[0] || null);
+
+    status.lastSuccessAt = Date.now();
+    status.videoCount = videos.length;
+    status.lastError = null;
+    status.consecutiveFailures = 0;
+    status.retryAt = null;
+    status.expiresAt = await getExpiry(status.playlistId);
+  } catch (error) {
+    status.consecutiveFailures++;
+    status.lastError = error.message;
+    status.retryAt = Date.now() + Math.min(FAILURE_BACKOFF * 2 ** (status.consecutiveFailures - 1), MAX_FAILURE_BACKOFF);
+    console.error(`[Refresh] Playlist ${status.playlistId} failed (${status.consecutiveFailures}x), keeping cached copy:`, error.message);
+  } finally {
+    status.lastDurationMs = Date.now() - startedAt;
+  }
+
+  return status;
+}
+
+/**
+ * Refresh the playlist that expires soonest, if any is due. Runs once per TICK_INTERVAL.
+ * @returns {Promise<Object|null>} Internal status of the refreshed playlist, null if none was due
+ */
+async function tick() {
+  if (tickInProgress) return tickInProgress;
+
+  tickInProgress = (async () => {
+    lastTickAt = Date.now();
+
+    pausedForQuota = !canRefresh();
+    if (pausedForQuota) return null;
+
+    const now = Date.now();
+    const due = [];
+
+    for (const { playlistId, channel } of await listPlaylists()) {
+      const status = getPlaylistStatus(playlistId, channel);
+      if (due.includes(status)) continue;
+
+      status.expiresAt = await getExpiry(playlistId);
+      if (status.retryAt && status.retryAt > now) continue;
+
+      if (status.expiresAt === null || status.expiresAt - now <= REFRESH_AHEAD) {
+        due.push(status);
+      }
+    }
+
+    if (due.length === 0) return null;
+
+    // Missing first, then soonest expiry
+    due.sort((a, b) => (a.expiresAt ?? 0) - (b.expiresAt ?? 0));
+    return refreshOne(due[0]);
+  })();
+
+  try {
+    return await tickInProgress;
+  } finally {
+    tickInProgress = null;
+  }
+}
+
+/**
+ * Refresh one playlist now, regardless of expiry and backoff.
+ * @returns {Promise<Object>} Its status after the attempt (lastError is null on success)
+ * @throws {Error} If the playlist is not one the scheduler keeps warm
+ */
+async function refreshNow(playlistId) {
+  const scheduled = await listPlaylists();
+  const entry = scheduled.find(p => p.playlistId === playlistId);
+  if (!entry) {
+    throw new Error(`Playlist ${playlistId} not found in the refresh schedule`);
+  }
+
+  return formatStatus(await refreshOne(getPlaylistStatus(playlistId, entry.channel)));
+}
+
+// ============================================
+// SCHEDULER
+// ============================================
+
+function start(interval = TICK_INTERVAL) {
+  if (tickTimer) return;
+
+  tickTimer = setInterval(() => {
+    tick().catch(error => console.error('[Refresh] Tick failed:', error.message));
+  }, interval);
+  tickTimer.unref();
+}
+
+function stop() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+}
+
+/**
+ * Scheduler state and per-playlist refresh status, soonest expiry first.
+ */
+async function getStatus() {
+  const playlists = [];
+  for (const { playlistId, channel } of await listPlaylists()) {
+    const status = getPlaylistStatus(playlistId, channel);
+    if (playlists.includes(status)) continue;
+
+    status.expiresAt = await getExpiry(playlistId);
+    playlists.push(status);
+  }
+  playlists.sort((a, b) => (a.expiresAt ?? 0) - (b.expiresAt ?? 0));
+
+  return {
+    running: tickTimer !== null,
+    pausedForQuota,
+    lastTickAt: toIso(lastTickAt),
+    tickIntervalMs: TICK_INTERVAL,
+    refreshAheadMs: REFRESH_AHEAD,
+    playlists: playlists.map(formatStatus)
+  };
+}
+
+function formatStatus(status) {
+  return {
+    ...status,
+    channels: [...status.channels],
+    expiresAt: toIso(status.expiresAt),
+    lastAttemptAt: toIso(status.lastAttemptAt),
+    lastSuccessAt: toIso(status.lastSuccessAt),
+    retryAt: toIso(status.retryAt)
+  };
+}
+
+function toIso(time) {
+  return time ? new Date(time).toISOString() : null;
+}
+
+module.exports = {
+  initialize,
+  start,
+  stop,
+  tick,
+  refreshNow,
+  getStatus
+};
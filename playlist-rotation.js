@@ -0,0 +1,187 @@
+/**
+ * Playlist Rotation (weights and dayparts)
+ *
+ * Programmers shape a channel by giving its playlists a weight (how often they are picked
+ * relative to each other) and optional dayparts (when they may air at all).
+ * Stored on channel_playlists.weight / channel_playlists.dayparts in database mode, and as
+ * optional `weight` / `dayparts` fields on the channel-config.js playlists in YouTube API mode.
+ *
+ * Daypart format (times are 24h "HH:MM" in SCHEDULE_TIMEZONE, server local time if unset):
+ *   [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '06:00', end: '12:00' }]  Weekday mornings
+ *   [{ start: '22:00', end: '04:00' }]                                          Every night, past midnight
+ * `days` (sun-sat, or full day names) defaults to every day; a window that crosses midnight
+ * belongs to the day it starts on.
+ * A playlist without dayparts is always on air.
+ */
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const FULL_DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_WEIGHT = 1;
+const MAX_WEIGHT = 100;
+const MAX_DAYPARTS = 20;
+
+const SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || undefined;
+
+const weekdayFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: SCHEDULE_TIMEZONE,
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+function parseTime(value) {
+  const match = typeof value === 'string' && value.match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+// Day of week (0 = Sunday) and minutes since midnight in the schedule time zone
+function getLocalTime(at) {
+  const parts = weekdayFormat.formatToParts(new Date(at));
+  const get = type => parts.find(p => p.type === type).value;
+
+  return {
+    day: DAY_NAMES.indexOf(get('weekday').toLowerCase()),
+    minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+  };
+}
+
+/**
+ * Validate a playlist weight.
+ * @throws {Error} With a user-facing message when invalid
+ */
+function normalizeWeight(weight) {
+  if (weight === undefined || weight === null) return DEFAULT_WEIGHT;
+
+  if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > MAX_WEIGHT) {
+    throw new Error(`Weight must be a number between 0 and ${MAX_WEIGHT}`);
+  }
+  return weight;
+}
+
+/**
+ * Validate dayparts and fill in defaults (null / empty = always on air).
+ * @throws {Error} With a user-facing message when invalid
+ */
+function normalizeDayparts(dayparts) {
+  if (dayparts === undefined || dayparts === null) return null;
+
+  if (!Array.isArray(dayparts) || dayparts.length > MAX_DAYPARTS) {
+    throw new Error(`Dayparts must be an array of at most ${MAX_DAYPARTS} entries`);
+  }
+  if (dayparts.length === 0) return null;
+
+  return dayparts.map(daypart => {
+    if (!daypart || typeof daypart !== 'object') {
+      throw new Error('Each daypart must be an object with start and end times');
+    }
+
+    const start = parseTime(daypart.start);
+    const end = parseTime(daypart.end);
+    if (start === null || end === null) {
+      throw new Error('Daypart start and end must be "HH:MM" (24h)');
+    }
+    if (start === end) {
+      throw new Error('Daypart start and end must differ');
+    }
+
+    let days = DAY_NAMES;
+    if (daypart.days !== undefined) {
+      if (!Array.isArray(daypart.days) || daypart.days.length === 0) {
+        throw new Error(`Daypart days must be a non-empty array of: ${DAY_NAMES.join(', ')}`);
+      }
+      days = daypart.days.map(d => {
+        const name = typeof d === 'string' ? d.toLowerCase() : null;
+        const fullIndex = FULL_DAY_NAMES.indexOf(name);
+        return fullIndex === -1 ? name : DAY_NAMES[fullIndex];
+      });
+      if (!days.every(d => DAY_NAMES.includes(d))) {
+        throw new Error(`Daypart days must be a non-empty array of: ${DAY_NAMES.join(', ')}`);
+      }
+    }
+
+    return {
+      days: DAY_NAMES.filter(d => days.includes(d)),
+      start: daypart.start,
+      end: daypart.end
+    };
+  });
+}
+
+function isInDaypart(daypart, { day, minutes }) {
+  const start = parseTime(daypart.start);
+  const end = parseTime(daypart.end);
+  const runsOn = d => daypart.days.includes(DAY_NAMES[(d + 7) % 7]);
+
+  if (start < end) {
+    return runsOn(day) && minutes >= start && minutes < end;
+  }
+
+  // Crosses midnight: evening part today, or early-morning tail of yesterday's window
+  return (runsOn(day) && minutes >= start) || (runsOn(day - 1) && minutes < end);
+}
+
+/**
+ * Whether a playlist may air at a given moment.
+ * @param {Object} playlist - { dayparts } (invalid dayparts are treated as always on air)
+ * @param {number} at - Epoch ms
+ */
+function isOnAir(playlist, at = Date.now()) {
+  let dayparts;
+  try {
+    dayparts = normalizeDayparts(playlist.dayparts);
+  } catch (error) {
+    return true;
+  }
+
+  if (!dayparts) return true;
+
+  const localTime = getLocalTime(at);
+  return dayparts.some(daypart => isInDaypart(daypart, localTime));
+}
+
+/**
+ * Playlists that may air at `at`. If no playlist is scheduled then, every playlist is
+ * returned so a channel never goes dark because of its dayparts.
+ */
+function filterOnAir(playlists, at = Date.now()) {
+  const onAir = playlists.filter(p => isOnAir(p, at));
+  return onAir.length > 0 ? onAir : playlists;
+}
+
+/**
+ * Weighted random pick. Playlists without a weight count as DEFAULT_WEIGHT; if every
+ * weight is 0 the pick is uniform.
+ * @returns {Object|undefined}
+ */
+function pickWeighted(playlists, random = Math.random) {
+  const weights = playlists.map(p => {
+    const weight = Number(p.weight ?? DEFAULT_WEIGHT);
+    return Number.isFinite(weight) && weight > 0 ? weight : 0;
+  });
+  const total = weights.reduce((sum, w) => sum + w, 0);
+
+  if (total === 0) {
+    return playlists[Math.floor(random() * playlists.length)];
+  }
+
+  let target = random() * total;
+  for (let i = 0; i < playlists.length; i++) {
+    target -= weights[i];
+    if (target < 0 && weights[i] > 0) return playlists[i];
+  }
+
+  // Floating point leftovers - last playlist with a weight
+  return playlists[weights.map(w => w > 0).lastIndexOf(true)];
+}
+
+module.exports = {
+  DAY_NAMES,
+  DEFAULT_WEIGHT,
+  MAX_WEIGHT,
+  normalizeWeight,
+  normalizeDayparts,
+  isOnAir,
+  filterOnAir,
+  pickWeighted
+};
@@ -0,0 +1,284 @@
+/**
+ * Playlist Sync (change detection)
+ *
+ * Database playlists are copies of YouTube playlists, imported by scripts/migrate-to-db.js or
+ * scripts/add-playlist.js. When the source playlist changes, the copy drifts. Each playlist
+ * with a YouTube source (playlists.source_type / source_id) is periodically compared with it,
+ * and the differences are stored as a report for an admin to review:
+ *
+ *   added          on YouTube, not in the DB playlist
+ *   removed        in the DB playlist, no longer on YouTube
+ *   private        still listed on YouTube, but private or deleted
+ *   title_changed  the YouTube title no longer matches the DB title
+ *
+ * Nothing changes until the report (or some of its changes) is applied. Syncs run in database
+ * mode only, one playlist per tick (longest since last sync first) to spread quota use, and
+ * pause while optional YouTube calls are being refused.
+ */
+
+const dbService = require('./db-service');
+const youtubeClient = require('./youtube-client');
+
+const DEFAULT_SYNC_HOURS = 24;                  // How often each linked playlist is diffed
+const TICK_INTERVAL = 10 * 60 * 1000;           // At most one playlist per 10 minutes
+const UNAVAILABLE_TITLES = ['Private video', 'Deleted video'];
+
+let enabled = false;
+let syncInterval = DEFAULT_SYNC_HOURS * 60 * 60 * 1000;
+let tickTimer = null;
+let lastTickAt = null;
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.useDatabase - Sync only runs in database mode
+ * @param {number} options.syncHours - Hours between syncs of a playlist (default PLAYLIST_SYNC_HOURS, then 24; 0 = manual only)
+ */
+function initialize({ useDatabase, syncHours = parseFloat(process.env.PLAYLIST_SYNC_HOURS) }) {
+  enabled = useDatabase;
+  syncInterval = (Number.isFinite(syncHours) && syncHours >= 0 ? syncHours : DEFAULT_SYNC_HOURS) * 60 * 60 * 1000;
+}
+
+// ============================================
+// TITLES
+// ============================================
+
+// Same cleanup index.js applies to YouTube titles
+function cleanTitle(title) {
+  return title
+    .replace(/[\(\[\{][^\)\]\}]*Official\s+Music\s+Video[^\)\]\}]*[\)\]\}]/gi, '')
+    .replace(/[\(\[\{][^\)\]\}]*Official\s+Video[^\)\]\}]*[\)\]\}]/gi, '')
+    .replace(/\[HD\]/gi, '')
+    .trim();
+}
+
+// Titles as a comparable key: the import scripts strip slightly different suffixes
+function normalizeTitle(title) {
+  return (title || '')
+    .replace(/\s*[\(\[\{][^\)\]\}]*(official|lyric|audio|video|HD)[^\)\]\}]*[\)\]\}]/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+// Title, artist and song as stored in the videos table ("Artist - Song" split, except on Live)
+function parseSourceTitle(rawTitle, splitArtist = true) {
+  const title = cleanTitle(rawTitle);
+  const separatorIndex = title.indexOf(' - ');
+
+  if (splitArtist && separatorIndex > 0) {
+    return {
+      title,
+      artist: title.substring(0, separatorIndex).trim(),
+      song: title.substring(separatorIndex + 3).trim()
+    };
+  }
+  return { title, artist: null, song: null };
+}
+
+// ============================================
+// DIFF
+// ============================================
+
+/**
+ * Compare a DB playlist with its source.
+ * @param {Array<{ youtubeVideoId, title }>} dbVideos - Videos in the DB playlist
+ * @param {Array<{ videoId, title, position, available }>} sourceItems - Items of the YouTube playlist
+ * @returns {Array<Object>} Changes: { type, youtubeVideoId, title?, previousTitle?, position? }
+ */
+function diffPlaylist(dbVideos, sourceItems) {
+  const changes = [];
+  const dbIds = new Set(dbVideos.map(v => v.youtubeVideoId));
+
+  // A video can appear twice in a YouTube playlist; the first occurrence counts
+  const sourceById = new Map();
+  for (const item of sourceItems) {
+    if (!sourceById.has(item.videoId)) sourceById.set(item.videoId, item);
+  }
+
+  for (const item of sourceById.values()) {
+    if (item.available && !dbIds.has(item.videoId)) {
+      changes.push({ type: 'added', youtubeVideoId: item.videoId, title: item.title, position: item.position });
+    }
+  }
+
+  for (const video of dbVideos) {
+    const item = sourceById.get(video.youtubeVideoId);
+
+    if (!item) {
+      changes.push({ type: 'removed', youtubeVideoId: video.youtubeVideoId, previousTitle: video.title });
+    } else if (!item.available) {
+      changes.push({ type: 'private', youtubeVideoId: video.youtubeVideoId, previousTitle: video.title });
+    } else if (normalizeTitle(cleanTitle(item.title)) !== normalizeTitle(video.title)) {
+      changes.push({ type: 'title_changed', youtubeVideoId: video.youtubeVideoId, title: item.title, previousTitle: video.title });
+    }
+  }
+
+  return changes;
+}
+
+// ============================================
+// YOUTUBE
+// ============================================
+
+// Every item of a YouTube playlist, unavailable ones included (1-based positions)
+async function fetchSourcePlaylist(youtubePlaylistId, priority) {
+  const items = [];
+  let pageToken;
+
+  do {
+    const data = await youtubeClient.request('playlistItems', {
+      part: 'snippet',
+      maxResults: 50,
+      playlistId: youtubePlaylistId,
+      pageToken
+    }, { priority });
+
+    for (const item of data.items || []) {
+      items.push({
+        videoId: item.snippet.resourceId.videoId,
+        title: item.snippet.title,
+        position: item.snippet.position + 1,
+        available: !UNAVAILABLE_TITLES.includes(item.snippet.title)
+      });
+    }
+
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+
+  return items;
+}
+
+// Map<videoId, seconds> for the videos YouTube still serves
+async function fetchDurations(videoIds, priority) {
+  const durations = new Map();
+
+  for (let i = 0; i < videoIds.length; i += 50) {
+    const data = await youtubeClient.request('videos', {
+      part: 'contentDetails',
+      id: videoIds.slice(i, i + 50).join(',')
+    }, { priority });
+
+    for (const item of data.items || []) {
+      durations.set(item.id, parseDuration(item.contentDetails.duration));
+    }
+  }
+
+  return durations;
+}
+
+// Convert ISO 8601 duration (PT1M30S) to seconds
+function parseDuration(isoDuration) {
+  const match = isoDuration.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
+  if (!match) return 0;
+  return parseInt(match[1] || 0) * 3600 + parseInt(match[2] || 0) * 60 + parseInt(match[3] || 0);
+}
+
+// ============================================
+// SYNC
+// ============================================
+
+/**
+ * Diff one playlist against its source and store the report.
+ * @param {number} playlistId - DB playlist id
+ * @param {Object} options - { priority: YouTube quota priority }
+ * @returns {Promise<{ playlistId, youtubePlaylistId, sourceVideoCount, report: Object|null }>} report is null when in sync
+ * @throws {Error} If the playlist doesn't exist or isn't linked, or YouTube can't be reached
+ */
+async function syncPlaylist(playlistId, { priority = 'essential' } = {}) {
+  const playlist = await dbService.getPlaylistSyncSource(playlistId);
+
+  let changes;
+  let sourceItems;
+  try {
+    sourceItems = await fetchSourcePlaylist(playlist.youtubePlaylistId, priority);
+    changes = diffPlaylist(playlist.videos, sourceItems);
+
+    // Added videos need a duration; ones YouTube no longer serves can't air anyway
+    const addedIds = changes.filter(c => c.type === 'added').map(c => c.youtubeVideoId);
+    const durations = await fetchDurations(addedIds, priority);
+    changes = changes.filter(c => c.type !== 'added' || durations.has(c.youtubeVideoId));
+
+    // Parse titles the way the import did (Live titles were never split)
+    const splitArtist = playlist.sourceOptions.splitArtist ?? !playlist.channelIds.includes('live');
+    for (const change of changes) {
+      if (change.type === 'added') change.durationSeconds = durations.get(change.youtubeVideoId);
+      if (change.title) Object.assign(change, parseSourceTitle(change.title, splitArtist));
+    }
+  } catch (error) {
+    // Out of quota: try again on a later tick, nothing is wrong with the playlist
+    if (error instanceof youtubeClient.QuotaExceededError) throw error;
+
+    const message = error instanceof youtubeClient.PrivateResourceError || error instanceof youtubeClient.NotFoundError
+      ? `Source playlist ${playlist.youtubePlaylistId} is private or deleted`
+      : error.message;
+    await dbService.recordPlaylistSyncError(playlistId, message);
+    throw new Error(message);
+  }
+
+  const sourceVideoCount = sourceItems.filter(item => item.available).length;
+  const report = await dbService.createPlaylistSyncReport(playlistId, playlist.youtubePlaylistId, sourceVideoCount, changes);
+
+  if (report) {
+    console.log(`[Sync] Playlist ${playlistId} (${playlist.name}): ${changes.length} change(s) to review in report ${report.id}`);
+  }
+
+  return { playlistId: playlist.id, youtubePlaylistId: playlist.youtubePlaylistId, sourceVideoCount, report };
+}
+
+/**
+ * Sync the linked playlist that is most overdue, if any.
+ * @returns {Promise<Object|null>} syncPlaylist() result
+ */
+async function tick() {
+  lastTickAt = Date.now();
+
+  if (!youtubeClient.canSpend('optional')) return null;
+
+  const playlistId = await dbService.getNextPlaylistToSync(new Date(Date.now() - syncInterval));
+  if (playlistId === null) return null;
+
+  try {
+    return await syncPlaylist(playlistId, { priority: 'optional' });
+  } catch (error) {
+    console.error(`[Sync] Playlist ${playlistId} failed:`, error.message);
+    return null;
+  }
+}
+
+function start(interval = TICK_INTERVAL) {
+  if (!enabled || syncInterval === 0 || tickTimer) return;
+
+  tickTimer = setInterval(() => {
+    tick().catch(error => console.error('[Sync] Tick failed:', error.message));
+  }, interval);
+  tickTimer.unref();
+}
+
+function stop() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+}
+
+/**
+ * Scheduler state and every linked playlist's last sync and pending report.
+ */
+async function getStatus() {
+  return {
+    running: tickTimer !== null,
+    syncIntervalHours: syncInterval / (60 * 60 * 1000),
+    lastTickAt: lastTickAt ? new Date(lastTickAt).toISOString() : null,
+    playlists: await dbService.getSyncedPlaylists()
+  };
+}
+
+module.exports = {
+  initialize,
+  start,
+  stop,
+  tick,
+  syncPlaylist,
+  diffPlaylist,
+  getStatus
+};
@@ -3,6 +3,8 @@
  * 
  * Creates a new playlist in the database and populates it with videos from a YouTube playlist.
  * If videos already exist in the DB, they are reused. Otherwise, new video records are created.
+ * The playlist records its source, so running this again for the same YouTube playlist updates
+ * that playlist instead of creating a duplicate.
  * 
  * Usage:
  *   node add-playlist.js <youtube-playlist-url> "<playlist-name>" "<channel-ids>" [description]
@@ -17,7 +19,7 @@
 
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
-const axios = require('axios');
+const youtubeClient = require('../youtube-client');
 const { Pool } = require('pg');
 
 const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY;
@@ -159,20 +161,18 @@ async function fetchPlaylistItems(playlistId) {
   let nextPageToken = null;
   
   do {
-    const url = 'https://www.googleapis.com/youtube/v3/playlistItems';
     const params = {
       part: 'snippet,contentDetails',
       playlistId: playlistId,
-      maxResults: 50,
-      key: YOUTUBE_API_KEY
+      maxResults: 50
     };
     
     if (nextPageToken) {
       params.pageToken = nextPageToken;
     }
     
-    const response = await axios.get(url, { params });
-    const items = response.data.items || [];
+    const data = await youtubeClient.request('playlistItems', params);
+    const items = data.items || [];
     
     videos = videos.concat(items.map(item => ({
       videoId: item.contentDetails.videoId,
@@ -180,7 +180,7 @@ async function fetchPlaylistItems(playlistId) {
       position: item.snippet.position
     })));
     
-    nextPageToken = response.data.nextPageToken;
+    nextPageToken = data.nextPageToken;
     console.log(`Fetched ${videos.length} videos so far...`);
     
   } while (nextPageToken);
@@ -196,15 +196,13 @@ async function getVideoDurations(videoIds) {
   
   for (let i = 0; i < videoIds.length; i += batchSize) {
     const batch = videoIds.slice(i, i + batchSize);
-    const url = 'https://www.googleapis.com/youtube/v3/videos';
     const params = {
       part: 'contentDetails',
-      id: batch.join(','),
-      key: YOUTUBE_API_KEY
+      id: batch.join(',')
     };
     
-    const response = await axios.get(url, { params });
-    const items = response.data.items || [];
+    const data = await youtubeClient.request('videos', params);
+    const items = data.items || [];
     
     items.forEach(item => {
       durations[item.id] = parseDuration(item.contentDetails.duration);
@@ -241,29 +239,52 @@ async function resolveChannelIds(pool, channelIdsOrNames) {
   return resolvedIds;
 }
 
-// Create or get existing playlist
-async function createPlaylist(client, name, description) {
-  // Check if playlist already exists
+// Create or get the playlist imported from this YouTube playlist (re-imports update it in place)
+async function createPlaylist(client, name, description, youtubePlaylistId) {
+  // Already imported from this source
+  const sourceResult = await client.query(
+    "SELECT id, name FROM playlists WHERE source_type = 'youtube' AND source_id = $1",
+    [youtubePlaylistId]
+  );
+  
+  if (sourceResult.rows.length > 0) {
+    console.log(`YouTube playlist already imported as "${sourceResult.rows[0].name}" (ID: ${sourceResult.rows[0].id}), updating it`);
+    return sourceResult.rows[0].id;
+  }
+  
+  // Playlist with this name from before source tracking: adopt it
   const checkResult = await client.query(
-    'SELECT id FROM playlists WHERE name = $1',
+    "SELECT id FROM playlists WHERE name = $1 AND source_id IS NULL",
     [name]
   );
   
   if (checkResult.rows.length > 0) {
-    console.log(`Playlist "${name}" already exists with ID: ${checkResult.rows[0].id}`);
+    console.log(`Playlist "${name}" already exists with ID: ${checkResult.rows[0].id}, linking it to the source`);
+    await client.query(
+      "UPDATE playlists SET source_type = 'youtube', source_id = $2 WHERE id = $1",
+      [checkResult.rows[0].id, youtubePlaylistId]
+    );
     return checkResult.rows[0].id;
   }
   
   // Create new playlist
   const result = await client.query(
-    'INSERT INTO playlists (name, description) VALUES ($1, $2) RETURNING id',
-    [name, description]
+    "INSERT INTO playlists (name, description, source_type, source_id) VALUES ($1, $2, 'youtube', $3) RETURNING id",
+    [name, description, youtubePlaylistId]
   );
   
   console.log(`Created new playlist "${name}" with ID: ${result.rows[0].id}`);
   return result.rows[0].id;
 }
 
+// Record a completed import and the options it used
+async function markImported(client, playlistId, options) {
+  await client.query(
+    'UPDATE playlists SET imported_at = NOW(), source_options = $2, updated_at = NOW() WHERE id = $1',
+    [playlistId, JSON.stringify(options)]
+  );
+}
+
 // Insert or get existing video
 async function insertOrGetVideo(client, videoData) {
   const { videoId, title, artist, song, durationSeconds } = videoData;
@@ -400,7 +421,7 @@ async function main() {
     
     // Create playlist in database
     console.log('\nCreating playlist in database...');
-    const playlistId = await createPlaylist(pool, playlistName, playlistDescription);
+    const playlistId = await createPlaylist(pool, playlistName, playlistDescription, youtubePlaylistId);
     
     // Process videos
     console.log('\nProcessing videos...');
@@ -450,6 +471,7 @@ async function main() {
     // Link playlist to channels
     console.log('Linking playlist to channels...');
     const channelLinks = await linkPlaylistToChannels(pool, playlistId, channelIds);
+    await markImported(pool, playlistId, { splitArtist: true, channelIds });
     
     console.log('\n✅ Playlist added successfully!');
     console.log(`\nSummary:`);
@@ -17,7 +17,7 @@
 
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
-const axios = require('axios');
+const youtubeClient = require('../youtube-client');
 const { Pool } = require('pg');
 
 const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY;
@@ -186,20 +186,18 @@ async function fetchPlaylistItems(playlistId) {
   let nextPageToken = null;
   
   do {
-    const url = 'https://www.googleapis.com/youtube/v3/playlistItems';
     const params = {
       part: 'snippet,contentDetails',
       playlistId: playlistId,
-      maxResults: 50,
-      key: YOUTUBE_API_KEY
+      maxResults: 50
     };
     
     if (nextPageToken) {
       params.pageToken = nextPageToken;
     }
     
-    const response = await axios.get(url, { params });
-    const items = response.data.items || [];
+    const data = await youtubeClient.request('playlistItems', params);
+    const items = data.items || [];
     
     videos = videos.concat(items.map(item => ({
       videoId: item.contentDetails.videoId,
@@ -207,7 +205,7 @@ async function fetchPlaylistItems(playlistId) {
       position: item.snippet.position
     })));
     
-    nextPageToken = response.data.nextPageToken;
+    nextPageToken = data.nextPageToken;
     console.log(`Fetched ${videos.length} videos so far...`);
     
   } while (nextPageToken);
@@ -244,15 +242,13 @@ async function getVideoDurations(videoIds, pool) {
   
   for (let i = 0; i < missingVideoIds.length; i += batchSize) {
     const batch = missingVideoIds.slice(i, i + batchSize);
-    const url = 'https://www.googleapis.com/youtube/v3/videos';
     const params = {
       part: 'contentDetails',
-      id: batch.join(','),
-      key: YOUTUBE_API_KEY
+      id: batch.join(',')
     };
     
-    const response = await axios.get(url, { params });
-    const items = response.data.items || [];
+    const data = await youtubeClient.request('videos', params);
+    const items = data.items || [];
     
     items.forEach(item => {
       durations[item.id] = parseDuration(item.contentDetails.duration);
@@ -284,15 +280,13 @@ async function fetchSingleVideo(videoId, pool) {
   // Not in DB, fetch from YouTube
   console.log(`Fetching video details from YouTube: ${videoId}`);
   
-  const url = 'https://www.googleapis.com/youtube/v3/videos';
   const params = {
     part: 'snippet,contentDetails',
-    id: videoId,
-    key: YOUTUBE_API_KEY
+    id: videoId
   };
   
-  const response = await axios.get(url, { params });
-  const items = response.data.items || [];
+  const data = await youtubeClient.request('videos', params);
+  const items = data.items || [];
   
   if (items.length === 0) {
     throw new Error(`Video not found: ${videoId}`);
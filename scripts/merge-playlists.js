@@ -4,7 +4,7 @@
  * This script merges two playlists into one by:
  * 1. Moving all videos from the source playlist to the target playlist
  * 2. Updating channel associations
- * 3. Deleting the source playlist
+ * 3. Moving the source playlist to the trash (restorable from the admin API until purged)
  * 
  * Usage: node merge-playlists.js <source_playlist_id> <target_playlist_id>
  */
@@ -109,10 +109,25 @@ async function mergePlaylists(sourceId, targetId) {
 
     console.log(`✅ Moved ${channelResult.rowCount} channel associations\n`);
 
-    // Delete the source playlist (CASCADE will delete related records)
-    console.log('🗑️  Deleting source playlist...');
+    // Keep the source playlist, its video order and channel placements in the trash
+    // (same format as db-service.js moveToTrash), then delete it (CASCADE will delete related records)
+    console.log('🗑️  Moving source playlist to the trash...');
+    const trashData = [];
+    for (const [table, column] of [['playlists', 'id'], ['playlist_videos', 'playlist_id'], ['channel_playlists', 'playlist_id']]) {
+      const rowsResult = await client.query(
+        `SELECT COALESCE(jsonb_agg(t), '[]'::jsonb) as rows FROM ${table} t WHERE ${column} = $1`,
+        [sourceId]
+      );
+      trashData.push({ table, rows: rowsResult.rows[0].rows });
+    }
+    const trashResult = await client.query(`
+      INSERT INTO trash (item_type, item_id, label, data, deleted_by)
+      VALUES ('playlist', $1, $2, $3, 'merge-playlists.js')
+      RETURNING id
+    `, [String(sourceId), `${sourcePlaylist.name} (merged into ${targetPlaylist.name})`, JSON.stringify(trashData)]);
+
     await client.query('DELETE FROM playlists WHERE id = $1', [sourceId]);
-    console.log(`✅ Deleted playlist ${sourceId}\n`);
+    console.log(`✅ Deleted playlist ${sourceId} (trash item ${trashResult.rows[0].id})\n`);
 
     // Get final video count
     const finalCountResult = await client.query(
@@ -3,15 +3,16 @@
  * 
  * This script populates the Supabase database with videos from YouTube playlists.
  * It fetches all videos from the CHANNELS configuration and inserts them into
- * the database with proper relationships.
+ * the database with proper relationships. Playlists are matched by their YouTube
+ * source, so running it again updates them instead of creating duplicates.
  * 
  * Usage: node migrate-to-db.js
  */
 
-const axios = require('axios');
 const { Client } = require('pg');
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const youtubeClient = require('../youtube-client');
 
 // ============================================
 // CONFIGURATION (from index.js)
@@ -138,17 +139,14 @@ async function fetchPlaylistItems(playlistId, channel = null) {
 
   do {
     try {
-      const response = await axios.get('https://www.googleapis.com/youtube/v3/playlistItems', {
-        params: {
-          part: 'snippet,contentDetails',
-          playlistId: playlistId,
-          maxResults: 50,
-          pageToken: nextPageToken,
-          key: API_KEY
-        }
+      const data = await youtubeClient.request('playlistItems', {
+        part: 'snippet,contentDetails',
+        playlistId: playlistId,
+        maxResults: 50,
+        pageToken: nextPageToken || undefined
       });
 
-      const items = response.data.items || [];
+      const items = data.items || [];
       
       for (const item of items) {
         const videoId = item.contentDetails?.videoId;
@@ -167,12 +165,16 @@ async function fetchPlaylistItems(playlistId, channel = null) {
         });
       }
 
-      nextPageToken = response.data.nextPageToken;
+      nextPageToken = data.nextPageToken;
       pageCount++;
 
     } catch (error) {
-      console.error(`Error fetching playlist ${playlistId}:`, error.message);
-      break;
+      // Private/deleted playlists are skipped; anything else (after retries) must not look like a complete playlist
+      if (error instanceof youtubeClient.PrivateResourceError || error instanceof youtubeClient.NotFoundError) {
+        console.warn(`Skipping playlist ${playlistId}: ${error.message}`);
+        break;
+      }
+      throw error;
     }
   } while (nextPageToken);
 
@@ -191,15 +193,12 @@ async function getVideoDurations(videoIds) {
     const batch = videoIds.slice(i, i + 50);
     
     try {
-      const response = await axios.get('https://www.googleapis.com/youtube/v3/videos', {
-        params: {
-          part: 'contentDetails',
-          id: batch.join(','),
-          key: API_KEY
-        }
+      const data = await youtubeClient.request('videos', {
+        part: 'contentDetails',
+        id: batch.join(',')
       });
 
-      const items = response.data.items || [];
+      const items = data.items || [];
       for (const item of items) {
         const duration = parseDuration(item.contentDetails.duration);
         results.push({ id: item.id, duration });
@@ -253,28 +252,50 @@ async function insertOrGetVideo(client, videoData) {
   return insertResult.rows[0].id;
 }
 
-async function insertOrGetPlaylist(client, name, description = null) {
-  // Check if playlist already exists by name
+// One playlist per YouTube source, so re-running the migration updates instead of duplicating
+async function insertOrGetPlaylist(client, name, description = null, youtubePlaylistId = null) {
+  const sourceResult = await client.query(
+    "SELECT id FROM playlists WHERE source_type = 'youtube' AND source_id = $1",
+    [youtubePlaylistId]
+  );
+
+  if (sourceResult.rows.length > 0) {
+    return sourceResult.rows[0].id;
+  }
+
+  // Playlist with this name from before source tracking: adopt it
   const checkResult = await client.query(
-    'SELECT id FROM playlists WHERE name = $1',
+    'SELECT id FROM playlists WHERE name = $1 AND source_id IS NULL',
     [name]
   );
 
   if (checkResult.rows.length > 0) {
+    await client.query(
+      "UPDATE playlists SET source_type = 'youtube', source_id = $2 WHERE id = $1",
+      [checkResult.rows[0].id, youtubePlaylistId]
+    );
     return checkResult.rows[0].id;
   }
 
   // Insert new playlist
   const insertResult = await client.query(
-    `INSERT INTO playlists (name, description)
-     VALUES ($1, $2)
+    `INSERT INTO playlists (name, description, source_type, source_id)
+     VALUES ($1, $2, 'youtube', $3)
      RETURNING id`,
-    [name, description]
+    [name, description, youtubePlaylistId]
   );
 
   return insertResult.rows[0].id;
 }
 
+// Record a completed import and the options it used (playlist-sync.js parses titles the same way)
+async function markPlaylistImported(client, playlistId, options) {
+  await client.query(
+    'UPDATE playlists SET imported_at = NOW(), source_options = $2, updated_at = NOW() WHERE id = $1',
+    [playlistId, JSON.stringify(options)]
+  );
+}
+
 async function linkPlaylistToChannel(client, playlistId, channelId) {
   // Check if link already exists
   const checkResult = await client.query(
@@ -367,7 +388,7 @@ async function migrateChannelPlaylists(client) {
         const durationMap = new Map(durations.map(d => [d.id, d.duration]));
 
         // Create app playlist
-        const playlistId = await insertOrGetPlaylist(client, label);
+        const playlistId = await insertOrGetPlaylist(client, label, null, youtubePlaylistId);
         console.log(`     ✅ Playlist created/found (DB ID: ${playlistId})`);
 
         // Link playlist to channel
@@ -392,6 +413,8 @@ async function migrateChannelPlaylists(client) {
           videoCount++;
         }
 
+        await markPlaylistImported(client, playlistId, { splitArtist: channelId !== 'live' });
+
         console.log(`     ✅ Inserted ${videoCount} videos`);
         totalPlaylists++;
         totalVideos += videoCount;
@@ -459,103 +482,6 @@ async function migrateBumpers(client) {
   console.log(`   Total bumpers: ${totalBumpers}`);
 }
 
-async function mergePlaylists(client, sourceId, targetId) {
-  console.log(`\n\n🔄 Merging duplicate playlists: ${sourceId} → ${targetId}\n`);
-
-  try {
-    // Begin transaction
-    await client.query('BEGIN');
-
-    // Get playlist details
-    const sourceResult = await client.query(
-      'SELECT id, name, description FROM playlists WHERE id = $1',
-      [sourceId]
-    );
-    const targetResult = await client.query(
-      'SELECT id, name, description FROM playlists WHERE id = $1',
-      [targetId]
-    );
-
-    if (sourceResult.rows.length === 0) {
-      console.log(`⚠️  Source playlist ${sourceId} not found, skipping...`);
-      return;
-    }
-    if (targetResult.rows.length === 0) {
-      console.log(`⚠️  Target playlist ${targetId} not found, skipping...`);
-      return;
-    }
-
-    const sourcePlaylist = sourceResult.rows[0];
-    const targetPlaylist = targetResult.rows[0];
-
-    console.log(`  📋 Source: "${sourcePlaylist.name}" (ID: ${sourceId})`);
-    console.log(`  📋 Target: "${targetPlaylist.name}" (ID: ${targetId})`);
-
-    // Get video count before merge
-    const sourceVideosResult = await client.query(
-      'SELECT COUNT(*) as count FROM playlist_videos WHERE playlist_id = $1',
-      [sourceId]
-    );
-    const targetVideosResult = await client.query(
-      'SELECT COUNT(*) as count FROM playlist_videos WHERE playlist_id = $1',
-      [targetId]
-    );
-
-    const sourceVideoCount = parseInt(sourceVideosResult.rows[0].count);
-    const targetVideoCount = parseInt(targetVideosResult.rows[0].count);
-
-    console.log(`  📊 Source: ${sourceVideoCount} videos | Target: ${targetVideoCount} videos`);
-
-    // Move videos from source to target (avoiding duplicates)
-    const moveResult = await client.query(`
-      INSERT INTO playlist_videos (playlist_id, video_id, position, created_at)
-      SELECT $1, video_id, position, created_at
-      FROM playlist_videos
-      WHERE playlist_id = $2
-      AND video_id NOT IN (
-        SELECT video_id FROM playlist_videos WHERE playlist_id = $1
-      )
-    `, [targetId, sourceId]);
-
-    const movedVideos = moveResult.rowCount;
-    console.log(`  ✅ Moved ${movedVideos} unique videos`);
-
-    // Move channel associations (avoiding duplicates)
-    const channelResult = await client.query(`
-      INSERT INTO channel_playlists (channel_id, playlist_id, created_at)
-      SELECT channel_id, $1, created_at
-      FROM channel_playlists
-      WHERE playlist_id = $2
-      AND channel_id NOT IN (
-        SELECT channel_id FROM channel_playlists WHERE playlist_id = $1
-      )
-    `, [targetId, sourceId]);
-
-    console.log(`  ✅ Moved ${channelResult.rowCount} channel associations`);
-
-    // Delete the source playlist (CASCADE will delete related records)
-    await client.query('DELETE FROM playlists WHERE id = $1', [sourceId]);
-    console.log(`  ✅ Deleted source playlist ${sourceId}`);
-
-    // Get final video count
-    const finalCountResult = await client.query(
-      'SELECT COUNT(*) as count FROM playlist_videos WHERE playlist_id = $1',
-      [targetId]
-    );
-    const finalCount = parseInt(finalCountResult.rows[0].count);
-
-    // Commit transaction
-    await client.query('COMMIT');
-
-    console.log(`\n✅ Merge complete! Target playlist now has ${finalCount} videos`);
-
-  } catch (error) {
-    await client.query('ROLLBACK');
-    console.error(`     ❌ Error merging playlists: ${error.message}`);
-    throw error;
-  }
-}
-
 async function main() {
   console.log('🚀 Starting NMTV Database Migration\n');
   console.log('=' .repeat(60));
@@ -583,10 +509,6 @@ async function main() {
     // Migrate bumpers
     await migrateBumpers(client);
 
-    // Merge duplicate playlists (Celebrity Deathmatch - Nuggets)
-    // Playlists 25 and 26 are duplicates, merge 26 into 25
-    await mergePlaylists(client, 26, 25);
-
     console.log('\n' + '='.repeat(60));
     console.log('🎉 Migration completed successfully!');
     console.log('   Check your Supabase dashboard to verify the data.');
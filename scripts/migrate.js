@@ -0,0 +1,91 @@
+/**
+ * Database Migration Script
+ *
+ * Applies, reverts and lists the numbered migrations in migrations/ (see migration-runner.js)
+ * against DATABASE_URL.
+ *
+ * Usage:
+ *   node migrate.js [up] [--to <version>]       apply pending migrations (all, or up to a version)
+ *   node migrate.js down [--steps <n>]          revert the last n migrations (default 1)
+ *   node migrate.js down --to <version>         revert every migration above a version (0 = all)
+ *   node migrate.js status                      list applied and pending migrations
+ *
+ * Example:
+ *   npm run migrate
+ *   npm run migrate -- down --steps 2
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { Client } = require('pg');
+const migrationRunner = require('../migration-runner');
+
+const DATABASE_URL = process.env.DATABASE_URL;
+
+if (!DATABASE_URL) {
+  console.error('Error: DATABASE_URL not found in environment variables');
+  process.exit(1);
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const command = args[0] && !args[0].startsWith('--') ? args[0] : 'up';
+
+function getNumberOption(name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return null;
+
+  const value = parseInt(args[index + 1], 10);
+  if (isNaN(value) || value < 0) {
+    console.error(`Error: --${name} needs a number`);
+    process.exit(1);
+  }
+  return value;
+}
+
+async function printStatus(client) {
+  const status = await migrationRunner.getStatus(client);
+
+  console.log(`\nSchema version: ${status.currentVersion} (latest ${status.latestVersion})\n`);
+  for (const migration of status.applied) {
+    const unknown = status.unknown.includes(migration) ? '  (no file in this version)' : '';
+    console.log(`  ✓ ${migrationRunner.formatName(migration)}  ${migration.appliedAt.toISOString()}${unknown}`);
+  }
+  for (const migration of status.pending) {
+    console.log(`  … ${migrationRunner.formatName(migration)}  pending`);
+  }
+  console.log(status.upToDate ? '\n✅ Up to date' : `\n⚠️  ${status.pending.length} pending migration(s)`);
+}
+
+async function main() {
+  const client = new Client({
+    connectionString: DATABASE_URL,
+    ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false }
+  });
+  await client.connect();
+
+  try {
+    if (command === 'up') {
+      const applied = await migrationRunner.migrate(client, { to: getNumberOption('to') ?? Infinity });
+      console.log(applied.length > 0 ? `\n✅ Applied ${applied.length} migration(s)` : '\n✅ Nothing to apply');
+    } else if (command === 'down') {
+      const to = getNumberOption('to');
+      const reverted = await migrationRunner.rollback(client, { steps: getNumberOption('steps') ?? 1, to });
+      console.log(`\n✅ Reverted ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+      await printStatus(client);
+    } else {
+      console.error(`Unknown command: ${command} (expected up, down or status)`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    throw error;
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch(() => {
+  process.exit(1);
+});
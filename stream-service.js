@@ -0,0 +1,215 @@
+/**
+ * Now-Playing Stream Service (Server-Sent Events)
+ *
+ * Pushes broadcast timeline changes to connected clients so they never poll /next.
+ * One "station" per channel follows the timeline from broadcast-service and wakes up
+ * exactly at each item boundary; a shared watcher announces special events the moment
+ * their date window opens.
+ *
+ * Events: now-playing (on connect), block-start, track-change, bumper, special-event
+ */
+
+const broadcastService = require('./broadcast-service');
+
+const HEARTBEAT_INTERVAL = 25 * 1000;        // Keep proxies from closing idle connections
+const SPECIAL_EVENT_POLL_INTERVAL = 60 * 1000;
+const RETRY_DELAY = 30 * 1000;               // After a timeline error
+const BOUNDARY_SLACK = 50;                   // ms past an item's end before advancing
+
+// Injected: async (fresh: boolean) => active special event or null
+let specialEventLoader = null;
+
+// Map<channel, { clients: Set<res>, timer, lastBlockStart, lastItemKey }>
+const stations = new Map();
+
+const specialEventWatcher = {
+  pollTimer: null,
+  midnightTimer: null,
+  lastActiveId: undefined
+};
+
+function initialize({ loadSpecialEvent }) {
+  specialEventLoader = loadSpecialEvent;
+}
+
+// ============================================
+// SSE HELPERS
+// ============================================
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(clients, event, data) {
+  clients.forEach(res => writeEvent(res, event, data));
+}
+
+function getSubscriberCount() {
+  let count = 0;
+  stations.forEach(station => { count += station.clients.size; });
+  return count;
+}
+
+// ============================================
+// CHANNEL STATIONS
+// ============================================
+
+async function advanceStation(channel) {
+  const station = stations.get(channel);
+  if (!station) return;
+
+  let nowPlaying;
+  try {
+    nowPlaying = await broadcastService.getNowPlaying(channel);
+  } catch (error) {
+    console.error(`[Stream] Timeline error on ${channel}:`, error.message);
+    station.timer = setTimeout(() => advanceStation(channel), RETRY_DELAY);
+    return;
+  }
+
+  // Channel may have emptied while the timeline was building
+  if (stations.get(channel) !== station) return;
+
+  const { block, item, itemIndex, offsetSeconds } = nowPlaying;
+  const itemKey = `${block.startsAt}:${itemIndex}`;
+
+  if (block.startsAt !== station.lastBlockStart) {
+    station.lastBlockStart = block.startsAt;
+    broadcast(station.clients, 'block-start', { channel, block });
+  }
+
+  if (itemKey !== station.lastItemKey) {
+    station.lastItemKey = itemKey;
+    broadcast(station.clients, item.isBumper ? 'bumper' : 'track-change', { channel, itemIndex, item, offsetSeconds });
+  }
+
+  const delay = Math.max(0, item.endsAt - Date.now()) + BOUNDARY_SLACK;
+  station.timer = setTimeout(() => advanceStation(channel), delay);
+}
+
+function stopStation(channel) {
+  const station = stations.get(channel);
+  if (station) {
+    clearTimeout(station.timer);
+    stations.delete(channel);
+  }
+}
+
+// ============================================
+// SPECIAL EVENT WATCHER
+// ============================================
+
+async function checkSpecialEvent(fresh = false) {
+  if (!specialEventLoader) return;
+
+  try {
+    const event = await specialEventLoader(fresh);
+    const eventId = event ? event.id : null;
+
+    // First check only records the state - clients get it in their now-playing snapshot
+    if (specialEventWatcher.lastActiveId !== undefined && eventId !== specialEventWatcher.lastActiveId) {
+      const payload = event || { enabled: false };
+      stations.forEach(station => broadcast(station.clients, 'special-event', payload));
+    }
+
+    specialEventWatcher.lastActiveId = eventId;
+  } catch (error) {
+    console.error('[Stream] Special event check failed:', error.message);
+  }
+}
+
+// Event windows are day-based (server local date), so re-check with a fresh query right at midnight
+function scheduleMidnightCheck() {
+  const now = new Date();
+  const nextMidnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+
+  specialEventWatcher.midnightTimer = setTimeout(async () => {
+    await checkSpecialEvent(true);
+    scheduleMidnightCheck();
+  }, nextMidnight.getTime() - now.getTime() + BOUNDARY_SLACK);
+}
+
+function startSpecialEventWatcher() {
+  if (specialEventWatcher.pollTimer || !specialEventLoader) return;
+
+  checkSpecialEvent();
+  specialEventWatcher.pollTimer = setInterval(checkSpecialEvent, SPECIAL_EVENT_POLL_INTERVAL);
+  scheduleMidnightCheck();
+}
+
+function stopSpecialEventWatcher() {
+  clearInterval(specialEventWatcher.pollTimer);
+  clearTimeout(specialEventWatcher.midnightTimer);
+  specialEventWatcher.pollTimer = null;
+  specialEventWatcher.midnightTimer = null;
+  specialEventWatcher.lastActiveId = undefined;
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Attach an HTTP response as an SSE subscriber of a channel.
+ * Sends a now-playing snapshot immediately, then pushes changes until the client disconnects.
+ */
+async function subscribe(channel, req, res) {
+  // The client can hang up while the snapshot is loading - 'close' won't fire again after that
+  let disconnected = false;
+  const onEarlyClose = () => { disconnected = true; };
+  req.once('close', onEarlyClose);
+
+  // Resolve before switching to SSE so the caller can still answer with a normal error
+  let nowPlaying;
+  let specialEvent;
+  try {
+    nowPlaying = await broadcastService.getNowPlaying(channel);
+    specialEvent = specialEventLoader ? await specialEventLoader(false).catch(() => null) : null;
+  } finally {
+    req.off('close', onEarlyClose);
+  }
+  if (disconnected || res.writableEnded) return;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx / Render)
+  });
+  res.flushHeaders();
+  writeEvent(res, 'now-playing', { ...nowPlaying, specialEvent: specialEvent || { enabled: false } });
+
+  let station = stations.get(channel);
+  if (!station) {
+    station = {
+      clients: new Set(),
+      timer: null,
+      lastBlockStart: nowPlaying.block.startsAt,
+      lastItemKey: `${nowPlaying.block.startsAt}:${nowPlaying.itemIndex}`
+    };
+    stations.set(channel, station);
+    station.timer = setTimeout(() => advanceStation(channel), Math.max(0, nowPlaying.item.endsAt - Date.now()) + BOUNDARY_SLACK);
+  }
+  station.clients.add(res);
+  startSpecialEventWatcher();
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    station.clients.delete(res);
+
+    if (station.clients.size === 0 && stations.get(channel) === station) {
+      stopStation(channel);
+    }
+    if (getSubscriberCount() === 0) {
+      stopSpecialEventWatcher();
+    }
+  });
+}
+
+module.exports = {
+  initialize,
+  subscribe,
+  getSubscriberCount
+};
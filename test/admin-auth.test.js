@@ -0,0 +1,95 @@
+/**
+ * Admin authentication: every /api/admin/* route must reject requests without a valid session.
+ * Routes are discovered from the Express app, so newly added admin routes are covered automatically.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const helpers = require('./helpers');
+
+helpers.configureEnvironment({ useDatabase: false });
+const { app } = require('../index');
+
+// Session token in the server's format, signed with `secret` at `timestamp`
+function forgeToken(secret, timestamp) {
+  const signature = crypto.createHmac('sha256', secret).update(String(timestamp)).digest('hex');
+  return Buffer.from(`${timestamp}:${signature}`).toString('base64');
+}
+
+// Body for write routes (GET cannot carry one)
+function bodyFor(route) {
+  return route.method === 'GET' ? undefined : {};
+}
+
+// Route paths with every :param filled in
+function toUrl(routePath) {
+  return routePath.replace(/:(\w+)/g, 'test-$1');
+}
+
+describe('admin authentication', () => {
+  let server;
+  let client;
+  const adminRoutes = helpers.listAdminRoutes(app);
+
+  before(async () => {
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    client = helpers.createClient(server);
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('finds the admin routes', () => {
+    assert.ok(adminRoutes.length > 20, `expected the admin API, found ${adminRoutes.length} routes`);
+  });
+
+  it('rejects every admin route without a session cookie', async () => {
+    for (const route of adminRoutes) {
+      const response = await client.request(route.method, toUrl(route.path), { body: bodyFor(route) });
+      assert.equal(response.status, 401, `${route.method} ${route.path} answered ${response.status}`);
+    }
+  });
+
+  it('rejects every admin route with a forged or expired session', async () => {
+    const forged = forgeToken('not-the-admin-password', Date.now());
+    const expired = forgeToken(helpers.ADMIN_PASSWORD, Date.now() - 25 * 60 * 60 * 1000);
+
+    for (const route of adminRoutes) {
+      for (const token of [forged, expired]) {
+        const response = await client.request(route.method, toUrl(route.path), {
+          body: bodyFor(route),
+          headers: { Cookie: `adminSession=${token}` }
+        });
+        assert.equal(response.status, 401, `${route.method} ${route.path} accepted a bad session`);
+      }
+    }
+  });
+
+  it('rejects a wrong password and accepts the right one', async () => {
+    const wrong = await client.post('/api/admin/login', { password: 'wrong' });
+    assert.equal(wrong.status, 401);
+
+    const login = await client.login();
+    assert.equal(login.status, 200);
+
+    const session = await client.get('/api/admin/session');
+    assert.equal(session.data.valid, true);
+
+    const quota = await client.get('/api/admin/youtube-quota');
+    assert.equal(quota.status, 200);
+    assert.ok(quota.data.budget > 0);
+  });
+
+  it('revokes the session on logout', async () => {
+    const other = helpers.createClient(server);
+    const login = await other.login();
+    const cookie = login.headers.getSetCookie()[0].split(';')[0];
+
+    assert.equal((await other.post('/api/admin/logout', {})).status, 200);
+
+    const replayed = await client.get('/api/admin/session', { headers: { Cookie: cookie } });
+    assert.equal(replayed.status, 401);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Admin accounts: creating users with roles, what each role may do, server-side session
+ * revocation, and the hand-over from ADMIN_PASSWORD to real owners, against a throwaway
+ * database. Skipped unless TEST_DATABASE_URL is set.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+helpers.configureEnvironment({ useDatabase: true });
+const { startServer } = require('../index');
+const dbService = require('../db-service');
+
+const PASSWORD = 'correct-horse-battery';
+
+describe('admin users (database mode)', { skip: helpers.getTestDatabaseUrl() ? false : 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let seed;
+  let server;
+  let bootstrap;
+  const users = {};
+  const clients = {};
+
+  before(async () => {
+    database = await helpers.createTestDatabase();
+    seed = await helpers.seedDatabase(database.url);
+
+    process.env.DATABASE_URL = database.url;
+    server = await startServer(0);
+
+    bootstrap = helpers.createClient(server);
+    await bootstrap.login();
+  });
+
+  after(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    await dbService.closePool();
+    if (database) await helpers.dropTestDatabase(database.name);
+  });
+
+  async function signIn(username, password = PASSWORD) {
+    const client = helpers.createClient(server);
+    const login = await client.login(username, password);
+    assert.equal(login.status, 200, `${username} could not sign in`);
+    return client;
+  }
+
+  it('creates users with hashed passwords', async () => {
+    for (const [username, role] of [['vera', 'viewer'], ['carl', 'curator'], ['pat', 'programmer']]) {
+      const { status, data } = await bootstrap.post('/api/admin/users', { username, password: PASSWORD, role });
+      assert.equal(status, 201);
+      assert.equal(data.user.role, role);
+      users[username] = data.user;
+      clients[username] = await signIn(username);
+    }
+
+    const { rows } = await dbService.getPool().query('SELECT password_hash FROM admin_users');
+    for (const { password_hash: hash } of rows) {
+      assert.match(hash, /^scrypt\$/);
+      assert.ok(!hash.includes(PASSWORD));
+    }
+
+    assert.equal((await bootstrap.post('/api/admin/users', { username: 'carl', password: PASSWORD, role: 'viewer' })).status, 409);
+    assert.equal((await bootstrap.post('/api/admin/users', { username: 'short', password: 'short', role: 'viewer' })).status, 400);
+    assert.equal((await bootstrap.post('/api/admin/users', { username: 'boss', password: PASSWORD, role: 'king' })).status, 400);
+    assert.equal((await bootstrap.post('/api/admin/users', { username: 'admin', password: PASSWORD, role: 'owner' })).status, 400);
+
+    assert.equal((await helpers.createClient(server).login('carl', 'wrong-password')).status, 401);
+    assert.equal((await helpers.createClient(server).login('nobody', PASSWORD)).status, 401);
+  });
+
+  it('enforces what each role may do', async () => {
+    const playlistId = seed.playlists['Rock Anthems'].id;
+    const rename = { name: 'Rock Anthems' };
+
+    const session = await clients.vera.get('/api/admin/session');
+    assert.deepEqual(session.data.user.permissions, ['read']);
+
+    assert.equal((await clients.vera.get('/api/admin/playlists')).status, 200);
+    assert.equal((await clients.vera.put(`/api/admin/playlists/${playlistId}`, rename)).status, 403);
+
+    assert.equal((await clients.carl.put(`/api/admin/playlists/${playlistId}`, rename)).status, 200);
+    assert.equal((await clients.carl.put('/api/admin/channels/rock', { icon: '🎸' })).status, 403);
+
+    assert.equal((await clients.pat.put('/api/admin/channels/rock', { icon: '🎸' })).status, 200);
+    assert.equal((await clients.pat.put(`/api/admin/playlists/${playlistId}`, rename)).status, 403);
+
+    for (const name of ['vera', 'carl', 'pat']) {
+      assert.equal((await clients[name].get('/api/admin/users')).status, 403, `${name} can list users`);
+    }
+  });
+
+  it('applies role changes to open sessions', async () => {
+    const { data } = await bootstrap.put(`/api/admin/users/${users.vera.id}`, { role: 'curator' });
+    assert.equal(data.user.role, 'curator');
+
+    const playlistId = seed.playlists['Rock Anthems'].id;
+    assert.equal((await clients.vera.put(`/api/admin/playlists/${playlistId}`, { name: 'Rock Anthems' })).status, 200);
+  });
+
+  it('revokes sessions on logout, password change and deletion', async () => {
+    const second = await signIn('carl');
+    await second.post('/api/admin/logout', {});
+    assert.equal((await second.get('/api/admin/session')).status, 401);
+    assert.equal((await clients.carl.get('/api/admin/session')).status, 200, 'other sessions stay open');
+
+    const wrong = await clients.carl.put('/api/admin/account/password', { currentPassword: 'wrong-password', newPassword: 'a-new-password' });
+    assert.equal(wrong.status, 400);
+    const changed = await clients.carl.put('/api/admin/account/password', { currentPassword: PASSWORD, newPassword: 'a-new-password' });
+    assert.equal(changed.status, 200);
+    assert.equal((await clients.carl.get('/api/admin/session')).status, 401);
+    await signIn('carl', 'a-new-password');
+
+    assert.equal((await bootstrap.delete(`/api/admin/users/${users.pat.id}`)).status, 200);
+    assert.equal((await clients.pat.get('/api/admin/session')).status, 401);
+    assert.equal((await bootstrap.delete(`/api/admin/users/${users.pat.id}`)).status, 404);
+  });
+
+  it('retires ADMIN_PASSWORD once an owner exists, and keeps one owner', async () => {
+    const { data } = await bootstrap.post('/api/admin/users', { username: 'olivia', password: PASSWORD, role: 'owner' });
+    const owner = await signIn('olivia');
+
+    assert.equal((await bootstrap.get('/api/admin/session')).status, 401);
+    assert.equal((await helpers.createClient(server).login()).status, 401);
+
+    const demoted = await owner.put(`/api/admin/users/${data.user.id}`, { role: 'viewer' });
+    assert.equal(demoted.status, 409);
+    assert.equal((await owner.delete(`/api/admin/users/${data.user.id}`)).status, 409);
+
+    const { data: list } = await owner.get('/api/admin/users');
+    assert.deepEqual(list.map(u => [u.username, u.role]), [['carl', 'curator'], ['olivia', 'owner'], ['vera', 'curator']]);
+    assert.ok(list.every(u => u.passwordHash === undefined && u.password_hash === undefined));
+  });
+});
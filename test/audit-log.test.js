@@ -0,0 +1,223 @@
+/**
+ * Audit log: every admin write route is audited, and entries record the actor, target,
+ * before / after and request, queryable and exportable, against a throwaway database.
+ * The database part is skipped unless TEST_DATABASE_URL is set.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+helpers.configureEnvironment({ useDatabase: true });
+const { app, startServer } = require('../index');
+const dbService = require('../db-service');
+const auditLog = require('../audit-log');
+
+// POSTs that only read (lookups and YouTube metadata for the admin UI)
+const READ_ONLY_WRITES = ['/api/admin/check-videos', '/api/admin/fetch-youtube-metadata', '/api/admin/scan-videos'];
+
+describe('audited routes', () => {
+  const writeRoutes = app._router.stack
+    .filter(layer => layer.route && typeof layer.route.path === 'string')
+    .filter(layer => !layer.route.methods.get)
+    .filter(layer => layer.route.path.startsWith('/api/admin/') || /^\/api\/videos\/:videoId\/(flag|unavailable)$/.test(layer.route.path))
+    .filter(layer => !READ_ONLY_WRITES.includes(layer.route.path));
+
+  it('covers every admin write and the flag / unavailable reports', () => {
+    assert.ok(writeRoutes.length > 30, `expected the admin write routes, found ${writeRoutes.length}`);
+
+    for (const layer of writeRoutes) {
+      const actions = layer.route.stack.map(routeLayer => routeLayer.handle.auditAction).filter(Boolean);
+      const route = `${Object.keys(layer.route.methods)[0].toUpperCase()} ${layer.route.path}`;
+      assert.equal(actions.length, 1, `${route} is not audited`);
+    }
+  });
+});
+
+describe('audit log (database mode)', { skip: helpers.getTestDatabaseUrl() ? false : 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let seed;
+  let server;
+  let admin;
+
+  before(async () => {
+    database = await helpers.createTestDatabase();
+    seed = await helpers.seedDatabase(database.url);
+
+    process.env.DATABASE_URL = database.url;
+    server = await startServer(0);
+
+    admin = helpers.createClient(server);
+    await admin.login();
+  });
+
+  after(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    await dbService.closePool();
+    if (database) await helpers.dropTestDatabase(database.name);
+  });
+
+  async function latest(query) {
+    const { status, data } = await admin.get(`/api/admin/audit-log?${query}`);
+    assert.equal(status, 200);
+    return data.entries[0];
+  }
+
+  it('records sign-in with the password redacted', async () => {
+    const entry = await latest('action=admin.login');
+    assert.equal(entry.actorType, 'admin');
+    assert.equal(entry.actorId, 'admin');
+    assert.equal(entry.actorRole, 'owner');
+    assert.equal(entry.requestBody.password, '[redacted]');
+  });
+
+  it('records viewer flag reports with the video before and after', async () => {
+    const videoId = seed.playlists['Live Sessions'].videoIds[0];
+    const viewer = helpers.createClient(server);
+    const { status } = await viewer.request('POST', `/api/videos/${videoId}/flag`, {
+      body: { reason: 'wrong_video' },
+      headers: { 'X-Viewer-Id': 'viewer-audit-0001', 'User-Agent': 'audit-test' }
+    });
+    assert.equal(status, 200);
+
+    const entry = await latest(`action=video.flag&targetId=${videoId}`);
+    assert.equal(entry.actorType, 'viewer');
+    assert.equal(entry.actorId, 'viewer-audit-0001');
+    assert.equal(entry.targetType, 'video');
+    assert.equal(entry.before.youtube_video_id, videoId);
+    assert.equal(entry.after.is_flagged, false, 'one report does not flag a video');
+    assert.deepEqual(entry.requestBody, { reason: 'wrong_video' });
+    assert.equal(entry.method, 'POST');
+    assert.equal(entry.path, `/api/videos/${videoId}/flag`);
+    assert.equal(entry.statusCode, 200);
+    assert.equal(entry.userAgent, 'audit-test');
+    assert.ok(entry.ip);
+  });
+
+  it('records removing a video from a playlist, and a bumper deletion', async () => {
+    const playlist = seed.playlists['Live Sessions'];
+    const videoId = playlist.videoIds[1];
+    assert.equal((await admin.delete(`/api/admin/playlist/${playlist.id}/video/${videoId}`)).status, 200);
+
+    const removal = await latest(`action=playlist.remove_video&targetType=playlist&targetId=${playlist.id}`);
+    assert.equal(removal.actorId, 'admin');
+    assert.ok(removal.before.videoIds.includes(videoId));
+    assert.ok(!removal.after.videoIds.includes(videoId));
+    assert.equal(removal.after.videoCount, removal.before.videoCount - 1);
+
+    const bumperId = seed.bumperIds[0];
+    assert.equal((await admin.delete(`/api/admin/bumper/${bumperId}`)).status, 200);
+
+    const deletion = await latest(`action=bumper.delete&targetId=${bumperId}`);
+    assert.equal(deletion.before.id, bumperId);
+    assert.equal(deletion.after, null);
+  });
+
+  it('does not record refused or failed writes', async () => {
+    const { data: before } = await admin.get('/api/admin/audit-log');
+    assert.equal((await admin.put('/api/admin/channels/nope', { name: 'Nope' })).status, 404);
+    assert.equal((await admin.post('/api/admin/channels', { id: 'Bad!' })).status, 400);
+    assert.equal((await helpers.createClient(server).put('/api/admin/channels/rock', { name: 'Rock' })).status, 401);
+
+    const { data: afterwards } = await admin.get('/api/admin/audit-log');
+    assert.equal(afterwards.totalItems, before.totalItems);
+  });
+
+  it('filters and paginates, newest first', async () => {
+    await admin.put('/api/admin/channels/rock', { icon: '🎸' });
+    await admin.put('/api/admin/channels/rock', { icon: '🤘' });
+
+    const { data } = await admin.get('/api/admin/audit-log?action=channel.&targetId=rock&pageSize=1');
+    assert.equal(data.totalItems, 2);
+    assert.equal(data.totalPages, 2);
+    assert.equal(data.entries[0].after.icon, '🤘');
+    assert.equal(data.entries[0].before.icon, '🎸');
+
+    const { data: second } = await admin.get('/api/admin/audit-log?action=channel.&targetId=rock&pageSize=1&page=2');
+    assert.equal(second.entries[0].after.icon, '🎸');
+
+    const { data: viewers } = await admin.get('/api/admin/audit-log?actor=viewer-audit-0001');
+    assert.deepEqual(viewers.entries.map(entry => entry.action), ['video.flag']);
+
+    const { data: future } = await admin.get(`/api/admin/audit-log?since=${new Date(Date.now() + 60000).toISOString()}`);
+    assert.equal(future.totalItems, 0);
+    assert.equal((await admin.get('/api/admin/audit-log?until=yesterday')).status, 400);
+  });
+
+  it('exports CSV', async () => {
+    const { status, headers, data } = await admin.get('/api/admin/audit-log/export?targetId=rock');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^text\/csv/);
+    assert.match(headers.get('content-disposition'), /attachment; filename="audit-log-/);
+
+    const lines = data.trim().split('\r\n');
+    assert.match(lines[0], /^id,createdAt,actorType,actorId,actorRole,action,targetType,targetId,/);
+    assert.equal(lines.length, 3);
+    assert.match(lines[1], /,channel\.update,channel,rock,PUT,/);
+    assert.match(lines[1], /"\{""icon"":""🤘""\}"$/, 'JSON cells are quoted');
+  });
+
+  it('purges viewer entries after the retention period, keeping admin entries', async () => {
+    await dbService.getPool().query("UPDATE audit_log SET created_at = NOW() - INTERVAL '31 days'");
+
+    assert.equal(await auditLog.purgeViewerEntries(), 1);
+    const { data: viewers } = await admin.get('/api/admin/audit-log?actor=viewer-audit-0001');
+    assert.equal(viewers.totalItems, 0);
+    const { data: admins } = await admin.get('/api/admin/audit-log?actor=admin');
+    assert.ok(admins.totalItems > 0);
+  });
+
+  it('is for owners only', async () => {
+    await admin.post('/api/admin/users', { username: 'carl', password: 'correct-horse-battery', role: 'curator' });
+    const curator = helpers.createClient(server);
+    await curator.login('carl', 'correct-horse-battery');
+    assert.equal((await curator.get('/api/admin/audit-log')).status, 403);
+  });
+});
+
+describe('audit log in memory', () => {
+  before(() => {
+    auditLog.initialize({ useDatabase: false });
+  });
+
+  after(() => {
+    auditLog.initialize({ useDatabase: !!helpers.getTestDatabaseUrl() });
+  });
+
+  it('defuses cells a spreadsheet would run as formulas', async () => {
+    await auditLog.record({
+      actorType: 'viewer',
+      actorId: '-2+3-viewer',
+      action: 'video.flag',
+      targetType: 'video',
+      targetId: 'csvTarget01',
+      method: 'POST',
+      path: '/api/videos/csvTarget01/flag',
+      statusCode: 200,
+      ip: '127.0.0.1',
+      userAgent: '=HYPERLINK("http://evil.test","x")',
+      requestBody: { comment: '@SUM(A1)' }
+    });
+
+    const csv = await auditLog.exportCsv({ targetId: 'csvTarget01' });
+    const row = csv.split('\r\n')[1];
+    assert.match(row, /,viewer,'-2\+3-viewer,,video\.flag,/);
+    assert.match(row, /,"'=HYPERLINK\(""http:\/\/evil\.test"",""x""\)",/);
+    assert.match(row, /"\{""comment"":""@SUM\(A1\)""\}"$/, 'JSON cells start with a brace and are left as they are');
+  });
+
+  it('purges old viewer entries from memory too', async () => {
+    await auditLog.record({ actorType: 'viewer', actorId: 'viewer-memory-01', action: 'video.unavailable', targetType: 'video', targetId: 'memTarget01' });
+    await auditLog.record({ actorType: 'admin', actorId: 'admin', action: 'channel.update', targetType: 'channel', targetId: 'memTarget01' });
+
+    const later = Date.now() + 31 * 24 * 60 * 60 * 1000;
+    mock.timers.enable({ apis: ['Date'], now: later });
+    try {
+      assert.ok(await auditLog.purgeViewerEntries() >= 1);
+    } finally {
+      mock.timers.reset();
+    }
+    const { entries } = await auditLog.query({ targetId: 'memTarget01' });
+    assert.deepEqual(entries.map(entry => entry.actorType), ['admin']);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Block sequencing: artist separation, spaced repeats, decade spread and deterministic order.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ARTIST_SEPARATION, getArtistKey, spreadCandidates, sequenceBlock } = require('../block-sequencer');
+
+function video(id, artist, year = null) {
+  return { id, artist, year };
+}
+
+// Smallest number of slots between two videos with the same key
+function minGap(sequence, key) {
+  let min = Infinity;
+  sequence.forEach((item, index) => {
+    for (let j = index + 1; j < sequence.length; j++) {
+      if (key(sequence[j]) !== null && key(sequence[j]) === key(item)) {
+        min = Math.min(min, j - index);
+        break;
+      }
+    }
+  });
+  return min;
+}
+
+describe('getArtistKey', () => {
+  it('reduces an artist to its primary name', () => {
+    assert.equal(getArtistKey({ artist: 'Jay-Z feat. Alicia Keys' }), 'jay z');
+    assert.equal(getArtistKey({ artist: 'JAY-Z' }), 'jay z');
+    assert.equal(getArtistKey({ artist: 'The Killers' }), 'killers');
+    assert.equal(getArtistKey({ artist: 'Eminem, Rihanna' }), 'eminem');
+    assert.equal(getArtistKey({ artist: 'Santana ft Rob Thomas' }), 'santana');
+  });
+
+  it('is null when the artist is unknown', () => {
+    assert.equal(getArtistKey({}), null);
+    assert.equal(getArtistKey({ artist: '' }), null);
+    assert.equal(getArtistKey({ artist: '!!!' }), null);
+  });
+});
+
+describe('spreadCandidates', () => {
+  it('interleaves artists in order of first appearance', () => {
+    const candidates = [video('a1', 'A'), video('a2', 'A'), video('b1', 'B'), video('a3', 'A'), video('x', null), video('c1', 'C')];
+    assert.deepEqual(spreadCandidates(candidates).map(v => v.id), ['a1', 'b1', 'c1', 'x', 'a2', 'a3']);
+  });
+});
+
+describe('sequenceBlock', () => {
+  it('keeps the same artist ARTIST_SEPARATION slots apart when it can', () => {
+    const videos = [
+      video('a1', 'A'), video('a2', 'A feat. Z'), video('b1', 'B'), video('b2', 'B'),
+      video('c1', 'C'), video('c2', 'C'), video('d1', 'D'), video('d2', 'D')
+    ];
+    const sequence = sequenceBlock(videos);
+
+    assert.equal(sequence.length, videos.length);
+    assert.ok(minGap(sequence, getArtistKey) >= ARTIST_SEPARATION);
+  });
+
+  it('spaces repeats as far apart as the block allows', () => {
+    const videos = [video('x', 'A'), video('x', 'A'), video('y', 'B'), video('z', 'C')];
+    const sequence = sequenceBlock(videos);
+
+    assert.deepEqual(sequence.map(v => v.id).sort(), ['x', 'x', 'y', 'z']);
+    assert.equal(minGap(sequence, v => v.id), 3);
+  });
+
+  it('spreads decades when artists allow it', () => {
+    const videos = [
+      video('a', 'A', 1985), video('b', 'B', 1987), video('c', 'C', 1994), video('d', 'D', 1996)
+    ];
+    const decades = sequenceBlock(videos).map(v => Math.floor(v.year / 10) * 10);
+    assert.deepEqual(decades, [1980, 1990, 1980, 1990]);
+  });
+
+  it('never drops videos from a single-artist block', () => {
+    const videos = ['1', '2', '3'].map(id => video(id, 'Solo'));
+    assert.deepEqual(sequenceBlock(videos).map(v => v.id), ['1', '2', '3']);
+  });
+
+  it('is deterministic for the same input order', () => {
+    const videos = [
+      video('a1', 'A', 1991), video('b1', 'B', 1991), video('a2', 'A', 2001),
+      video('c1', 'C'), video('b2', 'B', 1985), video('d1', null)
+    ];
+    assert.deepEqual(sequenceBlock(videos), sequenceBlock([...videos]));
+    assert.equal(sequenceBlock(videos)[0].id, 'a1', 'ties keep the incoming order');
+  });
+});
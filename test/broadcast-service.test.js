@@ -0,0 +1,118 @@
+/**
+ * Linear broadcast: seeded, back-to-back timelines per channel and UTC day, cut off at
+ * midnight and rebuilt from the current block on when invalidated, with a stub block builder.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const broadcastService = require('../broadcast-service');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+const DAY_START = Date.UTC(2030, 0, 15);
+
+// 35-minute blocks of five 7-minute videos, picked with the seeded random; a channel's
+// revision stands in for programming edited since
+const builds = [];
+const revisions = new Map();
+async function buildBlock(channel, options) {
+  builds.push({ channel, ...options });
+  if (channel === 'nope') {
+    throw new Error(`Channel not found: ${channel}`);
+  }
+
+  const playlist = Math.floor(options.random() * 1000);
+  return {
+    playlistId: `${channel}-pl-${playlist}`,
+    playlistLabel: `Playlist ${playlist}`,
+    items: Array.from({ length: 5 }, () => ({ id: `${channel}-${Math.floor(options.random() * 1e6)}${revisions.get(channel) || ''}`, duration: 420 }))
+  };
+}
+
+describe('broadcast-service', () => {
+  before(() => {
+    broadcastService.initialize({ buildBlock });
+  });
+
+  it('seeds every block from its channel, day and position', async () => {
+    const { block } = await broadcastService.getNowPlaying('rock', DAY_START + 40 * MINUTE);
+    assert.equal(block.index, 1);
+
+    const expected = broadcastService.createSeededRandom('rock:2030-01-15:1');
+    assert.equal(block.playlistId, `rock-pl-${Math.floor(expected() * 1000)}`);
+    assert.equal(block.items[0].id, `rock-${Math.floor(expected() * 1e6)}`);
+
+    const again = broadcastService.createSeededRandom('rock:2030-01-15:1');
+    const other = broadcastService.createSeededRandom('rock:2030-01-16:1');
+    assert.equal(again(), broadcastService.createSeededRandom('rock:2030-01-15:1')());
+    assert.notEqual(again(), other());
+  });
+
+  it('chains blocks back to back, excluding the previous block', async () => {
+    const now = await broadcastService.getNowPlaying('rock', DAY_START + 75 * MINUTE);
+    assert.equal(now.block.index, 2);
+    assert.equal(now.block.startsAt, DAY_START + 70 * MINUTE);
+    assert.equal(now.itemIndex, 0);
+    assert.equal(now.offsetSeconds, 5 * 60);
+
+    const { block: first } = await broadcastService.getNowPlaying('rock', DAY_START);
+    const { block: second } = await broadcastService.getNowPlaying('rock', DAY_START + 40 * MINUTE);
+    assert.equal(second.startsAt, first.endsAt);
+
+    const secondBuild = builds.filter(build => build.channel === 'rock')[1];
+    assert.deepEqual(secondBuild.excludeVideoIds, first.items.map(item => item.id));
+    assert.deepEqual(secondBuild.excludePlaylistIds, [first.playlistId]);
+  });
+
+  it('is the same for every viewer and builds each block once', async () => {
+    const buildsBefore = builds.length;
+    const [a, b] = await Promise.all([
+      broadcastService.getNowPlaying('live', DAY_START + 3 * 60 * MINUTE),
+      broadcastService.getNowPlaying('live', DAY_START + 3 * 60 * MINUTE)
+    ]);
+    assert.deepEqual(a, b);
+    assert.equal(builds.length - buildsBefore, 6, 'blocks 0-5 cover 3 hours of 35-minute blocks');
+  });
+
+  it('cuts the last block off at midnight and restarts the next day', async () => {
+    const midnight = DAY_START + DAY;
+    const { block: last } = await broadcastService.getNowPlaying('rock', midnight - 1);
+    assert.equal(last.endsAt, midnight);
+    assert.ok(last.items.length < 5, 'videos starting after midnight are dropped');
+    assert.ok(last.items.every(item => item.startsAt < midnight));
+
+    const { block: next } = await broadcastService.getNowPlaying('rock', midnight + MINUTE);
+    assert.equal(next.index, 0);
+    assert.equal(next.startsAt, midnight);
+    assert.deepEqual(builds[builds.length - 1].excludeVideoIds, []);
+  });
+
+  it('rebuilds the blocks that have not finished airing once invalidated', async () => {
+    const at = DAY_START + 100 * MINUTE;
+    const { block: aired } = await broadcastService.getNowPlaying('pop', DAY_START + 10 * MINUTE);
+    const { block: airing } = await broadcastService.getNowPlaying('pop', at);
+    const { block: other } = await broadcastService.getNowPlaying('live', at);
+
+    revisions.set('pop', '-edited');
+    await broadcastService.invalidate('pop', at);
+
+    const { block: rebuilt } = await broadcastService.getNowPlaying('pop', at);
+    assert.equal(rebuilt.index, airing.index);
+    assert.equal(rebuilt.startsAt, airing.startsAt);
+    assert.ok(rebuilt.items.every(item => item.id.endsWith('-edited')));
+    assert.equal((await broadcastService.getNowPlaying('pop', DAY_START + 10 * MINUTE)).block, aired, 'aired blocks stay');
+    assert.equal((await broadcastService.getNowPlaying('live', at)).block, other, 'other channels stay');
+
+    revisions.set('live', '-edited');
+    await broadcastService.invalidate(null, at);
+    assert.ok((await broadcastService.getNowPlaying('live', at)).block.items.every(item => item.id.endsWith('-edited')));
+  });
+
+  it('fails for a channel it cannot schedule, and tries again next time', async () => {
+    await assert.rejects(broadcastService.getNowPlaying('nope', DAY_START), /Channel not found/);
+
+    const buildsBefore = builds.length;
+    await assert.rejects(broadcastService.getNowPlaying('nope', DAY_START), /Channel not found/);
+    assert.equal(builds.length - buildsBefore, 1);
+  });
+});
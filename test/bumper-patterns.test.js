@@ -0,0 +1,103 @@
+/**
+ * Bumper patterns: validation and where each pattern type puts bumpers in a block.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const bumperPatterns = require('../bumper-patterns');
+
+const { normalizePattern, getBumperSlots, countBumpers, applyPattern, getDefaultPattern } = bumperPatterns;
+
+function videos(count, duration = 240) {
+  return Array.from({ length: count }, (_, index) => ({ id: `video${index + 1}`, duration }));
+}
+
+describe('normalizePattern', () => {
+  it('fills in defaults', () => {
+    assert.deepEqual(normalizePattern({ type: 'every', count: 3 }), { type: 'every', count: 3, offset: 3, end: false });
+    assert.deepEqual(normalizePattern({ type: 'positions', positions: [5, 1, 5] }), { type: 'positions', positions: [1, 5], end: false });
+    assert.deepEqual(normalizePattern({ type: 'time', minutes: 7.5, end: true }), { type: 'time', minutes: 7.5, end: true });
+    assert.deepEqual(normalizePattern({ type: 'none', end: true }), { type: 'none' });
+  });
+
+  it('rejects bad patterns', () => {
+    const invalid = [
+      null,
+      'every',
+      {},
+      { type: 'sometimes' },
+      { type: 'every' },
+      { type: 'every', count: 0 },
+      { type: 'every', count: 2.5 },
+      { type: 'every', count: '4' },
+      { type: 'every', count: 4, offset: 0 },
+      { type: 'positions' },
+      { type: 'positions', positions: 1 },
+      { type: 'positions', positions: [1, -2] },
+      { type: 'time' },
+      { type: 'time', minutes: 0 },
+      { type: 'time', minutes: '15' }
+    ];
+    for (const pattern of invalid) {
+      assert.throws(() => normalizePattern(pattern), Error, JSON.stringify(pattern));
+    }
+  });
+
+  it('names the pattern types in its error', () => {
+    assert.throws(() => normalizePattern({ type: 'sometimes' }), /every, positions, time, none/);
+  });
+});
+
+describe('getBumperSlots', () => {
+  it('every: after every `count` videos', () => {
+    assert.deepEqual(getBumperSlots(videos(10), normalizePattern({ type: 'every', count: 3 })), [2, 5, 8]);
+  });
+
+  it('every: starting after video `offset`', () => {
+    // The default music pattern: after 2, then every 4
+    assert.deepEqual(getBumperSlots(videos(12), normalizePattern({ type: 'every', count: 4, offset: 2 })), [1, 5, 9]);
+  });
+
+  it('positions: after the listed positions that exist', () => {
+    assert.deepEqual(getBumperSlots(videos(6), normalizePattern({ type: 'positions', positions: [1, 4, 20] })), [0, 3]);
+  });
+
+  it('time: once enough minutes have played since the last bumper', () => {
+    const block = [300, 300, 600, 120, 120, 120, 240, 60].map((duration, index) => ({ id: `v${index}`, duration }));
+    assert.deepEqual(getBumperSlots(block, normalizePattern({ type: 'time', minutes: 10 })), [1, 2, 6]);
+  });
+
+  it('time: counts videos of unknown length as the default duration', () => {
+    const block = [{ id: 'a' }, { id: 'b', duration: null }, { id: 'c', duration: 0 }];
+    assert.deepEqual(getBumperSlots(block, normalizePattern({ type: 'time', minutes: 8 })), [1]);
+  });
+
+  it('none: no bumpers, even at the end', () => {
+    assert.deepEqual(getBumperSlots(videos(10), normalizePattern({ type: 'none', end: true })), []);
+  });
+
+  it('end: adds a bumper after the last video, once', () => {
+    assert.deepEqual(getBumperSlots(videos(7), normalizePattern({ type: 'every', count: 3, end: true })), [2, 5, 6]);
+    assert.deepEqual(getBumperSlots(videos(6), normalizePattern({ type: 'every', count: 3, end: true })), [2, 5]);
+    assert.deepEqual(getBumperSlots(videos(3), normalizePattern({ type: 'positions', positions: [1], end: true })), [0, 2]);
+    assert.deepEqual(getBumperSlots(videos(2), normalizePattern({ type: 'time', minutes: 60, end: true })), [1]);
+  });
+
+  it('handles empty blocks', () => {
+    assert.deepEqual(getBumperSlots([], normalizePattern({ type: 'every', count: 1, end: true })), []);
+  });
+});
+
+describe('applyPattern', () => {
+  it('inserts the next bumper at each slot', () => {
+    let next = 0;
+    const items = applyPattern(videos(4), normalizePattern({ type: 'every', count: 2, end: true }), () => ({ id: `bumper${++next}` }));
+    assert.deepEqual(items.map(item => item.id), ['video1', 'video2', 'bumper1', 'video3', 'video4', 'bumper2']);
+    assert.equal(countBumpers(videos(4), normalizePattern({ type: 'every', count: 2, end: true })), 2);
+  });
+
+  it('keeps the built-in cadences', () => {
+    assert.deepEqual(getBumperSlots(videos(12), normalizePattern(getDefaultPattern('rock'))), [1, 5, 9, 11]);
+    assert.deepEqual(getBumperSlots(videos(5), normalizePattern(getDefaultPattern('shows'))), [0, 4]);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Bumper selection: mapped bumpers first, then generic ones narrowed by their tags.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { selectBumpers } = require('../db-service');
+
+function bumper(id, { tags = [], channels = [], events = [] } = {}) {
+  return { id, title: id, duration_seconds: 10, tags, channel_ids: channels, special_event_ids: events };
+}
+
+const BUMPERS = [
+  bumper('rock-ident', { tags: ['ident'], channels: ['rock'] }),
+  bumper('halloween-ident', { tags: ['special-event'], events: [7] }),
+  bumper('station-id', { tags: ['station-id'] }),
+  bumper('promo', { tags: ['promo'] }),
+  bumper('unmapped-channel-ident', { tags: ['channel'] }),
+  bumper('any-event-promo', { tags: ['special-event', 'promo'] })
+];
+
+const ids = bumpers => bumpers.map(b => b.id);
+
+describe('selectBumpers', () => {
+  it('puts bumpers mapped to the channel first, then generic ones', () => {
+    const picked = ids(selectBumpers(BUMPERS, 10, Math.random, { channelId: 'rock' }));
+    assert.equal(picked[0], 'rock-ident');
+    assert.deepEqual(picked.slice(1).sort(), ['promo', 'station-id']);
+  });
+
+  it('keeps channel and special-event bumpers off channels they are not for', () => {
+    const picked = ids(selectBumpers(BUMPERS, 10, Math.random, { channelId: 'pop' }));
+    assert.deepEqual(picked.sort(), ['promo', 'station-id']);
+  });
+
+  it('prefers special-event bumpers during a special event', () => {
+    const picked = ids(selectBumpers(BUMPERS, 10, Math.random, { specialEventId: 7 }));
+    assert.deepEqual(picked.slice(0, 2), ['halloween-ident', 'any-event-promo']);
+    assert.deepEqual(picked.slice(2).sort(), ['promo', 'station-id']);
+
+    const otherEvent = ids(selectBumpers(BUMPERS, 10, Math.random, { specialEventId: 8 }));
+    assert.equal(otherEvent[0], 'any-event-promo');
+    assert.ok(!otherEvent.includes('halloween-ident'));
+  });
+
+  it('falls back to any bumper when none suit the target, and returns at least one', () => {
+    const onlyMapped = [bumper('rock-ident', { channels: ['rock'] })];
+    assert.deepEqual(ids(selectBumpers(onlyMapped, 3, Math.random, { channelId: 'pop' })), ['rock-ident']);
+    assert.equal(selectBumpers(BUMPERS, 0, Math.random, { channelId: 'rock' }).length, 1);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Shared cache: TTLs, stale-while-revalidate and invalidation for each driver.
+ * The postgres driver runs against a throwaway database and is skipped unless TEST_DATABASE_URL is set.
+ */
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const helpers = require('./helpers');
+const cacheStore = require('../cache-store');
+const dbService = require('../db-service');
+
+const MINUTE = 60 * 1000;
+
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// Background work (reloads, NOTIFY) settles within a second
+async function eventually(read, expected) {
+  let value = await read();
+  for (let i = 0; i < 50 && value !== expected; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    value = await read();
+  }
+  return value;
+}
+
+for (const driver of ['memory', 'file']) {
+  describe(`cache-store (${driver} driver)`, () => {
+    let dir;
+    let cache;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nmtv-cache-'));
+      cacheStore.initialize({ driver, dir });
+      cache = cacheStore.createCache(`test-${driver}`, { ttl: 10 * MINUTE, staleTtl: 60 * MINUTE });
+      mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    });
+
+    afterEach(() => {
+      mock.timers.reset();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('serves a value until its TTL, then only as stale until the stale period ends', async () => {
+      await cache.set('key', { videos: [1, 2, 3] });
+      assert.deepEqual(await cache.get('key'), { videos: [1, 2, 3] });
+
+      mock.timers.tick(11 * MINUTE);
+      assert.equal(await cache.get('key'), null);
+      const stale = await cache.peek('key');
+      assert.deepEqual(stale.value, { videos: [1, 2, 3] });
+      assert.equal(stale.fresh, false);
+
+      mock.timers.tick(60 * MINUTE);
+      assert.equal(await cache.peek('key'), null);
+    });
+
+    it('loads a missing value once for concurrent callers', async () => {
+      let calls = 0;
+      const loader = async () => {
+        calls++;
+        await flush();
+        return 'loaded';
+      };
+
+      const values = await Promise.all([cache.wrap('key', loader), cache.wrap('key', loader), cache.wrap('key', loader)]);
+      assert.deepEqual(values, ['loaded', 'loaded', 'loaded']);
+      assert.equal(calls, 1);
+
+      assert.equal(await cache.wrap('key', loader), 'loaded');
+      assert.equal(calls, 1);
+    });
+
+    it('answers with the stale value and reloads it in the background', async () => {
+      await cache.wrap('key', async () => 'old');
+      mock.timers.tick(11 * MINUTE);
+
+      assert.equal(await cache.wrap('key', async () => 'new'), 'old');
+      assert.equal(await eventually(() => cache.get('key'), 'new'), 'new');
+    });
+
+    it('keeps the stale value when a reload fails, and waits errorTtl before retrying', async () => {
+      await cache.wrap('key', async () => 'old');
+      mock.timers.tick(11 * MINUTE);
+
+      let calls = 0;
+      const failing = async () => {
+        calls++;
+        throw new Error('YouTube is down');
+      };
+
+      assert.equal(await cache.wrap('key', failing, { errorTtl: 5 * MINUTE }), 'old');
+      assert.equal(await eventually(() => cache.get('key'), 'old'), 'old'); // Fresh again for errorTtl
+      assert.equal(calls, 1);
+
+      assert.equal(await cache.wrap('key', failing, { errorTtl: 5 * MINUTE }), 'old');
+      assert.equal(calls, 1);
+    });
+
+    it('throws the loader error when there is nothing to fall back to', async () => {
+      await assert.rejects(cache.wrap('key', async () => { throw new Error('boom'); }), /boom/);
+      assert.equal(await cache.get('key'), null);
+    });
+
+    it('clears keys matching a pattern, or the whole namespace', async () => {
+      await cache.set('videos:1', 'a');
+      await cache.set('videos:2', 'b');
+      await cache.set('channels:all', 'c');
+
+      await cache.clear('videos:');
+      assert.equal(await cache.get('videos:1'), null);
+      assert.equal(await cache.get('channels:all'), 'c');
+      assert.equal(await cache.size(), 1);
+
+      await cache.clear();
+      assert.equal(await cache.size(), 0);
+    });
+  });
+}
+
+describe('cache-store (postgres driver)', { skip: helpers.getTestDatabaseUrl() ? false : 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let cache;
+
+  before(async () => {
+    database = await helpers.createTestDatabase();
+    process.env.DATABASE_URL = database.url;
+  });
+
+  beforeEach(() => {
+    cacheStore.initialize({ driver: 'postgres', database: dbService });
+    cache = cacheStore.createCache('test-postgres', { ttl: 10 * MINUTE, staleTtl: 60 * MINUTE });
+  });
+
+  after(async () => {
+    await dbService.closePool();
+    if (database) await helpers.dropTestDatabase(database.name);
+  });
+
+  it('keeps entries across restarts', async () => {
+    await cache.set('playlist', ['a', 'b']);
+
+    // A new driver has no local copies, like a freshly started instance
+    cacheStore.initialize({ driver: 'postgres', database: dbService });
+    assert.deepEqual(await cache.get('playlist'), ['a', 'b']);
+    assert.equal(await dbService.countCacheEntries('test-postgres'), 1);
+  });
+
+  it('drops local copies when another instance changes an entry', async () => {
+    await cache.set('channels:all', 'old');
+    assert.equal(await cache.get('channels:all'), 'old');
+
+    // The first cache access starts LISTEN in the background; give it time to connect
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    // Another instance writes the table and announces it
+    const now = Date.now();
+    await dbService.setCacheEntry('test-postgres', 'channels:all', { value: 'new', expiresAt: now + MINUTE, staleUntil: now + MINUTE });
+    await dbService.notifyCacheInvalidation({ origin: 'other-instance', namespace: 'test-postgres', pattern: 'channels:' });
+
+    assert.equal(await eventually(() => cache.get('channels:all'), 'new'), 'new');
+  });
+
+  it('clears entries for every instance', async () => {
+    await cache.set('videos:1', 'a');
+    await cache.set('bumpers:all', 'b');
+
+    await cache.clear('videos:');
+    assert.equal(await dbService.getCacheEntry('test-postgres', 'videos:1'), null);
+    assert.notEqual(await dbService.getCacheEntry('test-postgres', 'bumpers:all'), null);
+  });
+});
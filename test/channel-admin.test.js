@@ -0,0 +1,148 @@
+/**
+ * Channel management: creating, configuring, reordering and deleting channels, and which
+ * channels feed random channels, against a throwaway database. Skipped unless TEST_DATABASE_URL is set.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+helpers.configureEnvironment({ useDatabase: true });
+const { startServer } = require('../index');
+const dbService = require('../db-service');
+
+const BUILT_IN_ORDER = ['rock', 'hiphop', '2000s', '1990s', '1980s', 'live', 'shows', 'noa', 'random'];
+
+describe('channel admin API (database mode)', { skip: helpers.getTestDatabaseUrl() ? false : 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let seed;
+  let server;
+  let admin;
+
+  before(async () => {
+    database = await helpers.createTestDatabase();
+    seed = await helpers.seedDatabase(database.url);
+
+    process.env.DATABASE_URL = database.url;
+    server = await startServer(0);
+
+    admin = helpers.createClient(server);
+    await admin.login();
+  });
+
+  after(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    await dbService.closePool();
+    if (database) await helpers.dropTestDatabase(database.name);
+  });
+
+  function sourcesOf(block) {
+    return block.items
+      .filter(item => !item.isBumper)
+      .map(item => Object.entries(seed.playlists).find(([, p]) => p.videoIds.includes(item.id))[0]);
+  }
+
+  it('lists the built-in channels in guide order with their settings', async () => {
+    const { status, data } = await admin.get('/api/admin/channels');
+    assert.equal(status, 200);
+    assert.deepEqual(data.map(c => c.id), BUILT_IN_ORDER);
+
+    const rock = data.find(c => c.id === 'rock');
+    assert.equal(rock.playlistCount, 2);
+    assert.equal(rock.feedsRandom, true);
+    assert.equal(rock.isRandom, false);
+    assert.equal(data.find(c => c.id === 'noa').isEasterEgg, true);
+    assert.equal(data.find(c => c.id === 'noa').feedsRandom, false);
+    assert.equal(data.find(c => c.id === 'random').isRandom, true);
+
+    const { data: guide } = await admin.get('/api/channels');
+    assert.deepEqual(guide.map(c => c.id), BUILT_IN_ORDER);
+  });
+
+  it('creates a channel with its settings, last in the guide', async () => {
+    const { status, data } = await admin.post('/api/admin/channels', {
+      id: 'metal',
+      name: ' Metal ',
+      icon: '🤘',
+      blockMinutes: 45,
+      bumperPattern: { type: 'every', count: 3 }
+    });
+    assert.equal(status, 201);
+    assert.equal(data.channel.name, 'Metal');
+    assert.equal(data.channel.position, BUILT_IN_ORDER.length);
+    assert.equal(data.channel.blockMinutes, 45);
+    assert.equal(data.channel.feedsRandom, false);
+
+    const pattern = await admin.get('/api/admin/channels/metal/bumper-pattern');
+    assert.equal(pattern.data.pattern.type, 'every');
+
+    assert.equal((await admin.post('/api/admin/channels', { id: 'metal', name: 'Again' })).status, 409);
+    assert.equal((await admin.post('/api/admin/channels', { id: 'Metal!', name: 'Bad id' })).status, 400);
+    assert.equal((await admin.post('/api/admin/channels', { id: 'special', name: 'Reserved' })).status, 400);
+    assert.equal((await admin.post('/api/admin/channels', { id: 'doom', name: 'Doom', blockMinutes: 0 })).status, 400);
+    assert.equal((await admin.post('/api/admin/channels', { id: 'doom' })).status, 400);
+  });
+
+  it('updates settings and resets them with null', async () => {
+    const { status, data } = await admin.put('/api/admin/channels/metal', { name: 'Heavy Metal', isEasterEgg: true, blockMinutes: null });
+    assert.equal(status, 200);
+    assert.equal(data.channel.name, 'Heavy Metal');
+    assert.equal(data.channel.isEasterEgg, true);
+    assert.equal(data.channel.blockMinutes, null);
+    assert.equal(data.channel.icon, '🤘', 'omitted fields are unchanged');
+
+    const { data: epg } = await admin.get('/api/epg?hours=1');
+    assert.ok(!epg.channels.some(c => c.id === 'metal'), 'easter eggs stay hidden until unlocked');
+
+    assert.equal((await admin.put('/api/admin/channels/metal', { feedsRandom: 'yes' })).status, 400);
+    assert.equal((await admin.put('/api/admin/channels/metal', {})).status, 400);
+    assert.equal((await admin.put('/api/admin/channels/nope', { name: 'Nope' })).status, 404);
+  });
+
+  it('reorders the guide', async () => {
+    const order = ['live', 'rock', ...BUILT_IN_ORDER.filter(id => id !== 'live' && id !== 'rock'), 'metal'];
+    const { status, data } = await admin.put('/api/admin/channel-order', { channelIds: order });
+    assert.equal(status, 200);
+    assert.deepEqual(data.channels.map(c => c.id), order);
+
+    const { data: guide } = await admin.get('/api/channels');
+    assert.deepEqual(guide.map(c => c.id), order);
+
+    const incomplete = await admin.put('/api/admin/channel-order', { channelIds: ['rock', 'live'] });
+    assert.equal(incomplete.status, 400);
+  });
+
+  it('fills random channels from the channels that feed them', async () => {
+    await admin.put('/api/admin/channels/rock', { feedsRandom: false });
+    const { data: liveOnly } = await admin.get('/api/channel/random');
+    assert.ok(sourcesOf(liveOnly).length > 0);
+    assert.deepEqual([...new Set(sourcesOf(liveOnly))], ['Live Sessions']);
+
+    await admin.put('/api/admin/channels/rock', { feedsRandom: true });
+    await admin.put('/api/admin/channels/live', { feedsRandom: false });
+    await admin.post('/api/admin/channels', { id: 'rock-mix', name: 'Rock Mix', isRandom: true });
+
+    for (const channelId of ['random', 'rock-mix']) {
+      const { status, data } = await admin.get(`/api/channel/${channelId}`);
+      assert.equal(status, 200);
+      assert.equal(data.playlistId, 'random-mix');
+      assert.ok(!sourcesOf(data).includes('Live Sessions'), `${channelId} still airs live`);
+    }
+  });
+
+  it('deletes a channel only once it has no playlists, unless forced', async () => {
+    const refused = await admin.delete('/api/admin/channels/live');
+    assert.equal(refused.status, 409);
+
+    const { status, data } = await admin.delete('/api/admin/channels/live?force=true');
+    assert.equal(status, 200);
+    assert.deepEqual(data.deleted.unlinkedPlaylists, [Number(seed.playlists['Live Sessions'].id)]);
+
+    assert.equal((await admin.delete('/api/admin/channels/metal')).status, 200);
+    assert.equal((await admin.delete('/api/admin/channels/metal')).status, 404);
+
+    const { data: channels } = await admin.get('/api/admin/channels');
+    assert.ok(!channels.some(c => c.id === 'live' || c.id === 'metal'));
+    assert.equal((await admin.get(`/api/admin/playlists/${seed.playlists['Live Sessions'].id}`)).status, 200, 'playlists are kept');
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Channel API in database mode, against a throwaway Postgres database built by the migrations.
+ * Skipped unless TEST_DATABASE_URL is set (see test/helpers.js).
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+helpers.configureEnvironment({ useDatabase: true });
+const { startServer } = require('../index');
+const dbService = require('../db-service');
+
+const skip = helpers.getTestDatabaseUrl() ? false : 'TEST_DATABASE_URL not set';
+
+function videosOf(block) {
+  return block.items.filter(item => !item.isBumper);
+}
+
+// History is written after the response is sent: poll (up to 5s) until the videos are in it
+async function waitForHistory(viewerId, videoIds) {
+  const deadline = Date.now() + 5000;
+  for (;;) {
+    const history = await dbService.getViewerHistory(viewerId, new Date(Date.now() - 60 * 1000));
+    const playedIds = history.map(entry => entry.videoId);
+    if (videoIds.every(id => playedIds.includes(id)) || Date.now() > deadline) return playedIds;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+describe('channel API (database mode)', { skip }, () => {
+  let database;
+  let seed;
+  let server;
+
+  before(async () => {
+    database = await helpers.createTestDatabase();
+    seed = await helpers.seedDatabase(database.url);
+
+    process.env.DATABASE_URL = database.url;
+    server = await startServer(0);
+  });
+
+  after(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    await dbService.closePool();
+    if (database) await helpers.dropTestDatabase(database.name);
+  });
+
+  it('reports database mode as ready', async () => {
+    const { data } = await helpers.createClient(server).get('/api/ready');
+
+    assert.equal(data.mode, 'database');
+    assert.equal(data.ready, true);
+  });
+
+  describe('blocks', () => {
+    it('fills a block from one seeded playlist', async () => {
+      const { status, data: block } = await helpers.createClient(server).get('/api/channel/rock');
+      assert.equal(status, 200);
+
+      const playlist = Object.entries(seed.playlists).find(([, p]) => p.id === block.playlistId);
+      assert.ok(playlist, `playlist ${block.playlistId} was not seeded for rock`);
+      assert.equal(block.playlistLabel, playlist[0]);
+
+      const videos = videosOf(block);
+      for (const video of videos) {
+        assert.ok(playlist[1].videoIds.includes(video.id), `${video.id} is not in ${playlist[0]}`);
+        assert.equal(String(video.playlistId), block.playlistId);
+        assert.equal(video.duration, 240);
+        assert.equal(typeof video.title, 'string');
+        assert.equal(typeof video.artist, 'string');
+        assert.equal(typeof video.year, 'number');
+        assert.equal(video.isBumper, false);
+      }
+      assert.equal(new Set(videos.map(v => v.id)).size, videos.length, 'videos repeat within a block');
+
+      // 60-minute default target, bumpers included, within one video and the 90s tolerance
+      const runtime = block.items.reduce((sum, item) => sum + item.duration, 0);
+      assert.ok(runtime > 3600 - 240 && runtime <= 3600 + 90, `runtime ${runtime}s`);
+    });
+
+    it('places bumpers from the bumpers table in the default music pattern', async () => {
+      const { data: block } = await helpers.createClient(server).get('/api/channel/rock');
+      const videoCount = videosOf(block).length;
+
+      // After video 2, then every 4 videos, and at the end
+      const expected = [];
+      for (let i = 1; i < videoCount - 1; i += 4) expected.push(i);
+      expected.push(videoCount - 1);
+      assert.deepEqual(helpers.getBumperSlots(block.items), expected);
+
+      for (const bumper of block.items.filter(item => item.isBumper)) {
+        assert.ok(seed.bumperIds.includes(bumper.id));
+        assert.equal(bumper.playlistId, 'bumpers');
+        assert.equal(bumper.duration, 20);
+      }
+    });
+
+    it('follows a channel bumper pattern set through the admin API', async () => {
+      const admin = helpers.createClient(server);
+      await admin.login();
+
+      const update = await admin.put('/api/admin/channels/live/bumper-pattern', {
+        pattern: { type: 'positions', positions: [1, 3], end: true }
+      });
+      assert.equal(update.status, 200);
+
+      const { data: block } = await helpers.createClient(server).get('/api/channel/live');
+      assert.equal(videosOf(block).length, 4);
+      assert.deepEqual(helpers.getBumperSlots(block.items), [0, 2, 3]);
+    });
+
+    it('maps bumpers only to channels and special events that exist', async () => {
+      const admin = helpers.createClient(server);
+      await admin.login();
+      const stored = async () => (await dbService.checkBumpersExistence(['mapped00001'])).mapped00001;
+
+      const unknownChannel = await admin.post('/api/admin/bumper', { youtube_video_id: 'mapped00001', tags: ['ident'], channel_ids: ['nochannel'] });
+      assert.equal(unknownChannel.status, 404);
+      assert.equal(unknownChannel.data.error, 'Channel not found: nochannel');
+      assert.equal((await stored()).isBumper, false, 'nothing is written');
+
+      assert.equal((await admin.post('/api/admin/bumper', { youtube_video_id: 'mapped00001', tags: ['ident'], channel_ids: ['rock'] })).status, 200);
+
+      const unknownEvent = await admin.put('/api/admin/bumper/mapped00001', { channel_ids: ['live'], special_event_ids: [999999] });
+      assert.equal(unknownEvent.status, 404);
+      assert.equal(unknownEvent.data.error, 'Special event not found: 999999');
+      assert.equal((await admin.put('/api/admin/bumper/mapped00001', { channel_ids: [42] })).status, 400);
+      assert.deepEqual((await stored()).channelIds, ['rock'], 'a refused update changes nothing');
+
+      assert.equal((await admin.request('DELETE', '/api/admin/bumper/mapped00001')).status, 200);
+    });
+  });
+
+  describe('exclusions', () => {
+    it('does not repeat videos or the playlist for the same viewer', async () => {
+      const client = helpers.createClient(server);
+
+      const first = await client.get('/api/channel/rock');
+      const second = await client.post('/api/channel/rock/next', {});
+
+      assert.notEqual(second.data.playlistId, first.data.playlistId);
+      const firstIds = new Set(videosOf(first.data).map(v => v.id));
+      assert.deepEqual(videosOf(second.data).filter(v => firstIds.has(v.id)), []);
+    });
+
+    it('stores viewer history in the database', async () => {
+      const client = helpers.createClient(server);
+      const { headers, data } = await client.get('/api/channel/rock');
+
+      const playedIds = await waitForHistory(headers.get('x-viewer-id'), videosOf(data).map(v => v.id));
+      for (const video of videosOf(data)) {
+        assert.ok(playedIds.includes(video.id), `${video.id} missing from viewer history`);
+      }
+    });
+
+    it('honours client-sent excludeIds', async () => {
+      const excludeIds = seed.playlists['Rock Anthems'].videoIds.slice(0, 20);
+
+      const { data } = await helpers.createClient(server).post('/api/channel/rock/next', { excludeIds });
+      assert.ok(videosOf(data).length > 0);
+      assert.deepEqual(videosOf(data).filter(v => excludeIds.includes(v.id)), []);
+    });
+
+    it('keeps viewer history ahead of a full list of client excludeIds', async () => {
+      const client = helpers.createClient(server);
+      const first = await client.get('/api/channel/random');
+      const firstIds = new Set(videosOf(first.data).map(v => v.id));
+      await waitForHistory(first.headers.get('x-viewer-id'), [...firstIds]);
+
+      const excludeIds = Array.from({ length: 200 }, (_, index) => `stale${String(index).padStart(6, '0')}`);
+      const second = await client.post('/api/channel/random/next', { excludeIds });
+      assert.ok(videosOf(second.data).length > 0);
+      assert.deepEqual(videosOf(second.data).filter(v => firstIds.has(v.id)), []);
+    });
+
+    it('repeats videos rather than serving an empty block once a channel is exhausted', async () => {
+      const client = helpers.createClient(server);
+
+      const first = await client.get('/api/channel/live');
+      const second = await client.post('/api/channel/live/next', {});
+
+      assert.equal(videosOf(first.data).length, 4);
+      assert.equal(videosOf(second.data).length, 4);
+      assert.equal(second.data.playlistId, seed.playlists['Live Sessions'].id);
+    });
+  });
+
+  describe('special events', () => {
+    let admin;
+
+    before(async () => {
+      admin = helpers.createClient(server);
+      await admin.login();
+
+      const events = [
+        { label: 'Holidays', startDate: '2024-12-20', endDate: '2025-01-05', isEnabled: true },
+        { label: 'Awards Month', startDate: '2025-03-01', endDate: '2025-03-31', isEnabled: true },
+        { label: 'Summer (disabled)', startDate: '2025-07-01', endDate: '2025-07-31', isEnabled: false }
+      ];
+      for (const event of events) {
+        const response = await admin.post('/api/admin/special-events', {
+          ...event,
+          playlists: [{ id: 'PLfakeShortPlaylist01', label: event.label }]
+        });
+        assert.equal(response.status, 200);
+      }
+    });
+
+    // Active event label on a given local date (any year - events recur annually)
+    async function activeOn(year, month, day) {
+      mock.timers.enable({ apis: ['Date'], now: new Date(year, month - 1, day, 12) });
+      try {
+        await dbService.clearCache('special_event');
+        const event = await dbService.getActiveSpecialEvent();
+        return event ? event.label : null;
+      } finally {
+        mock.timers.reset();
+        await dbService.clearCache('special_event');
+      }
+    }
+
+    it('activates a normal range between its start and end day', async () => {
+      assert.equal(await activeOn(2026, 3, 1), 'Awards Month');
+      assert.equal(await activeOn(2026, 3, 15), 'Awards Month');
+      assert.equal(await activeOn(2026, 3, 31), 'Awards Month');
+      assert.equal(await activeOn(2026, 2, 28), null);
+      assert.equal(await activeOn(2026, 4, 1), null);
+    });
+
+    it('activates a range that wraps from December into January', async () => {
+      assert.equal(await activeOn(2026, 12, 20), 'Holidays');
+      assert.equal(await activeOn(2026, 12, 31), 'Holidays');
+      assert.equal(await activeOn(2027, 1, 1), 'Holidays');
+      assert.equal(await activeOn(2027, 1, 5), 'Holidays');
+      assert.equal(await activeOn(2026, 12, 19), null);
+      assert.equal(await activeOn(2027, 1, 6), null);
+      assert.equal(await activeOn(2026, 6, 15), null);
+    });
+
+    it('never activates a disabled event', async () => {
+      assert.equal(await activeOn(2026, 7, 10), null);
+    });
+
+    it('exposes the active event and its playlists', async () => {
+      mock.timers.enable({ apis: ['Date'], now: new Date(2026, 11, 24, 12) });
+      try {
+        await dbService.clearCache('special_event');
+        const event = await dbService.getActiveSpecialEvent();
+        assert.equal(event.enabled, true);
+        assert.deepEqual(event.playlists.map(p => p.id), ['PLfakeShortPlaylist01']);
+      } finally {
+        mock.timers.reset();
+        await dbService.clearCache('special_event');
+      }
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Channel API in YouTube API mode, against the in-process fake YouTube Data API (YOUTUBE_MODE=fake).
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+helpers.configureEnvironment({ useDatabase: false });
+const { startServer } = require('../index');
+
+// Default music pattern: after video 2, then every 4 videos, and at the end
+function musicSlots(videoCount) {
+  const slots = [];
+  for (let i = 1; i < videoCount - 1; i += 4) slots.push(i);
+  slots.push(videoCount - 1);
+  return slots;
+}
+
+describe('channel API (YouTube API mode)', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer(0);
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('is ready once playlists and bumpers are cached', async () => {
+    const { data } = await helpers.createClient(server).get('/api/ready');
+
+    assert.equal(data.mode, 'youtube_api');
+    assert.equal(data.ready, true);
+    assert.ok(data.bumpersCount > 0);
+  });
+
+  it('returns a block of videos with bumpers in the channel pattern', async () => {
+    const { status, data: block } = await helpers.createClient(server).get('/api/channel/rock');
+    assert.equal(status, 200);
+
+    assert.equal(typeof block.playlistId, 'string');
+    assert.equal(typeof block.playlistLabel, 'string');
+
+    const videos = block.items.filter(item => !item.isBumper);
+    assert.ok(videos.length > 0);
+    for (const video of videos) {
+      assert.match(video.id, /^[\w-]{11}$/);
+      assert.equal(video.playlistId, block.playlistId);
+      assert.ok(video.duration > 0);
+      assert.ok(video.artist && video.song, `${video.id} has no artist / song`);
+    }
+    assert.equal(new Set(videos.map(v => v.id)).size, videos.length, 'videos repeat within a block');
+
+    // About an hour, bumpers included (blocks are sized with the average bumper length)
+    const runtime = block.items.reduce((sum, item) => sum + item.duration, 0);
+    assert.ok(runtime >= 45 * 60 && runtime <= 65 * 60, `runtime ${runtime}s`);
+
+    assert.deepEqual(helpers.getBumperSlots(block.items), musicSlots(videos.length));
+  });
+
+  it('places the shows channel bumpers after the first video and at the end', async () => {
+    const { data: block } = await helpers.createClient(server).get('/api/channel/shows');
+    const videoCount = block.items.filter(item => !item.isBumper).length;
+
+    assert.deepEqual(helpers.getBumperSlots(block.items), videoCount > 1 ? [0, videoCount - 1] : [0]);
+  });
+
+  it('does not repeat videos the viewer has already been served', async () => {
+    const client = helpers.createClient(server);
+
+    const first = await client.get('/api/channel/1990s');
+    const viewerId = first.headers.get('x-viewer-id');
+    assert.ok(viewerId);
+
+    const second = await client.post('/api/channel/1990s/next', {});
+    assert.equal(second.headers.get('x-viewer-id'), viewerId);
+
+    const firstIds = new Set(first.data.items.filter(i => !i.isBumper).map(i => i.id));
+    const repeats = second.data.items.filter(i => !i.isBumper && firstIds.has(i.id));
+    assert.deepEqual(repeats, []);
+  });
+
+  it('honours client-sent excludeIds', async () => {
+    const client = helpers.createClient(server);
+    const first = await client.get('/api/channel/hiphop');
+    const excludeIds = first.data.items.filter(i => !i.isBumper).map(i => i.id);
+
+    // A fresh viewer, so only the request body excludes anything
+    const { data } = await helpers.createClient(server).post('/api/channel/hiphop/next', { excludeIds });
+    assert.ok(data.items.length > 0);
+    assert.deepEqual(data.items.filter(i => excludeIds.includes(i.id)), []);
+  });
+
+  it('answers 404 for an unknown channel', async () => {
+    const { status } = await helpers.createClient(server).get('/api/channel/not-a-channel');
+    assert.equal(status, 404);
+  });
+
+  it('reports every cached channel playlist in the refresh status', async () => {
+    const admin = helpers.createClient(server);
+    await admin.login();
+
+    const { status, data } = await admin.get('/api/admin/playlist-refresh');
+    assert.equal(status, 200);
+    assert.equal(data.running, true);
+
+    // Cached at startup and not due for hours
+    const rock = data.playlists.filter(p => p.channels.includes('rock'));
+    assert.ok(rock.length > 0);
+    for (const playlist of rock) {
+      assert.ok(Date.parse(playlist.expiresAt) > Date.now() + 20 * 60 * 60 * 1000);
+      assert.equal(playlist.consecutiveFailures, 0);
+    }
+
+    const refreshed = await admin.post(`/api/admin/playlist-refresh/${rock[0].playlistId}`, {});
+    assert.equal(refreshed.status, 200);
+    assert.equal(refreshed.data.success, true);
+    assert.ok(refreshed.data.status.videoCount > 0);
+
+    assert.equal((await admin.post('/api/admin/playlist-refresh/PLnotScheduled', {})).status, 404);
+  });
+});
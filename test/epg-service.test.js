@@ -0,0 +1,76 @@
+/**
+ * Program guide: the guide window, and the XMLTV export's escaping and timestamps, over a
+ * stub block builder.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const broadcastService = require('../broadcast-service');
+const epgService = require('../epg-service');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+const DAY_START = Date.UTC(2030, 5, 1);
+
+// 30-minute blocks: a bumper, then five 5-minute videos (with XML-hostile titles on 'xml')
+async function buildBlock(channel, { random }) {
+  const n = Math.floor(random() * 1000);
+  const title = channel === 'xml' ? 'Guns <N> "Roses" & Friends\'' : `Artist ${n}`;
+  return {
+    playlistId: `${channel}-${n}`,
+    playlistLabel: channel === 'xml' ? 'Rock & <Roll>' : `Playlist ${n}`,
+    items: [
+      { id: `bumper-${n}`, title: 'Station ident', duration: 300, isBumper: true },
+      ...Array.from({ length: 5 }, (_, i) => ({ id: `${channel}-${n}-${i}`, artist: title, song: `Song ${i}`, duration: 300 }))
+    ]
+  };
+}
+
+describe('epg-service', () => {
+  before(() => {
+    broadcastService.initialize({ buildBlock });
+  });
+
+  it('covers the requested hours, clamped to 1-24', async () => {
+    const from = DAY_START + 10 * MINUTE;
+    const guide = await epgService.buildGuide([{ id: 'rock', name: 'Rock', icon: '🎸' }], from, 2);
+    assert.equal(guide.from, from);
+    assert.equal(guide.to, from + 2 * HOUR);
+
+    const [rock] = guide.channels;
+    assert.equal(rock.icon, '🎸');
+    assert.equal(rock.programmes[0].startsAt, DAY_START, 'the block on air at `from` is included');
+    assert.ok(rock.programmes.every(p => p.endsAt > guide.from && p.startsAt < guide.to));
+    assert.equal(rock.programmes.length, 5, 'blocks 00:00 to 02:30 overlap 00:10-02:10');
+    assert.deepEqual(rock.programmes[0].items.map(item => item.isBumper), [true, false, false, false, false, false]);
+
+    assert.equal((await epgService.buildGuide([], from, 100)).to, from + epgService.MAX_GUIDE_HOURS * HOUR);
+    assert.equal((await epgService.buildGuide([], from, -5)).to, from + HOUR);
+    assert.equal((await epgService.buildGuide([], from)).to, from + epgService.DEFAULT_GUIDE_HOURS * HOUR);
+  });
+
+  it('skips channels that cannot be scheduled', async () => {
+    const failing = async () => { throw new Error('Channel not found: gone'); };
+    broadcastService.initialize({ buildBlock: (channel, options) => channel === 'gone' ? failing() : buildBlock(channel, options) });
+    try {
+      const guide = await epgService.buildGuide([{ id: 'gone', name: 'Gone' }, { id: 'pop', name: 'Pop' }], DAY_START, 1);
+      assert.deepEqual(guide.channels.map(channel => channel.id), ['pop']);
+    } finally {
+      broadcastService.initialize({ buildBlock });
+    }
+  });
+
+  it('writes XMLTV with escaped text and UTC timestamps', async () => {
+    const guide = await epgService.buildGuide([{ id: 'xml', name: 'R&B <Hits>', icon: '🎤' }], DAY_START + 9 * HOUR + 5 * MINUTE + 7000, 1);
+    const xml = epgService.toXmltv(guide);
+
+    assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+    assert.match(xml, /<channel id="xml\.nmtv">\n {4}<display-name>R&amp;B &lt;Hits&gt;<\/display-name>\n {2}<\/channel>/);
+    assert.match(xml, /<programme start="20300601090000 \+0000" stop="20300601093000 \+0000" channel="xml\.nmtv">/);
+    assert.match(xml, /<title>Rock &amp; &lt;Roll&gt;<\/title>/);
+    assert.match(xml, /<desc>Guns &lt;N&gt; &quot;Roses&quot; &amp; Friends&apos; - Song 0 \/ /);
+    assert.doesNotMatch(xml, /Station ident/, 'bumpers stay out of <desc>');
+    assert.equal(xml.match(/<programme /g).length, 3);
+    assert.ok(xml.endsWith('</tv>'));
+  });
+});
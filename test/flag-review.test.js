@@ -0,0 +1,160 @@
+/**
+ * Flag review: viewer reports with reasons, one pending report per viewer, flagging once
+ * enough IP addresses report, and the moderator queue (approve / dismiss / unflag), against a
+ * throwaway database. Skipped unless TEST_DATABASE_URL is set.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+helpers.configureEnvironment({ useDatabase: true });
+process.env.TRUST_PROXY = 'loopback'; // Reporters' addresses come from X-Forwarded-For
+const { startServer } = require('../index');
+const dbService = require('../db-service');
+
+describe('flag review (database mode)', { skip: helpers.getTestDatabaseUrl() ? false : 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let seed;
+  let server;
+  let admin;
+  let rockIds;
+
+  before(async () => {
+    database = await helpers.createTestDatabase();
+    seed = await helpers.seedDatabase(database.url);
+
+    process.env.DATABASE_URL = database.url;
+    server = await startServer(0);
+
+    admin = helpers.createClient(server);
+    await admin.login();
+    rockIds = seed.playlists['Rock Anthems'].videoIds;
+  });
+
+  after(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    await dbService.closePool();
+    if (database) await helpers.dropTestDatabase(database.name);
+  });
+
+  // A viewer (with its own session cookie) reporting from an address
+  function report(viewer, videoId, body = {}, ip = '203.0.113.1') {
+    return viewer.request('POST', `/api/videos/${videoId}/flag`, { body, headers: { 'X-Forwarded-For': ip } });
+  }
+
+  async function isFlagged(videoId) {
+    return (await dbService.getVideoByYoutubeId(videoId)).is_flagged;
+  }
+
+  it('stores reports with a reason, once per viewer, without flagging', async () => {
+    const viewer = helpers.createClient(server);
+
+    const first = await report(viewer, rockIds[0], { reason: 'wrong_video', comment: ' Plays a different song ' });
+    assert.equal(first.status, 200);
+    assert.equal(first.data.duplicate, false);
+    assert.equal(first.data.flagged, false);
+
+    const again = await report(viewer, rockIds[0], { reason: 'bad_quality' });
+    assert.equal(again.data.duplicate, true);
+
+    const { data } = await admin.get(`/api/admin/flag-reports/${rockIds[0]}`);
+    assert.equal(data.isFlagged, false);
+    assert.equal(data.reports.length, 1);
+    assert.equal(data.reports[0].reason, 'wrong_video');
+    assert.equal(data.reports[0].comment, 'Plays a different song');
+    assert.equal(data.reports[0].status, 'pending');
+    assert.ok(data.reports[0].viewerId);
+    assert.equal(data.reports[0].reporterIp, '203.0.113.1');
+
+    assert.equal((await report(viewer, rockIds[1], { reason: 'boring' })).status, 400);
+    assert.equal((await report(viewer, 'notAVideo01')).status, 404);
+    assert.equal((await report(viewer, rockIds[1])).data.reason, 'other', 'reason defaults to other');
+  });
+
+  it('flags a video once viewers at enough addresses report it', async () => {
+    await report(helpers.createClient(server), rockIds[0], { reason: 'unavailable' }, '203.0.113.2');
+    assert.equal(await isFlagged(rockIds[0]), false, 'two addresses are below the threshold');
+
+    // New viewer ids from the same address count once
+    for (const viewerId of ['made-up-id-0001', 'made-up-id-0002', 'made-up-id-0003']) {
+      const { data } = await helpers.createClient(server).request('POST', `/api/videos/${rockIds[0]}/flag`, {
+        body: { reason: 'unavailable' },
+        headers: { 'X-Viewer-Id': viewerId, 'X-Forwarded-For': '203.0.113.2' }
+      });
+      assert.equal(data.duplicate, false);
+      assert.equal(data.flagged, false);
+    }
+
+    const third = await report(helpers.createClient(server), rockIds[0], { reason: 'unavailable' }, '198.51.100.7');
+    assert.equal(third.data.flagged, true);
+    assert.equal((await dbService.getVideoByYoutubeId(rockIds[0])).flag_reason, 'Reported: unavailable (3 reporters)');
+
+    const { data: block } = await admin.get('/api/channel/rock');
+    assert.ok(!block.items.some(item => item.id === rockIds[0]), 'flagged videos leave playback');
+  });
+
+  it('lists the review queue, most reported first', async () => {
+    const { status, data } = await admin.get('/api/admin/flag-reports');
+    assert.equal(status, 200);
+    assert.equal(data.threshold, 3);
+    assert.equal(data.totalItems, 2);
+    assert.deepEqual(data.videos.map(video => video.youtubeVideoId), [rockIds[0], rockIds[1]]);
+    assert.deepEqual(data.videos[0].reasons, { unavailable: 5, wrong_video: 1 });
+    assert.equal(data.videos[0].reportCount, 6);
+    assert.equal(data.videos[0].reporterCount, 3);
+    assert.equal(data.videos[0].isFlagged, true);
+
+    assert.equal((await admin.get('/api/admin/flag-reports?status=open')).status, 400);
+  });
+
+  it('dismissing reports puts a video they flagged back on air', async () => {
+    const { status, data } = await admin.post(`/api/admin/flag-reports/${rockIds[0]}/dismiss`, {});
+    assert.equal(status, 200);
+    assert.equal(data.reviewed, 6);
+    assert.equal(data.isFlagged, false);
+
+    const { data: history } = await admin.get(`/api/admin/flag-reports/${rockIds[0]}`);
+    assert.ok(history.reports.every(r => r.status === 'dismissed' && r.reviewedBy === 'admin'));
+    assert.equal((await admin.post(`/api/admin/flag-reports/${rockIds[0]}/dismiss`, {})).status, 409);
+
+    // Dismissed reports no longer count - the same viewers can report again
+    const viewer = helpers.createClient(server);
+    await report(viewer, rockIds[0]);
+    assert.equal((await report(viewer, rockIds[0])).data.duplicate, true);
+  });
+
+  it('approving reports flags the video', async () => {
+    const { data } = await admin.post(`/api/admin/flag-reports/${rockIds[1]}/approve`, {});
+    assert.equal(data.reviewed, 1);
+    assert.equal(data.isFlagged, true);
+    assert.match((await dbService.getVideoByYoutubeId(rockIds[1])).flag_reason, /^Reported: other \(approved by admin\)/);
+
+    const { data: approved } = await admin.get('/api/admin/flag-reports?status=approved');
+    assert.deepEqual(approved.videos.map(video => video.youtubeVideoId), [rockIds[1]]);
+  });
+
+  it('dismissing leaves other flags alone; unflag clears any flag', async () => {
+    const videoId = rockIds[2];
+    await dbService.flagVideo(videoId, 'Auto-flagged: 50 unavailable reports');
+    await report(helpers.createClient(server), videoId, { reason: 'unavailable' });
+
+    await admin.post(`/api/admin/flag-reports/${videoId}/dismiss`, {});
+    assert.equal(await isFlagged(videoId), true);
+
+    await report(helpers.createClient(server), videoId, { reason: 'unavailable' });
+    const { status, data } = await admin.post(`/api/admin/videos/${videoId}/unflag`, {});
+    assert.equal(status, 200);
+    assert.equal(data.dismissedReports, 1);
+    assert.equal(await isFlagged(videoId), false);
+    assert.equal((await admin.post('/api/admin/videos/notAVideo01/unflag', {})).status, 404);
+  });
+
+  it('keeps a deleted video\'s reports in the trash', async () => {
+    const { data } = await admin.delete(`/api/admin/videos/${rockIds[0]}`);
+    await admin.post(`/api/admin/trash/${data.trashId}/restore`, {});
+
+    const { data: history } = await admin.get(`/api/admin/flag-reports/${rockIds[0]}`);
+    assert.equal(history.reports.length, 7);
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Integration Test Helpers
+ *
+ * Shared by the test/*.test.js suites: a throwaway Postgres database built by the migrations,
+ * seed data, a small HTTP client that keeps cookies, and admin route discovery.
+ *
+ * The database suite needs TEST_DATABASE_URL pointing at a Postgres server the tests may
+ * create and drop databases on (e.g. postgres://postgres@localhost:5432/postgres).
+ * Each run creates its own `nmtv_test_<random>` database and drops it afterwards.
+ */
+
+const crypto = require('crypto');
+const { Client } = require('pg');
+const migrationRunner = require('../migration-runner');
+
+const ADMIN_PASSWORD = 'integration-test-password';
+
+// ============================================
+// ENVIRONMENT
+// ============================================
+
+/**
+ * Environment shared by every suite. Must run before index.js is required, since the app
+ * reads its mode and credentials at load time.
+ */
+function configureEnvironment({ useDatabase }) {
+  process.env.USE_DATABASE = useDatabase ? 'true' : 'false';
+  process.env.YOUTUBE_MODE = 'fake';
+  process.env.ADMIN_PASSWORD = ADMIN_PASSWORD;
+  process.env.API_RATE_LIMIT = '10000';
+  delete process.env.YOUTUBE_API_KEY;
+}
+
+// ============================================
+// THROWAWAY DATABASE
+// ============================================
+
+function getTestDatabaseUrl() {
+  return process.env.TEST_DATABASE_URL || null;
+}
+
+function getSsl() {
+  return process.env.DATABASE_SSL === 'false' ? false : undefined;
+}
+
+/**
+ * Create an empty database on the TEST_DATABASE_URL server and apply every migration to it.
+ * @param {Object} options - { migrate: false leaves the database empty }
+ * @returns {Promise<{ name: string, url: string }>}
+ */
+async function createTestDatabase({ migrate = true } = {}) {
+  const serverUrl = getTestDatabaseUrl();
+  const name = `nmtv_test_${crypto.randomBytes(6).toString('hex')}`;
+
+  const admin = new Client({ connectionString: serverUrl, ssl: getSsl() });
+  await admin.connect();
+  try {
+    await admin.query(`CREATE DATABASE ${name}`);
+  } finally {
+    await admin.end();
+  }
+
+  const url = new URL(serverUrl);
+  url.pathname = `/${name}`;
+
+  if (migrate) {
+    const client = new Client({ connectionString: url.toString(), ssl: getSsl() });
+    await client.connect();
+    try {
+      await migrationRunner.migrate(client);
+    } finally {
+      await client.end();
+    }
+  }
+
+  return { name, url: url.toString() };
+}
+
+async function dropTestDatabase(name) {
+  const admin = new Client({ connectionString: getTestDatabaseUrl(), ssl: getSsl() });
+  await admin.connect();
+  try {
+    await admin.query(`DROP DATABASE IF EXISTS ${name} WITH (FORCE)`);
+  } finally {
+    await admin.end();
+  }
+}
+
+/**
+ * Seed playlists, videos and bumpers. Channels come from the initial migration's seed data.
+ *   rock  two 30-video playlists (4 minutes each, one artist per video)
+ *   live  one 4-video playlist, for exhausting a channel
+ *   bumpers  six generic bumpers of 20 seconds
+ * @returns {Promise<Object>} { playlists: { [name]: { id, videoIds } }, bumperIds }
+ */
+async function seedDatabase(url) {
+  const client = new Client({ connectionString: url, ssl: getSsl() });
+  await client.connect();
+
+  const playlists = {};
+
+  async function addPlaylist(name, channelId, videoCount) {
+    const { rows } = await client.query('INSERT INTO playlists (name) VALUES ($1) RETURNING id', [name]);
+    const playlistId = rows[0].id;
+    await client.query('INSERT INTO channel_playlists (channel_id, playlist_id) VALUES ($1, $2)', [channelId, playlistId]);
+
+    const videoIds = [];
+    for (let i = 0; i < videoCount; i++) {
+      const youtubeId = `${name.replace(/\W/g, '').slice(0, 6)}${String(i).padStart(5, '0')}`;
+      const artist = `${name} Artist ${i}`;
+      const video = await client.query(`
+        INSERT INTO videos (youtube_video_id, title, artist, song, duration_seconds, year)
+        VALUES ($1, $2, $3, $4, 240, $5)
+        RETURNING id
+      `, [youtubeId, `${artist} - Song ${i}`, artist, `Song ${i}`, 1980 + (i % 40)]);
+      await client.query(
+        'INSERT INTO playlist_videos (playlist_id, video_id, position) VALUES ($1, $2, $3)',
+        [playlistId, video.rows[0].id, i]
+      );
+      videoIds.push(youtubeId);
+    }
+
+    playlists[name] = { id: String(playlistId), videoIds };
+  }
+
+  try {
+    await addPlaylist('Rock Anthems', 'rock', 30);
+    await addPlaylist('Rock Deep Cuts', 'rock', 30);
+    await addPlaylist('Live Sessions', 'live', 4);
+
+    const bumperIds = [];
+    for (let i = 0; i < 6; i++) {
+      const youtubeId = `bumper${String(i).padStart(5, '0')}`;
+      await client.query(
+        'INSERT INTO bumpers (youtube_video_id, title, duration_seconds) VALUES ($1, $2, 20)',
+        [youtubeId, `Station ID ${i}`]
+      );
+      bumperIds.push(youtubeId);
+    }
+
+    return { playlists, bumperIds };
+  } finally {
+    await client.end();
+  }
+}
+
+// ============================================
+// HTTP
+// ============================================
+
+/**
+ * Minimal HTTP client for a listening server. Cookies set by responses are sent back on
+ * later requests, so one client behaves like one browser.
+ */
+function createClient(server) {
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const cookies = new Map();
+
+  async function request(method, urlPath, { body, headers = {} } = {}) {
+    const cookieHeader = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+
+    const response = await fetch(baseUrl + urlPath, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(cookieHeader ? { Cookie: cookieHeader } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    for (const setCookie of response.headers.getSetCookie()) {
+      const [pair] = setCookie.split(';');
+      const separator = pair.indexOf('=');
+      cookies.set(pair.slice(0, separator), pair.slice(separator + 1));
+    }
+
+    const text = await response.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      // Not JSON (CSV, XML, empty body)
+    }
+
+    return { status: response.status, headers: response.headers, data };
+  }
+
+  return {
+    request,
+    get: (urlPath, options) => request('GET', urlPath, options),
+    post: (urlPath, body, options) => request('POST', urlPath, { ...options, body }),
+    put: (urlPath, body, options) => request('PUT', urlPath, { ...options, body }),
+    delete: (urlPath, options) => request('DELETE', urlPath, options),
+    // No username signs in the ADMIN_PASSWORD owner
+    login: (username, password = ADMIN_PASSWORD) => request('POST', '/api/admin/login', {
+      body: username ? { username, password } : { password }
+    })
+  };
+}
+
+// ============================================
+// ROUTES AND BLOCKS
+// ============================================
+
+/**
+ * Every /api/admin/* route registered on the app (login, logout and session are public).
+ * @returns {Array<{ method: string, path: string }>}
+ */
+function listAdminRoutes(app) {
+  const publicRoutes = ['/api/admin/login', '/api/admin/logout', '/api/admin/session'];
+
+  return app._router.stack
+    .filter(layer => layer.route && typeof layer.route.path === 'string')
+    .filter(layer => layer.route.path.startsWith('/api/admin/') && !publicRoutes.includes(layer.route.path))
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+      method: method.toUpperCase(),
+      path: layer.route.path
+    })));
+}
+
+// Indices of the videos (counting videos only) that are followed by a bumper
+function getBumperSlots(items) {
+  const slots = [];
+  let videoIndex = -1;
+
+  for (const item of items) {
+    if (item.isBumper) {
+      slots.push(videoIndex);
+    } else {
+      videoIndex++;
+    }
+  }
+  return slots;
+}
+
+module.exports = {
+  ADMIN_PASSWORD,
+  configureEnvironment,
+  getTestDatabaseUrl,
+  createTestDatabase,
+  dropTestDatabase,
+  seedDatabase,
+  createClient,
+  listAdminRoutes,
+  getBumperSlots
+};
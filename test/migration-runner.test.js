@@ -0,0 +1,123 @@
+/**
+ * Database migrations: the migration files themselves, migrate / rollback / status against a
+ * throwaway database, and the startup check. The database part is skipped unless TEST_DATABASE_URL is set.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('pg');
+const helpers = require('./helpers');
+
+helpers.configureEnvironment({ useDatabase: true });
+const { startServer } = require('../index');
+const dbService = require('../db-service');
+const migrationRunner = require('../migration-runner');
+
+describe('migration files', () => {
+  it('are numbered without gaps, and each can be reverted', () => {
+    const migrations = migrationRunner.loadMigrations();
+
+    assert.ok(migrations.length > 0);
+    migrations.forEach((migration, index) => {
+      assert.equal(migration.version, index + 1, `${migrationRunner.formatName(migration)} is out of sequence`);
+      assert.ok(migration.down, `${migrationRunner.formatName(migration)} has no down migration`);
+    });
+  });
+});
+
+describe('migration runner (database mode)', { skip: helpers.getTestDatabaseUrl() ? false : 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let client;
+  let latestVersion;
+
+  before(async () => {
+    database = await helpers.createTestDatabase({ migrate: false });
+    client = new Client({ connectionString: database.url, ssl: process.env.DATABASE_SSL === 'false' ? false : undefined });
+    await client.connect();
+    latestVersion = migrationRunner.loadMigrations().at(-1).version;
+  });
+
+  after(async () => {
+    if (client) await client.end();
+    await dbService.closePool();
+    if (database) await helpers.dropTestDatabase(database.name);
+  });
+
+  async function tableExists(name) {
+    const { rows } = await client.query('SELECT to_regclass($1) AS name', [name]);
+    return rows[0].name !== null;
+  }
+
+  it('applies every migration to an empty database, once', async () => {
+    const before = await migrationRunner.getStatus(client);
+    assert.equal(before.currentVersion, 0);
+    assert.equal(before.pending.length, latestVersion);
+
+    const applied = await migrationRunner.migrate(client);
+    assert.equal(applied.length, latestVersion);
+    assert.ok(await tableExists('playlist_sync_reports'));
+
+    assert.deepEqual(await migrationRunner.migrate(client), []);
+    const status = await migrationRunner.getStatus(client);
+    assert.equal(status.upToDate, true);
+    assert.equal(status.currentVersion, latestVersion);
+  });
+
+  it('refuses to serve database mode while migrations are pending', async () => {
+    const [reverted] = await migrationRunner.rollback(client);
+    assert.equal(reverted.version, latestVersion);
+
+    process.env.DATABASE_URL = database.url;
+    await assert.rejects(startServer(0), /schema is behind: 1 pending migration/);
+
+    await migrationRunner.migrate(client);
+    const server = await startServer(0);
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('rolls back to a version and forward again', async () => {
+    const reverted = await migrationRunner.rollback(client, { to: 1 });
+    assert.deepEqual(reverted.map(m => m.version), Array.from({ length: latestVersion - 1 }, (_, i) => latestVersion - i));
+    assert.equal(await tableExists('viewer_history'), false);
+    assert.equal(await tableExists('channels'), true);
+
+    await migrationRunner.migrate(client, { to: 5 });
+    assert.equal((await migrationRunner.getStatus(client)).currentVersion, 5);
+
+    await migrationRunner.migrate(client);
+    assert.equal((await migrationRunner.getStatus(client)).upToDate, true);
+  });
+
+  it('adopts a database built by hand from the same SQL', async () => {
+    await migrationRunner.rollback(client, { to: 0 });
+    assert.equal(await tableExists('channels'), false);
+
+    // What running the old schema / migration scripts in the SQL editor left behind
+    for (const migration of migrationRunner.loadMigrations()) {
+      await client.query(migration.up);
+    }
+    await client.query("INSERT INTO playlists (name) VALUES ('Kept')");
+
+    assert.equal((await migrationRunner.migrate(client)).length, latestVersion);
+    const { rows } = await client.query('SELECT name FROM playlists');
+    assert.deepEqual(rows, [{ name: 'Kept' }]);
+  });
+
+  it('leaves a failed migration unapplied', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nmtv-migrations-'));
+    for (const migration of migrationRunner.loadMigrations()) {
+      fs.writeFileSync(path.join(dir, `${migrationRunner.formatName(migration)}.up.sql`), migration.up);
+    }
+    const broken = migrationRunner.formatName({ version: latestVersion + 1, name: 'broken' });
+    fs.writeFileSync(path.join(dir, `${broken}.up.sql`), 'CREATE TABLE half_done (id INTEGER); SELECT missing_column FROM channels;');
+
+    await assert.rejects(migrationRunner.migrate(client, { dir }), new RegExp(`${broken} \\(up\\) failed`));
+    assert.equal(await tableExists('half_done'), false);
+    assert.equal((await migrationRunner.getStatus(client, { dir })).pending.length, 1);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
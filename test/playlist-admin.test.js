@@ -0,0 +1,139 @@
+/**
+ * Playlist management: listing, editing, deleting and reordering playlists, and moving them
+ * between channels, against a throwaway database. Skipped unless TEST_DATABASE_URL is set.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+helpers.configureEnvironment({ useDatabase: true });
+const { startServer } = require('../index');
+const dbService = require('../db-service');
+
+describe('playlist admin API (database mode)', { skip: helpers.getTestDatabaseUrl() ? false : 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let seed;
+  let server;
+  let admin;
+  let anthems;
+  let deepCuts;
+  let live;
+
+  before(async () => {
+    database = await helpers.createTestDatabase();
+    seed = await helpers.seedDatabase(database.url);
+
+    process.env.DATABASE_URL = database.url;
+    server = await startServer(0);
+
+    admin = helpers.createClient(server);
+    await admin.login();
+    anthems = Number(seed.playlists['Rock Anthems'].id);
+    deepCuts = Number(seed.playlists['Rock Deep Cuts'].id);
+    live = Number(seed.playlists['Live Sessions'].id);
+  });
+
+  after(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    await dbService.closePool();
+    if (database) await helpers.dropTestDatabase(database.name);
+  });
+
+  it('lists playlists with video counts and channels', async () => {
+    const { status, data } = await admin.get('/api/admin/playlists');
+    assert.equal(status, 200);
+
+    const rock = data.find(p => p.id === anthems);
+    assert.equal(rock.videoCount, 30);
+    assert.deepEqual(rock.channels, [{ channelId: 'rock', position: null, weight: 1 }]); // Seeded without an order
+
+    const { data: onRock } = await admin.get('/api/admin/playlists?channelId=rock');
+    assert.deepEqual(onRock.map(p => p.id), [anthems, deepCuts]);
+  });
+
+  it('renames and describes a playlist', async () => {
+    const { status, data } = await admin.put(`/api/admin/playlists/${deepCuts}`, { name: '  Rock B-Sides ', description: 'Album tracks' });
+    assert.equal(status, 200);
+    assert.equal(data.playlist.name, 'Rock B-Sides');
+    assert.equal(data.playlist.description, 'Album tracks');
+
+    const cleared = await admin.put(`/api/admin/playlists/${deepCuts}`, { description: null });
+    assert.equal(cleared.data.playlist.name, 'Rock B-Sides');
+    assert.equal(cleared.data.playlist.description, null);
+
+    assert.equal((await admin.put(`/api/admin/playlists/${deepCuts}`, { name: '' })).status, 400);
+    assert.equal((await admin.put('/api/admin/playlists/999999', { name: 'Nope' })).status, 404);
+  });
+
+  it('reorders the playlists of a channel and the videos of a playlist', async () => {
+    const { data } = await admin.put('/api/admin/channels/rock/playlist-order', { playlistIds: [deepCuts, anthems] });
+    assert.deepEqual(data.playlists.map(p => p.id), [deepCuts, anthems]);
+    const rotation = await admin.get('/api/admin/channels/rock/rotation');
+    assert.deepEqual(rotation.data.playlists.map(p => p.id), [deepCuts, anthems]);
+
+    const incomplete = await admin.put('/api/admin/channels/rock/playlist-order', { playlistIds: [deepCuts] });
+    assert.equal(incomplete.status, 400);
+
+    const videoIds = [...seed.playlists['Live Sessions'].videoIds].reverse();
+    const reordered = await admin.put(`/api/admin/playlists/${live}/video-order`, { videoIds });
+    assert.equal(reordered.status, 200);
+    assert.deepEqual(reordered.data.playlist.videos.map(v => v.youtubeVideoId), videoIds);
+    assert.deepEqual(reordered.data.playlist.videos.map(v => v.position), [0, 1, 2, 3]);
+  });
+
+  it('adds a playlist to a second channel and takes it off again', async () => {
+    const { status, data } = await admin.put(`/api/admin/channels/1980s/playlists/${anthems}`, {});
+    assert.equal(status, 200);
+    assert.equal(data.position, 0);
+
+    const { data: playlist } = await admin.get(`/api/admin/playlists/${anthems}`);
+    assert.deepEqual(playlist.channels.map(c => c.channelId), ['1980s', 'rock']);
+    const channelVideos = await admin.get('/api/channel/1980s');
+    assert.equal(channelVideos.status, 200);
+
+    // The last playlist on a channel needs force
+    const refused = await admin.delete(`/api/admin/channels/1980s/playlists/${anthems}`);
+    assert.equal(refused.status, 409);
+    assert.equal((await admin.delete(`/api/admin/channels/1980s/playlists/${anthems}?force=true`)).status, 200);
+    assert.equal((await admin.delete(`/api/admin/channels/1980s/playlists/${anthems}?force=true`)).status, 404);
+
+    assert.equal((await admin.put(`/api/admin/channels/nope/playlists/${anthems}`, {})).status, 404);
+  });
+
+  it('moves a playlist between channels, keeping its rotation settings', async () => {
+    const badDay = await admin.put(`/api/admin/channels/rock/rotation/${deepCuts}`, {
+      weight: 3,
+      dayparts: [{ days: ['monkey'], start: '06:00', end: '12:00' }]
+    });
+    assert.equal(badDay.status, 400);
+
+    await admin.put(`/api/admin/channels/rock/rotation/${deepCuts}`, { weight: 3 });
+
+    const { status, data } = await admin.post(`/api/admin/playlists/${deepCuts}/move`, { fromChannelId: 'rock', toChannelId: '1990s' });
+    assert.equal(status, 200);
+    assert.equal(data.channelId, '1990s');
+    assert.equal(data.weight, 3);
+
+    const { data: onRock } = await admin.get('/api/admin/playlists?channelId=rock');
+    assert.deepEqual(onRock.map(p => p.id), [anthems]);
+
+    const lastOne = await admin.post(`/api/admin/playlists/${anthems}/move`, { fromChannelId: 'rock', toChannelId: '1990s' });
+    assert.equal(lastOne.status, 409);
+  });
+
+  it('deletes a playlist only once it is off every channel, unless forced', async () => {
+    const refused = await admin.delete(`/api/admin/playlists/${deepCuts}`);
+    assert.equal(refused.status, 409);
+    assert.match(refused.data.error, /1990s/);
+
+    const { status, data } = await admin.delete(`/api/admin/playlists/${deepCuts}?force=true`);
+    assert.equal(status, 200);
+    assert.deepEqual(data.unlinkedChannels, ['1990s']);
+    assert.equal(data.unlinkedVideos, 30);
+
+    assert.equal((await admin.get(`/api/admin/playlists/${deepCuts}`)).status, 404);
+    const video = await dbService.getVideoByYoutubeId(seed.playlists['Rock Deep Cuts'].videoIds[0]);
+    assert.ok(video, 'videos stay in the library');
+  });
+});
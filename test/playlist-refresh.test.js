@@ -0,0 +1,114 @@
+/**
+ * Scheduled playlist refresh: ordering, quota pause, failure backoff and status reporting.
+ * The cache and YouTube are replaced by in-memory fakes passed to initialize().
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const playlistRefresh = require('../playlist-refresh');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('playlist-refresh', () => {
+  let expiries;
+  let failing;
+  let refreshed;
+  let quotaAvailable;
+
+  // Each test uses its own playlist IDs - status is kept per playlist for the process lifetime
+  function schedule(ids) {
+    playlistRefresh.initialize({
+      listPlaylists: async () => ids.map(playlistId => ({ playlistId, channel: 'rock' })),
+      getExpiry: async (playlistId) => expiries.get(playlistId) ?? null,
+      refreshPlaylist: async (playlistId) => {
+        refreshed.push(playlistId);
+        if (failing.has(playlistId)) throw new Error('Playlist fetch timeout after 60000ms');
+        expiries.set(playlistId, Date.now() + 24 * HOUR);
+        return ['a', 'b', 'c'];
+      },
+      canRefresh: () => quotaAvailable
+    });
+  }
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    expiries = new Map();
+    failing = new Set();
+    refreshed = [];
+    quotaAvailable = true;
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('refreshes one playlist per tick, uncached first, then soonest expiry', async () => {
+    schedule(['PLsoon', 'PLlater', 'PLmissing', 'PLfresh']);
+    expiries.set('PLsoon', Date.now() + 30 * MINUTE);
+    expiries.set('PLlater', Date.now() + 90 * MINUTE);
+    expiries.set('PLfresh', Date.now() + 20 * HOUR);
+
+    for (let i = 0; i < 4; i++) await playlistRefresh.tick();
+
+    assert.deepEqual(refreshed, ['PLmissing', 'PLsoon', 'PLlater']);
+  });
+
+  it('pauses while quota is being saved', async () => {
+    schedule(['PLpaused']);
+    quotaAvailable = false;
+
+    assert.equal(await playlistRefresh.tick(), null);
+    assert.deepEqual(refreshed, []);
+    assert.equal((await playlistRefresh.getStatus()).pausedForQuota, true);
+
+    quotaAvailable = true;
+    await playlistRefresh.tick();
+    assert.deepEqual(refreshed, ['PLpaused']);
+  });
+
+  it('backs off after a failure and reports the error', async () => {
+    schedule(['PLbroken']);
+    const expiresAt = Date.now() + 10 * MINUTE;
+    expiries.set('PLbroken', expiresAt);
+    failing.add('PLbroken');
+
+    await playlistRefresh.tick();
+    await playlistRefresh.tick();
+    assert.deepEqual(refreshed, ['PLbroken']);
+
+    const [status] = (await playlistRefresh.getStatus()).playlists;
+    assert.equal(status.consecutiveFailures, 1);
+    assert.match(status.lastError, /timeout/);
+    assert.equal(status.lastSuccessAt, null);
+    assert.equal(status.expiresAt, new Date(expiresAt).toISOString()); // Cached copy untouched
+
+    // Retries after 10 minutes, then waits twice as long
+    mock.timers.tick(10 * MINUTE);
+    await playlistRefresh.tick();
+    assert.equal(refreshed.length, 2);
+    assert.equal((await playlistRefresh.getStatus()).playlists[0].retryAt, new Date(Date.now() + 20 * MINUTE).toISOString());
+
+    failing.delete('PLbroken');
+    mock.timers.tick(20 * MINUTE);
+    await playlistRefresh.tick();
+
+    const [recovered] = (await playlistRefresh.getStatus()).playlists;
+    assert.equal(recovered.consecutiveFailures, 0);
+    assert.equal(recovered.lastError, null);
+    assert.equal(recovered.videoCount, 3);
+    assert.equal(recovered.retryAt, null);
+  });
+
+  it('refreshes on demand only playlists it schedules', async () => {
+    schedule(['PLmanual']);
+    expiries.set('PLmanual', Date.now() + 20 * HOUR);
+
+    const status = await playlistRefresh.refreshNow('PLmanual');
+    assert.equal(status.lastError, null);
+    assert.deepEqual(status.channels, ['rock']);
+    assert.deepEqual(refreshed, ['PLmanual']);
+
+    await assert.rejects(playlistRefresh.refreshNow('PLunknown'), /not found/);
+  });
+});
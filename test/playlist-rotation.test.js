@@ -0,0 +1,130 @@
+/**
+ * Playlist rotation: weight and daypart validation, dayparts across midnight, and weighted picks.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SCHEDULE_TIMEZONE = 'UTC';
+const rotation = require('../playlist-rotation');
+
+// Monday 14 January 2030, UTC
+function monday(hours, minutes = 0) {
+  return Date.UTC(2030, 0, 14, hours, minutes);
+}
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// A random() that returns the given values in turn
+function sequence(...values) {
+  let index = 0;
+  return () => values[index++ % values.length];
+}
+
+describe('normalizeWeight', () => {
+  it('defaults to 1 and accepts 0 to MAX_WEIGHT', () => {
+    assert.equal(rotation.normalizeWeight(undefined), rotation.DEFAULT_WEIGHT);
+    assert.equal(rotation.normalizeWeight(0), 0);
+    assert.equal(rotation.normalizeWeight(2.5), 2.5);
+    for (const weight of [-1, rotation.MAX_WEIGHT + 1, '3', NaN, Infinity]) {
+      assert.throws(() => rotation.normalizeWeight(weight), /Weight must be/);
+    }
+  });
+});
+
+describe('normalizeDayparts', () => {
+  it('fills in every day and normalizes day names', () => {
+    assert.equal(rotation.normalizeDayparts([]), null);
+    assert.deepEqual(rotation.normalizeDayparts([{ start: '22:00', end: '04:00' }]), [{ days: rotation.DAY_NAMES, start: '22:00', end: '04:00' }]);
+    assert.deepEqual(
+      rotation.normalizeDayparts([{ days: ['Friday', 'MON'], start: '06:00', end: '12:00' }]),
+      [{ days: ['mon', 'fri'], start: '06:00', end: '12:00' }]
+    );
+  });
+
+  it('rejects bad dayparts', () => {
+    const invalid = [
+      'nights',
+      [null],
+      [{ start: '6:00', end: '12:00' }],
+      [{ start: '24:00', end: '02:00' }],
+      [{ start: '10:00', end: '10:00' }],
+      [{ days: [], start: '06:00', end: '12:00' }],
+      [{ days: ['someday'], start: '06:00', end: '12:00' }],
+      [{ days: ['monkey'], start: '06:00', end: '12:00' }],
+      [{ days: ['x'], start: '06:00', end: '12:00' }],
+      [{ days: ['fri', 'Satur'], start: '06:00', end: '12:00' }],
+      [{ days: [1], start: '06:00', end: '12:00' }],
+      Array.from({ length: 21 }, () => ({ start: '06:00', end: '12:00' }))
+    ];
+    for (const dayparts of invalid) {
+      assert.throws(() => rotation.normalizeDayparts(dayparts), Error, JSON.stringify(dayparts));
+    }
+  });
+});
+
+describe('isOnAir', () => {
+  it('airs playlists without dayparts (or with invalid ones) all the time', () => {
+    assert.equal(rotation.isOnAir({}, monday(3)), true);
+    assert.equal(rotation.isOnAir({ dayparts: 'bad' }, monday(3)), true);
+  });
+
+  it('airs within a same-day window, start inclusive and end exclusive', () => {
+    const mornings = { dayparts: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '06:00', end: '12:00' }] };
+    assert.equal(rotation.isOnAir(mornings, monday(5, 59)), false);
+    assert.equal(rotation.isOnAir(mornings, monday(6)), true);
+    assert.equal(rotation.isOnAir(mornings, monday(11, 59)), true);
+    assert.equal(rotation.isOnAir(mornings, monday(12)), false);
+    assert.equal(rotation.isOnAir(mornings, monday(8) - DAY), false, 'not on Sunday');
+  });
+
+  it('runs a window across midnight into the next morning', () => {
+    const nights = { dayparts: [{ start: '22:00', end: '04:00' }] };
+    assert.equal(rotation.isOnAir(nights, monday(21, 59)), false);
+    assert.equal(rotation.isOnAir(nights, monday(23)), true);
+    assert.equal(rotation.isOnAir(nights, monday(0)), true);
+    assert.equal(rotation.isOnAir(nights, monday(3, 59)), true);
+    assert.equal(rotation.isOnAir(nights, monday(4)), false);
+  });
+
+  it('gives the after-midnight tail to the day the window starts on', () => {
+    const fridayNight = { dayparts: [{ days: ['fri'], start: '22:00', end: '04:00' }] };
+    const friday = monday(23) + 4 * DAY;
+    assert.equal(rotation.isOnAir(fridayNight, friday), true);
+    assert.equal(rotation.isOnAir(fridayNight, friday + 4 * HOUR), true, 'Saturday 03:00');
+    assert.equal(rotation.isOnAir(fridayNight, friday + 5 * HOUR), false, 'Saturday 04:00');
+    assert.equal(rotation.isOnAir(fridayNight, friday - DAY), false, 'Thursday 23:00');
+    assert.equal(rotation.isOnAir(fridayNight, friday - 20 * HOUR), false, 'Friday 03:00 belongs to Thursday');
+  });
+});
+
+describe('filterOnAir', () => {
+  it('keeps playlists on air, or all of them when none is', () => {
+    const allDay = { id: 'all' };
+    const mornings = { id: 'mornings', dayparts: [{ start: '06:00', end: '12:00' }] };
+    const nights = { id: 'nights', dayparts: [{ start: '22:00', end: '04:00' }] };
+
+    assert.deepEqual(rotation.filterOnAir([allDay, mornings, nights], monday(8)).map(p => p.id), ['all', 'mornings']);
+    assert.deepEqual(rotation.filterOnAir([mornings, nights], monday(15)).map(p => p.id), ['mornings', 'nights']);
+  });
+});
+
+describe('pickWeighted', () => {
+  const playlists = [{ id: 'a', weight: 1 }, { id: 'b', weight: 3 }, { id: 'c', weight: 0 }, { id: 'd' }];
+
+  it('picks in proportion to weight, skipping weight 0', () => {
+    // Total weight 5: a [0, 1), b [1, 4), d [4, 5)
+    assert.equal(rotation.pickWeighted(playlists, sequence(0)).id, 'a');
+    assert.equal(rotation.pickWeighted(playlists, sequence(0.2)).id, 'b');
+    assert.equal(rotation.pickWeighted(playlists, sequence(0.79)).id, 'b');
+    assert.equal(rotation.pickWeighted(playlists, sequence(0.8)).id, 'd');
+    assert.equal(rotation.pickWeighted(playlists, sequence(0.999999)).id, 'd');
+  });
+
+  it('picks uniformly when every weight is 0', () => {
+    const silent = [{ id: 'a', weight: 0 }, { id: 'b', weight: 0 }];
+    assert.equal(rotation.pickWeighted(silent, sequence(0.6)).id, 'b');
+    assert.equal(rotation.pickWeighted([], sequence(0.5)), undefined);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Playlist sources and change detection: the diff itself, and the link / provenance / sync / apply
+ * admin flow against a throwaway database and the fake YouTube API. The database part is skipped unless TEST_DATABASE_URL is set.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const helpers = require('./helpers');
+
+helpers.configureEnvironment({ useDatabase: true });
+const { startServer } = require('../index');
+const dbService = require('../db-service');
+const youtubeClient = require('../youtube-client');
+const playlistSync = require('../playlist-sync');
+
+const SOURCE_PLAYLIST = 'PLfakeSyncSource0001'; // 60 generated items, 2 of them private / deleted
+
+describe('playlist-sync diff', () => {
+  const source = [
+    { videoId: 'kept0000001', title: 'Artist A - Song A (Official Video)', position: 1, available: true },
+    { videoId: 'renamed0001', title: 'Artist B - Song B (2024 Remaster)', position: 2, available: true },
+    { videoId: 'private0001', title: 'Private video', position: 3, available: false },
+    { videoId: 'new00000001', title: 'Artist C - Song C', position: 4, available: true },
+    { videoId: 'new00000001', title: 'Artist C - Song C', position: 5, available: true },
+    { videoId: 'gone0000002', title: 'Deleted video', position: 6, available: false }
+  ];
+
+  it('reports added, removed, private and retitled videos', () => {
+    const changes = playlistSync.diffPlaylist([
+      { youtubeVideoId: 'kept0000001', title: 'Artist A - Song A' },
+      { youtubeVideoId: 'renamed0001', title: 'Artist B - Song B' },
+      { youtubeVideoId: 'private0001', title: 'Artist D - Song D' },
+      { youtubeVideoId: 'dropped0001', title: 'Artist E - Song E' }
+    ], source);
+
+    assert.deepEqual(changes, [
+      { type: 'added', youtubeVideoId: 'new00000001', title: 'Artist C - Song C', position: 4 },
+      { type: 'title_changed', youtubeVideoId: 'renamed0001', title: 'Artist B - Song B (2024 Remaster)', previousTitle: 'Artist B - Song B' },
+      { type: 'private', youtubeVideoId: 'private0001', previousTitle: 'Artist D - Song D' },
+      { type: 'removed', youtubeVideoId: 'dropped0001', previousTitle: 'Artist E - Song E' }
+    ]);
+  });
+
+  it('ignores the title cleanup the import scripts apply', () => {
+    const changes = playlistSync.diffPlaylist([
+      { youtubeVideoId: 'kept0000001', title: 'artist a  -  song a [Lyric Video]' }
+    ], source.slice(0, 1));
+
+    assert.deepEqual(changes, []);
+  });
+});
+
+describe('playlist sync admin API (database mode)', { skip: helpers.getTestDatabaseUrl() ? false : 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let seed;
+  let server;
+  let admin;
+  let playlistId;
+
+  before(async () => {
+    database = await helpers.createTestDatabase();
+    seed = await helpers.seedDatabase(database.url);
+
+    process.env.DATABASE_URL = database.url;
+    server = await startServer(0);
+    playlistSync.stop(); // Syncs are triggered explicitly below
+
+    admin = helpers.createClient(server);
+    await admin.login();
+    playlistId = seed.playlists['Rock Deep Cuts'].id;
+  });
+
+  after(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    await dbService.closePool();
+    if (database) await helpers.dropTestDatabase(database.name);
+  });
+
+  async function playlistVideoIds() {
+    const { rows } = await dbService.getPool().query(`
+      SELECT v.youtube_video_id FROM playlist_videos pv JOIN videos v ON v.id = pv.video_id
+      WHERE pv.playlist_id = $1
+    `, [playlistId]);
+    return rows.map(row => row.youtube_video_id).sort();
+  }
+
+  it('refuses to sync a playlist without a source', async () => {
+    const { status } = await admin.post(`/api/admin/playlists/${playlistId}/sync`, {});
+    assert.equal(status, 400);
+  });
+
+  it('links a playlist and reports its differences without changing it', async () => {
+    const link = await admin.put(`/api/admin/playlists/${playlistId}/source`, { youtubePlaylistId: SOURCE_PLAYLIST });
+    assert.equal(link.status, 200);
+
+    const { status, data } = await admin.post(`/api/admin/playlists/${playlistId}/sync`, {});
+    assert.equal(status, 200);
+    assert.equal(data.sourceVideoCount, 58);
+    assert.deepEqual(data.report.counts, { added: 58, removed: 30 });
+    assert.equal(data.report.status, 'pending');
+
+    const added = data.report.changes.find(change => change.type === 'added');
+    assert.ok(added.durationSeconds > 0);
+    assert.ok(added.artist && added.song, 'rock titles are split into artist / song');
+
+    assert.deepEqual(await playlistVideoIds(), [...seed.playlists['Rock Deep Cuts'].videoIds].sort());
+
+    const { data: sync } = await admin.get('/api/admin/playlist-sync');
+    const linked = sync.playlists.find(p => String(p.id) === playlistId);
+    assert.equal(linked.pendingReportId, data.report.id);
+    assert.equal(linked.pendingChanges, 88);
+  });
+
+  it('shows the provenance of every playlist', async () => {
+    const { status, data } = await admin.get('/api/admin/playlist-sources');
+    assert.equal(status, 200);
+
+    const linked = data.find(p => String(p.id) === playlistId);
+    assert.equal(linked.sourceType, 'youtube');
+    assert.equal(linked.sourceId, SOURCE_PLAYLIST);
+    assert.equal(linked.sourceUrl, `https://www.youtube.com/playlist?list=${SOURCE_PLAYLIST}`);
+    assert.deepEqual(linked.channelIds, ['rock']);
+    assert.equal(linked.videoCount, 30);
+    assert.ok(linked.lastSyncedAt);
+
+    const manual = data.find(p => String(p.id) === seed.playlists['Rock Anthems'].id);
+    assert.equal(manual.sourceType, 'manual');
+    assert.equal(manual.sourceId, null);
+  });
+
+  it('allows one playlist per source', async () => {
+    const { status, data } = await admin.put(`/api/admin/playlists/${seed.playlists['Rock Anthems'].id}/source`, { youtubePlaylistId: SOURCE_PLAYLIST });
+    assert.equal(status, 409);
+    assert.match(data.error, /Rock Deep Cuts/);
+  });
+
+  it('can re-run the source and sync migrations on an up-to-date database', async () => {
+    for (const file of ['0010_playlist_source.up.sql', '0009_playlist_sync.up.sql']) {
+      const sql = fs.readFileSync(path.join(__dirname, '..', 'migrations', file), 'utf8');
+      await dbService.getPool().query(sql);
+    }
+
+    const { data } = await admin.get('/api/admin/playlist-sources');
+    assert.equal(data.find(p => String(p.id) === playlistId).sourceId, SOURCE_PLAYLIST);
+  });
+
+  it('applies selected changes, then the rest, and is in sync afterwards', async () => {
+    const { data: reports } = await admin.get(`/api/admin/playlist-sync/reports?status=pending&playlistId=${playlistId}`);
+    assert.equal(reports.length, 1);
+    const { data: report } = await admin.get(`/api/admin/playlist-sync/reports/${reports[0].id}`);
+
+    const removals = report.changes.filter(change => change.type === 'removed');
+    const partial = await admin.post(`/api/admin/playlist-sync/reports/${report.id}/apply`, { changeIds: removals.map(c => c.id) });
+    assert.equal(partial.status, 200);
+    assert.equal(partial.data.applied, 30);
+    assert.equal(partial.data.report.status, 'pending');
+    assert.deepEqual(await playlistVideoIds(), []);
+
+    const rest = await admin.post(`/api/admin/playlist-sync/reports/${report.id}/apply`, {});
+    assert.equal(rest.data.applied, 58);
+    assert.equal(rest.data.report.status, 'applied');
+
+    const addedIds = report.changes.filter(change => change.type === 'added').map(change => change.youtubeVideoId);
+    assert.deepEqual(await playlistVideoIds(), addedIds.sort());
+
+    const again = await admin.post(`/api/admin/playlist-sync/reports/${report.id}/apply`, {});
+    assert.equal(again.status, 409);
+
+    const resync = await admin.post(`/api/admin/playlists/${playlistId}/sync`, {});
+    assert.equal(resync.data.report, null);
+  });
+
+  it('reports private videos and title changes, and can dismiss a report', async () => {
+    const { items } = await youtubeClient.request('playlistItems', { part: 'snippet', maxResults: 50, playlistId: SOURCE_PLAYLIST });
+    const privateId = items.find(item => item.snippet.title === 'Private video').snippet.resourceId.videoId;
+    const retitledId = items[0].snippet.resourceId.videoId;
+
+    await admin.post('/api/admin/playlist/video', {
+      playlistId: Number(playlistId),
+      videoData: { youtube_video_id: privateId, title: 'Was Public - Once', duration_seconds: 200 }
+    });
+    await dbService.getPool().query("UPDATE videos SET title = 'Old Title' WHERE youtube_video_id = $1", [retitledId]);
+
+    const { data } = await admin.post(`/api/admin/playlists/${playlistId}/sync`, {});
+    assert.deepEqual(data.report.counts, { private: 1, title_changed: 1 });
+
+    const retitle = data.report.changes.find(change => change.type === 'title_changed');
+    assert.equal(retitle.previousTitle, 'Old Title');
+    await admin.post(`/api/admin/playlist-sync/reports/${data.report.id}/apply`, { changeIds: [retitle.id] });
+    assert.equal((await dbService.getVideoByYoutubeId(retitledId)).title, retitle.title);
+
+    const dismissed = await admin.post(`/api/admin/playlist-sync/reports/${data.report.id}/dismiss`, {});
+    assert.equal(dismissed.data.report.status, 'dismissed');
+    assert.ok((await playlistVideoIds()).includes(privateId), 'dismissed changes are not applied');
+  });
+
+  it('supersedes the pending report on the next sync', async () => {
+    const first = await admin.post(`/api/admin/playlists/${playlistId}/sync`, {});
+    const second = await admin.post(`/api/admin/playlists/${playlistId}/sync`, {});
+
+    const { data: previous } = await admin.get(`/api/admin/playlist-sync/reports/${first.data.report.id}`);
+    assert.equal(previous.status, 'superseded');
+    assert.equal(second.data.report.status, 'pending');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Now-playing stream: subscribers are attached to their channel's station and detached when
+ * they disconnect - including while their first snapshot is still loading.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const broadcastService = require('../broadcast-service');
+const streamService = require('../stream-service');
+
+// Blocks are built only once the gate opens, so a test can disconnect in between
+let release;
+let gate;
+function closeGate() {
+  gate = new Promise(resolve => { release = resolve; });
+}
+
+async function buildBlock() {
+  await gate;
+  return { playlistId: 'pl', playlistLabel: 'Playlist', items: [{ id: 'video00001', duration: 3 * 60 * 60 }] };
+}
+
+function createResponse() {
+  return {
+    writes: [],
+    writableEnded: false,
+    set() {},
+    flushHeaders() {},
+    write(chunk) { this.writes.push(chunk); },
+    end() { this.writableEnded = true; }
+  };
+}
+
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('stream-service', () => {
+  before(() => {
+    broadcastService.initialize({ buildBlock });
+    streamService.initialize({ loadSpecialEvent: null });
+  });
+
+  it('sends a snapshot and detaches the subscriber on disconnect', async () => {
+    const req = new EventEmitter();
+    const res = createResponse();
+
+    closeGate();
+    const subscribed = streamService.subscribe('rock', req, res);
+    await flush();
+    release();
+    await subscribed;
+
+    assert.equal(streamService.getSubscriberCount(), 1);
+    assert.match(res.writes[0], /^event: now-playing\n/);
+
+    req.emit('close');
+    assert.equal(streamService.getSubscriberCount(), 0);
+  });
+
+  it('never attaches a client that disconnected while the snapshot loaded', async () => {
+    const req = new EventEmitter();
+    const res = createResponse();
+
+    closeGate();
+    const subscribed = streamService.subscribe('live', req, res);
+    await flush();
+    req.emit('close');
+    release();
+    await subscribed;
+
+    assert.equal(streamService.getSubscriberCount(), 0);
+    assert.deepEqual(res.writes, []);
+    assert.equal(req.listenerCount('close'), 0);
+  });
+});
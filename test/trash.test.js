@@ -0,0 +1,177 @@
+/**
+ * Trash: deleted videos, playlist entries, playlists, bumpers and special events can be listed,
+ * restored with everything they lost, and are purged after the retention period, against a
+ * throwaway database. Skipped unless TEST_DATABASE_URL is set.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+helpers.configureEnvironment({ useDatabase: true });
+const { startServer } = require('../index');
+const dbService = require('../db-service');
+const trashService = require('../trash-service');
+
+describe('trash (database mode)', { skip: helpers.getTestDatabaseUrl() ? false : 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let seed;
+  let server;
+  let admin;
+
+  before(async () => {
+    database = await helpers.createTestDatabase();
+    seed = await helpers.seedDatabase(database.url);
+
+    process.env.DATABASE_URL = database.url;
+    server = await startServer(0);
+
+    admin = helpers.createClient(server);
+    await admin.login();
+  });
+
+  after(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    await dbService.closePool();
+    if (database) await helpers.dropTestDatabase(database.name);
+  });
+
+  async function videoIdsOf(playlistId) {
+    const { data } = await admin.get(`/api/admin/playlists/${playlistId}`);
+    return data.videos.map(video => video.youtubeVideoId);
+  }
+
+  async function restore(trashId) {
+    return admin.post(`/api/admin/trash/${trashId}/restore`, {});
+  }
+
+  it('restores a video taken off a playlist to its position', async () => {
+    const playlist = seed.playlists['Live Sessions'];
+    const order = await videoIdsOf(playlist.id);
+
+    const { data } = await admin.delete(`/api/admin/playlist/${playlist.id}/video/${order[1]}`);
+    assert.ok(data.trashId);
+    assert.deepEqual(await videoIdsOf(playlist.id), [order[0], ...order.slice(2)]);
+
+    const { data: trash } = await admin.get('/api/admin/trash?type=playlist_video');
+    assert.equal(trash.totalItems, 1);
+    assert.equal(trash.retentionDays, 30);
+    const [item] = trash.items;
+    assert.equal(item.id, data.trashId);
+    assert.equal(item.itemId, `${playlist.id}:${order[1]}`);
+    assert.equal(item.deletedBy, 'admin');
+    assert.match(item.label, /from Live Sessions/);
+    assert.equal(new Date(item.expiresAt) - new Date(item.deletedAt), 30 * 24 * 60 * 60 * 1000);
+
+    const restored = await restore(data.trashId);
+    assert.equal(restored.status, 200);
+    assert.deepEqual(restored.data.restored.restoredRows, { playlist_videos: 1 });
+    assert.deepEqual(await videoIdsOf(playlist.id), order);
+
+    assert.equal((await restore(data.trashId)).status, 404);
+  });
+
+  it('restores a deleted video with its year, flag and playlist memberships', async () => {
+    const videoId = seed.playlists['Rock Anthems'].videoIds[0];
+    await dbService.getPool().query("UPDATE videos SET year = 1987, is_flagged = true, flag_reason = 'too loud' WHERE youtube_video_id = $1", [videoId]);
+    const original = await dbService.getVideoByYoutubeId(videoId);
+
+    const { status, data } = await admin.delete(`/api/admin/videos/${videoId}`);
+    assert.equal(status, 200);
+    assert.equal(await dbService.getVideoByYoutubeId(videoId), null);
+    assert.ok(!(await videoIdsOf(seed.playlists['Rock Anthems'].id)).includes(videoId));
+    assert.equal((await admin.delete(`/api/admin/videos/${videoId}`)).status, 404);
+
+    const { data: item } = await admin.get(`/api/admin/trash/${data.trashId}`);
+    assert.deepEqual(item.rowCounts, { videos: 1, playlist_videos: 1, video_flag_reports: 0, video_unavailability_reports: 0 });
+
+    assert.equal((await restore(data.trashId)).status, 200);
+    assert.deepEqual(await dbService.getVideoByYoutubeId(videoId), original);
+    assert.ok((await videoIdsOf(seed.playlists['Rock Anthems'].id)).includes(videoId));
+  });
+
+  it('restores a bumper with its tags and channels, and a special event with its playlists', async () => {
+    const bumperId = seed.bumperIds[0];
+    await admin.put(`/api/admin/bumper/${bumperId}`, { tags: ['ident'], channel_ids: ['rock', 'live'] });
+
+    const { data: deleted } = await admin.delete(`/api/admin/bumper/${bumperId}`);
+    assert.equal(await dbService.getPool().query('SELECT 1 FROM bumpers WHERE youtube_video_id = $1', [bumperId]).then(r => r.rowCount), 0);
+    await restore(deleted.trashId);
+
+    const bumper = (await dbService.getAllBumpers()).find(b => b.id === bumperId);
+    assert.deepEqual(bumper.tags, ['ident']);
+    assert.deepEqual(bumper.channel_ids, ['live', 'rock']);
+
+    const { data: event } = await admin.post('/api/admin/special-events', {
+      label: 'Oscars',
+      playlists: [{ id: 'PLfakeOscars000001', label: 'Winners' }, { id: 'PLfakeOscars000002', label: 'Nominees' }]
+    });
+    const { data: eventDeleted } = await admin.delete(`/api/admin/special-events/${event.id}`);
+    assert.equal(eventDeleted.deleted, true);
+    await restore(eventDeleted.trashId);
+
+    const { rows } = await dbService.getPool().query(
+      'SELECT youtube_playlist_id, label FROM special_event_playlists WHERE special_event_id = $1 ORDER BY position',
+      [event.id]
+    );
+    assert.deepEqual(rows.map(row => row.label), ['Winners', 'Nominees']);
+  });
+
+  it('restores a deleted playlist onto its channels, skipping channels deleted since', async () => {
+    const playlist = seed.playlists['Live Sessions'];
+    const { data } = await admin.delete(`/api/admin/playlists/${playlist.id}?force=true`);
+    assert.deepEqual(data.unlinkedChannels, ['live']);
+
+    const { data: restored } = await restore(data.trashId);
+    assert.deepEqual(restored.restored.restoredRows, { playlists: 1, playlist_videos: 4, channel_playlists: 1 });
+
+    const { data: details } = await admin.get(`/api/admin/playlists/${playlist.id}`);
+    assert.deepEqual(details.channels.map(link => link.channelId), ['live']);
+    assert.equal(details.videoCount, 4);
+
+    const { data: again } = await admin.delete(`/api/admin/playlists/${playlist.id}?force=true`);
+    await admin.delete('/api/admin/channels/live?force=true');
+    const { data: partial } = await restore(again.trashId);
+    assert.equal(partial.restored.restoredRows.channel_playlists, 0);
+  });
+
+  it('refuses to restore over something re-created since', async () => {
+    const playlist = seed.playlists['Rock Deep Cuts'];
+    const videoId = playlist.videoIds[0];
+    const { data } = await admin.delete(`/api/admin/playlist/${playlist.id}/video/${videoId}`);
+    await admin.post('/api/admin/playlist/video', { playlistId: Number(playlist.id), videoData: { youtube_video_id: videoId, title: 'Back Again' } });
+
+    const refused = await restore(data.trashId);
+    assert.equal(refused.status, 409);
+    assert.equal((await admin.get(`/api/admin/trash/${data.trashId}`)).status, 200, 'the item stays in the trash');
+  });
+
+  it('lets only the role that deletes an item restore it', async () => {
+    const { data: event } = await admin.post('/api/admin/special-events', { label: 'Grammys' });
+    const { data: deleted } = await admin.delete(`/api/admin/special-events/${event.id}`);
+
+    await admin.post('/api/admin/users', { username: 'carl', password: 'correct-horse-battery', role: 'curator' });
+    const curator = helpers.createClient(server);
+    await curator.login('carl', 'correct-horse-battery');
+
+    assert.equal((await curator.get('/api/admin/trash')).status, 200);
+    assert.equal((await curator.post(`/api/admin/trash/${deleted.trashId}/restore`, {})).status, 403);
+    assert.equal((await curator.delete(`/api/admin/trash/${deleted.trashId}`)).status, 403);
+  });
+
+  it('purges items older than the retention period, or on demand', async () => {
+    const { data: before } = await admin.get('/api/admin/trash');
+    const [newest, oldest] = [before.items[0], before.items.at(-1)];
+    await dbService.getPool().query("UPDATE trash SET deleted_at = NOW() - INTERVAL '31 days' WHERE id = $1", [oldest.id]);
+
+    assert.equal(await trashService.purgeExpired(), 1);
+    assert.equal((await admin.get(`/api/admin/trash/${oldest.id}`)).status, 404);
+
+    const purged = await admin.delete(`/api/admin/trash/${newest.id}`);
+    assert.equal(purged.status, 200);
+    assert.equal(purged.data.purged.id, newest.id);
+
+    const { data: afterwards } = await admin.get('/api/admin/trash');
+    assert.equal(afterwards.totalItems, before.totalItems - 2);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Unavailability reports: each report is stored with its reporter, error code and country, broken
+ * down by region and code, marks region-concentrated failures as limited and flags only removed
+ * videos once enough reporters send them, against a throwaway database. Skipped unless
+ * TEST_DATABASE_URL is set.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+helpers.configureEnvironment({ useDatabase: true });
+process.env.COUNTRY_HEADER = 'CF-IPCountry';
+process.env.TRUST_PROXY = 'loopback'; // Reporters' addresses come from X-Forwarded-For
+const { startServer } = require('../index');
+const dbService = require('../db-service');
+
+describe('unavailability reports (database mode)', { skip: helpers.getTestDatabaseUrl() ? false : 'TEST_DATABASE_URL not set' }, () => {
+  let database;
+  let seed;
+  let server;
+  let admin;
+  let viewer;
+  let rockIds;
+
+  before(async () => {
+    database = await helpers.createTestDatabase();
+    seed = await helpers.seedDatabase(database.url);
+
+    process.env.DATABASE_URL = database.url;
+    server = await startServer(0);
+
+    admin = helpers.createClient(server);
+    await admin.login();
+    viewer = helpers.createClient(server);
+    rockIds = seed.playlists['Rock Anthems'].videoIds;
+  });
+
+  after(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    await dbService.closePool();
+    if (database) await helpers.dropTestDatabase(database.name);
+  });
+
+  // Each report from a new address unless one is given
+  let lastAddress = 0;
+  function report(videoId, errorCode, country, headers = {}) {
+    return viewer.request('POST', `/api/videos/${videoId}/unavailable`, {
+      body: errorCode === undefined ? {} : { errorCode },
+      headers: {
+        'X-Forwarded-For': `198.51.100.${++lastAddress}`,
+        ...(country ? { 'CF-IPCountry': country } : {}),
+        ...headers
+      }
+    });
+  }
+
+  it('stores each report with its error code and country', async () => {
+    const { status, data } = await report(rockIds[9], 5, 'gb');
+    assert.equal(status, 200);
+    assert.equal(data.tracked, true);
+    assert.equal(data.errorCode, 5);
+    assert.equal(data.country, 'GB');
+    assert.equal(data.duplicate, false);
+    await report(rockIds[9], '150', 'US');
+    await report(rockIds[9], undefined, 'XX');
+
+    const { data: breakdown } = await admin.get(`/api/admin/unavailability/${rockIds[9]}`);
+    assert.equal(breakdown.reportCount, 3);
+    assert.deepEqual(breakdown.byCode, { 5: 1, 150: 1, unknown: 1 });
+    assert.deepEqual(breakdown.regions.map(region => region.country), ['GB', 'US', 'unknown']);
+    assert.equal((await dbService.getVideoByYoutubeId(rockIds[9])).unavailable_count, 3);
+
+    assert.equal((await report(rockIds[9], 153)).status, 400);
+    assert.equal((await report('notAVideo01', 100)).data.tracked, false);
+    assert.equal((await admin.get('/api/admin/unavailability/notAVideo01')).status, 404);
+  });
+
+  it('marks a video limited when its failures come from one region', async () => {
+    const videoId = rockIds[0];
+    for (let i = 0; i < 4; i++) {
+      assert.equal((await report(videoId, 150, 'DE')).data.isLimited, false);
+    }
+    await report(videoId, 150, 'FR');
+
+    const { data } = await report(videoId, 150, 'DE');
+    assert.equal(data.isLimited, true, '5 of 6 reports from DE');
+    assert.equal(data.flagged, false, 'a region block is not a removal');
+
+    const video = await dbService.getVideoByYoutubeId(videoId);
+    assert.equal(video.is_limited, true);
+    assert.equal(video.is_flagged, false);
+  });
+
+  it('does not mark a video limited when failures are spread out', async () => {
+    const videoId = rockIds[1];
+    for (const country of ['DE', 'FR', 'GB', 'US', 'NL', 'DE', 'FR', 'GB', 'US', 'NL']) {
+      await report(videoId, 101, country);
+    }
+    const video = await dbService.getVideoByYoutubeId(videoId);
+    assert.equal(video.is_limited, false);
+    assert.equal(video.is_flagged, false, 'embedding errors never flag');
+  });
+
+  it('flags a video only on removed error codes', async () => {
+    const videoId = rockIds[2];
+    for (let i = 0; i < 10; i++) {
+      await report(videoId, 5, 'GB');
+    }
+    assert.equal((await dbService.getVideoByYoutubeId(videoId)).is_flagged, false);
+
+    for (let i = 0; i < 4; i++) {
+      await report(videoId, 100, 'GB');
+    }
+    const { data } = await report(videoId, 100, 'US');
+    assert.equal(data.flagged, true);
+
+    const video = await dbService.getVideoByYoutubeId(videoId);
+    assert.equal(video.flag_reason, 'Auto-flagged: 5 unavailable reporters (Error: 100)');
+    assert.equal(video.unavailable_count, 15);
+  });
+
+  it('only counts recent reports, and drops old ones', async () => {
+    const videoId = rockIds[3];
+    for (let i = 0; i < 4; i++) {
+      await report(videoId, 100, 'GB');
+    }
+    await dbService.getPool().query(`
+      UPDATE video_unavailability_reports SET created_at = NOW() - INTERVAL '100 days'
+      WHERE id IN (SELECT r.id FROM video_unavailability_reports r JOIN videos v ON v.id = r.video_id WHERE v.youtube_video_id = $1 LIMIT 2)
+    `, [videoId]);
+    await dbService.getPool().query(`
+      UPDATE video_unavailability_reports r SET created_at = NOW() - INTERVAL '40 days'
+      FROM videos v WHERE v.id = r.video_id AND v.youtube_video_id = $1 AND r.created_at > NOW() - INTERVAL '1 day'
+    `, [videoId]);
+
+    const { data } = await report(videoId, 100, 'GB');
+    assert.equal(data.flagged, false, 'reports older than 30 days no longer count');
+    assert.equal((await dbService.getVideoByYoutubeId(videoId)).unavailable_count, 1);
+
+    const { data: breakdown } = await admin.get(`/api/admin/unavailability/${videoId}?days=90`);
+    assert.equal(breakdown.reportCount, 3, 'reports older than 90 days are deleted');
+  });
+
+  it('lists reported videos by region and code', async () => {
+    const { status, data } = await admin.get('/api/admin/unavailability');
+    assert.equal(status, 200);
+    assert.equal(data.days, 30);
+    assert.deepEqual(data.videos.map(video => video.youtubeVideoId), [rockIds[2], rockIds[1], rockIds[0], rockIds[9], rockIds[3]]);
+    assert.deepEqual(data.videos[0].byCode, { 5: 10, 100: 5 });
+    assert.deepEqual(data.videos[0].byRegion, { GB: 14, US: 1 });
+    assert.equal(data.videos[0].isFlagged, true);
+
+    const { data: germany } = await admin.get('/api/admin/unavailability?country=de&errorCode=150');
+    assert.deepEqual(germany.videos.map(video => video.youtubeVideoId), [rockIds[0]]);
+    assert.equal(germany.videos[0].reportCount, 5);
+    assert.equal(germany.videos[0].isLimited, true);
+
+    assert.equal((await admin.get('/api/admin/unavailability?days=365')).status, 400);
+    assert.equal((await admin.get('/api/admin/unavailability?country=Germany')).status, 400);
+  });
+
+  it('counts each reporter once a day, whatever viewer id they send', async () => {
+    const videoId = rockIds[4];
+    const address = { 'X-Forwarded-For': '203.0.113.50' };
+    assert.equal((await report(videoId, 100, 'GB', address)).data.duplicate, false);
+    for (const viewerId of ['made-up-id-0001', 'made-up-id-0002', 'made-up-id-0003', 'made-up-id-0004', 'made-up-id-0005']) {
+      const { data } = await report(videoId, 100, 'GB', { ...address, 'X-Viewer-Id': viewerId });
+      assert.equal(data.duplicate, true);
+      assert.equal(data.flagged, false);
+    }
+    assert.equal((await dbService.getVideoByYoutubeId(videoId)).unavailable_count, 1);
+
+    await dbService.getPool().query(`
+      UPDATE video_unavailability_reports r SET created_at = NOW() - INTERVAL '25 hours'
+      FROM videos v WHERE v.id = r.video_id AND v.youtube_video_id = $1
+    `, [videoId]);
+    const { data } = await report(videoId, 100, 'GB', address);
+    assert.equal(data.duplicate, false, 'a day later the address can report again');
+    assert.equal(data.flagged, false);
+
+    const { rows } = await dbService.getPool().query(`
+      SELECT r.viewer_id, r.reporter_ip FROM video_unavailability_reports r
+      JOIN videos v ON v.id = r.video_id WHERE v.youtube_video_id = $1
+    `, [videoId]);
+    assert.equal(rows.length, 2);
+    assert.ok(rows.every(row => row.reporter_ip === '203.0.113.50' && row.viewer_id));
+  });
+
+  it('reads the country only from COUNTRY_HEADER', async () => {
+    const { data } = await report(rockIds[5], 150, undefined, { 'CloudFront-Viewer-Country': 'DE', 'X-Vercel-IP-Country': 'DE' });
+    assert.equal(data.tracked, true);
+    assert.equal(data.country, null);
+  });
+});
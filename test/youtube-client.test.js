@@ -0,0 +1,124 @@
+/**
+ * YouTube client: requests through a stub transport - retries and backoff, ETag revalidation,
+ * typed errors and quota refusal.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.YOUTUBE_MODE = 'live';
+process.env.YOUTUBE_API_KEY = 'test-key';
+delete process.env.YOUTUBE_API_BASE_URL;
+const youtubeClient = require('../youtube-client');
+
+// Answers requests with the queued responses in turn (a function throws, as a dropped connection)
+const requests = [];
+let responses = [];
+async function stubTransport(request) {
+  requests.push(request);
+  const next = responses.shift();
+  if (!next) throw new Error('unexpected request');
+  if (typeof next === 'function') return next();
+  return next;
+}
+
+function reply(responseList) {
+  requests.length = 0;
+  responses = responseList;
+}
+
+function apiError(status, reason) {
+  return { status, headers: {}, data: { error: { message: `${reason || status} error`, errors: [{ reason }] } } };
+}
+
+describe('youtube-client', () => {
+  before(() => {
+    youtubeClient.initialize({ transport: stubTransport, baseUrl: 'http://youtube.test/v3/', apiKey: 'test-key' });
+  });
+
+  it('sends the request with the API key and charges its cost', async () => {
+    reply([{ status: 200, headers: {}, data: { items: [1] } }]);
+    const { endpoints: before } = await youtubeClient.getUsageStats();
+
+    const data = await youtubeClient.request('videos', { id: 'abc', part: 'contentDetails' });
+    assert.deepEqual(data, { items: [1] });
+    assert.equal(requests[0].url, 'http://youtube.test/v3/videos');
+    assert.deepEqual(requests[0].params, { id: 'abc', part: 'contentDetails', key: 'test-key' });
+
+    const { endpoints } = await youtubeClient.getUsageStats();
+    assert.equal(endpoints.videos.units, (before.videos?.units || 0) + 1);
+  });
+
+  it('revalidates with the ETag and returns the cached body on 304', async () => {
+    reply([
+      { status: 200, headers: { etag: '"v1"' }, data: { items: ['first'] } },
+      { status: 304, headers: {}, data: '' }
+    ]);
+
+    await youtubeClient.request('playlists', { id: 'PL1' });
+    const data = await youtubeClient.request('playlists', { id: 'PL1' });
+
+    assert.deepEqual(requests[0].headers, {});
+    assert.deepEqual(requests[1].headers, { 'If-None-Match': '"v1"' });
+    assert.deepEqual(data, { items: ['first'] });
+
+    reply([{ status: 200, headers: {}, data: { items: ['fresh'] } }]);
+    await youtubeClient.request('playlists', { id: 'PL1' }, { etag: false });
+    assert.deepEqual(requests[0].headers, {}, 'etag: false skips revalidation');
+  });
+
+  it('retries server errors with backoff', async () => {
+    reply([apiError(503, 'backendError'), { status: 200, headers: {}, data: { ok: true } }]);
+
+    const started = Date.now();
+    assert.deepEqual(await youtubeClient.request('channels', { id: 'UC1' }, { retries: 1 }), { ok: true });
+    assert.equal(requests.length, 2);
+    assert.ok(Date.now() - started >= 500, 'waits before retrying');
+  });
+
+  it('gives up with a NetworkError when no response arrives', async () => {
+    const drop = () => { throw new Error('ECONNRESET'); };
+    reply([drop, drop]);
+
+    await assert.rejects(youtubeClient.request('channels', { id: 'UC2' }, { retries: 1 }), error => {
+      assert.ok(error instanceof youtubeClient.NetworkError);
+      assert.equal(error.code, 'NETWORK');
+      assert.match(error.message, /ECONNRESET/);
+      return true;
+    });
+    assert.equal(requests.length, 2);
+  });
+
+  it('does not retry private or missing resources', async () => {
+    reply([apiError(404, 'playlistNotFound')]);
+    await assert.rejects(youtubeClient.request('playlistItems', { playlistId: 'PLgone' }), error => {
+      assert.ok(error instanceof youtubeClient.NotFoundError);
+      assert.equal(error.reason, 'playlistNotFound');
+      return true;
+    });
+    assert.equal(requests.length, 1);
+
+    reply([apiError(403, 'playlistItemsNotAccessible')]);
+    await assert.rejects(youtubeClient.request('playlistItems', { playlistId: 'PLprivate' }), error => {
+      assert.ok(error instanceof youtubeClient.PrivateResourceError);
+      assert.equal(error.status, 403);
+      return true;
+    });
+    assert.equal(requests.length, 1);
+  });
+
+  it('retries quotaExceeded, then refuses calls until the quota day resets', async () => {
+    reply([apiError(403, 'quotaExceeded'), apiError(403, 'quotaExceeded')]);
+
+    await assert.rejects(youtubeClient.request('search', { q: 'x' }, { retries: 1 }), youtubeClient.QuotaExceededError);
+    assert.equal(requests.length, 2);
+
+    reply([]);
+    await assert.rejects(youtubeClient.request('videos', { id: 'abc' }), /budget reached/);
+    assert.equal(requests.length, 0, 'refused without a request');
+
+    const stats = await youtubeClient.getUsageStats();
+    assert.equal(stats.exhausted, true);
+    assert.equal(stats.endpoints.videos.refused, 1);
+  });
+});
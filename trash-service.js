@@ -0,0 +1,79 @@
+/**
+ * Trash Retention
+ *
+ * Deleting a video, a playlist entry, a playlist, a bumper or a special event moves it to the
+ * trash table with every row the deletion removed (see TRASH FUNCTIONS in db-service.js), so an
+ * admin can restore it - year, flags, playlist memberships and all. Items are purged for good
+ * once they have been in the trash for TRASH_RETENTION_DAYS (default 30), checked hourly.
+ * Database mode only.
+ */
+
+const dbService = require('./db-service');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL = 60 * 60 * 1000;          // 1 hour
+const DAY = 24 * 60 * 60 * 1000;
+
+let enabled = false;
+let retentionDays = DEFAULT_RETENTION_DAYS;
+let purgeTimer = null;
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.useDatabase - The trash only exists in database mode
+ * @param {number} options.retentionDays - Days before trashed items are purged (default TRASH_RETENTION_DAYS, then 30; 0 = keep until purged by hand)
+ */
+function initialize({ useDatabase, retentionDays: days = parseFloat(process.env.TRASH_RETENTION_DAYS) }) {
+  enabled = useDatabase;
+  retentionDays = Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+function getRetentionDays() {
+  return retentionDays;
+}
+
+/**
+ * When a trashed item will be purged (null if never).
+ */
+function getExpiry(deletedAt) {
+  return retentionDays > 0 ? new Date(new Date(deletedAt).getTime() + retentionDays * DAY) : null;
+}
+
+/**
+ * Purge everything that has been in the trash longer than the retention period.
+ * @returns {Promise<number>} Items purged
+ */
+async function purgeExpired() {
+  if (!enabled || retentionDays === 0) return 0;
+
+  const purged = await dbService.purgeTrash(new Date(Date.now() - retentionDays * DAY));
+  if (purged > 0) {
+    console.log(`[Trash] Purged ${purged} item(s) deleted more than ${retentionDays} day(s) ago`);
+  }
+  return purged;
+}
+
+function start(interval = PURGE_INTERVAL) {
+  if (!enabled || retentionDays === 0 || purgeTimer) return;
+
+  purgeTimer = setInterval(() => {
+    purgeExpired().catch(error => console.error('[Trash] Purge failed:', error.message));
+  }, interval);
+  purgeTimer.unref();
+}
+
+function stop() {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+}
+
+module.exports = {
+  initialize,
+  getRetentionDays,
+  getExpiry,
+  purgeExpired,
+  start,
+  stop
+};
@@ -0,0 +1,479 @@
+/**
+ * YouTube Data API Client
+ *
+ * The single way the server and the scripts talk to the YouTube Data API:
+ * - retries with exponential backoff on 5xx, rate limits, quotaExceeded and network errors
+ * - ETag revalidation (If-None-Match) so unchanged responses come back as bodiless 304s
+ * - typed errors: PrivateResourceError, NotFoundError, QuotaExceededError, NetworkError
+ * - a pluggable transport (and YOUTUBE_API_BASE_URL) so tests can run against a local stand-in;
+ *   YOUTUBE_MODE picks the fake server or recorded fixtures (see youtube-fixtures.js)
+ *
+ * Quota accounting: every call goes through `request()`, which charges the endpoint's unit
+ * cost against a daily budget before sending it. YouTube resets quota at midnight Pacific
+ * time, so usage is tracked per Pacific calendar day.
+ *
+ * Degradation:
+ * - above OPTIONAL_CUTOFF of the budget, calls made with `priority: 'optional'` (e.g. custom
+ *   playlist names) are refused
+ * - at the budget, every call is refused; callers serve stale cache instead
+ * Refused calls throw QuotaExceededError without spending anything.
+ *
+ * In database mode usage is persisted to youtube_quota_usage, so restarts don't reset the count.
+ */
+
+const axios = require('axios');
+const dbService = require('./db-service');
+const youtubeFixtures = require('./youtube-fixtures');
+
+const DEFAULT_API_BASE = 'https://www.googleapis.com/youtube/v3';
+
+// Unit cost per call (https://developers.google.com/youtube/v3/determine_quota_cost)
+const ENDPOINT_COSTS = {
+  playlistItems: 1,
+  playlists: 1,
+  videos: 1,
+  channels: 1,
+  search: 100
+};
+
+const DEFAULT_DAILY_BUDGET = 10000;
+const OPTIONAL_CUTOFF = 0.9;            // Share of the budget after which optional calls are refused
+const QUOTA_TIMEZONE = 'America/Los_Angeles';
+const FLUSH_INTERVAL = 30 * 1000;       // How often usage is written to the database
+const HISTORY_DAYS = 7;
+
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500;           // ms, doubled per attempt (plus jitter)
+const REQUEST_TIMEOUT = 15 * 1000;
+const MAX_ETAG_ENTRIES = 500;           // Cached responses kept for If-None-Match revalidation
+
+// 403 reasons that mean "slow down / try again", not "you may not see this"
+const RETRYABLE_REASONS = ['quotaExceeded', 'rateLimitExceeded', 'userRateLimitExceeded'];
+const QUOTA_REASONS = ['quotaExceeded', 'dailyLimitExceeded'];
+
+const DAILY_BUDGET = parseInt(process.env.YOUTUBE_QUOTA_BUDGET, 10) || DEFAULT_DAILY_BUDGET;
+
+// ============================================
+// ERRORS
+// ============================================
+
+class YouTubeError extends Error {
+  constructor(message, { code = 'API_ERROR', status = null, reason = null } = {}) {
+    super(message);
+    this.name = 'YouTubeError';
+    this.code = code;
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+// Private playlist/video, or one the API key may not read
+class PrivateResourceError extends YouTubeError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'PRIVATE' });
+    this.name = 'PrivateResourceError';
+  }
+}
+
+// Deleted or never existed
+class NotFoundError extends YouTubeError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'NOT_FOUND' });
+    this.name = 'NotFoundError';
+  }
+}
+
+// Our budget is spent, or YouTube says the daily quota is
+class QuotaExceededError extends YouTubeError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'QUOTA_EXCEEDED' });
+    this.name = 'QuotaExceededError';
+  }
+}
+
+// No usable response (DNS, connection, timeout) after all retries
+class NetworkError extends YouTubeError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'NETWORK' });
+    this.name = 'NetworkError';
+  }
+}
+
+// ============================================
+// TRANSPORT
+// ============================================
+
+/**
+ * Default transport. A transport is `async ({ url, params, headers, timeout }) =>
+ * { status, headers, data }`; it resolves for every HTTP status and only rejects when
+ * no response arrived at all.
+ */
+async function axiosTransport({ url, params, headers, timeout }) {
+  const response = await axios.get(url, {
+    params,
+    headers,
+    timeout,
+    validateStatus: () => true
+  });
+
+  return { status: response.status, headers: response.headers, data: response.data };
+}
+
+// YOUTUBE_MODE=record/replay/fake swap the transport (and supply a placeholder key offline)
+const offlineOptions = youtubeFixtures.getClientOptions(axiosTransport);
+
+let transport = offlineOptions.transport || axiosTransport;
+let apiKeyOverride = offlineOptions.apiKey || null;
+let apiBase = process.env.YOUTUBE_API_BASE_URL || DEFAULT_API_BASE;
+
+let useDatabase = false;
+let flushTimer = null;
+let loadPromise = null;
+
+// Map<cacheKey, { etag, data }> in least-recently-used order
+const etagCache = new Map();
+
+// Map<day, { day, exhausted, endpoints: Map<endpoint, { calls, units, errors, refused }> }>
+const usageByDay = new Map();
+
+// Units spent since the last flush: Map<`${day}|${endpoint}`, { calls, units }>
+const pendingWrites = new Map();
+
+const dayFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: QUOTA_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.useDatabase - Persist quota usage (server only; scripts leave it off)
+ * @param {Function} options.transport - Replace the HTTP transport (tests)
+ * @param {string} options.baseUrl - Replace the API base URL (tests, local stand-ins)
+ * @param {string} options.apiKey - Use instead of YOUTUBE_API_KEY (stand-ins accept any key)
+ */
+function initialize({ useDatabase: databaseMode = false, transport: customTransport, baseUrl, apiKey } = {}) {
+  useDatabase = databaseMode;
+  if (customTransport) transport = customTransport;
+  if (baseUrl) apiBase = baseUrl.replace(/\/$/, '');
+  if (apiKey) apiKeyOverride = apiKey;
+
+  if (useDatabase && !flushTimer) {
+    flushTimer = setInterval(() => {
+      flushUsage().catch(error => console.error('[YouTube] Failed to save quota usage:', error.message));
+    }, FLUSH_INTERVAL);
+    flushTimer.unref();
+  }
+}
+
+// Read lazily so scripts can load .env before the first call
+function getApiKey() {
+  return apiKeyOverride || process.env.YOUTUBE_API_KEY;
+}
+
+function isConfigured() {
+  return !!getApiKey();
+}
+
+// ============================================
+// USAGE TRACKING
+// ============================================
+
+// Quota day (YYYY-MM-DD, Pacific time)
+function getQuotaDay(at = Date.now()) {
+  return dayFormat.format(new Date(at));
+}
+
+function getDayUsage(day = getQuotaDay()) {
+  let usage = usageByDay.get(day);
+
+  if (!usage) {
+    usage = { day, exhausted: false, endpoints: new Map() };
+    usageByDay.set(day, usage);
+
+    // Keep a week of history
+    [...usageByDay.keys()].sort().slice(0, -HISTORY_DAYS).forEach(oldDay => usageByDay.delete(oldDay));
+  }
+
+  return usage;
+}
+
+function getEndpointUsage(usage, endpoint) {
+  if (!usage.endpoints.has(endpoint)) {
+    usage.endpoints.set(endpoint, { calls: 0, units: 0, errors: 0, refused: 0 });
+  }
+  return usage.endpoints.get(endpoint);
+}
+
+function getUnitsUsed(usage) {
+  let units = 0;
+  usage.endpoints.forEach(e => { units += e.units; });
+  return usage.exhausted ? Math.max(units, DAILY_BUDGET) : units;
+}
+
+function recordSpend(endpoint, units) {
+  const usage = getDayUsage();
+  const endpointUsage = getEndpointUsage(usage, endpoint);
+  endpointUsage.calls++;
+  endpointUsage.units += units;
+
+  if (useDatabase) {
+    const key = `${usage.day}|${endpoint}`;
+    const pending = pendingWrites.get(key) || { calls: 0, units: 0 };
+    pending.calls++;
+    pending.units += units;
+    pendingWrites.set(key, pending);
+  }
+}
+
+// Load usage persisted by earlier runs (database mode) once, before the first call is charged
+function ensureLoaded() {
+  if (!useDatabase) return Promise.resolve();
+
+  if (!loadPromise) {
+    loadPromise = dbService.getYoutubeQuotaUsage(HISTORY_DAYS)
+      .then(rows => {
+        rows.forEach(row => {
+          const endpointUsage = getEndpointUsage(getDayUsage(row.day), row.endpoint);
+          endpointUsage.calls += row.calls;
+          endpointUsage.units += row.units;
+        });
+      })
+      .catch(error => {
+        console.error('[YouTube] Failed to load quota usage:', error.message);
+      });
+  }
+
+  return loadPromise;
+}
+
+async function flushUsage() {
+  if (pendingWrites.size === 0) return;
+
+  const entries = [...pendingWrites.entries()].map(([key, value]) => {
+    const [day, endpoint] = key.split('|');
+    return { day, endpoint, ...value };
+  });
+  pendingWrites.clear();
+
+  try {
+    await dbService.addYoutubeQuotaUsage(entries);
+  } catch (error) {
+    // Put the counts back so the next flush retries them
+    entries.forEach(({ day, endpoint, calls, units }) => {
+      const key = `${day}|${endpoint}`;
+      const pending = pendingWrites.get(key) || { calls: 0, units: 0 };
+      pending.calls += calls;
+      pending.units += units;
+      pendingWrites.set(key, pending);
+    });
+    throw error;
+  }
+}
+
+/**
+ * Whether a call of the given priority would currently be allowed.
+ * @param {string} priority - 'essential' or 'optional'
+ * @param {number} units - Cost of the call
+ */
+function canSpend(priority = 'essential', units = 1) {
+  const used = getUnitsUsed(getDayUsage());
+  const limit = priority === 'optional' ? DAILY_BUDGET * OPTIONAL_CUTOFF : DAILY_BUDGET;
+  return used + units <= limit;
+}
+
+function getErrorReason(data) {
+  return data?.error?.errors?.[0]?.reason || null;
+}
+
+// ============================================
+// ETAG CACHE
+// ============================================
+
+function getCacheKey(endpoint, params) {
+  const sorted = Object.keys(params).sort().filter(k => params[k] !== undefined).map(k => `${k}=${params[k]}`);
+  return `${endpoint}?${sorted.join('&')}`;
+}
+
+function rememberResponse(cacheKey, etag, data) {
+  etagCache.delete(cacheKey);
+  etagCache.set(cacheKey, { etag, data });
+
+  if (etagCache.size > MAX_ETAG_ENTRIES) {
+    etagCache.delete(etagCache.keys().next().value);
+  }
+}
+
+// ============================================
+// REQUESTS
+// ============================================
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function retryDelay(attempt) {
+  return RETRY_BASE_DELAY * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_DELAY);
+}
+
+// Turn a non-2xx/304 response into a typed error; `retryable` errors are worth another attempt
+function toError(endpoint, response) {
+  const { status, data } = response;
+  const reason = getErrorReason(data);
+  const message = data?.error?.message || `YouTube ${endpoint} request failed with status ${status}`;
+  const details = { status, reason };
+
+  if (status === 404) {
+    return { error: new NotFoundError(message, details), retryable: false };
+  }
+  if (status === 403 && QUOTA_REASONS.includes(reason)) {
+    return { error: new QuotaExceededError('YouTube reported the daily quota as exceeded', details), retryable: true };
+  }
+  if (status === 403 && RETRYABLE_REASONS.includes(reason)) {
+    return { error: new YouTubeError(message, details), retryable: true };
+  }
+  if (status === 403 || status === 401) {
+    return { error: new PrivateResourceError(message, details), retryable: false };
+  }
+  return { error: new YouTubeError(message, details), retryable: status === 429 || status >= 500 };
+}
+
+/**
+ * Call a YouTube Data API list endpoint.
+ * @param {string} endpoint - 'playlistItems', 'playlists', 'videos', ...
+ * @param {Object} params - Query parameters (the API key is added)
+ * @param {Object} options
+ * @param {string} options.priority - 'essential' (default) or 'optional'
+ * @param {boolean} options.etag - Revalidate with If-None-Match (default true)
+ * @param {number} options.retries - Attempts after the first (default MAX_RETRIES)
+ * @returns {Promise<Object>} Response body
+ * @throws {QuotaExceededError} When the daily budget does not allow the call, or YouTube's quota is spent
+ * @throws {PrivateResourceError|NotFoundError|NetworkError|YouTubeError}
+ */
+async function request(endpoint, params, { priority = 'essential', etag = true, retries = MAX_RETRIES } = {}) {
+  const apiKey = getApiKey();
+  if (!apiKey) {
+    throw new YouTubeError('YOUTUBE_API_KEY not set', { code: 'NOT_CONFIGURED' });
+  }
+
+  await ensureLoaded();
+
+  const units = ENDPOINT_COSTS[endpoint] || 1;
+
+  if (!canSpend(priority, units)) {
+    getEndpointUsage(getDayUsage(), endpoint).refused++;
+    throw new QuotaExceededError(`YouTube quota budget reached (${priority} call to ${endpoint} refused)`);
+  }
+
+  const cacheKey = getCacheKey(endpoint, params);
+  const cached = etag ? etagCache.get(cacheKey) : null;
+  let lastError;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      await sleep(retryDelay(attempt - 1));
+    }
+
+    // YouTube charges for failed and 304 requests too
+    recordSpend(endpoint, units);
+
+    let response;
+    try {
+      response = await transport({
+        url: `${apiBase}/${endpoint}`,
+        params: { ...params, key: apiKey },
+        headers: cached ? { 'If-None-Match': cached.etag } : {},
+        timeout: REQUEST_TIMEOUT
+      });
+    } catch (error) {
+      getEndpointUsage(getDayUsage(), endpoint).errors++;
+      lastError = new NetworkError(`YouTube ${endpoint} request failed: ${error.message}`);
+      continue;
+    }
+
+    if (response.status === 304 && cached) {
+      rememberResponse(cacheKey, cached.etag, cached.data);
+      return cached.data;
+    }
+
+    if (response.status >= 200 && response.status < 300) {
+      const responseEtag = response.headers?.etag || response.data?.etag;
+      if (etag && responseEtag) {
+        rememberResponse(cacheKey, responseEtag, response.data);
+      }
+      return response.data;
+    }
+
+    getEndpointUsage(getDayUsage(), endpoint).errors++;
+    const { error, retryable } = toError(endpoint, response);
+    lastError = error;
+
+    if (!retryable) break;
+  }
+
+  if (lastError instanceof QuotaExceededError) {
+    // Our count drifted from Google's (other clients on the key, restarts) - trust Google
+    getDayUsage().exhausted = true;
+  }
+  throw lastError;
+}
+
+function getResetTime(at = Date.now()) {
+  // Next time the Pacific calendar day changes (checked on the hour, DST-safe)
+  const today = getQuotaDay(at);
+  let next = Math.ceil(at / 3600000) * 3600000;
+  while (getQuotaDay(next) === today) {
+    next += 3600000;
+  }
+  return new Date(next).toISOString();
+}
+
+/**
+ * Quota usage for the admin stats endpoint.
+ */
+async function getUsageStats() {
+  await ensureLoaded();
+
+  const today = getDayUsage();
+  const used = getUnitsUsed(today);
+
+  const endpoints = {};
+  today.endpoints.forEach((value, endpoint) => {
+    endpoints[endpoint] = { ...value, unitCost: ENDPOINT_COSTS[endpoint] || 1 };
+  });
+
+  return {
+    configured: isConfigured(),
+    day: today.day,
+    timezone: QUOTA_TIMEZONE,
+    resetsAt: getResetTime(),
+    budget: DAILY_BUDGET,
+    used,
+    remaining: Math.max(0, DAILY_BUDGET - used),
+    percentUsed: Math.round((used / DAILY_BUDGET) * 1000) / 10,
+    degraded: !canSpend('optional'),
+    exhausted: !canSpend('essential'),
+    endpoints,
+    history: [...usageByDay.values()]
+      .sort((a, b) => b.day.localeCompare(a.day))
+      .map(usage => ({ day: usage.day, used: getUnitsUsed(usage) }))
+  };
+}
+
+module.exports = {
+  ENDPOINT_COSTS,
+  YouTubeError,
+  PrivateResourceError,
+  NotFoundError,
+  QuotaExceededError,
+  NetworkError,
+  axiosTransport,
+  initialize,
+  getApiKey,
+  isConfigured,
+  canSpend,
+  request,
+  flushUsage,
+  getUsageStats
+};
@@ -0,0 +1,139 @@
+/**
+ * Offline YouTube Modes (fake server, record / replay fixtures)
+ *
+ * Selected with YOUTUBE_MODE:
+ *   live    (default) Real YouTube Data API
+ *   record  Real API; every response is also written to YOUTUBE_FIXTURES_DIR
+ *   replay  Serve recorded responses only - no network, no API key needed
+ *   fake    Local fake API (fake-youtube-server.js), started in-process on first use
+ *
+ * Fixture files are named `<endpoint>-<hash of params>.json` and never contain the API key.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { startFakeYouTubeServer } = require('./fake-youtube-server');
+
+const YOUTUBE_MODES = ['live', 'record', 'replay', 'fake'];
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'youtube', 'recordings');
+const OFFLINE_API_KEY = 'offline-fixture-key';
+
+function getMode() {
+  const mode = process.env.YOUTUBE_MODE || 'live';
+  if (!YOUTUBE_MODES.includes(mode)) {
+    throw new Error(`YOUTUBE_MODE must be one of: ${YOUTUBE_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+function getFixturesDir() {
+  return process.env.YOUTUBE_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+// Endpoint and params (minus the API key) identify a request
+function getFixtureName(url, params) {
+  const endpoint = url.split('/').pop();
+  const sorted = Object.keys(params)
+    .filter(key => key !== 'key' && params[key] !== undefined)
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+
+  const digest = crypto.createHash('sha1').update(`${endpoint}?${sorted}`).digest('hex').slice(0, 16);
+  return { endpoint, query: sorted, file: `${endpoint}-${digest}.json` };
+}
+
+/**
+ * Wrap a transport so every response is also saved as a fixture.
+ */
+function createRecordingTransport(innerTransport, fixturesDir = getFixturesDir()) {
+  fs.mkdirSync(fixturesDir, { recursive: true });
+
+  return async (request) => {
+    // Record full responses, not 304s against our own ETag cache
+    const response = await innerTransport({ ...request, headers: {} });
+    const { endpoint, query, file } = getFixtureName(request.url, request.params);
+
+    const fixture = {
+      request: { endpoint, query },
+      status: response.status,
+      etag: response.headers?.etag || null,
+      data: response.data
+    };
+    fs.writeFileSync(path.join(fixturesDir, file), JSON.stringify(fixture, null, 2) + '\n');
+
+    return response;
+  };
+}
+
+/**
+ * Transport that answers from recorded fixtures. Unrecorded requests get a 404 with
+ * reason `fixtureMissing`, which the client surfaces as a NotFoundError (no retries).
+ */
+function createReplayTransport(fixturesDir = getFixturesDir()) {
+  return async (request) => {
+    const { endpoint, query, file } = getFixtureName(request.url, request.params);
+    const fixturePath = path.join(fixturesDir, file);
+
+    if (!fs.existsSync(fixturePath)) {
+      console.warn(`[YouTube] No fixture recorded for ${endpoint}?${query}`);
+      const message = `No fixture recorded for ${endpoint}?${query}`;
+      return { status: 404, headers: {}, data: { error: { code: 404, message, errors: [{ reason: 'fixtureMissing', message }] } } };
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+    if (fixture.etag && request.headers?.['If-None-Match'] === fixture.etag) {
+      return { status: 304, headers: { etag: fixture.etag }, data: '' };
+    }
+    return { status: fixture.status, headers: fixture.etag ? { etag: fixture.etag } : {}, data: fixture.data };
+  };
+}
+
+/**
+ * Transport that starts the fake API on a free local port the first time it's used.
+ */
+function createFakeServerTransport(innerTransport) {
+  let started = null;
+
+  return async (request) => {
+    if (!started) {
+      started = startFakeYouTubeServer().then(fake => {
+        fake.server.unref();
+        console.log(`[YouTube] Fake Data API running on ${fake.baseUrl}`);
+        return fake;
+      });
+    }
+
+    const { baseUrl } = await started;
+    const endpoint = request.url.split('/').pop();
+    return innerTransport({ ...request, url: `${baseUrl}/${endpoint}` });
+  };
+}
+
+/**
+ * youtube-client initialize() options for the configured YOUTUBE_MODE.
+ * @param {Function} defaultTransport - The client's real HTTP transport
+ * @returns {Object} { transport?, apiKey? }
+ */
+function getClientOptions(defaultTransport) {
+  switch (getMode()) {
+    case 'record':
+      return { transport: createRecordingTransport(defaultTransport) };
+    case 'replay':
+      return { transport: createReplayTransport(), apiKey: process.env.YOUTUBE_API_KEY || OFFLINE_API_KEY };
+    case 'fake':
+      return { transport: createFakeServerTransport(defaultTransport), apiKey: process.env.YOUTUBE_API_KEY || OFFLINE_API_KEY };
+    default:
+      return {};
+  }
+}
+
+module.exports = {
+  YOUTUBE_MODES,
+  getMode,
+  getClientOptions,
+  createRecordingTransport,
+  createReplayTransport
+};